@@ -0,0 +1,338 @@
+/**
+ * Conversation Storage - Server-side session history for multi-turn chats
+ *
+ * Conversations let follow-up questions ("what if I don't have eggs for that?")
+ * keep the context of earlier turns. This module provides:
+ * 1. Pluggable storage backends (in-memory default, file-backed option)
+ *    that scope conversations to the client that created them
+ * 2. Helpers for appending turns with a cap on stored history
+ * 3. Conversion of stored turns into Cohere-style chat history
+ *
+ * Storage is selected with CONVERSATION_STORE ("memory" or "file").
+ * The in-memory store suits Vercel where instances are short-lived; the file
+ * store persists conversations across local restarts.
+ */
+
+import fs from "fs/promises"; // File system operations with Promise support
+import path from "path"; // Path utilities for cross-platform compatibility
+import crypto from "crypto"; // Random identifiers for new conversations
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Number of most recent turns sent verbatim as chat history
+export const MAX_HISTORY_TURNS =
+  parseInt(process.env.CONVERSATION_MAX_TURNS, 10) || 10;
+
+// Number of older questions kept in the rolling summary once turns are folded
+const MAX_SUMMARY_TOPICS = 12;
+
+// Default directory for the file-backed store
+const DEFAULT_CONVERSATION_DIR = path.join(process.cwd(), "conversations");
+
+// ============================================================================
+// STORAGE BACKENDS
+// ============================================================================
+
+/**
+ * In-memory conversation store
+ *
+ * Fast and dependency-free, but conversations are lost when the process
+ * restarts (e.g. on every Vercel cold start).
+ */
+export class MemoryConversationStore {
+  constructor() {
+    this.name = "memory";
+    this.conversations = new Map();
+  }
+
+  async get(id) {
+    return this.conversations.get(id) || null;
+  }
+
+  async save(conversation) {
+    this.conversations.set(conversation.id, conversation);
+    return conversation;
+  }
+
+  async delete(id) {
+    return this.conversations.delete(id);
+  }
+
+  async list(ownerId = null) {
+    return [...this.conversations.values()].filter((conversation) =>
+      isConversationOwner(conversation, ownerId)
+    );
+  }
+}
+
+/**
+ * File-backed conversation store
+ *
+ * Stores each conversation as `<id>.json` inside the configured directory.
+ * On Vercel, point CONVERSATION_DIR at /tmp as the rest of the filesystem
+ * is read-only.
+ */
+export class FileConversationStore {
+  /**
+   * @param {string} directory - Directory that holds conversation files
+   */
+  constructor(directory = DEFAULT_CONVERSATION_DIR) {
+    this.name = "file";
+    this.directory = directory;
+  }
+
+  /**
+   * Resolve the file path for a conversation, rejecting unsafe identifiers
+   *
+   * @param {string} id - Conversation identifier
+   * @returns {string|null} Absolute file path, or null for invalid ids
+   */
+  filePath(id) {
+    if (!/^[a-zA-Z0-9_-]+$/.test(id)) return null;
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  async get(id) {
+    const file = this.filePath(id);
+    if (!file) return null;
+
+    try {
+      const content = await fs.readFile(file, "utf-8");
+      return JSON.parse(content);
+    } catch (err) {
+      // Missing or unreadable file - treat as unknown conversation
+      return null;
+    }
+  }
+
+  async save(conversation) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Write to a temporary file first so a crash never leaves half a file
+    const file = this.filePath(conversation.id);
+    const tempFile = `${file}.tmp`;
+    await fs.writeFile(
+      tempFile,
+      JSON.stringify(conversation, null, 2),
+      "utf-8"
+    );
+    await fs.rename(tempFile, file);
+
+    return conversation;
+  }
+
+  async delete(id) {
+    const file = this.filePath(id);
+    if (!file) return false;
+
+    try {
+      await fs.unlink(file);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  async list(ownerId = null) {
+    let entries = [];
+    try {
+      entries = await fs.readdir(this.directory);
+    } catch (err) {
+      // Directory doesn't exist yet - no conversations stored
+      return [];
+    }
+
+    const conversations = await Promise.all(
+      entries
+        .filter((entry) => entry.endsWith(".json"))
+        .map((entry) => this.get(path.basename(entry, ".json")))
+    );
+
+    return conversations.filter(
+      (conversation) =>
+        conversation && isConversationOwner(conversation, ownerId)
+    );
+  }
+}
+
+/**
+ * Create the conversation store selected by environment variables
+ *
+ * CONVERSATION_STORE - "memory" (default) or "file"
+ * CONVERSATION_DIR   - Directory for the file store (default: ./conversations)
+ *
+ * @returns {MemoryConversationStore|FileConversationStore} Store instance
+ */
+export function createConversationStore() {
+  const type = (process.env.CONVERSATION_STORE || "memory").toLowerCase();
+
+  if (type === "file") {
+    return new FileConversationStore(
+      process.env.CONVERSATION_DIR || DEFAULT_CONVERSATION_DIR
+    );
+  }
+
+  if (type !== "memory") {
+    console.warn(
+      `Unknown CONVERSATION_STORE "${type}", falling back to in-memory storage.`
+    );
+  }
+
+  return new MemoryConversationStore();
+}
+
+// ============================================================================
+// CONVERSATION HELPERS
+// ============================================================================
+
+/**
+ * Create a new, empty conversation object
+ *
+ * @param {string} [title] - Optional human-readable title
+ * @param {string|null} [ownerId] - Client that owns the conversation (null when API keys are off)
+ * @returns {Object} Conversation ready to be saved
+ */
+export function createConversation(title, ownerId = null) {
+  const now = new Date().toISOString();
+
+  return {
+    id: crypto.randomUUID(),
+    title: title || null, // Filled from the first prompt when not provided
+    ownerId: ownerId, // Only this client may read, continue or delete it
+    createdAt: now,
+    updatedAt: now,
+    summary: null, // Rolling summary of turns dropped from the history window
+    summarizedTurns: 0,
+    turns: [],
+  };
+}
+
+/**
+ * Whether a client may use a conversation
+ *
+ * Unlike profiles, ownerless conversations (created while API keys were off)
+ * are not shared with key holders: transcripts can contain anything.
+ *
+ * @param {Object} conversation - Stored conversation
+ * @param {string|null} ownerId - Requesting client (null when API keys are off)
+ * @returns {boolean} True when the conversation belongs to the client
+ */
+export function isConversationOwner(conversation, ownerId) {
+  return (conversation.ownerId ?? null) === ownerId;
+}
+
+/**
+ * Full conversation as returned by the API (without the owning client)
+ *
+ * @param {Object} conversation - Stored conversation
+ * @returns {Object} Transcript, summary and metadata
+ */
+export function describeTranscript(conversation) {
+  const { ownerId, ...fields } = conversation;
+  return fields;
+}
+
+/**
+ * Summarize a conversation for list responses (without the full transcript)
+ *
+ * @param {Object} conversation - Stored conversation
+ * @returns {Object} Lightweight conversation descriptor
+ */
+export function describeConversation(conversation) {
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    turnCount: conversation.summarizedTurns + conversation.turns.length,
+  };
+}
+
+/**
+ * Append a question/answer turn, folding old turns into the summary
+ *
+ * Only the most recent MAX_HISTORY_TURNS turns are kept verbatim. Older turns
+ * are condensed into an extractive summary listing the earlier questions,
+ * which keeps prompts bounded for long threads without an extra model call.
+ *
+ * @param {Object} conversation - Conversation to update (mutated in place)
+ * @param {Object} turn - Turn data
+ * @param {string} turn.prompt - User's message
+ * @param {string} turn.response - Assistant's reply
+ * @param {string} [turn.searchQuery] - Query actually used for retrieval
+ * @param {string[]} [turn.documentIds] - Documents used to answer
+ * @returns {Object} The updated conversation
+ */
+export function appendTurn(conversation, turn) {
+  conversation.turns.push({
+    prompt: turn.prompt,
+    response: turn.response,
+    searchQuery: turn.searchQuery || null,
+    documentIds: turn.documentIds || [],
+    createdAt: new Date().toISOString(),
+  });
+
+  // Use the first question as the title when none was provided
+  if (!conversation.title) {
+    conversation.title = truncate(turn.prompt, 80);
+  }
+
+  // Fold turns that fall outside the history window into the summary
+  while (conversation.turns.length > MAX_HISTORY_TURNS) {
+    const dropped = conversation.turns.shift();
+    conversation.summarizedTurns++;
+
+    const topics = [
+      ...(conversation.summary?.topics || []),
+      truncate(dropped.prompt, 120),
+    ].slice(-MAX_SUMMARY_TOPICS);
+
+    conversation.summary = {
+      topics: topics,
+      text: `Earlier in this conversation the user asked about: ${topics.join(
+        "; "
+      )}.`,
+    };
+  }
+
+  conversation.updatedAt = new Date().toISOString();
+  return conversation;
+}
+
+/**
+ * Convert a stored conversation into Cohere chat history format
+ *
+ * @param {Object|null} conversation - Stored conversation (or null)
+ * @returns {Object[]} Array of { role, message } entries, oldest first
+ */
+export function buildChatHistory(conversation) {
+  if (!conversation) return [];
+
+  const history = [];
+
+  // Prepend the rolling summary so the model knows about folded turns
+  if (conversation.summary?.text) {
+    history.push({ role: "SYSTEM", message: conversation.summary.text });
+  }
+
+  for (const turn of conversation.turns) {
+    history.push({ role: "USER", message: turn.prompt });
+    history.push({ role: "CHATBOT", message: turn.response });
+  }
+
+  return history;
+}
+
+/**
+ * Shorten text to a maximum length with an ellipsis
+ *
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum length including the ellipsis
+ * @returns {string} Shortened text
+ */
+function truncate(text, maxLength) {
+  if (!text || text.length <= maxLength) return text;
+  return `${text.substring(0, maxLength - 3)}...`;
+}
@@ -0,0 +1,355 @@
+/**
+ * Corpus Quality - Near-duplicates, conflicting answers and misfiled entries
+ *
+ * Four checks over the embedded knowledge base:
+ * 1. Near-duplicate clusters: documents whose embeddings are at least
+ *    QUALITY_DUPLICATE_THRESHOLD similar to every other member
+ *    ("How do I make classic pancakes?" in recipes and cooking advice)
+ * 2. Conflicting answers: clusters whose members quote different figures
+ *    for the same unit (2 tsp vs 1/2 tsp, 165°F vs 170°F)
+ * 3. Empty or too-short entries
+ * 4. Category outliers: documents closer to another category's centroid
+ *    than to their own
+ *
+ * Duplicate clusters also let retrieval collapse duplicates, so they don't
+ * take several of the top-K slots.
+ */
+
+import { cosineSimilarity } from "./retrieval.js"; // Centroid similarity
+import { dotProduct } from "./vectorIndex.js"; // Unit-vector similarity
+import { normalizeUnit, parseQuantity } from "./units.js"; // Quantities in answers
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Minimum embedding similarity between members of a duplicate cluster
+export const DUPLICATE_THRESHOLD =
+  Number(process.env.QUALITY_DUPLICATE_THRESHOLD) || 0.9;
+
+// Shortest answer not reported as too short, in characters
+export const MIN_SNIPPET_CHARS =
+  parseInt(process.env.QUALITY_MIN_SNIPPET_CHARS, 10) || 80;
+
+// Shortest question not reported as too short, in characters
+const MIN_TITLE_CHARS = 10;
+
+// How much closer another category's centroid must be to flag an outlier
+const OUTLIER_MARGIN = 0;
+
+// A number or range followed by a unit ("2 tbsp", "1/2 cup", "3-4 days", "165°F")
+const QUANTITY_PATTERN =
+  /(\d+(?:\.\d+)?(?:\s+\d+\/\d+|\/\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(°\s*[FC]\b|degrees\s+[FC]\b|(?:fl\.? oz|fluid ounces?|[a-z]+)\b)/gi;
+
+// Time units by alias (cooking units come from lib/units.js)
+const TIME_UNITS = {
+  second: "seconds",
+  seconds: "seconds",
+  minute: "minutes",
+  minutes: "minutes",
+  min: "minutes",
+  mins: "minutes",
+  hour: "hours",
+  hours: "hours",
+  hr: "hours",
+  hrs: "hours",
+  day: "days",
+  days: "days",
+  week: "weeks",
+  weeks: "weeks",
+  month: "months",
+  months: "months",
+  year: "years",
+  years: "years",
+};
+
+// ============================================================================
+// NUMERIC FACTS
+// ============================================================================
+
+/**
+ * Extract the quantities an answer quotes, by unit
+ *
+ * @param {string} text - Document snippet
+ * @returns {Map<string, Set<string>>} Unit (°F, tbsp, days...) → values ("2", "3-4")
+ */
+export function extractNumericFacts(text) {
+  const facts = new Map();
+
+  for (const [, amount, upper, rawUnit] of text.matchAll(QUANTITY_PATTERN)) {
+    const unit = canonicalFactUnit(rawUnit);
+    const low = parseQuantity(amount);
+    if (!unit || low === undefined || low === null) continue;
+
+    const value = upper ? `${low}-${Number(upper)}` : `${low}`;
+    if (!facts.has(unit)) facts.set(unit, new Set());
+    facts.get(unit).add(value);
+  }
+  return facts;
+}
+
+/**
+ * Canonical unit of a quantity, or null for words that aren't units
+ *
+ * @param {string} text - Unit as written
+ * @returns {string|null} e.g. "°F", "minutes", "tbsp"
+ */
+function canonicalFactUnit(text) {
+  const unit = text.toLowerCase().replace(/\s+/g, " ");
+  const temperature = unit.match(/^(?:°|degrees) ?([fc])$/);
+  if (temperature) return `°${temperature[1].toUpperCase()}`;
+  return TIME_UNITS[unit] ?? normalizeUnit(unit);
+}
+
+/**
+ * Units for which the members of a cluster quote different values
+ *
+ * Only units mentioned by at least two members are compared, so an answer
+ * that leaves a detail out isn't a conflict.
+ *
+ * @param {Object[]} members - Documents in the cluster
+ * @returns {Object[]} Conflicts as { unit, values: { documentId: [values] } }
+ */
+export function findConflicts(members) {
+  const factsById = new Map(
+    members.map((doc) => [doc.id, extractNumericFacts(doc.data.snippet)])
+  );
+  const units = new Set(
+    [...factsById.values()].flatMap((facts) => [...facts.keys()])
+  );
+
+  const conflicts = [];
+  for (const unit of [...units].sort()) {
+    const quoting = [...factsById].filter(([, facts]) => facts.has(unit));
+    if (quoting.length < 2) continue;
+
+    const signatures = new Set(
+      quoting.map(([, facts]) => [...facts.get(unit)].sort().join(","))
+    );
+    if (signatures.size > 1) {
+      conflicts.push({
+        unit,
+        values: Object.fromEntries(
+          quoting.map(([id, facts]) => [id, [...facts.get(unit)].sort()])
+        ),
+      });
+    }
+  }
+  return conflicts;
+}
+
+// ============================================================================
+// DUPLICATE CLUSTERS
+// ============================================================================
+
+/**
+ * Group documents whose embeddings are nearly identical
+ *
+ * Pairs are merged most similar first, and only while every member stays
+ * above the threshold with every other (complete linkage), so a chain of
+ * loosely related recipes never becomes one cluster. With an IVF index,
+ * each document is only compared with its nearest clusters.
+ *
+ * @param {Object[]} documents - Documents with unit embeddings
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Minimum similarity
+ * @param {IVFIndex|null} [options.vectorIndex] - Approximate index to narrow comparisons
+ * @returns {Object[]} Clusters as { members: Object[], minSimilarity, maxSimilarity }, largest first
+ */
+export function findDuplicateClusters(
+  documents,
+  { threshold = DUPLICATE_THRESHOLD, vectorIndex = null } = {}
+) {
+  const embedded = documents.filter((doc) => doc.embedding);
+  const position = new Map(embedded.map((doc, idx) => [doc, idx]));
+  const pairs = [];
+
+  embedded.forEach((doc, i) => {
+    const neighbours = vectorIndex
+      ? vectorIndex.candidates(doc.embedding)
+      : embedded;
+    for (const other of neighbours) {
+      const j = position.get(other);
+      if (j === undefined || j <= i) continue;
+      const similarity = dotProduct(doc.embedding, other.embedding);
+      if (similarity >= threshold) pairs.push({ i, j, similarity });
+    }
+  });
+  pairs.sort((a, b) => b.similarity - a.similarity);
+
+  const similarities = new Map(
+    pairs.map(({ i, j, similarity }) => [`${i}:${j}`, similarity])
+  );
+  const similarityOf = (a, b) =>
+    similarities.get(a < b ? `${a}:${b}` : `${b}:${a}`);
+
+  const clusterOf = new Map(); // Document position → cluster (array of positions)
+  for (const { i, j } of pairs) {
+    const a = clusterOf.get(i) ?? [i];
+    const b = clusterOf.get(j) ?? [j];
+    if (a === b) continue;
+    if (!a.every((x) => b.every((y) => similarityOf(x, y) !== undefined))) {
+      continue;
+    }
+
+    const merged = [...a, ...b];
+    for (const idx of merged) clusterOf.set(idx, merged);
+  }
+
+  return [...new Set(clusterOf.values())]
+    .map((cluster) => {
+      const scores = cluster.flatMap((x, n) =>
+        cluster.slice(n + 1).map((y) => similarityOf(x, y))
+      );
+      return {
+        members: cluster.sort((x, y) => x - y).map((idx) => embedded[idx]),
+        minSimilarity: Math.min(...scores),
+        maxSimilarity: Math.max(...scores),
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.members.length - a.members.length || b.maxSimilarity - a.maxSimilarity
+    );
+}
+
+/**
+ * Map each clustered document to its cluster, for collapsing duplicates
+ *
+ * @param {Object} report - From buildQualityReport
+ * @returns {Map<string, string>} Document id → cluster id
+ */
+export function duplicateGroups(report) {
+  return new Map(
+    report.duplicates.flatMap((cluster) =>
+      cluster.documents.map((doc) => [doc.id, cluster.id])
+    )
+  );
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * Build the corpus quality report
+ *
+ * @param {Object[]} documents - Documents with unit embeddings
+ * @param {Object} [options]
+ * @param {Map<string, number[]>} [options.centroids] - Category centroids (computeCategoryCentroids)
+ * @param {IVFIndex|null} [options.vectorIndex] - Approximate index to narrow comparisons
+ * @param {number} [options.threshold] - Duplicate similarity threshold
+ * @returns {Object} { generatedAt, settings, summary, duplicates, shortEntries, outliers }
+ */
+export function buildQualityReport(
+  documents,
+  {
+    centroids = new Map(),
+    vectorIndex = null,
+    threshold = DUPLICATE_THRESHOLD,
+  } = {}
+) {
+  const startedAt = Date.now();
+  const round = (value) => Math.round(value * 10000) / 10000;
+  const describe = (doc) => ({
+    id: doc.id,
+    title: doc.data.title,
+    category: doc.data.category,
+  });
+
+  const clusters = findDuplicateClusters(documents, { threshold, vectorIndex });
+  const duplicates = clusters.map((cluster, idx) => ({
+    id: `dup_${idx + 1}`,
+    similarity: {
+      min: round(cluster.minSimilarity),
+      max: round(cluster.maxSimilarity),
+    },
+    crossCategory:
+      new Set(cluster.members.map((doc) => doc.data.category)).size > 1,
+    documents: cluster.members.map(describe),
+    conflicts: findConflicts(cluster.members),
+  }));
+
+  const shortEntries = documents.flatMap((doc) => {
+    const title = doc.data.title.trim();
+    const snippet = doc.data.snippet.trim();
+    const issue =
+      !title || !snippet
+        ? "empty"
+        : snippet.length < MIN_SNIPPET_CHARS
+          ? "short_answer"
+          : title.length < MIN_TITLE_CHARS
+            ? "short_question"
+            : null;
+    return issue
+      ? [
+          {
+            ...describe(doc),
+            issue,
+            titleChars: title.length,
+            snippetChars: snippet.length,
+          },
+        ]
+      : [];
+  });
+
+  const outliers = documents.flatMap((doc) => {
+    const own = centroids.get(doc.data.category);
+    if (!doc.embedding || !own || centroids.size < 2) return [];
+
+    const ownSimilarity = cosineSimilarity(doc.embedding, own);
+    let nearest = null;
+    let nearestSimilarity = -Infinity;
+    for (const [category, centroid] of centroids) {
+      if (category === doc.data.category) continue;
+      const similarity = cosineSimilarity(doc.embedding, centroid);
+      if (similarity > nearestSimilarity) {
+        nearest = category;
+        nearestSimilarity = similarity;
+      }
+    }
+
+    return nearestSimilarity > ownSimilarity + OUTLIER_MARGIN
+      ? [
+          {
+            ...describe(doc),
+            ownSimilarity: round(ownSimilarity),
+            nearestCategory: nearest,
+            nearestSimilarity: round(nearestSimilarity),
+          },
+        ]
+      : [];
+  });
+  outliers.sort(
+    (a, b) =>
+      b.nearestSimilarity -
+      b.ownSimilarity -
+      (a.nearestSimilarity - a.ownSimilarity)
+  );
+
+  return {
+    generatedAt: new Date().toISOString(),
+    durationMs: Date.now() - startedAt,
+    settings: {
+      duplicateThreshold: threshold,
+      minSnippetChars: MIN_SNIPPET_CHARS,
+      minTitleChars: MIN_TITLE_CHARS,
+    },
+    summary: {
+      documents: documents.length,
+      duplicateClusters: duplicates.length,
+      duplicateDocuments: duplicates.reduce(
+        (sum, cluster) => sum + cluster.documents.length,
+        0
+      ),
+      conflictingClusters: duplicates.filter(
+        (cluster) => cluster.conflicts.length > 0
+      ).length,
+      shortEntries: shortEntries.length,
+      outliers: outliers.length,
+    },
+    duplicates,
+    shortEntries,
+    outliers,
+  };
+}
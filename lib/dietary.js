@@ -0,0 +1,443 @@
+/**
+ * Dietary - Allergens, diets and the ingredients that conflict with them
+ *
+ * Ingredients are grouped (dairy, gluten, pork, ...). Allergens name one
+ * group each and diets exclude several, so one scan of a text finds every
+ * ingredient a profile rules out. Phrases that only look like a conflict are
+ * excluded ("coconut milk", "almond flour", "peanut butter" for dairy).
+ */
+
+// ============================================================================
+// INGREDIENT GROUPS
+// ============================================================================
+
+// Terms matched as whole words (plural "s"/"es" allowed). Each term may be a
+// regex fragment; lookbehinds rule out look-alike phrases.
+const PLANT_BASED =
+  "(?<!(almond|oat|soy|soya|coconut|rice|cashew|hemp|plant|vegan|nut|cocoa|apple|shea|peanut|seed) )";
+const GLUTEN_FREE_FLOUR =
+  "(?<!(almond|coconut|rice|chickpea|buckwheat|tapioca|corn|potato|cassava|gluten-free|gluten free) )";
+
+export const INGREDIENT_GROUPS = {
+  dairy: {
+    label: "dairy",
+    terms: [
+      `${PLANT_BASED}milk`,
+      `${PLANT_BASED}butter`,
+      `${PLANT_BASED}cream(?! of tartar)`,
+      `${PLANT_BASED}cheese`,
+      "buttermilk",
+      "yogh?urt",
+      "ghee",
+      "whey",
+      "casein",
+      "parmesan",
+      "mozzarella",
+      "cheddar",
+      "ricotta",
+      "mascarpone",
+      "feta",
+      "crème fraîche",
+      "creme fraiche",
+    ],
+  },
+  eggs: {
+    label: "eggs",
+    terms: [
+      "eggs?",
+      "egg whites?",
+      "egg yolks?",
+      "mayonnaise",
+      "aioli",
+      "meringue",
+    ],
+  },
+  peanuts: {
+    label: "peanuts",
+    terms: ["peanuts?", "peanut butter", "groundnuts?"],
+  },
+  tree_nuts: {
+    label: "tree nuts",
+    terms: [
+      "almonds?",
+      "walnuts?",
+      "pecans?",
+      "cashews?",
+      "pistachios?",
+      "hazelnuts?",
+      "macadamias?",
+      "brazil nuts?",
+      "pine nuts?",
+      "praline",
+      "marzipan",
+    ],
+  },
+  soy: {
+    label: "soy",
+    terms: [
+      "soy",
+      "soya",
+      "soy sauce",
+      "tofu",
+      "tempeh",
+      "edamame",
+      "miso",
+      "tamari",
+    ],
+  },
+  gluten: {
+    label: "gluten",
+    terms: [
+      "wheat",
+      `${GLUTEN_FREE_FLOUR}flour`,
+      "breadcrumbs?",
+      `(?<!gluten-free )bread`,
+      `(?<!gluten-free )pasta`,
+      "spaghetti",
+      "noodles?",
+      "barley",
+      "rye",
+      "couscous",
+      "semolina",
+      "spelt",
+      "seitan",
+      "soy sauce",
+      "beer",
+      "panko",
+    ],
+  },
+  fish: {
+    label: "fish",
+    terms: [
+      "fish",
+      "salmon",
+      "tuna",
+      "cod",
+      "anchov(y|ies)",
+      "sardines?",
+      "trout",
+      "halibut",
+      "tilapia",
+      "mackerel",
+      "fish sauce",
+      "worcestershire",
+    ],
+  },
+  shellfish: {
+    label: "shellfish",
+    terms: [
+      "shellfish",
+      "shrimps?",
+      "prawns?",
+      "crabs?",
+      "lobsters?",
+      "mussels?",
+      "clams?",
+      "oysters?",
+      "scallops?",
+      "squid",
+      "calamari",
+    ],
+  },
+  sesame: { label: "sesame", terms: ["sesame", "tahini"] },
+  meat: {
+    label: "meat",
+    terms: [
+      "beef",
+      "steaks?",
+      "lamb",
+      "veal",
+      "venison",
+      "ground beef",
+      "ground meat",
+      "meatballs?",
+      "(beef|chicken|bone) broth",
+    ],
+  },
+  poultry: {
+    label: "poultry",
+    terms: ["chicken", "turkey", "duck", "goose", "poultry"],
+  },
+  pork: {
+    label: "pork",
+    terms: [
+      "pork",
+      "bacon",
+      "ham",
+      "prosciutto",
+      "pancetta",
+      "chorizo",
+      "salami",
+      "lard",
+      "sausages?",
+    ],
+  },
+  alcohol: {
+    label: "alcohol",
+    terms: [
+      "wine",
+      "beer",
+      "rum",
+      "brandy",
+      "vodka",
+      "whiske?y",
+      "bourbon",
+      "sherry",
+      "mirin",
+      "liqueur",
+      "cognac",
+    ],
+  },
+  honey: { label: "honey", terms: ["honey"] },
+  gelatin: { label: "gelatin", terms: ["gelatine?"] },
+};
+
+// ============================================================================
+// ALLERGENS AND DIETS
+// ============================================================================
+
+// Allergens with built-in ingredient lists, and the names they are known by
+export const ALLERGENS = {
+  dairy: ["dairy", "milk", "lactose"],
+  eggs: ["eggs", "egg"],
+  peanuts: ["peanuts", "peanut"],
+  tree_nuts: ["tree_nuts", "tree nuts", "nuts"],
+  soy: ["soy", "soya"],
+  gluten: ["gluten", "wheat"],
+  fish: ["fish"],
+  shellfish: ["shellfish", "crustaceans"],
+  sesame: ["sesame"],
+};
+
+// Diets and the ingredient groups they exclude
+export const DIETS = {
+  vegetarian: ["meat", "poultry", "pork", "fish", "shellfish", "gelatin"],
+  vegan: [
+    "meat",
+    "poultry",
+    "pork",
+    "fish",
+    "shellfish",
+    "gelatin",
+    "dairy",
+    "eggs",
+    "honey",
+  ],
+  pescatarian: ["meat", "poultry", "pork"],
+  gluten_free: ["gluten"],
+  dairy_free: ["dairy"],
+  nut_free: ["peanuts", "tree_nuts"],
+  halal: ["pork", "alcohol", "gelatin"],
+  kosher: ["pork", "shellfish"],
+};
+
+/**
+ * Normalize an allergen name to a built-in allergen key where possible
+ *
+ * Unknown allergens ("mustard", "kiwi") are kept as lowercase free text and
+ * matched literally.
+ *
+ * @param {string} name - Allergen as entered
+ * @returns {string} Allergen key or normalized free text
+ */
+export function normalizeAllergen(name) {
+  const text = String(name).trim().toLowerCase();
+  const key = Object.keys(ALLERGENS).find((allergen) =>
+    ALLERGENS[allergen].includes(text)
+  );
+  return key ?? text;
+}
+
+/**
+ * Normalize a diet name ("Gluten-free" → "gluten_free")
+ *
+ * @param {string} name - Diet as entered
+ * @returns {string|null} Diet key, or null for unknown diets
+ */
+export function normalizeDiet(name) {
+  const key = String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+  return key in DIETS ? key : null;
+}
+
+/**
+ * Human-readable allergen name
+ *
+ * @param {string} allergen - Allergen key or free text
+ * @returns {string} Label
+ */
+export function allergenLabel(allergen) {
+  return INGREDIENT_GROUPS[allergen]?.label ?? allergen;
+}
+
+// ============================================================================
+// CONFLICT SCAN
+// ============================================================================
+
+// Words shortly before a mention showing it is being replaced or left out
+// ("instead of the butter", "without any fresh eggs")
+const AVOIDANCE_BEFORE =
+  /\b(instead of|in place of|replace|replacing|substitute( for)?|swap( out)?|without|omit|omitting|avoid|avoiding|skip|no|free of|alternative to|rather than|allergic to|allergy to|leave out)\s+([\w'-]+\s+){0,2}$/i;
+// ...and after it ("dairy-free", "butter substitute")
+const AVOIDANCE_AFTER = /^[- ]?(free|substitutes?|alternatives?|replacers?)\b/i;
+
+/**
+ * Build the pattern matching any term of the given ingredient groups
+ *
+ * @param {string[]} terms - Term fragments
+ * @returns {RegExp} Global, case-insensitive pattern
+ */
+function termPattern(terms) {
+  return new RegExp(`\\b(?:${terms.join("|")})(?:e?s)?\\b`, "gi");
+}
+
+/**
+ * Restrictions of a profile as ingredient patterns
+ *
+ * @param {Object} profile - { allergens, diets }
+ * @returns {Object[]} { type: "allergen" | "diet", restriction, group, pattern }
+ */
+function restrictionsFor(profile) {
+  const restrictions = [];
+
+  for (const allergen of profile.allergens ?? []) {
+    const group = INGREDIENT_GROUPS[allergen];
+    restrictions.push({
+      type: "allergen",
+      restriction: allergen,
+      group: group ? allergen : null,
+      pattern: group
+        ? termPattern(group.terms)
+        : termPattern([allergen.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")]),
+    });
+  }
+
+  for (const diet of profile.diets ?? []) {
+    for (const groupName of DIETS[diet] ?? []) {
+      restrictions.push({
+        type: "diet",
+        restriction: diet,
+        group: groupName,
+        pattern: termPattern(INGREDIENT_GROUPS[groupName].terms),
+      });
+    }
+  }
+
+  return restrictions;
+}
+
+/**
+ * Find ingredients in a text that a profile rules out
+ *
+ * Mentions that are being replaced or avoided ("use oil instead of butter",
+ * "dairy-free") don't count.
+ *
+ * @param {string} text - Text to scan (reply, recipe or document)
+ * @param {Object} profile - { allergens, diets }
+ * @returns {Object[]} Conflicts as { type, restriction, group, term, index },
+ *   one per restriction and term, in text order
+ */
+export function findDietaryConflicts(text, profile) {
+  const conflicts = [];
+  const seen = new Set();
+
+  for (const restriction of restrictionsFor(profile)) {
+    for (const match of text.matchAll(restriction.pattern)) {
+      const before = text
+        .slice(0, match.index)
+        .split(/[.!?\n]/)
+        .pop();
+      const after = text.slice(match.index + match[0].length);
+      if (AVOIDANCE_BEFORE.test(before) || AVOIDANCE_AFTER.test(after)) {
+        continue;
+      }
+
+      const term = match[0].toLowerCase();
+      const key = `${restriction.type}:${restriction.restriction}:${term}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      conflicts.push({
+        type: restriction.type,
+        restriction: restriction.restriction,
+        group: restriction.group,
+        term,
+        index: match.index,
+      });
+    }
+  }
+
+  return conflicts.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Warnings for the ingredients in a text that a profile rules out
+ *
+ * Allergen conflicts are grouped per allergen and diet conflicts per
+ * ingredient group (bacon is one note for a vegan, halal profile). Terms
+ * already covered by an allergen warning get no extra diet note. Each warning
+ * has a message for the user ("Allergen warning: ...").
+ *
+ * @param {string} text - Generated reply or recipe text
+ * @param {Object|null} profile - { allergens, diets }
+ * @returns {Object[]} Warnings as { type, restrictions, terms, message }
+ */
+export function dietaryWarnings(text, profile) {
+  if (!profile) return [];
+
+  const conflicts = findDietaryConflicts(text, profile);
+  const allergenTerms = new Set(
+    conflicts
+      .filter((conflict) => conflict.type === "allergen")
+      .map((conflict) => conflict.term)
+  );
+
+  const grouped = new Map();
+  for (const conflict of conflicts) {
+    if (conflict.type === "diet" && allergenTerms.has(conflict.term)) continue;
+
+    const key =
+      conflict.type === "allergen"
+        ? `allergen:${conflict.restriction}`
+        : `diet:${conflict.group}`;
+    if (!grouped.has(key)) {
+      grouped.set(key, {
+        type: conflict.type,
+        label:
+          conflict.type === "allergen"
+            ? allergenLabel(conflict.restriction)
+            : INGREDIENT_GROUPS[conflict.group].label,
+        restrictions: [],
+        terms: [],
+      });
+    }
+    const warning = grouped.get(key);
+    if (!warning.restrictions.includes(conflict.restriction)) {
+      warning.restrictions.push(conflict.restriction);
+    }
+    if (!warning.terms.includes(conflict.term)) {
+      warning.terms.push(conflict.term);
+    }
+  }
+
+  return [...grouped.values()].map(({ label, ...warning }) => {
+    const mentioned =
+      warning.terms.join(", ") +
+      (warning.terms.length === 1 && warning.terms[0] === label
+        ? ""
+        : ` (${label})`);
+    const diets = warning.restrictions
+      .map((diet) => diet.replace(/_/g, "-"))
+      .join(", ");
+
+    return {
+      ...warning,
+      message:
+        warning.type === "allergen"
+          ? `Allergen warning: ${mentioned} ${warning.terms.length === 1 ? "is" : "are"} listed as an allergy in your profile - use a safe substitute instead.`
+          : `Diet note: ${mentioned} ${warning.terms.length === 1 ? "doesn't" : "don't"} fit your ${diets} diet - swap in a suitable alternative.`,
+    };
+  });
+}
@@ -0,0 +1,641 @@
+/**
+ * Embedding Cache - Content-hashed, model-versioned document embeddings
+ *
+ * Vectors are stored in a binary file (float32, or int8 with a scale per
+ * vector) next to a JSON sidecar holding a header - model, dimension, count,
+ * encoding and checksum - and one entry per document with a hash of the
+ * embedded text. The legacy embeddings.json format is still read and is
+ * replaced on the next write. At startup the cache is reconciled against the
+ * source documents:
+ * 1. Documents whose text hash matches a cached entry reuse its vector
+ * 2. Added or edited documents are re-embedded
+ * 3. Entries for removed documents are pruned
+ * 4. A different embedding model (or model version) rebuilds everything,
+ *    since vectors from different models are not comparable
+ */
+
+import fs from "fs/promises"; // File system operations with Promise support
+import { createReadStream } from "fs"; // Chunked reads of the vector file
+import os from "os"; // Byte order of this machine
+import path from "path"; // Path utilities for cross-platform compatibility
+import crypto from "crypto"; // Content hashes of embedded text
+import { toUnitVector } from "./vectorIndex.js"; // Stored vectors are unit length
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Embedding model assumed for cache entries written before models were recorded
+const LEGACY_EMBEDDING_MODEL = "embed-multilingual-v3.0";
+
+// Version of the embedding model in use. Bump EMBEDDING_MODEL_VERSION when a
+// model is updated behind an unchanged name (common with self-hosted models)
+// to force a full rebuild.
+export const EMBEDDING_MODEL_VERSION =
+  process.env.EMBEDDING_MODEL_VERSION || "1";
+
+// Vector encodings: float32 (exact) or int8 (a quarter of the size)
+export const ENCODINGS = ["float32", "int8"];
+export const EMBEDDINGS_ENCODING = (
+  process.env.EMBEDDINGS_ENCODING || "float32"
+).toLowerCase();
+
+// How the vector file is read: "buffer" (whole file at once, vectors are
+// views on it) or "stream" (chunk by chunk, lower peak memory)
+export const EMBEDDINGS_READ_MODE =
+  process.env.EMBEDDINGS_READ_MODE === "stream" ? "stream" : "buffer";
+
+// Identifies the sidecar format; bump CACHE_VERSION on layout changes
+const CACHE_FORMAT = "culinarygpt-embeddings";
+const CACHE_VERSION = 1;
+
+// Vectors are written in this machine's byte order
+const BYTE_ORDER = os.endianness() === "LE" ? "little" : "big";
+
+// ============================================================================
+// HASHING
+// ============================================================================
+
+/**
+ * Text sent to the embedding model for a document
+ *
+ * @param {Object} doc - Document with data.title and data.snippet
+ * @returns {string} Text to embed
+ */
+export function embeddingText(doc) {
+  // Combine title and snippet for comprehensive context
+  return `${doc.data.title}. ${doc.data.snippet}`;
+}
+
+/**
+ * Hash of the text a document is embedded from
+ *
+ * @param {Object} doc - Document with data.title and data.snippet
+ * @returns {string} Hex SHA-256 digest
+ */
+export function contentHash(doc) {
+  return crypto.createHash("sha256").update(embeddingText(doc)).digest("hex");
+}
+
+// ============================================================================
+// CACHE FILES
+// ============================================================================
+
+/**
+ * Paths of the embedding files in a directory
+ *
+ * @param {string} directory - Embeddings directory
+ * @returns {Object} { vectors, metadata, legacy }
+ */
+export function embeddingFiles(directory) {
+  return {
+    vectors: path.join(directory, "embeddings.bin"), // Packed vectors
+    metadata: path.join(directory, "embeddings.meta.json"), // Header and document entries
+    legacy: path.join(directory, "embeddings.json"), // Pre-binary JSON format
+  };
+}
+
+/**
+ * Read cached embeddings as documents
+ *
+ * Reads the binary format, or the legacy JSON file when no binary file has
+ * been written yet (it is replaced on the next write). A binary file whose
+ * size or checksum doesn't match its header is ignored, so everything is
+ * re-embedded rather than served from corrupt vectors.
+ *
+ * @param {string} directory - Embeddings directory
+ * @param {Object} [options] - { readMode: "buffer" | "stream" }
+ * @returns {Promise<Object|null>} { documents (unit Float32Array embeddings), format, header },
+ *   or null when no readable file exists
+ */
+export async function readEmbeddingCache(
+  directory,
+  { readMode = EMBEDDINGS_READ_MODE } = {}
+) {
+  const files = embeddingFiles(directory);
+
+  let metadata;
+  try {
+    metadata = JSON.parse(await fs.readFile(files.metadata, "utf-8"));
+  } catch (err) {
+    // No binary cache yet - fall back to the legacy JSON file
+    const documents = await readLegacyEmbeddingCache(files.legacy);
+    return documents && { documents, format: "json", header: null };
+  }
+
+  try {
+    const { header, entries } = metadata;
+    validateHeader(header, entries);
+
+    const vectors =
+      readMode === "stream"
+        ? await streamVectors(files.vectors, header)
+        : decodeVectors(await fs.readFile(files.vectors), header);
+
+    const documents = entries.map((entry, i) => {
+      const doc = {
+        id: entry.id,
+        data: {
+          title: entry.title,
+          snippet: entry.snippet,
+          category: entry.category,
+          ...(entry.source && { source: entry.source }),
+        },
+        embedding: vectors[i],
+        computedAt: entry.computedAt ?? header.computedAt,
+        model: header.model,
+        modelVersion: header.modelVersion,
+      };
+      doc.contentHash = entry.contentHash || contentHash(doc);
+      return doc;
+    });
+
+    return { documents, format: header.encoding, header };
+  } catch (err) {
+    console.warn(`Ignoring embeddings cache: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Read the legacy JSON embeddings file
+ *
+ * @param {string} file - Path of embeddings.json
+ * @returns {Promise<Object[]|null>} Cached documents, or null when the file is missing or unreadable
+ */
+async function readLegacyEmbeddingCache(file) {
+  let entries;
+  try {
+    entries = JSON.parse(await fs.readFile(file, "utf-8"));
+  } catch (err) {
+    // File doesn't exist or is corrupted - everything will be embedded
+    return null;
+  }
+
+  return entries.map((entry) => {
+    const doc = {
+      id: entry.id,
+      data: {
+        title: entry.title,
+        snippet: entry.snippet,
+        category: entry.category || "general", // Fallback for older data
+        ...(entry.source && { source: entry.source }),
+      },
+      embedding: entry.embedding && toUnitVector(entry.embedding),
+      computedAt: entry.computedAt,
+      model: entry.model || LEGACY_EMBEDDING_MODEL,
+      modelVersion: entry.modelVersion || "1",
+    };
+
+    // Older entries carry no hash - derive it from the text they stored
+    doc.contentHash = entry.contentHash || contentHash(doc);
+    return doc;
+  });
+}
+
+/**
+ * Check a metadata header before trusting the vector file
+ *
+ * @param {Object} header - Header from embeddings.meta.json
+ * @param {Object[]} entries - Document entries
+ * @throws {Error} When the header is unusable
+ */
+function validateHeader(header, entries) {
+  if (header?.format !== CACHE_FORMAT || header.version !== CACHE_VERSION) {
+    throw new Error(
+      `unsupported format ${header?.format}@${header?.version} (expected ${CACHE_FORMAT}@${CACHE_VERSION})`
+    );
+  }
+  if (!ENCODINGS.includes(header.encoding)) {
+    throw new Error(`unknown encoding "${header.encoding}"`);
+  }
+  if (header.byteOrder !== BYTE_ORDER) {
+    throw new Error(
+      `vectors are ${header.byteOrder}-endian, this machine is ${BYTE_ORDER}-endian`
+    );
+  }
+  if (!Array.isArray(entries) || entries.length !== header.count) {
+    throw new Error(
+      `header lists ${header.count} vectors but ${entries?.length} entries`
+    );
+  }
+}
+
+/**
+ * Size in bytes of the vector file described by a header
+ *
+ * float32: count × dimension × 4
+ * int8:    count × 4 (one float32 scale per vector) + count × dimension
+ *
+ * @param {Object} header - { encoding, count, dimension }
+ * @returns {number} Expected file size
+ */
+function vectorFileSize({ encoding, count, dimension }) {
+  return encoding === "int8"
+    ? count * 4 + count * dimension
+    : count * dimension * 4;
+}
+
+/**
+ * Typed arrays the vector file is read into, in file order
+ *
+ * @param {Object} header - { encoding, count, dimension }
+ * @param {Function} allocate - (Type, length, byteOffset) → typed array
+ * @returns {ArrayBufferView[]} Scales (int8 only) followed by one array per vector
+ */
+function vectorLayout({ encoding, count, dimension }, allocate) {
+  if (encoding === "int8") {
+    return [
+      allocate(Float32Array, count, 0),
+      ...Array.from({ length: count }, (_, i) =>
+        allocate(Int8Array, dimension, count * 4 + i * dimension)
+      ),
+    ];
+  }
+
+  return Array.from({ length: count }, (_, i) =>
+    allocate(Float32Array, dimension, i * dimension * 4)
+  );
+}
+
+/**
+ * Turn the arrays of a vector file into unit Float32Arrays
+ *
+ * @param {ArrayBufferView[]} arrays - From vectorLayout
+ * @param {string} encoding - "float32" or "int8"
+ * @returns {Float32Array[]} One vector per document
+ */
+function toVectors(arrays, encoding) {
+  if (encoding !== "int8") return arrays; // Stored normalized
+
+  const [scales, ...quantized] = arrays;
+  return quantized.map((values, i) =>
+    toUnitVector(Float32Array.from(values, (value) => value * scales[i]))
+  );
+}
+
+/**
+ * Decode a vector file read into memory
+ *
+ * float32 vectors are views on the file's buffer rather than copies.
+ *
+ * @param {Buffer} buffer - Contents of embeddings.bin
+ * @param {Object} header - Metadata header
+ * @returns {Float32Array[]} One vector per document
+ */
+function decodeVectors(buffer, header) {
+  if (buffer.length !== vectorFileSize(header)) {
+    throw new Error(
+      `vector file is ${buffer.length} bytes, header expects ${vectorFileSize(header)}`
+    );
+  }
+  if (sha256(buffer) !== header.checksum) {
+    throw new Error("vector file checksum mismatch");
+  }
+
+  // Typed array views need an aligned offset; copy in the rare case they don't
+  const bytes = buffer.byteOffset % 4 === 0 ? buffer : new Uint8Array(buffer);
+  const arrays = vectorLayout(
+    header,
+    (Type, length, byteOffset) =>
+      new Type(bytes.buffer, bytes.byteOffset + byteOffset, length)
+  );
+  return toVectors(arrays, header.encoding);
+}
+
+/**
+ * Read a vector file chunk by chunk
+ *
+ * Avoids holding the whole file and its decoded vectors in memory at the
+ * same time (peak memory is one chunk over the vectors themselves).
+ *
+ * @param {string} file - Path of embeddings.bin
+ * @param {Object} header - Metadata header
+ * @returns {Promise<Float32Array[]>} One vector per document
+ */
+async function streamVectors(file, header) {
+  const arrays = vectorLayout(header, (Type, length) => new Type(length));
+  const targets = arrays.map(
+    (array) => new Uint8Array(array.buffer, array.byteOffset, array.byteLength)
+  );
+  const hash = crypto.createHash("sha256");
+
+  let target = 0;
+  let offset = 0;
+  let bytesRead = 0;
+  for await (const chunk of createReadStream(file)) {
+    hash.update(chunk);
+    bytesRead += chunk.length;
+
+    let position = 0;
+    while (position < chunk.length && target < targets.length) {
+      const copied = Math.min(
+        chunk.length - position,
+        targets[target].length - offset
+      );
+      targets[target].set(chunk.subarray(position, position + copied), offset);
+      position += copied;
+      offset += copied;
+      if (offset === targets[target].length) {
+        target++;
+        offset = 0;
+      }
+    }
+  }
+
+  if (bytesRead !== vectorFileSize(header)) {
+    throw new Error(
+      `vector file is ${bytesRead} bytes, header expects ${vectorFileSize(header)}`
+    );
+  }
+  if (hash.digest("hex") !== header.checksum) {
+    throw new Error("vector file checksum mismatch");
+  }
+  return toVectors(arrays, header.encoding);
+}
+
+/**
+ * Pack unit vectors into a vector file
+ *
+ * int8 stores each vector as round(value / scale) with scale = max|value| / 127.
+ *
+ * @param {Float32Array[]} vectors - Unit vectors of equal dimension
+ * @param {string} encoding - "float32" or "int8"
+ * @returns {Buffer} File contents
+ */
+function encodeVectors(vectors, encoding) {
+  const header = {
+    encoding,
+    count: vectors.length,
+    dimension: vectors[0]?.length ?? 0,
+  };
+  const buffer = Buffer.alloc(vectorFileSize(header));
+  const arrays = vectorLayout(
+    header,
+    (Type, length, byteOffset) =>
+      new Type(buffer.buffer, buffer.byteOffset + byteOffset, length)
+  );
+
+  if (encoding !== "int8") {
+    vectors.forEach((vector, i) => arrays[i].set(vector));
+    return buffer;
+  }
+
+  const [scales, ...quantized] = arrays;
+  vectors.forEach((vector, i) => {
+    let max = 0;
+    for (const value of vector) max = Math.max(max, Math.abs(value));
+    const scale = max / 127 || 1;
+    scales[i] = scale;
+    for (let j = 0; j < vector.length; j++) {
+      quantized[i][j] = Math.round(vector[j] / scale);
+    }
+  });
+  return buffer;
+}
+
+/**
+ * Write documents and their embeddings to the cache files
+ *
+ * Vectors go to embeddings.bin; ids, text, content hashes and a header
+ * (model, dimension, count, encoding, checksum) to embeddings.meta.json.
+ * Text is kept so a category whose source file fails to load can still be
+ * served. Both files are written to temporary files first so a crash never
+ * leaves half a file, and a legacy embeddings.json is removed once replaced.
+ *
+ * @param {string} directory - Embeddings directory
+ * @param {Object[]} documents - Documents with embeddings
+ * @param {string} model - Embedding model that produced the vectors
+ * @param {Object} [options] - { encoding: "float32" | "int8" }
+ * @returns {Promise<Object>} { bytes, migratedLegacy }
+ */
+export async function writeEmbeddingCache(
+  directory,
+  documents,
+  model,
+  { encoding = EMBEDDINGS_ENCODING } = {}
+) {
+  if (!ENCODINGS.includes(encoding)) {
+    throw new Error(`Unknown embeddings encoding "${encoding}"`);
+  }
+
+  const vectors = documents.map((doc) => doc.embedding);
+  const dimension = vectors[0]?.length ?? 0;
+  if (vectors.some((vector) => !vector || vector.length !== dimension)) {
+    throw new Error("Every document needs an embedding of the same dimension");
+  }
+
+  const buffer = encodeVectors(vectors, encoding);
+  const computedTimes = documents
+    .map((doc) => doc.computedAt)
+    .filter(Boolean)
+    .sort();
+  const computedAt =
+    computedTimes[computedTimes.length - 1] ?? new Date().toISOString();
+
+  const metadata = {
+    header: {
+      format: CACHE_FORMAT,
+      version: CACHE_VERSION,
+      model: model, // Embedding model that produced the vectors
+      modelVersion: EMBEDDING_MODEL_VERSION,
+      dimension: dimension,
+      count: vectors.length,
+      encoding: encoding,
+      byteOrder: BYTE_ORDER,
+      checksum: sha256(buffer), // SHA-256 of embeddings.bin
+      computedAt: computedAt, // Most recent embedding
+      writtenAt: new Date().toISOString(),
+    },
+    entries: documents.map((doc) => ({
+      id: doc.id,
+      title: doc.data.title,
+      snippet: doc.data.snippet,
+      category: doc.data.category,
+      ...(doc.data.source && { source: doc.data.source }), // Location in an ingested file
+      contentHash: doc.contentHash ?? contentHash(doc),
+      // Only when it differs from the header's, to keep rows small
+      ...(doc.computedAt &&
+        doc.computedAt !== computedAt && { computedAt: doc.computedAt }),
+    })),
+  };
+
+  const files = embeddingFiles(directory);
+  await fs.mkdir(directory, { recursive: true });
+  await fs.writeFile(`${files.vectors}.tmp`, buffer);
+  await fs.writeFile(
+    `${files.metadata}.tmp`,
+    JSON.stringify(metadata),
+    "utf-8"
+  );
+  await fs.rename(`${files.vectors}.tmp`, files.vectors);
+  await fs.rename(`${files.metadata}.tmp`, files.metadata);
+
+  const migratedLegacy = await fs
+    .unlink(files.legacy)
+    .then(() => true)
+    .catch(() => false);
+
+  return { bytes: buffer.length, migratedLegacy };
+}
+
+/**
+ * Describe the embedding files on disk for /health and /stats
+ *
+ * @param {string} directory - Embeddings directory
+ * @returns {Promise<Object>} { exists, format, size, lastModified, created, header? }
+ */
+export async function getEmbeddingFileInfo(directory) {
+  const files = embeddingFiles(directory);
+
+  try {
+    const [vectors, metadata] = await Promise.all([
+      fs.stat(files.vectors),
+      fs.stat(files.metadata),
+    ]);
+    const { header } = JSON.parse(await fs.readFile(files.metadata, "utf-8"));
+    return {
+      exists: true,
+      format: "binary",
+      size: vectors.size + metadata.size,
+      vectorBytes: vectors.size,
+      metadataBytes: metadata.size,
+      lastModified: vectors.mtime.toISOString(),
+      created: vectors.birthtime.toISOString(),
+      header: header,
+    };
+  } catch (err) {
+    // No binary cache - report the legacy file if there is one
+  }
+
+  try {
+    const legacy = await fs.stat(files.legacy);
+    return {
+      exists: true,
+      format: "json",
+      size: legacy.size,
+      lastModified: legacy.mtime.toISOString(),
+      created: legacy.birthtime.toISOString(),
+    };
+  } catch (err) {
+    return { exists: false };
+  }
+}
+
+/**
+ * Hex SHA-256 digest of a buffer
+ *
+ * @param {Buffer} buffer - Data to hash
+ * @returns {string} Digest
+ */
+function sha256(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+// ============================================================================
+// RECONCILIATION
+// ============================================================================
+
+/**
+ * Compare source documents with cached embeddings
+ *
+ * Cached entries for `preserveCategories` (e.g. categories whose source file
+ * could not be read) are kept as they are instead of being pruned.
+ *
+ * @param {Object[]} documents - Documents loaded from the source files
+ * @param {Object[]|null} cached - Documents from readEmbeddingCache
+ * @param {string} model - Active embedding model
+ * @param {Object} [options] - { preserveCategories: string[] }
+ * @returns {Object} { documents, toEmbed, preserved, removedIds, changed, rebuildReason }
+ */
+export function diffEmbeddingCache(
+  documents,
+  cached,
+  model,
+  { preserveCategories = [] } = {}
+) {
+  const entries = cached || [];
+
+  // Vectors from another model can't be compared with new query vectors
+  const mismatch = entries.find(
+    (entry) =>
+      entry.model !== model || entry.modelVersion !== EMBEDDING_MODEL_VERSION
+  );
+  const rebuildReason = !cached
+    ? "no embeddings file"
+    : mismatch
+      ? `model changed from ${mismatch.model}@${mismatch.modelVersion} to ${model}@${EMBEDDING_MODEL_VERSION}`
+      : null;
+  const usable = mismatch ? [] : entries;
+
+  const byHash = new Map(usable.map((entry) => [entry.contentHash, entry]));
+  const byId = new Map(usable.map((entry) => [entry.id, entry]));
+  const toEmbed = [];
+  let changed = 0;
+
+  const merged = documents.map((doc) => {
+    const hash = contentHash(doc);
+    const entry = byHash.get(hash);
+
+    if (entry) {
+      // Same text - reuse the vector even if the document moved or was renamed
+      return {
+        ...doc,
+        contentHash: hash,
+        embedding: entry.embedding,
+        computedAt: entry.computedAt,
+      };
+    }
+
+    if (byId.has(doc.id)) changed++;
+    const pending = { ...doc, contentHash: hash };
+    toEmbed.push(pending);
+    return pending;
+  });
+
+  const sourceIds = new Set(documents.map((doc) => doc.id));
+  const preserved = usable.filter(
+    (entry) =>
+      preserveCategories.includes(entry.data.category) &&
+      !sourceIds.has(entry.id)
+  );
+  const keptIds = new Set([...sourceIds, ...preserved.map((doc) => doc.id)]);
+
+  return {
+    documents: [...merged, ...preserved],
+    toEmbed,
+    preserved: preserved.length,
+    removedIds: usable
+      .filter((entry) => !keptIds.has(entry.id))
+      .map((entry) => entry.id),
+    changed,
+    rebuildReason,
+  };
+}
+
+/**
+ * Count cached documents that no longer match the source documents
+ *
+ * @param {Object[]} documents - Documents loaded from the source files
+ * @param {Object[]} cached - Documents currently served (with contentHash)
+ * @returns {Object} { stale, orphaned, missing }
+ */
+export function getCacheDrift(documents, cached) {
+  const cachedById = new Map(cached.map((doc) => [doc.id, doc]));
+  const sourceIds = new Set(documents.map((doc) => doc.id));
+
+  let stale = 0; // Source text edited since the vector was computed
+  let missing = 0; // Source documents not embedded yet
+  for (const doc of documents) {
+    const entry = cachedById.get(doc.id);
+    if (!entry) missing++;
+    else if ((entry.contentHash ?? contentHash(entry)) !== contentHash(doc))
+      stale++;
+  }
+
+  return {
+    stale,
+    missing,
+    orphaned: cached.filter((doc) => !sourceIds.has(doc.id)).length, // No longer in any source file
+  };
+}
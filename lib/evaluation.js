@@ -0,0 +1,646 @@
+/**
+ * Evaluation - Retrieval quality metrics over a golden question set
+ *
+ * The golden set (evaluation/goldenSet.json) pairs questions with the ids of
+ * the documents that answer them. It is seeded from the `prompt` of every
+ * knowledge base item, plus generated paraphrases (keyword-style and
+ * reworded queries) and hand-written ones. A retrieval configuration is
+ * scored with:
+ * - recall@k: share of the expected documents found in the top K
+ * - MRR: mean of 1 / rank of the first expected document (0 when missed)
+ * - nDCG@k: rank-discounted gain, 1 when every expected document leads
+ *
+ * Reports break the metrics down per category and per query type, and two
+ * reports can be compared to catch regressions.
+ */
+
+import { STOPWORDS, tokenize } from "./lexical.js"; // Question normalization
+import {
+  RERANK_CANDIDATES,
+  classifyQueryIntent,
+  getTopKDocuments,
+  parseRetrievalOptions,
+  rerankResults,
+} from "./retrieval.js"; // The retrieval pipeline being measured
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Version of the golden set file layout
+export const GOLDEN_SET_VERSION = 1;
+
+// Metrics reported and compared, in display order
+export const METRICS = ["recall", "mrr", "ndcg"];
+
+// Largest drop in a metric that still passes the regression check
+export const DEFAULT_TOLERANCE = 0.02;
+
+// Text embedded for a document, as in embeddingText (lib/embeddingCache.js)
+export const DEFAULT_EMBEDDING_TEXT = "{title}. {snippet}";
+
+// Query types in the golden set
+export const QUERY_TYPES = ["seed", "keywords", "reworded", "manual"];
+
+// Question framing dropped from keyword-style queries
+const FILLER_WORDS = new Set(
+  (
+    "am any best different don't else give good i'm kind know need proper " +
+    "properly some tell there's type types use way what's works"
+  ).split(" ")
+);
+
+// Question terms ignored when matching prompts that ask the same thing
+// ("How do I make lemon bars?" / "Give me a recipe for lemon bars.")
+const GENERIC_TERMS = new Set(
+  "give good homemade make recipe share".split(" ")
+);
+
+// Rewrites of common question shapes, tried in order (first match wins)
+const REWORDINGS = [
+  [/^how do i make (?:a |an )?(.+)$/, "steps for making $1"],
+  [
+    /^how long can (.+) be stored in the (?:fridge|refrigerator)$/,
+    "$1 fridge shelf life",
+  ],
+  [/^how long can i keep (.+)$/, "shelf life of $1"],
+  [/^what(?:'s| is) the difference between (.+) and (.+)$/, "$1 vs $2"],
+  [
+    /^what(?:'s| is) (?:a |the )?(?:good )?(?:substitute|replacement) for (.+)$/,
+    "$1 replacement",
+  ],
+  [
+    /^what can (?:i use instead of|replace|i substitute for) (.+)$/,
+    "alternative to $1",
+  ],
+  [/^i(?:'m| am) out of (.+?)\. .+$/, "no $1, what now"],
+  [/^i don't have (.+?)\. .+$/, "missing $1, what else works"],
+  [/^(?:give me|share) a recipe for (.+)$/, "how to cook $1"],
+  [/^(?:can you )?(?:give me|suggest) (?:a |an )?(.+)$/, "ideas for $1"],
+  [/^how can i tell if (.+)$/, "signs that $1"],
+  [/^how (?:do|can|should) i (?:properly |safely )?(.+)$/, "best way to $1"],
+  [
+    /^what(?:'s| is) the (?:best|proper|safest) (?:way|method|technique) to (.+)$/,
+    "how to $1",
+  ],
+  [
+    /^what(?:'s| is) the (?:best|proper|safest) (?:way|method|technique) for (.+)$/,
+    "tips for $1",
+  ],
+  [/^what(?:'s| is) a good (.+)$/, "recommend a $1"],
+  [/^what are (?:the |some )?(.+)$/, "list of $1"],
+  [/^what(?:'s| is) (?:a |an |the )?(.+)$/, "explain $1"],
+];
+
+// Word swaps for questions no rewording matched
+const SYNONYMS = {
+  fridge: "refrigerator",
+  refrigerator: "fridge",
+  cook: "prepare",
+  make: "prepare",
+  store: "keep",
+  safe: "okay",
+  substitute: "swap",
+  replace: "swap",
+  healthy: "nutritious",
+  eat: "have",
+  bad: "unhealthy",
+};
+
+// ============================================================================
+// METRICS
+// ============================================================================
+
+/**
+ * Share of the expected documents retrieved in the top K
+ *
+ * @param {string[]} retrievedIds - Ranked document ids
+ * @param {Set<string>} expectedIds - Relevant document ids
+ * @param {number} k - Cut-off
+ * @returns {number} Recall between 0 and 1
+ */
+export function recallAtK(retrievedIds, expectedIds, k) {
+  if (expectedIds.size === 0) return 0;
+  const found = retrievedIds
+    .slice(0, k)
+    .filter((id) => expectedIds.has(id)).length;
+  return found / expectedIds.size;
+}
+
+/**
+ * Reciprocal rank of the first expected document in the top K
+ *
+ * @param {string[]} retrievedIds - Ranked document ids
+ * @param {Set<string>} expectedIds - Relevant document ids
+ * @param {number} k - Cut-off
+ * @returns {number} 1 / rank, or 0 when none was retrieved
+ */
+export function reciprocalRank(retrievedIds, expectedIds, k) {
+  const idx = retrievedIds.slice(0, k).findIndex((id) => expectedIds.has(id));
+  return idx === -1 ? 0 : 1 / (idx + 1);
+}
+
+/**
+ * Normalized discounted cumulative gain with binary relevance
+ *
+ * @param {string[]} retrievedIds - Ranked document ids
+ * @param {Set<string>} expectedIds - Relevant document ids
+ * @param {number} k - Cut-off
+ * @returns {number} nDCG between 0 and 1
+ */
+export function ndcgAtK(retrievedIds, expectedIds, k) {
+  const dcg = retrievedIds
+    .slice(0, k)
+    .reduce(
+      (sum, id, idx) =>
+        sum + (expectedIds.has(id) ? 1 / Math.log2(idx + 2) : 0),
+      0
+    );
+
+  let ideal = 0;
+  for (let idx = 0; idx < Math.min(expectedIds.size, k); idx++) {
+    ideal += 1 / Math.log2(idx + 2);
+  }
+  return ideal > 0 ? dcg / ideal : 0;
+}
+
+/**
+ * Average per-query metrics
+ *
+ * @param {Object[]} rows - Per-query results with METRICS fields
+ * @returns {Object} { queries, recall, mrr, ndcg }
+ */
+function averageMetrics(rows) {
+  const summary = { queries: rows.length };
+  for (const metric of METRICS) {
+    const total = rows.reduce((sum, row) => sum + row[metric], 0);
+    summary[metric] = rows.length > 0 ? round(total / rows.length) : 0;
+  }
+  return summary;
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// ============================================================================
+// GOLDEN SET
+// ============================================================================
+
+/**
+ * Build the golden set from the knowledge base
+ *
+ * Every distinct prompt becomes a "seed" query, with a keyword-style and a
+ * reworded paraphrase. Documents whose prompts ask the same question
+ * ("How do I make hummus?" / "How do I make homemade hummus?") are all
+ * expected for it, whatever their category. Entries of `previous` marked
+ * "manual" are kept, minus ids that no longer exist.
+ *
+ * @param {Object[]} documents - Documents from loadSourceDocuments
+ * @param {Object} [previous] - Current golden set, if any
+ * @returns {Object} { goldenSet, dropped } where dropped lists manual entries left without expected ids
+ */
+export function buildGoldenSet(documents, previous = null) {
+  const questions = documents.map((doc) => ({
+    doc,
+    terms: questionTerms(doc.data.title),
+  }));
+
+  const queries = [];
+  const seen = new Set();
+  for (const { doc, terms } of questions) {
+    const key = [...terms].sort().join(" ");
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    // Documents asking the same question (one's terms contain the other's)
+    const expectedIds = questions
+      .filter((other) => sameQuestion(terms, other.terms))
+      .map((other) => other.doc.id);
+
+    const prompt = doc.data.title.trim();
+    const variants = [
+      ["seed", prompt],
+      ["keywords", keywordQuery(prompt)],
+      ["reworded", rewordQuery(prompt)],
+    ];
+
+    for (const [type, query] of variants) {
+      if (!query || (type !== "seed" && sameText(query, prompt))) continue;
+      queries.push({
+        id: `${doc.id}:${type}`,
+        query,
+        category: doc.data.category,
+        expectedIds,
+        type,
+        source: "generated",
+      });
+    }
+  }
+
+  // Hand-written queries survive regeneration
+  const knownIds = new Set(documents.map((doc) => doc.id));
+  const dropped = [];
+  for (const entry of previous?.queries ?? []) {
+    if (entry.source !== "manual") continue;
+    const expectedIds = entry.expectedIds.filter((id) => knownIds.has(id));
+    if (expectedIds.length === 0) {
+      dropped.push(entry);
+      continue;
+    }
+    queries.push({ ...entry, expectedIds });
+  }
+
+  return {
+    goldenSet: {
+      version: GOLDEN_SET_VERSION,
+      generatedAt: new Date().toISOString(),
+      documents: documents.length,
+      queries,
+    },
+    dropped,
+  };
+}
+
+/**
+ * Distinctive terms of a question
+ *
+ * @param {string} text - Question
+ * @returns {Set<string>} Stemmed terms without generic or one-letter ones
+ */
+function questionTerms(text) {
+  return new Set(
+    tokenize(text).filter((term) => term.length > 1 && !GENERIC_TERMS.has(term))
+  );
+}
+
+/**
+ * Whether two prompts ask the same question
+ *
+ * @param {Set<string>} a - Terms of one prompt
+ * @param {Set<string>} b - Terms of the other
+ * @returns {boolean} True when one's terms contain the other's (single terms only match short questions)
+ */
+function sameQuestion(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  const contained = [...small].every((term) => large.has(term));
+  return contained && (small.size >= 2 || large.size <= 2);
+}
+
+function sameText(a, b) {
+  return normalizeQuestion(a) === normalizeQuestion(b);
+}
+
+/**
+ * Lowercase a question and strip its trailing punctuation
+ *
+ * @param {string} text - Question
+ * @returns {string} Normalized question
+ */
+function normalizeQuestion(text) {
+  return text
+    .toLowerCase()
+    .trim()
+    .replace(/[?.!]+$/, "")
+    .replace(/\s+/g, " ");
+}
+
+/**
+ * Keyword-style paraphrase: the question without its framing words
+ *
+ * @param {string} prompt - Seed question
+ * @returns {string|null} e.g. "cooked chicken stored fridge", or null when too short
+ */
+export function keywordQuery(prompt) {
+  const words = (
+    normalizeQuestion(prompt).match(/[\p{L}0-9'-]+/gu) || []
+  ).filter((word) => !STOPWORDS.has(word) && !FILLER_WORDS.has(word));
+  return words.length >= 2 ? words.join(" ") : null;
+}
+
+/**
+ * Reworded paraphrase of a question
+ *
+ * @param {string} prompt - Seed question
+ * @returns {string|null} e.g. "cooked chicken fridge shelf life", or null when no rule applies
+ */
+export function rewordQuery(prompt) {
+  const question = normalizeQuestion(prompt);
+
+  for (const [pattern, replacement] of REWORDINGS) {
+    if (pattern.test(question)) return question.replace(pattern, replacement);
+  }
+
+  const swapped = question.replace(
+    /\b[a-z]+\b/g,
+    (word) => SYNONYMS[word] ?? word
+  );
+  return swapped !== question ? swapped : null;
+}
+
+/**
+ * Check a golden set file's structure
+ *
+ * @param {Object} goldenSet - Parsed golden set
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateGoldenSet(goldenSet) {
+  if (!goldenSet || !Array.isArray(goldenSet.queries)) {
+    return "golden set must be an object with a queries array";
+  }
+  if (goldenSet.version !== GOLDEN_SET_VERSION) {
+    return `unsupported golden set version ${goldenSet.version} (expected ${GOLDEN_SET_VERSION})`;
+  }
+
+  const ids = new Set();
+  for (const [idx, entry] of goldenSet.queries.entries()) {
+    const where = `query ${idx}${entry?.id ? ` (${entry.id})` : ""}`;
+    if (typeof entry?.id !== "string" || ids.has(entry.id)) {
+      return `${where}: id must be a unique string`;
+    }
+    ids.add(entry.id);
+    if (typeof entry.query !== "string" || !entry.query.trim()) {
+      return `${where}: query must be a non-empty string`;
+    }
+    if (
+      !Array.isArray(entry.expectedIds) ||
+      entry.expectedIds.length === 0 ||
+      entry.expectedIds.some((id) => typeof id !== "string")
+    ) {
+      return `${where}: expectedIds must be a non-empty array of strings`;
+    }
+    if (typeof entry.category !== "string") {
+      return `${where}: category must be a string`;
+    }
+    if (!QUERY_TYPES.includes(entry.type)) {
+      return `${where}: type must be one of: ${QUERY_TYPES.join(", ")}`;
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// CONFIGURATIONS
+// ============================================================================
+
+/**
+ * Validate a retrieval configuration to evaluate
+ *
+ * Accepts the retrieval fields of POST /prompt (k, categories, minScore,
+ * autoRoute, retrievalMode, fusion, hybridAlpha, rerank, collapseDuplicates)
+ * plus:
+ * - name: label in reports
+ * - embeddingText: document text template with {title} and {snippet}
+ * - vectorIndex: "exact" or "ivf", with ivfProbes
+ *
+ * @param {Object} input - Parsed configuration file
+ * @param {string[]} availableCategories - Categories in the knowledge base
+ * @returns {Object} { config } on success, or { error }
+ */
+export function parseEvaluationConfig(input, availableCategories) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "configuration must be a JSON object" };
+  }
+
+  const {
+    name = "default",
+    embeddingText = DEFAULT_EMBEDDING_TEXT,
+    vectorIndex = "exact",
+    ivfProbes,
+    ...retrievalFields
+  } = input;
+
+  if (typeof name !== "string" || !name.trim()) {
+    return { error: "name must be a non-empty string" };
+  }
+  if (
+    typeof embeddingText !== "string" ||
+    !/\{(title|snippet)\}/.test(embeddingText)
+  ) {
+    return {
+      error: "embeddingText must be a string using {title} and/or {snippet}",
+    };
+  }
+  if (!["exact", "ivf"].includes(vectorIndex)) {
+    return { error: "vectorIndex must be one of: exact, ivf" };
+  }
+  if (
+    ivfProbes !== undefined &&
+    (!Number.isInteger(ivfProbes) || ivfProbes < 1)
+  ) {
+    return { error: "ivfProbes must be a positive integer" };
+  }
+
+  const known = [
+    "categories",
+    "k",
+    "minScore",
+    "autoRoute",
+    "retrievalMode",
+    "fusion",
+    "hybridAlpha",
+    "rerank",
+    "collapseDuplicates",
+  ];
+  const unknown = Object.keys(retrievalFields).filter(
+    (field) => !known.includes(field)
+  );
+  if (unknown.length > 0) {
+    return { error: `Unknown configuration fields: ${unknown.join(", ")}` };
+  }
+
+  const { options, error } = parseRetrievalOptions(
+    retrievalFields,
+    availableCategories
+  );
+  if (error) return { error };
+
+  return {
+    config: {
+      name,
+      embeddingText,
+      vectorIndex,
+      ...(ivfProbes !== undefined && { ivfProbes }),
+      retrieval: options,
+    },
+  };
+}
+
+/**
+ * Document text for an embedding template
+ *
+ * @param {string} template - e.g. "{title}. {snippet}"
+ * @param {Object} doc - Document with data.title and data.snippet
+ * @returns {string} Text to embed
+ */
+export function renderEmbeddingText(template, doc) {
+  return template
+    .replaceAll("{title}", doc.data.title)
+    .replaceAll("{snippet}", doc.data.snippet);
+}
+
+// ============================================================================
+// RETRIEVAL
+// ============================================================================
+
+/**
+ * Rank documents for a golden query
+ *
+ * Mirrors searchDocuments in server.js (intent routing, category weights,
+ * hybrid scoring and re-ranking) without the request handling around it.
+ * Collapsed near-duplicates count as retrieved at the rank of the document
+ * that absorbed them, since the reader gets the same answer.
+ *
+ * @param {string} query - Query text
+ * @param {Float32Array} queryEmbedding - Query vector ("search_query")
+ * @param {Object} index - { documents, categories, categoryWeights, lexicalIndex, vectorIndex, duplicateGroups }
+ * @param {Object} options - Retrieval options from parseRetrievalOptions
+ * @param {Object} provider - LLM provider (for the Cohere re-ranker)
+ * @returns {Promise<string[]>} Ranked document ids
+ */
+export async function retrieveForEvaluation(
+  query,
+  queryEmbedding,
+  index,
+  options,
+  provider
+) {
+  const { include, exclude, k, minScore, autoRoute, mode, fusion, alpha } =
+    options;
+  const searchableCategories = index.categories.filter(
+    (category) =>
+      (include.length === 0 || include.includes(category)) &&
+      !exclude.includes(category)
+  );
+  const routedCategories = autoRoute
+    ? classifyQueryIntent(query, searchableCategories).map(
+        (match) => match.category
+      )
+    : [];
+
+  const reranking = options.rerank !== "none";
+  let { results } = getTopKDocuments(
+    queryEmbedding,
+    index.documents,
+    reranking ? Math.max(k, RERANK_CANDIDATES) : k,
+    {
+      include,
+      exclude,
+      minScore,
+      routedCategories,
+      categoryWeights: index.categoryWeights,
+      mode,
+      fusion,
+      alpha,
+      queryText: query,
+      lexicalIndex: index.lexicalIndex,
+      vectorIndex: index.vectorIndex,
+      duplicateGroups: options.collapseDuplicates
+        ? index.duplicateGroups
+        : null,
+    }
+  );
+
+  if (reranking) {
+    const reranked = await rerankResults(
+      query,
+      results,
+      options.rerank,
+      provider
+    );
+    results = reranked.results.slice(0, k);
+  }
+
+  return results.flatMap((item) => [item.doc.id, ...(item.duplicateIds ?? [])]);
+}
+
+// ============================================================================
+// REPORTS
+// ============================================================================
+
+/**
+ * Score ranked results against the golden set
+ *
+ * @param {Object[]} queries - Golden set queries
+ * @param {Map<string, string[]>} rankings - Query id → ranked document ids
+ * @param {number} k - Cut-off
+ * @returns {Object} { overall, byCategory, byType, queries }
+ */
+export function scoreRankings(queries, rankings, k) {
+  const rows = queries.map((entry) => {
+    const retrievedIds = rankings.get(entry.id) ?? [];
+    const expectedIds = new Set(entry.expectedIds);
+    return {
+      id: entry.id,
+      query: entry.query,
+      category: entry.category,
+      type: entry.type,
+      recall: round(recallAtK(retrievedIds, expectedIds, k)),
+      mrr: round(reciprocalRank(retrievedIds, expectedIds, k)),
+      ndcg: round(ndcgAtK(retrievedIds, expectedIds, k)),
+      expectedIds: entry.expectedIds,
+      retrievedIds: retrievedIds.slice(0, k),
+    };
+  });
+
+  const groupBy = (field) =>
+    Object.fromEntries(
+      [...new Set(rows.map((row) => row[field]))]
+        .sort()
+        .map((value) => [
+          value,
+          averageMetrics(rows.filter((row) => row[field] === value)),
+        ])
+    );
+
+  return {
+    overall: averageMetrics(rows),
+    byCategory: groupBy("category"),
+    byType: groupBy("type"),
+    queries: rows,
+  };
+}
+
+/**
+ * Compare a candidate report with a baseline
+ *
+ * A metric regresses when it drops by more than `tolerance`, overall or in
+ * any category both reports cover.
+ *
+ * @param {Object} baseline - Report from the evaluation script
+ * @param {Object} candidate - Report to check against it
+ * @param {number} [tolerance] - Allowed drop per metric
+ * @returns {Object} { rows: [{ scope, metric, baseline, candidate, delta, regression }], regressions }
+ */
+export function compareReports(
+  baseline,
+  candidate,
+  tolerance = DEFAULT_TOLERANCE
+) {
+  const scopes = [
+    ["overall", baseline.overall, candidate.overall],
+    ...Object.keys(baseline.byCategory)
+      .filter((category) => candidate.byCategory[category])
+      .map((category) => [
+        category,
+        baseline.byCategory[category],
+        candidate.byCategory[category],
+      ]),
+  ];
+
+  const rows = scopes.flatMap(([scope, before, after]) =>
+    METRICS.map((metric) => {
+      const delta = round(after[metric] - before[metric]);
+      return {
+        scope,
+        metric,
+        baseline: before[metric],
+        candidate: after[metric],
+        delta,
+        regression: delta < -tolerance,
+      };
+    })
+  );
+
+  return { rows, regressions: rows.filter((row) => row.regression) };
+}
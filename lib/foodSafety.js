@@ -0,0 +1,364 @@
+/**
+ * Food Safety - Reference table of safe temperatures and storage times
+ *
+ * Curated from the food_safety knowledge base documents (and USDA guidance
+ * they follow) so exact figures can be looked up instead of generated.
+ * Every entry lists the documents that state its figures in `sourceIds`.
+ */
+
+// ============================================================================
+// REFERENCE DATA
+// ============================================================================
+
+// Temperatures that apply to all perishable food
+export const GENERAL_RULES = {
+  dangerZone: { minF: 40, maxF: 140, minC: 4, maxC: 60 },
+  maxHoursAtRoomTemperature: 2, // 1 hour above 90°F (32°C)
+  maxHoursAboveNinetyF: 1,
+  refrigeratorMaxF: 40,
+  refrigeratorMaxC: 4,
+  freezerMaxF: 0,
+  freezerMaxC: -18,
+  reheatF: 165,
+  reheatC: 74,
+  sourceIds: [
+    "food_safety_5",
+    "food_safety_8",
+    "food_safety_13",
+    "food_safety_22",
+  ],
+};
+
+// Safe minimum internal temperatures and storage times by food. Aliases are
+// matched as whole words; the longest matching alias wins ("ground pork"
+// before "pork").
+export const FOOD_SAFETY_TABLE = [
+  {
+    food: "poultry",
+    aliases: [
+      "poultry",
+      "chicken",
+      "chicken breast",
+      "chicken thigh",
+      "turkey",
+      "duck",
+      "ground chicken",
+      "ground turkey",
+      "stuffing",
+    ],
+    minInternalTemp: { f: 165, c: 74, restMinutes: 3 },
+    fridgeRawDays: [1, 2],
+    fridgeCookedDays: [3, 4],
+    freezerMonths: [9, 12],
+    marinateMaxDays: 2,
+    notes: "Check the thickest part of the thigh, avoiding bone.",
+    sourceIds: [
+      "food_safety_1",
+      "food_safety_4",
+      "food_safety_9",
+      "food_safety_19",
+      "food_safety_24",
+    ],
+  },
+  {
+    food: "ground beef",
+    aliases: [
+      "ground beef",
+      "ground meat",
+      "ground lamb",
+      "ground veal",
+      "hamburger",
+      "burger",
+      "meatball",
+      "meatloaf",
+    ],
+    minInternalTemp: { f: 160, c: 71 },
+    fridgeRawDays: [1, 2],
+    fridgeCookedDays: [3, 4],
+    freezerMonths: [3, 4],
+    sourceIds: [
+      "food_safety_3",
+      "food_safety_8",
+      "food_safety_19",
+      "food_safety_20",
+    ],
+  },
+  {
+    food: "beef, veal and lamb (steaks, chops, roasts)",
+    aliases: ["beef", "steak", "roast beef", "veal", "lamb", "brisket"],
+    minInternalTemp: { f: 145, c: 63, restMinutes: 3 },
+    fridgeCookedDays: [3, 4],
+    freezerMonths: [4, 12],
+    marinateMaxDays: 5,
+    sourceIds: ["food_safety_8", "food_safety_19", "food_safety_24"],
+  },
+  {
+    food: "pork (chops, roasts, tenderloin, fresh ham)",
+    aliases: [
+      "pork",
+      "pork chop",
+      "pork loin",
+      "pork tenderloin",
+      "tenderloin",
+      "fresh ham",
+    ],
+    minInternalTemp: { f: 145, c: 63, restMinutes: 3 },
+    fridgeCookedDays: [3, 4],
+    freezerMonths: [4, 12],
+    marinateMaxDays: 5,
+    sourceIds: [
+      "food_safety_8",
+      "food_safety_11",
+      "food_safety_19",
+      "food_safety_24",
+    ],
+  },
+  {
+    food: "ground pork",
+    aliases: ["ground pork", "sausage"],
+    minInternalTemp: { f: 160, c: 71 },
+    fridgeRawDays: [1, 2],
+    freezerMonths: [3, 4],
+    sourceIds: ["food_safety_11", "food_safety_19", "food_safety_20"],
+  },
+  {
+    food: "pre-cooked ham",
+    aliases: ["ham", "pre-cooked ham", "precooked ham", "cooked ham"],
+    minInternalTemp: { f: 140, c: 60 },
+    sourceIds: ["food_safety_11"],
+  },
+  {
+    food: "fish and shellfish",
+    aliases: [
+      "fish",
+      "seafood",
+      "salmon",
+      "tuna",
+      "cod",
+      "shellfish",
+      "shrimp",
+      "prawn",
+      "crab",
+      "lobster",
+      "mussel",
+      "clam",
+      "oyster",
+      "scallop",
+    ],
+    minInternalTemp: { f: 145, c: 63 },
+    fridgeRawDays: [1, 2],
+    fridgeCookedDays: [3, 4],
+    freezerMonths: [6, 12],
+    marinateMaxDays: 2,
+    notes: "Discard live shellfish that don't close when tapped.",
+    sourceIds: [
+      "food_safety_14",
+      "food_safety_19",
+      "food_safety_24",
+      "food_safety_26",
+    ],
+  },
+  {
+    food: "egg dishes",
+    aliases: ["egg", "eggs", "egg dish", "quiche", "custard", "frittata"],
+    minInternalTemp: { f: 160, c: 71 },
+    notes: "Use pasteurized eggs in recipes that leave them raw.",
+    sourceIds: ["food_safety_15"],
+  },
+  {
+    food: "leftovers and cooked meals",
+    aliases: [
+      "leftover",
+      "leftovers",
+      "cooked meal",
+      "casserole",
+      "soup",
+      "stew",
+      "sauce",
+      "gravy",
+    ],
+    minInternalTemp: { f: 165, c: 74 },
+    fridgeCookedDays: [3, 4],
+    freezerMonths: [2, 6],
+    notes:
+      "Reheat to 165°F throughout; bring soups, sauces and gravies to a rolling boil.",
+    sourceIds: ["food_safety_8", "food_safety_13", "food_safety_19"],
+  },
+];
+
+// Safety notices attached to replies about higher-risk foods and methods.
+// A topic applies when its pattern matches the question or the reply.
+export const SAFETY_NOTICES = [
+  {
+    topic: "raw_meat",
+    pattern:
+      /\b(raw|undercooked|rare|pink) (meat|chicken|poultry|pork|beef|turkey|burgers?|sausages?|lamb)\b|\b(chicken|poultry|turkey|duck|pork|beef|steaks?|lamb|ground meat|burgers?|sausages?|meatballs?|meatloaf)\b/i,
+    text:
+      "Cook meat and poultry to a safe minimum internal temperature and check it with a food thermometer: " +
+      "poultry 165°F (74°C), ground meat 160°F (71°C), whole cuts of beef, pork and lamb 145°F (63°C) with a 3-minute rest. " +
+      "Keep raw meat and its juices away from ready-to-eat food.",
+    sourceIds: [
+      "food_safety_3",
+      "food_safety_9",
+      "food_safety_11",
+      "food_safety_18",
+    ],
+  },
+  {
+    topic: "seafood",
+    pattern:
+      /\b(fish|seafood|shellfish|salmon|tuna|shrimp|prawns?|crab|lobster|mussels?|clams?|oysters?|scallops?|sushi|sashimi|ceviche)\b/i,
+    text:
+      "Cook fish and shellfish to 145°F (63°C). Keep raw seafood at 40°F (4°C) or below and use it within 1-2 days; " +
+      "discard live shellfish that don't close when tapped.",
+    sourceIds: ["food_safety_14", "food_safety_26"],
+  },
+  {
+    topic: "eggs",
+    pattern:
+      /\b(raw|runny|undercooked|soft[- ]boiled) eggs?\b|\beggs?\b[^.?!]*\b(raw|runny|undercooked)\b|\b(mayonnaise|aioli|eggnog|tiramisu|mousse|hollandaise|cookie dough|caesar dressing)\b/i,
+    text:
+      "Raw or undercooked eggs can carry Salmonella. Use pasteurized eggs in dishes that leave them raw, " +
+      "and cook egg dishes to 160°F (71°C). Pregnant women, young children, older adults and immunocompromised people are at higher risk.",
+    sourceIds: ["food_safety_15"],
+  },
+  {
+    topic: "canning",
+    pattern:
+      /\b(canning|home[- ]canned|preserving|botulism|pressure can\w*|water[- ]bath|bulging|dented cans?|swollen cans?)\b/i,
+    text:
+      "Low-acid home-canned foods (vegetables, meat, fish) need a pressure canner to prevent botulism. " +
+      "Discard cans or jars that bulge, leak, spurt or smell off when opened.",
+    sourceIds: ["food_safety_12"],
+  },
+  {
+    topic: "sprouts",
+    pattern: /(?<!brussels )\bsprouts?\b/i,
+    text:
+      "Raw sprouts carry a higher risk of foodborne illness. Cook them thoroughly; pregnant women, young children, " +
+      "older adults and immunocompromised people should avoid them raw.",
+    sourceIds: ["food_safety_28"],
+  },
+];
+
+// Topics a lookup can be limited to
+export const FOOD_SAFETY_TOPICS = ["temperature", "storage", "all"];
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+// Every alias as one pattern, longest first so "ground pork" wins over "pork"
+const ALIAS_ENTRIES = new Map(
+  FOOD_SAFETY_TABLE.flatMap((entry) =>
+    entry.aliases.map((alias) => [alias, entry])
+  )
+);
+const ALIAS_PATTERN = new RegExp(
+  `\\b(${[...ALIAS_ENTRIES.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map((alias) => alias.replace(/[-]/g, "\\-"))
+    .join("|")})s?\\b`,
+  "gi"
+);
+
+/**
+ * Find the foods from the table mentioned in a text
+ *
+ * @param {string} text - Text to scan
+ * @returns {Object[]} Mentions as { entry, alias, index }, in text order
+ */
+export function findFoodMentions(text) {
+  return [...String(text).matchAll(ALIAS_PATTERN)].map((match) => ({
+    entry: ALIAS_ENTRIES.get(match[1].toLowerCase()),
+    alias: match[1].toLowerCase(),
+    index: match.index,
+  }));
+}
+
+/**
+ * Find the table entry for a food name or phrase
+ *
+ * @param {string} text - Food name, or a question mentioning one
+ * @returns {Object|null} Entry from FOOD_SAFETY_TABLE for the most specific
+ *   food mentioned, or null when none matches
+ */
+export function findFoodSafetyEntry(text) {
+  let best = null;
+  for (const mention of findFoodMentions(text)) {
+    if (!best || mention.alias.length > best.alias.length) best = mention;
+  }
+  return best?.entry ?? null;
+}
+
+/**
+ * Describe a range of days or months ("1-2 days")
+ *
+ * @param {number[]} [range] - [min, max]
+ * @param {string} unit - "days" or "months"
+ * @returns {string|null} Description, or null without a range
+ */
+function describeRange(range, unit) {
+  if (!range) return null;
+  return range[0] === range[1]
+    ? `${range[0]} ${unit}`
+    : `${range[0]}-${range[1]} ${unit}`;
+}
+
+/**
+ * Look up safe temperatures and storage times for a food
+ *
+ * @param {string} food - Food name (e.g. "chicken thighs", "ground pork")
+ * @param {string} [topic] - "temperature", "storage" or "all"
+ * @returns {Object} { found, food, ...figures, general, sourceIds }
+ */
+export function lookupFoodSafety(food, topic = "all") {
+  const entry = findFoodSafetyEntry(food);
+  const general = {
+    dangerZone: "40-140°F (4-60°C)",
+    maxHoursAtRoomTemperature: GENERAL_RULES.maxHoursAtRoomTemperature,
+    maxHoursAboveNinetyF: GENERAL_RULES.maxHoursAboveNinetyF,
+    refrigerator: "40°F (4°C) or below",
+    freezer: "0°F (-18°C)",
+  };
+
+  if (!entry) {
+    return {
+      found: false,
+      query: food,
+      general,
+      sourceIds: GENERAL_RULES.sourceIds,
+    };
+  }
+
+  const result = { found: true, query: food, food: entry.food };
+
+  if (topic !== "storage" && entry.minInternalTemp) {
+    const { f, c, restMinutes } = entry.minInternalTemp;
+    result.minInternalTemp = {
+      fahrenheit: f,
+      celsius: c,
+      ...(restMinutes && { restMinutes }),
+      text: `${f}°F (${c}°C)${restMinutes ? ` with a ${restMinutes}-minute rest` : ""}`,
+    };
+  }
+
+  if (topic !== "temperature") {
+    const storage = {
+      refrigeratorRaw: describeRange(entry.fridgeRawDays, "days"),
+      refrigeratorCooked: describeRange(entry.fridgeCookedDays, "days"),
+      freezer: describeRange(entry.freezerMonths, "months"),
+      marinateMax: entry.marinateMaxDays
+        ? `${entry.marinateMaxDays} days in the refrigerator`
+        : null,
+    };
+    result.storage = Object.fromEntries(
+      Object.entries(storage).filter(([, value]) => value !== null)
+    );
+  }
+
+  if (entry.notes) result.notes = entry.notes;
+  result.general = general;
+  result.sourceIds = entry.sourceIds;
+  return result;
+}
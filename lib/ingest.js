@@ -0,0 +1,355 @@
+/**
+ * Ingestion - Turn Markdown, CSV and plain text files into knowledge base items
+ *
+ * JSON sources already hold `{ prompt, response }` items. The ingestors here
+ * produce the same shape from other formats:
+ * - Markdown: one section per heading, titled with its heading path
+ *   ("Bread Basics › Kneading")
+ * - CSV: one item per row, from prompt/response (or question/answer) columns
+ * - Plain text: the whole file as one section
+ *
+ * Long sections are split into overlapping chunks. Every item carries
+ * `source` metadata (file, section, character offset and length in the
+ * original file) so citations can point back to the exact passage.
+ */
+
+import path from "path"; // Path utilities for cross-platform compatibility
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Maximum characters per chunk, and characters shared by consecutive chunks
+const CHUNK_SIZE = parseInt(process.env.INGEST_CHUNK_SIZE, 10) || 1200;
+const CHUNK_OVERLAP = Math.min(
+  parseInt(process.env.INGEST_CHUNK_OVERLAP, 10) || 200,
+  Math.floor(CHUNK_SIZE / 2)
+);
+
+// File extensions and the format each one is ingested as
+export const INGEST_FORMATS = {
+  ".json": "json",
+  ".md": "markdown",
+  ".markdown": "markdown",
+  ".csv": "csv",
+  ".txt": "text",
+};
+
+// CSV column names accepted for the title and body of an item
+const CSV_TITLE_COLUMNS = ["prompt", "question", "title"];
+const CSV_BODY_COLUMNS = ["response", "answer", "content", "text"];
+
+// ============================================================================
+// CHUNKING
+// ============================================================================
+
+/**
+ * Split text into overlapping chunks, preferring sentence or word boundaries
+ *
+ * @param {string} text - Text to split
+ * @param {Object} [options] - { size, overlap } in characters
+ * @returns {Object[]} Chunks as { text, start } with start relative to `text`
+ */
+export function chunkText(
+  text,
+  { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}
+) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + size, text.length);
+
+    if (end < text.length) {
+      // End at the last paragraph or sentence break in the final third,
+      // else at the last space
+      const window = text.slice(start + Math.floor((size * 2) / 3), end);
+      const breaks = [...window.matchAll(/\n\s*\n|[.!?]["')\]]?\s/g)];
+      const lastBreak = breaks[breaks.length - 1];
+      if (lastBreak) {
+        end =
+          start +
+          Math.floor((size * 2) / 3) +
+          lastBreak.index +
+          lastBreak[0].length;
+      } else {
+        const space = text.lastIndexOf(" ", end);
+        if (space > start) end = space + 1;
+      }
+    }
+
+    const raw = text.slice(start, end);
+    const leading = raw.length - raw.trimStart().length;
+    if (raw.trim()) {
+      chunks.push({ text: raw.trim(), start: start + leading });
+    }
+
+    if (end >= text.length) break;
+
+    // Step back by the overlap, then forward to the next word start
+    let next = Math.max(end - overlap, start + 1);
+    const space = text.indexOf(" ", next);
+    if (space !== -1 && space < end) next = space + 1;
+    start = next;
+  }
+
+  return chunks;
+}
+
+/**
+ * Slug for use in document ids ("Kneading & Proofing" → "kneading-proofing")
+ *
+ * @param {string} text - Heading or file name
+ * @returns {string} Lowercase slug
+ */
+function slugify(text) {
+  return (
+    text
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "") // Strip combining accent marks
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 48) || "section"
+  );
+}
+
+/**
+ * Turn sections into items, chunking long sections
+ *
+ * @param {Object[]} sections - Sections as { title, section, text, offset }
+ * @param {Object} source - Source definition (file, category)
+ * @returns {Object[]} Items as { id, prompt, response, source }
+ */
+function sectionsToItems(sections, source) {
+  const items = [];
+  const usedIds = new Set();
+
+  for (const section of sections) {
+    const chunks = chunkText(section.text);
+    const base = `${source.category}_${slugify(section.section)}`;
+
+    chunks.forEach((chunk, idx) => {
+      let id = chunks.length > 1 ? `${base}_${idx + 1}` : base;
+      for (let n = 2; usedIds.has(id); n++) {
+        id = `${base}-${n}${chunks.length > 1 ? `_${idx + 1}` : ""}`;
+      }
+      usedIds.add(id);
+
+      items.push({
+        id,
+        prompt:
+          chunks.length > 1
+            ? `${section.title} (part ${idx + 1} of ${chunks.length})`
+            : section.title,
+        response: chunk.text,
+        source: {
+          file: source.file,
+          section: section.section,
+          offset: section.offset + chunk.start, // Characters from the start of the file
+          length: chunk.text.length,
+          chunk: idx + 1,
+          chunks: chunks.length,
+        },
+      });
+    });
+  }
+
+  return items;
+}
+
+// ============================================================================
+// FORMAT PARSERS
+// ============================================================================
+
+/**
+ * Split Markdown into sections at headings (fenced code blocks are ignored)
+ *
+ * @param {string} content - Markdown file content
+ * @param {string} fallbackTitle - Title for text before the first heading
+ * @returns {Object[]} Sections as { title, section, text, offset }
+ */
+function parseMarkdown(content, fallbackTitle) {
+  const sections = [];
+  const headingPath = []; // Current heading at each level
+  let current = { title: fallbackTitle, section: fallbackTitle, start: 0 };
+  let inFence = false;
+  let offset = 0;
+
+  const close = (end) => {
+    const raw = content.slice(current.start, end);
+    const leading = raw.length - raw.trimStart().length;
+    if (raw.trim()) {
+      sections.push({
+        title: current.title,
+        section: current.section,
+        text: raw.trim(),
+        offset: current.start + leading,
+      });
+    }
+  };
+
+  for (const line of content.split("\n")) {
+    const lineStart = offset;
+    offset += line.length + 1;
+
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const heading = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (!heading) continue;
+
+    close(lineStart);
+
+    const level = heading[1].length;
+    headingPath.length = level - 1;
+    headingPath[level - 1] = heading[2];
+    const trail = headingPath.filter(Boolean);
+
+    current = {
+      title: trail.join(" › "),
+      section: heading[2],
+      start: offset,
+    };
+  }
+
+  close(content.length);
+  return sections;
+}
+
+/**
+ * Parse CSV into rows of fields (RFC 4180 quoting)
+ *
+ * @param {string} content - CSV file content
+ * @returns {Object[]} Rows as { fields, offset }
+ */
+function parseCsvRows(content) {
+  const rows = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let rowStart = 0;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      fields.push(field);
+      rows.push({ fields, offset: rowStart });
+      fields = [];
+      field = "";
+      rowStart = i + 1;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || fields.length > 0) {
+    fields.push(field);
+    rows.push({ fields, offset: rowStart });
+  }
+
+  // Drop blank lines
+  return rows.filter((row) => row.fields.some((value) => value.trim()));
+}
+
+/**
+ * Ingest CSV rows as items, chunking long answers
+ *
+ * Uses prompt/question/title and response/answer/content/text columns when
+ * the first row is a header, else the first two columns.
+ *
+ * @param {string} content - CSV file content
+ * @param {Object} source - Source definition (file, category)
+ * @returns {Object} { items, issues }
+ */
+function ingestCsv(content, source) {
+  const rows = parseCsvRows(content);
+  const issues = [];
+
+  const header = rows[0]?.fields.map((name) => name.trim().toLowerCase());
+  const titleColumn = header?.findIndex((name) =>
+    CSV_TITLE_COLUMNS.includes(name)
+  );
+  const bodyColumn = header?.findIndex((name) =>
+    CSV_BODY_COLUMNS.includes(name)
+  );
+  const hasHeader = titleColumn >= 0 && bodyColumn >= 0;
+
+  const sections = [];
+  rows.slice(hasHeader ? 1 : 0).forEach((row, idx) => {
+    const rowNumber = idx + (hasHeader ? 2 : 1); // 1-based line in the file
+    const title = row.fields[hasHeader ? titleColumn : 0]?.trim();
+    const text = row.fields[hasHeader ? bodyColumn : 1]?.trim();
+
+    if (!title || !text) {
+      issues.push({
+        file: source.file,
+        index: rowNumber,
+        message: "row needs both a prompt and a response",
+      });
+      return;
+    }
+
+    sections.push({
+      title,
+      section: `row ${rowNumber}`,
+      text,
+      offset: row.offset,
+    });
+  });
+
+  return { items: sectionsToItems(sections, source), issues };
+}
+
+/**
+ * Ingest a non-JSON source file
+ *
+ * @param {string} content - File content
+ * @param {Object} source - Source definition (file, category, displayName)
+ * @returns {Object} { items, issues } - items as { id, prompt, response, source }
+ */
+export function ingestFile(content, source) {
+  const format = INGEST_FORMATS[path.extname(source.file).toLowerCase()];
+  const title = source.displayName || path.basename(source.file);
+
+  if (format === "markdown") {
+    return {
+      items: sectionsToItems(parseMarkdown(content, title), source),
+      issues: [],
+    };
+  }
+
+  if (format === "csv") {
+    return ingestCsv(content, source);
+  }
+
+  if (format === "text") {
+    const leading = content.length - content.trimStart().length;
+    const text = content.trim();
+    return {
+      items: text
+        ? sectionsToItems(
+            [{ title, section: title, text, offset: leading }],
+            source
+          )
+        : [],
+      issues: [],
+    };
+  }
+
+  throw new Error(`Unsupported source format: ${source.file}`);
+}
@@ -0,0 +1,515 @@
+/**
+ * Knowledge Base Sources - Source JSON files behind the document corpus
+ *
+ * Each category lives in one source file under the documents directory: a
+ * JSON array of `{ prompt, response }` items, or a Markdown, CSV or plain
+ * text file ingested into the same shape (see ingest.js). This module owns:
+ * 1. Discovering source files, described by `documents/manifest.json` and/or
+ *    found in the documents directory
+ * 2. Schema validation of source items and of documents submitted through
+ *    the admin API
+ * 3. Reading and atomically rewriting source files
+ *
+ * Items may carry an explicit `id`. Items without one get a positional id
+ * (`recipes_3` for the third recipe); the first admin write to a file stores
+ * ids on every item so later deletions never renumber other documents.
+ */
+
+import fs from "fs/promises"; // File system operations with Promise support
+import path from "path"; // Path utilities for cross-platform compatibility
+import { INGEST_FORMATS, ingestFile } from "./ingest.js"; // Markdown, CSV and text ingestors
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Directory holding the source JSON files (must be writable for admin edits)
+export const DOCUMENTS_DIR =
+  process.env.DOCUMENTS_DIR || path.join(process.cwd(), "documents");
+
+// Manifest describing the sources (path, category, display name, ...)
+const MANIFEST_FILE = "manifest.json";
+
+// Length limits for admin-submitted documents
+const MAX_PROMPT_LENGTH = 500;
+const MAX_RESPONSE_LENGTH = 5000;
+
+// Allowed characters for document ids and category names
+const ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const CATEGORY_PATTERN = /^[a-z0-9_]+$/;
+
+// Sources the knowledge base was loaded from (set by setDocumentSources)
+let documentSources = [];
+
+/**
+ * A source file can't be rewritten without losing items - it holds items the
+ * server isn't serving (edited or added by hand since loading) or can't be read
+ */
+export class SourceConflictError extends Error {
+  /**
+   * @param {string} message - Human-readable error description
+   * @param {Object} [details] - { file, ids } - the file and its unknown item ids
+   */
+  constructor(message, { file, ids = [] } = {}) {
+    super(message);
+    this.name = "SourceConflictError";
+    this.file = file;
+    this.ids = ids;
+  }
+}
+
+// ============================================================================
+// SOURCE DISCOVERY
+// ============================================================================
+
+/**
+ * Turn a file name into a category and display name
+ *
+ * "baking_Science.md" → { category: "baking_science", displayName: "Baking Science" }
+ *
+ * @param {string} file - File name relative to the documents directory
+ * @returns {Object} { category, displayName }
+ */
+function describeFile(file) {
+  const words = path
+    .basename(file, path.extname(file))
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .split(/[\s_-]+/)
+    .filter(Boolean);
+
+  return {
+    category: words.join("_").toLowerCase(),
+    displayName: words
+      .map((word) => word[0].toUpperCase() + word.slice(1))
+      .join(" "),
+  };
+}
+
+/**
+ * Ingestion format of a source file, from its extension
+ *
+ * @param {string} file - File name
+ * @returns {string|undefined} "json", "markdown", "csv", "text" or undefined if unsupported
+ */
+function formatOf(file) {
+  return INGEST_FORMATS[path.extname(file).toLowerCase()];
+}
+
+/**
+ * Validate one manifest entry
+ *
+ * @param {Object} entry - Entry from manifest.sources
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateManifestEntry(entry) {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    return "entry must be an object";
+  }
+  if (typeof entry.path !== "string" || !formatOf(entry.path)) {
+    return `path must be a ${Object.keys(INGEST_FORMATS).join(", ")} file`;
+  }
+  if (path.isAbsolute(entry.path) || entry.path.split(/[\\/]/).includes("..")) {
+    return "path must stay inside the documents directory";
+  }
+  if (
+    typeof entry.category !== "string" ||
+    !CATEGORY_PATTERN.test(entry.category)
+  ) {
+    return "category must use lowercase letters, digits and _";
+  }
+  for (const field of ["displayName", "description"]) {
+    if (entry[field] !== undefined && typeof entry[field] !== "string") {
+      return `${field} must be a string`;
+    }
+  }
+  if (
+    entry.weight !== undefined &&
+    (typeof entry.weight !== "number" || !(entry.weight > 0))
+  ) {
+    return "weight must be a positive number";
+  }
+  return null;
+}
+
+/**
+ * Discover the knowledge base source files
+ *
+ * Sources listed in the manifest come first, with their declared category,
+ * display name, description and retrieval weight. Any other supported file
+ * in the documents directory is added with a category derived from its name,
+ * so a new knowledge area only needs its file dropped in.
+ *
+ * Discovery has no side effects; the server registers the result with
+ * setDocumentSources() when it (re)loads the knowledge base.
+ *
+ * @returns {Promise<Object>} { sources, issues } - sources as { file, format, category, displayName, description, weight }
+ */
+export async function loadDocumentSources() {
+  const sources = [];
+  const issues = [];
+
+  // Sources declared in the manifest
+  let manifest = null;
+  try {
+    manifest = JSON.parse(
+      await fs.readFile(path.join(DOCUMENTS_DIR, MANIFEST_FILE), "utf-8")
+    );
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      issues.push({
+        file: MANIFEST_FILE,
+        message: `Unreadable manifest: ${err.message}`,
+      });
+    }
+  }
+
+  if (manifest && !Array.isArray(manifest.sources)) {
+    issues.push({ file: MANIFEST_FILE, message: "sources must be an array" });
+  }
+
+  for (const [index, entry] of (
+    (Array.isArray(manifest?.sources) && manifest.sources) ||
+    []
+  ).entries()) {
+    const error =
+      validateManifestEntry(entry) ??
+      (sources.some((source) => source.category === entry.category)
+        ? `duplicate category "${entry.category}"`
+        : sources.some((source) => source.file === entry.path)
+          ? `duplicate path "${entry.path}"`
+          : null);
+
+    if (error) {
+      issues.push({ file: MANIFEST_FILE, index, message: error });
+      continue;
+    }
+
+    sources.push({
+      file: entry.path,
+      format: formatOf(entry.path),
+      category: entry.category,
+      displayName: entry.displayName ?? describeFile(entry.path).displayName,
+      description: entry.description ?? null,
+      weight: entry.weight ?? 1,
+    });
+  }
+
+  // Any other supported file in the documents directory
+  let files = [];
+  try {
+    files = await fs.readdir(DOCUMENTS_DIR);
+  } catch (err) {
+    issues.push({
+      file: DOCUMENTS_DIR,
+      message: `Unreadable documents directory: ${err.message}`,
+    });
+  }
+
+  for (const file of files.sort()) {
+    if (
+      !formatOf(file) ||
+      file === MANIFEST_FILE ||
+      sources.some((source) => source.file === file)
+    ) {
+      continue;
+    }
+
+    const { category, displayName } = describeFile(file);
+    if (sources.some((source) => source.category === category)) {
+      issues.push({
+        file,
+        message: `Skipped: category "${category}" is already defined - list the file in ${MANIFEST_FILE}`,
+      });
+      continue;
+    }
+
+    sources.push({
+      file,
+      format: formatOf(file),
+      category,
+      displayName,
+      description: null,
+      weight: 1,
+    });
+  }
+
+  return { sources, issues };
+}
+
+/**
+ * Register the sources the knowledge base is served from
+ *
+ * Admin edits, category lookups and document validation only accept these
+ * sources, so files added later stay untouched until the next (re)load.
+ *
+ * @param {Object[]} sources - Sources from loadDocumentSources
+ */
+export function setDocumentSources(sources) {
+  documentSources = sources;
+}
+
+/**
+ * List the registered sources
+ *
+ * @returns {Object[]} Sources as { file, format, category, displayName, description, weight }
+ */
+export function getDocumentSources() {
+  return documentSources;
+}
+
+/**
+ * Whether a source's documents can be edited through the admin API
+ *
+ * Only JSON sources are written back; ingested files are edited by hand.
+ *
+ * @param {Object} source - Source definition
+ * @returns {boolean} True for JSON sources
+ */
+export function isEditableSource(source) {
+  return source?.format === "json";
+}
+
+/**
+ * Find the source file definition for a category
+ *
+ * @param {string} category - Category name
+ * @returns {Object|null} Source definition, or null for unknown categories
+ */
+export function getSource(category) {
+  return documentSources.find((source) => source.category === category) || null;
+}
+
+// ============================================================================
+// SOURCE FILES
+// ============================================================================
+
+/**
+ * Check one source item against the document schema
+ *
+ * @param {*} item - Parsed JSON value
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateSourceItem(item) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    return "item must be an object";
+  }
+  if (typeof item.prompt !== "string" || !item.prompt.trim()) {
+    return "prompt must be a non-empty string";
+  }
+  if (typeof item.response !== "string" || !item.response.trim()) {
+    return "response must be a non-empty string";
+  }
+  if (
+    item.id !== undefined &&
+    (typeof item.id !== "string" || !ID_PATTERN.test(item.id))
+  ) {
+    return "id may only contain letters, digits, _ and -";
+  }
+  return null;
+}
+
+/**
+ * Read and validate the items of a source file
+ *
+ * Items without an id get a positional one. Invalid items are returned
+ * separately with an error per item, so one bad entry never drops the
+ * whole file. Non-JSON files go through the matching ingestor.
+ *
+ * @param {Object} source - Source definition from loadDocumentSources
+ * @returns {Promise<Object>} { items, invalidItems, issues }
+ * @throws {Error} When the file can't be read or isn't a JSON array
+ */
+export async function readSourceFile(source) {
+  const content = await fs.readFile(
+    path.join(DOCUMENTS_DIR, source.file),
+    "utf-8"
+  );
+
+  if (source.format !== "json") {
+    const { items, issues } = ingestFile(content, source);
+    return { items, invalidItems: [], issues };
+  }
+
+  const json = JSON.parse(content);
+  if (!Array.isArray(json)) {
+    throw new Error("file must contain a JSON array of items");
+  }
+
+  const items = [];
+  const invalidItems = [];
+  const issues = [];
+
+  json.forEach((item, idx) => {
+    const error = validateSourceItem(item);
+    if (error) {
+      invalidItems.push(item);
+      issues.push({ file: source.file, index: idx, message: error });
+      return;
+    }
+
+    items.push({ ...item, id: item.id || `${source.category}_${idx + 1}` });
+  });
+
+  return { items, invalidItems, issues };
+}
+
+/**
+ * Replace the items of a source file
+ *
+ * Writes to a temporary file first so a crash never leaves half a file.
+ *
+ * @param {Object} source - Source definition from loadDocumentSources
+ * @param {Object[]} items - Items as { id, prompt, response }
+ * @param {Array} [invalidItems] - Invalid items to keep (appended unchanged) for manual repair
+ */
+export async function writeSourceItems(source, items, invalidItems = []) {
+  const file = path.join(DOCUMENTS_DIR, source.file);
+  const tempFile = `${file}.tmp`;
+
+  await fs.writeFile(
+    tempFile,
+    JSON.stringify(
+      [
+        ...items.map(({ id, prompt, response, ...rest }) => ({
+          id,
+          prompt,
+          response,
+          ...rest,
+        })),
+        ...invalidItems,
+      ],
+      null,
+      2
+    ) + "\n",
+    "utf-8"
+  );
+  await fs.rename(tempFile, file);
+}
+
+/**
+ * Load the given source files as knowledge base documents
+ *
+ * Invalid items and duplicate ids are skipped and reported per item.
+ * Unreadable files are reported as failed so callers can keep serving what
+ * they already had for those categories.
+ *
+ * @param {Object[]} sources - Sources to read (usually getDocumentSources())
+ * @returns {Promise<Object>} { documents, failedSources, issues }
+ */
+export async function loadSourceDocuments(sources) {
+  const issues = [];
+  const documents = [];
+  const failedSources = [];
+  const seenIds = new Set();
+
+  // Process each source file sequentially
+  for (const source of sources) {
+    let file;
+    try {
+      file = await readSourceFile(source);
+    } catch (err) {
+      failedSources.push({ ...source, error: err });
+      issues.push({ file: source.file, message: err.message });
+      continue;
+    }
+
+    issues.push(...file.issues);
+
+    // Process each valid item in the JSON array
+    file.items.forEach((item) => {
+      if (seenIds.has(item.id)) {
+        issues.push({
+          file: source.file,
+          id: item.id,
+          message: `duplicate id "${item.id}"`,
+        });
+        return;
+      }
+      seenIds.add(item.id);
+
+      documents.push({
+        id: item.id, // Unique identifier for each document
+        data: {
+          title: item.prompt, // Question/topic (used for embedding)
+          snippet: item.response, // Answer/content (used for embedding and context)
+          category: source.category, // Document category for filtering/stats
+          ...(item.source && { source: item.source }), // Location in an ingested file
+        },
+      });
+    });
+  }
+
+  return { documents, failedSources, issues };
+}
+
+// ============================================================================
+// VALIDATION AND IDS
+// ============================================================================
+
+/**
+ * Validate a document submitted through the admin API
+ *
+ * @param {Object} input - Request body
+ * @param {Object} [options] - { requireCategory: false for bulk imports, where the category is shared }
+ * @returns {Object} { value: { prompt, response, category } } or { error }
+ */
+export function validateDocumentInput(input, { requireCategory = true } = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Document must be an object" };
+  }
+
+  const { prompt, response, category } = input;
+
+  if (typeof prompt !== "string" || !prompt.trim()) {
+    return { error: "prompt is required" };
+  }
+  if (prompt.length > MAX_PROMPT_LENGTH) {
+    return { error: `prompt must be at most ${MAX_PROMPT_LENGTH} characters` };
+  }
+  if (typeof response !== "string" || !response.trim()) {
+    return { error: "response is required" };
+  }
+  if (response.length > MAX_RESPONSE_LENGTH) {
+    return {
+      error: `response must be at most ${MAX_RESPONSE_LENGTH} characters`,
+    };
+  }
+  if (requireCategory && !isEditableSource(getSource(category))) {
+    return {
+      error: `category must be one of: ${documentSources
+        .filter(isEditableSource)
+        .map((source) => source.category)
+        .join(", ")}`,
+    };
+  }
+
+  return {
+    value: {
+      prompt: prompt.trim(),
+      response: response.trim(),
+      ...(requireCategory && { category }),
+    },
+  };
+}
+
+/**
+ * Generate the next free id for a category (e.g. "recipes_42")
+ *
+ * @param {string} category - Category of the new document
+ * @param {Set<string>} usedIds - Ids already taken across all categories
+ * @returns {string} Unused document id
+ */
+export function nextDocumentId(category, usedIds) {
+  let n = 1;
+  const prefix = `${category}_`;
+
+  // Continue after the highest number used in this category
+  for (const id of usedIds) {
+    if (!id.startsWith(prefix)) continue;
+    const number = parseInt(id.slice(prefix.length), 10);
+    if (number >= n) n = number + 1;
+  }
+
+  while (usedIds.has(`${prefix}${n}`)) n++;
+  return `${prefix}${n}`;
+}
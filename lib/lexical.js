@@ -0,0 +1,151 @@
+/**
+ * Lexical Search - BM25 keyword index over document titles and snippets
+ *
+ * Complements embedding search for exact-term queries ("Worcestershire",
+ * "Maillard") where vectors can drift. Titles are weighted more heavily than
+ * snippets, since they hold the question each document answers.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// BM25 term-frequency saturation and length normalization parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Weight of a term occurrence in the title relative to the snippet
+const TITLE_WEIGHT = 2;
+
+// Common words that carry no retrieval signal
+export const STOPWORDS = new Set(
+  (
+    "a about an and are as at be but by can could do does for from how i if in " +
+    "into is it its me my of on or should so than that the their them then " +
+    "there these this to was what when where which who why will with would " +
+    "you your"
+  ).split(" ")
+);
+
+// ============================================================================
+// TOKENIZATION
+// ============================================================================
+
+/**
+ * Split text into normalized search terms
+ *
+ * Lowercases, strips accents (sauté → saute), drops stopwords and applies
+ * light plural stemming so "eggs" matches "egg".
+ *
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms in order of appearance
+ */
+export function tokenize(text) {
+  return (
+    text
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "") // Strip combining accent marks
+      .match(/[a-z0-9]+/g) || []
+  )
+    .filter((term) => !STOPWORDS.has(term))
+    .map(stem);
+}
+
+/**
+ * Reduce simple English plurals to their singular form
+ *
+ * @param {string} term - Lowercase term
+ * @returns {string} Stemmed term
+ */
+function stem(term) {
+  if (term.length <= 3) return term;
+  if (term.endsWith("ies")) return `${term.slice(0, -3)}y`;
+  if (/(ch|sh|x|ss|o)es$/.test(term)) return term.slice(0, -2);
+  if (term.endsWith("s") && !term.endsWith("ss")) return term.slice(0, -1);
+  return term;
+}
+
+// ============================================================================
+// BM25 INDEX
+// ============================================================================
+
+/**
+ * In-memory BM25 index over knowledge base documents
+ */
+export class BM25Index {
+  /**
+   * @param {Object[]} documents - Documents with data.title and data.snippet
+   */
+  constructor(documents) {
+    this.documents = documents;
+    this.termFrequencies = []; // Per document: Map(term → weighted frequency)
+    this.lengths = []; // Per document: weighted length
+    this.documentFrequencies = new Map(); // term → number of documents containing it
+
+    documents.forEach((doc) => {
+      const frequencies = new Map();
+      const add = (term, weight) =>
+        frequencies.set(term, (frequencies.get(term) || 0) + weight);
+
+      tokenize(doc.data.title).forEach((term) => add(term, TITLE_WEIGHT));
+      tokenize(doc.data.snippet).forEach((term) => add(term, 1));
+
+      this.termFrequencies.push(frequencies);
+      this.lengths.push(
+        [...frequencies.values()].reduce((sum, tf) => sum + tf, 0)
+      );
+
+      for (const term of frequencies.keys()) {
+        this.documentFrequencies.set(
+          term,
+          (this.documentFrequencies.get(term) || 0) + 1
+        );
+      }
+    });
+
+    this.averageLength =
+      this.lengths.reduce((sum, len) => sum + len, 0) /
+      Math.max(documents.length, 1);
+  }
+
+  /**
+   * Inverse document frequency of a term (BM25+ style, never negative)
+   *
+   * @param {string} term - Search term
+   * @returns {number} IDF weight
+   */
+  idf(term) {
+    const df = this.documentFrequencies.get(term) || 0;
+    return Math.log(1 + (this.documents.length - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * Score every document against a query
+   *
+   * @param {string} query - Query text
+   * @returns {Map<string, number>} Document id → BM25 score (only matching documents)
+   */
+  score(query) {
+    const terms = [...new Set(tokenize(query))];
+    const scores = new Map();
+
+    this.documents.forEach((doc, idx) => {
+      const frequencies = this.termFrequencies[idx];
+      const lengthNorm =
+        1 - BM25_B + BM25_B * (this.lengths[idx] / this.averageLength);
+      let score = 0;
+
+      for (const term of terms) {
+        const tf = frequencies.get(term);
+        if (!tf) continue;
+        score +=
+          (this.idf(term) * tf * (BM25_K1 + 1)) / (tf + BM25_K1 * lengthNorm);
+      }
+
+      if (score > 0) scores.set(doc.id, score);
+    });
+
+    return scores;
+  }
+}
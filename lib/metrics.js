@@ -0,0 +1,377 @@
+/**
+ * Metrics - Prometheus counters, gauges and histograms for GET /metrics
+ *
+ * A small registry that renders the Prometheus text exposition format
+ * (version 0.0.4) without a client library:
+ * 1. Counters and gauges keyed by label values
+ * 2. Histograms with cumulative buckets, `_sum` and `_count`
+ * 3. A sliding-window counter for rates such as queries in the last hour
+ *
+ * createServerMetrics defines the metrics the server records: HTTP requests
+ * and latency per route, pipeline stage durations, upstream errors, retries
+ * and circuit states, cache lookups, chat replies and documents per category.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Prefix of every metric name
+const METRIC_PREFIX = "culinarygpt_";
+
+// Content-Type of the text exposition format
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Histogram buckets in seconds, from fast lookups to slow chat calls
+export const DURATION_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30,
+];
+
+// ============================================================================
+// METRIC TYPES
+// ============================================================================
+
+/**
+ * Escape a label value for the exposition format
+ *
+ * @param {string} value - Label value
+ * @returns {string} Value with backslashes, quotes and newlines escaped
+ */
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+/**
+ * Format a label set as `{name="value",...}` (empty for no labels)
+ *
+ * @param {Object} labels - Label name → value
+ * @returns {string} Label block
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries
+    .map(([name, value]) => `${name}="${escapeLabel(value)}"`)
+    .join(",")}}`;
+}
+
+/**
+ * Shared label handling for all metric types
+ */
+class Metric {
+  /**
+   * @param {string} type - "counter", "gauge" or "histogram"
+   * @param {Object} options
+   * @param {string} options.name - Metric name (without the prefix)
+   * @param {string} options.help - Description shown by Prometheus
+   * @param {string[]} [options.labelNames] - Label names, in output order
+   */
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = `${METRIC_PREFIX}${name}`;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map(); // Serialized labels → value
+  }
+
+  /**
+   * Key for a label set, rejecting unknown label names
+   *
+   * @param {Object} labels - Label name → value
+   * @returns {string} Serialized label block
+   */
+  key(labels) {
+    for (const name of Object.keys(labels)) {
+      if (!this.labelNames.includes(name)) {
+        throw new Error(`Unknown label "${name}" for ${this.name}`);
+      }
+    }
+    return formatLabels(
+      Object.fromEntries(
+        this.labelNames.map((name) => [name, labels[name] ?? ""])
+      )
+    );
+  }
+
+  /**
+   * Forget every label set (e.g. categories that no longer exist)
+   */
+  reset() {
+    this.values.clear();
+  }
+
+  /**
+   * @returns {string[]} Sample lines
+   */
+  samples() {
+    return [...this.values].map(
+      ([labels, value]) => `${this.name}${labels} ${value}`
+    );
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.samples(),
+    ].join("\n");
+  }
+}
+
+/**
+ * Monotonically increasing count
+ */
+export class Counter extends Metric {
+  constructor(options) {
+    super("counter", options);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = this.key(labels);
+    this.values.set(key, (this.values.get(key) ?? 0) + value);
+  }
+}
+
+/**
+ * Value that can go up and down
+ */
+export class Gauge extends Metric {
+  constructor(options) {
+    super("gauge", options);
+  }
+
+  set(labels, value) {
+    this.values.set(this.key(labels), value);
+  }
+}
+
+/**
+ * Distribution of observed values in cumulative buckets
+ */
+export class Histogram extends Metric {
+  /**
+   * @param {Object} options - Metric options plus `buckets` (upper bounds, ascending)
+   */
+  constructor({ buckets = DURATION_BUCKETS, ...options }) {
+    super("histogram", options);
+    this.buckets = buckets;
+  }
+
+  /**
+   * @param {Object} labels - Label name → value
+   * @param {number} value - Observation (seconds for durations)
+   */
+  observe(labels, value) {
+    const key = this.key(labels);
+    let series = this.values.get(key);
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, series);
+    }
+
+    this.buckets.forEach((bound, idx) => {
+      if (value <= bound) series.counts[idx]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Time a function and observe its duration in seconds, even when it throws
+   *
+   * @param {Object} labels - Label name → value
+   * @param {Function} fn - Sync or async function
+   * @returns {Promise<*>} The function's result
+   */
+  async time(labels, fn) {
+    const startedAt = process.hrtime.bigint();
+    try {
+      return await fn();
+    } finally {
+      this.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    }
+  }
+
+  samples() {
+    return [...this.values].flatMap(([labels, series]) => {
+      // Insert `le` into the existing label block
+      const withBound = (bound) =>
+        labels ? `${labels.slice(0, -1)},le="${bound}"}` : `{le="${bound}"}`;
+
+      return [
+        ...this.buckets.map(
+          (bound, idx) =>
+            `${this.name}_bucket${withBound(bound)} ${series.counts[idx]}`
+        ),
+        `${this.name}_bucket${withBound("+Inf")} ${series.count}`,
+        `${this.name}_sum${labels} ${series.sum}`,
+        `${this.name}_count${labels} ${series.count}`,
+      ];
+    });
+  }
+}
+
+/**
+ * Collection of metrics rendered together
+ */
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  register(metric) {
+    if (this.metrics.some((existing) => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * @returns {string} Every metric in the Prometheus text format
+   */
+  render() {
+    return `${this.metrics.map((metric) => metric.render()).join("\n\n")}\n`;
+  }
+}
+
+// ============================================================================
+// SLIDING-WINDOW RATES
+// ============================================================================
+
+/**
+ * Count of events in a sliding window, kept as per-slot buckets
+ *
+ * With the default 60 one-minute slots, count() is the number of events in
+ * the last hour (to the minute), however long the process has been up.
+ */
+export class SlidingWindowCounter {
+  /**
+   * @param {number} [windowMs] - Window length
+   * @param {number} [slots] - Buckets the window is divided into
+   */
+  constructor(windowMs = 60 * 60 * 1000, slots = 60) {
+    this.slotMs = windowMs / slots;
+    this.counts = new Array(slots).fill(0);
+    this.slotStarts = new Array(slots).fill(-1); // Slot number each bucket holds
+  }
+
+  /**
+   * @param {number} [now] - Current time in ms
+   */
+  record(now = Date.now()) {
+    const slot = Math.floor(now / this.slotMs);
+    const idx = slot % this.counts.length;
+    if (this.slotStarts[idx] !== slot) {
+      this.slotStarts[idx] = slot;
+      this.counts[idx] = 0;
+    }
+    this.counts[idx]++;
+  }
+
+  /**
+   * @param {number} [now] - Current time in ms
+   * @returns {number} Events in the window ending now
+   */
+  count(now = Date.now()) {
+    const oldest = Math.floor(now / this.slotMs) - this.counts.length + 1;
+    return this.counts.reduce(
+      (sum, count, idx) => (this.slotStarts[idx] >= oldest ? sum + count : sum),
+      0
+    );
+  }
+}
+
+// ============================================================================
+// SERVER METRICS
+// ============================================================================
+
+/**
+ * Define the metrics recorded by the server
+ *
+ * @returns {Object} { registry, ...metrics by purpose }
+ */
+export function createServerMetrics() {
+  const registry = new MetricsRegistry();
+
+  return {
+    registry,
+    httpRequests: registry.counter({
+      name: "http_requests_total",
+      help: "HTTP requests by method, route and status code",
+      labelNames: ["method", "route", "status"],
+    }),
+    httpDuration: registry.histogram({
+      name: "http_request_duration_seconds",
+      help: "HTTP request latency by method and route",
+      labelNames: ["method", "route"],
+    }),
+    stageDuration: registry.histogram({
+      name: "stage_duration_seconds",
+      help: "Duration of pipeline stages (embed_query, embed_documents, retrieval, rerank, search_queries, chat, chat_stream)",
+      labelNames: ["stage"],
+    }),
+    upstreamErrors: registry.counter({
+      name: "upstream_errors_total",
+      help: "Failed provider calls by provider, operation and error type",
+      labelNames: ["provider", "operation", "type"],
+    }),
+    upstreamRetries: registry.counter({
+      name: "upstream_retries_total",
+      help: "Retried provider calls by provider, operation and error type",
+      labelNames: ["provider", "operation", "type"],
+    }),
+    circuitState: registry.gauge({
+      name: "circuit_state",
+      help: "Provider circuit breaker state (0 closed, 1 half open, 2 open)",
+      labelNames: ["circuit"],
+    }),
+    cacheLookups: registry.counter({
+      name: "response_cache_lookups_total",
+      help: "Response cache lookups by result (hit, miss, bypass)",
+      labelNames: ["result"],
+    }),
+    chatReplies: registry.counter({
+      name: "chat_replies_total",
+      help: "Chat replies by outcome (answered, cached, degraded, blocked, failed)",
+      labelNames: ["outcome"],
+    }),
+    documents: registry.gauge({
+      name: "documents",
+      help: "Knowledge base documents per category",
+      labelNames: ["category"],
+    }),
+    responseCacheEntries: registry.gauge({
+      name: "response_cache_entries",
+      help: "Replies currently held by the response cache",
+    }),
+    queriesLastHour: registry.gauge({
+      name: "queries_last_hour",
+      help: "Chat queries answered in the last 60 minutes",
+    }),
+    uptime: registry.gauge({
+      name: "uptime_seconds",
+      help: "Seconds since the server started",
+    }),
+    memory: registry.gauge({
+      name: "memory_bytes",
+      help: "Process memory by type (rss, heap_used, heap_total, external)",
+      labelNames: ["type"],
+    }),
+  };
+}
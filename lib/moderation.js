@@ -0,0 +1,262 @@
+/**
+ * Moderation - Screening of chat prompts before any model is called
+ *
+ * Three checks, cheapest first:
+ * 1. Length and character limits (oversized prompts, control characters and
+ *    invisible formatting characters used to smuggle instructions)
+ * 2. Prompt-injection patterns ("ignore previous instructions", fake system
+ *    turns, requests for the system prompt)
+ * 3. Off-domain detection: the prompt's embedding is compared with the
+ *    centroid of each knowledge base category; prompts far from all of them
+ *    are not about cooking. Culinary keywords only lower the bar a little,
+ *    so "how long" or "safe" can't carry an unrelated question
+ *
+ * Blocked prompts are answered with a canned reply instead of a chat call.
+ */
+
+import { cosineSimilarity, classifyQueryIntent } from "./retrieval.js"; // Similarity and culinary keyword routing
+import { INGREDIENT_GROUPS } from "./dietary.js"; // Ingredient vocabulary
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Longest prompt accepted, in characters
+export const MAX_PROMPT_CHARS =
+  parseInt(process.env.MODERATION_MAX_PROMPT_CHARS, 10) || 2000;
+
+// Minimum similarity to the nearest category centroid ("off" disables the check)
+export const DOMAIN_THRESHOLD =
+  process.env.MODERATION_DOMAIN_THRESHOLD === "off"
+    ? null
+    : parseSimilarity(process.env.MODERATION_DOMAIN_THRESHOLD, 0.2);
+
+// How far below the threshold a prompt with culinary keywords may score
+export const DOMAIN_KEYWORD_MARGIN = parseSimilarity(
+  process.env.MODERATION_DOMAIN_KEYWORD_MARGIN,
+  0.05
+);
+
+// Reasons a prompt can be blocked for
+export const MODERATION_REASONS = [
+  "too_long",
+  "invalid_characters",
+  "no_text",
+  "injection",
+  "off_domain",
+];
+
+// Control characters other than tab and newlines
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/;
+
+// Zero-width, bidirectional override and Unicode tag characters
+const INVISIBLE_CHARACTERS =
+  /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]|\uDB40[\uDC00-\uDC7F]/;
+
+// Prompt-injection patterns, by name
+const INJECTION_PATTERNS = {
+  ignore_instructions:
+    /\b(ignore|disregard|forget|override|bypass)\s+(all\s+|any\s+)?(of\s+)?((the|your|my|these)\s+)?((previous|prior|above|earlier|preceding|system|original|initial)\s+(instructions?|prompts?|directions|guidelines|rules)|your\s+(instructions?|prompts?|guidelines|rules))\b/i,
+  role_override:
+    /\b(you are now|from now on,? (you|act|respond|answer)|pretend (to be|you are)|you('re| are) no longer|roleplay as)\b|\bact as (an? |my )?(unfiltered|unrestricted|different|new|evil|jailbroken)\b/i,
+  prompt_leak:
+    /\b(reveal|show|print|repeat|output|display|tell me|what (is|are|were))\b.{0,20}\b(your (system |initial |original |hidden )?(prompt|instructions|preamble)|(the )?(system|hidden) (prompt|instructions|preamble)|(initial|original) prompt)\b/i,
+  jailbreak: /\b(jailbreak\w*|dan mode|developer mode|do anything now)\b/i,
+  fake_turn:
+    /<\|(im_start|im_end|system|endoftext)\|>|\[\/?INST\]|<<\/?SYS>>|^\s*(system|assistant|chatbot)\s*:|###\s*(system|instructions?)\b/im,
+  new_instructions:
+    /\b(new|updated|real|actual) (system )?(instructions|rules)\s*:/i,
+};
+
+// General food words that mark a prompt as culinary whatever its embedding
+const CULINARY_KEYWORDS =
+  /\b(cook\w*|bak(e|ed|es|ing)|roast\w*|fr(y|ied|ies|ying)|boil\w*|grill\w*|simmer\w*|recipes?|ingredients?|dish(es)?|meals?|food|eat(ing)?|kitchen|flavou?r\w*|season\w*|spices?|herbs?|sauces?|soups?|salads?|breakfast|lunch|dinner|dessert|snacks?|vegetables?|fruits?|sugar|rice|dough|oven|stove)\b/i;
+
+// ...and the ingredients known to the dietary checks (butter, salmon, tofu)
+const INGREDIENT_KEYWORDS = new RegExp(
+  `\\b(?:${Object.values(INGREDIENT_GROUPS)
+    .flatMap((group) => group.terms)
+    .join("|")})(?:e?s)?\\b`,
+  "i"
+);
+
+// Replies sent instead of a chat call, by reason
+const CANNED_RESPONSES = {
+  too_long: `That message is too long for me to read in one go. Please keep questions under ${MAX_PROMPT_CHARS} characters - for example, paste just the part of the recipe you're asking about.`,
+  invalid_characters:
+    "That message contains hidden or control characters I can't accept. Please retype your cooking question as plain text.",
+  no_text:
+    "I couldn't find a question in that message. Ask me anything about cooking, recipes, ingredients or kitchen equipment!",
+  injection:
+    "I can't change how I work or share my instructions, but I'm happy to help with cooking. Ask me about recipes, techniques, substitutions, nutrition, equipment or food safety.",
+  off_domain:
+    "I'm CulinaryGPT, so I can only help with food and cooking. Try asking about recipes, techniques, substitutions, nutrition, equipment or food safety.",
+};
+
+// ============================================================================
+// SCREENING
+// ============================================================================
+
+/**
+ * Check a prompt's length, characters and wording for injection attempts
+ *
+ * @param {string} prompt - User's message
+ * @returns {Object} { blocked: false } or { blocked: true, reason, detail }
+ */
+export function screenPrompt(prompt) {
+  if (prompt.length > MAX_PROMPT_CHARS) {
+    return {
+      blocked: true,
+      reason: "too_long",
+      detail: `${prompt.length} characters (limit ${MAX_PROMPT_CHARS})`,
+    };
+  }
+
+  if (CONTROL_CHARACTERS.test(prompt) || INVISIBLE_CHARACTERS.test(prompt)) {
+    return {
+      blocked: true,
+      reason: "invalid_characters",
+      detail: "control or invisible formatting characters",
+    };
+  }
+
+  if (!/\p{L}/u.test(prompt)) {
+    return { blocked: true, reason: "no_text", detail: "no letters" };
+  }
+
+  const patterns = Object.entries(INJECTION_PATTERNS)
+    .filter(([, pattern]) => pattern.test(prompt))
+    .map(([name]) => name);
+  if (patterns.length > 0) {
+    return { blocked: true, reason: "injection", detail: patterns.join(", ") };
+  }
+
+  return { blocked: false };
+}
+
+/**
+ * Compute the normalized mean embedding of each category
+ *
+ * @param {Object[]} documents - Documents with embeddings
+ * @returns {Map<string, number[]>} Category → unit-length centroid
+ */
+export function computeCategoryCentroids(documents) {
+  const sums = new Map();
+
+  for (const doc of documents) {
+    if (!doc.embedding) continue;
+    const category = doc.data.category;
+    if (!sums.has(category)) {
+      sums.set(category, new Array(doc.embedding.length).fill(0));
+    }
+    const sum = sums.get(category);
+    doc.embedding.forEach((value, idx) => (sum[idx] += value));
+  }
+
+  const centroids = new Map();
+  for (const [category, sum] of sums) {
+    const magnitude = Math.sqrt(sum.reduce((total, v) => total + v * v, 0));
+    if (magnitude > 0) {
+      centroids.set(
+        category,
+        sum.map((value) => value / magnitude)
+      );
+    }
+  }
+  return centroids;
+}
+
+/**
+ * Score how close a prompt is to the knowledge base's subject matter
+ *
+ * The similarity score decides. Food words or a culinary keyword pattern
+ * (see classifyQueryIntent) only break near-ties: they lower the threshold by
+ * `keywordMargin`, so short but clear questions that sit just below it pass,
+ * while "How long is the Great Wall?" is still judged by its score.
+ *
+ * @param {string} prompt - User's message
+ * @param {number[]} embedding - Prompt embedding ("search_query")
+ * @param {Map<string, number[]>} centroids - From computeCategoryCentroids
+ * @param {number|null} [threshold] - Minimum similarity (null disables the check)
+ * @param {number} [keywordMargin] - Threshold reduction for keyword matches
+ * @returns {Object} { offDomain, score, nearestCategory, keywordMatch, threshold }
+ */
+export function checkDomain(
+  prompt,
+  embedding,
+  centroids,
+  threshold = DOMAIN_THRESHOLD,
+  keywordMargin = DOMAIN_KEYWORD_MARGIN
+) {
+  let score = -Infinity;
+  let nearestCategory = null;
+  for (const [category, centroid] of centroids) {
+    const similarity = cosineSimilarity(embedding, centroid);
+    if (similarity > score) {
+      score = similarity;
+      nearestCategory = category;
+    }
+  }
+
+  const keywordMatch =
+    CULINARY_KEYWORDS.test(prompt) ||
+    INGREDIENT_KEYWORDS.test(prompt) ||
+    classifyQueryIntent(prompt).length > 0;
+  const effectiveThreshold =
+    threshold !== null && keywordMatch ? threshold - keywordMargin : threshold;
+
+  return {
+    offDomain:
+      effectiveThreshold !== null &&
+      centroids.size > 0 &&
+      score < effectiveThreshold,
+    score: centroids.size > 0 ? Math.round(score * 10000) / 10000 : null,
+    nearestCategory,
+    keywordMatch,
+    threshold:
+      effectiveThreshold !== null
+        ? Math.round(effectiveThreshold * 10000) / 10000
+        : null,
+  };
+}
+
+/**
+ * Off-domain threshold to apply with an embedding provider
+ *
+ * Providers whose embeddings carry no topic signal (`topicalEmbeddings:
+ * false`, like the mock's hashed words) skip the check unless
+ * MODERATION_DOMAIN_THRESHOLD is set explicitly.
+ *
+ * @param {Object} provider - Provider from createProvider
+ * @returns {number|null} Threshold, or null when the check is off
+ */
+export function domainThresholdFor(provider) {
+  return provider.topicalEmbeddings === false &&
+    process.env.MODERATION_DOMAIN_THRESHOLD === undefined
+    ? null
+    : DOMAIN_THRESHOLD;
+}
+
+/**
+ * Reply sent instead of a chat call for a blocked prompt
+ *
+ * @param {string} reason - One of MODERATION_REASONS
+ * @returns {string} Canned reply
+ */
+export function cannedResponse(reason) {
+  return CANNED_RESPONSES[reason] ?? CANNED_RESPONSES.off_domain;
+}
+
+/**
+ * Read a similarity setting from the environment
+ *
+ * @param {string|undefined} value - Raw environment value
+ * @param {number} fallback - Used when unset or not a number in [-1, 1]
+ * @returns {number} Similarity
+ */
+function parseSimilarity(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== "" && Math.abs(number) <= 1
+    ? number
+    : fallback;
+}
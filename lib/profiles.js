@@ -0,0 +1,382 @@
+/**
+ * User Profiles - Allergens, diets, skill level and preferred units
+ *
+ * A profile is stored server-side and referenced by `profileId` on chat
+ * requests, so answers can respect it without the client repeating it every
+ * turn. This module provides:
+ * 1. Pluggable storage backends (in-memory default, file-backed option)
+ * 2. Validation of profile input
+ * 3. The constraints a profile adds to the chat preamble
+ *
+ * Storage is selected with PROFILE_STORE ("memory" or "file").
+ */
+
+import fs from "fs/promises"; // File system operations with Promise support
+import path from "path"; // Path utilities for cross-platform compatibility
+import crypto from "crypto"; // Random identifiers for new profiles
+import { UNIT_SYSTEMS } from "./units.js"; // Unit systems a profile can prefer
+import {
+  DIETS,
+  normalizeAllergen,
+  normalizeDiet,
+  allergenLabel,
+} from "./dietary.js"; // Allergen and diet definitions
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const SKILL_LEVELS = ["beginner", "intermediate", "advanced"];
+
+// Fields a client can set
+const PROFILE_FIELDS = ["name", "allergens", "diets", "skillLevel", "units"];
+
+// Other names accepted for a field
+const FIELD_ALIASES = { allergies: "allergens" };
+
+// Fields returned by the API that may be sent back unchanged (ignored)
+const READ_ONLY_FIELDS = ["id", "createdAt", "updatedAt"];
+
+// Limits on profile input
+const MAX_NAME_LENGTH = 100;
+const MAX_ALLERGENS = 20;
+const MAX_ALLERGEN_LENGTH = 40;
+
+// Default directory for the file-backed store
+const DEFAULT_PROFILE_DIR = path.join(process.cwd(), "profiles");
+
+// How each skill level changes the answers
+const SKILL_GUIDANCE = {
+  beginner:
+    "a beginner - explain techniques step by step, avoid unexplained jargon and prefer forgiving methods",
+  intermediate: "an intermediate cook - keep explanations concise",
+  advanced:
+    "an advanced cook - skip the basics and feel free to suggest professional techniques",
+};
+
+// ============================================================================
+// STORAGE BACKENDS
+// ============================================================================
+
+/**
+ * In-memory profile store
+ *
+ * Profiles are lost when the process restarts.
+ */
+export class MemoryProfileStore {
+  constructor() {
+    this.name = "memory";
+    this.profiles = new Map();
+  }
+
+  async get(id) {
+    return this.profiles.get(id) || null;
+  }
+
+  async save(profile) {
+    this.profiles.set(profile.id, profile);
+    return profile;
+  }
+
+  async delete(id) {
+    return this.profiles.delete(id);
+  }
+
+  async list() {
+    return [...this.profiles.values()];
+  }
+}
+
+/**
+ * File-backed profile store
+ *
+ * Stores each profile as `<id>.json` inside the configured directory.
+ */
+export class FileProfileStore {
+  /**
+   * @param {string} directory - Directory that holds profile files
+   */
+  constructor(directory = DEFAULT_PROFILE_DIR) {
+    this.name = "file";
+    this.directory = directory;
+  }
+
+  /**
+   * Resolve the file path for a profile, rejecting unsafe identifiers
+   *
+   * @param {string} id - Profile identifier
+   * @returns {string|null} Absolute file path, or null for invalid ids
+   */
+  filePath(id) {
+    if (!/^[a-zA-Z0-9_-]+$/.test(id)) return null;
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  async get(id) {
+    const file = this.filePath(id);
+    if (!file) return null;
+
+    try {
+      return JSON.parse(await fs.readFile(file, "utf-8"));
+    } catch (err) {
+      // Missing or unreadable file - treat as unknown profile
+      return null;
+    }
+  }
+
+  async save(profile) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Write to a temporary file first so a crash never leaves half a file
+    const file = this.filePath(profile.id);
+    const tempFile = `${file}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(profile, null, 2), "utf-8");
+    await fs.rename(tempFile, file);
+
+    return profile;
+  }
+
+  async delete(id) {
+    const file = this.filePath(id);
+    if (!file) return false;
+
+    try {
+      await fs.unlink(file);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  async list() {
+    let entries = [];
+    try {
+      entries = await fs.readdir(this.directory);
+    } catch (err) {
+      // Directory doesn't exist yet - no profiles stored
+      return [];
+    }
+
+    const profiles = await Promise.all(
+      entries
+        .filter((entry) => entry.endsWith(".json"))
+        .map((entry) => this.get(path.basename(entry, ".json")))
+    );
+
+    return profiles.filter(Boolean);
+  }
+}
+
+/**
+ * Create the profile store selected by environment variables
+ *
+ * PROFILE_STORE - "memory" (default) or "file"
+ * PROFILE_DIR   - Directory for the file store (default: ./profiles)
+ *
+ * @returns {MemoryProfileStore|FileProfileStore} Store instance
+ */
+export function createProfileStore() {
+  const type = (process.env.PROFILE_STORE || "memory").toLowerCase();
+
+  if (type === "file") {
+    return new FileProfileStore(process.env.PROFILE_DIR || DEFAULT_PROFILE_DIR);
+  }
+
+  if (type !== "memory") {
+    console.warn(
+      `Unknown PROFILE_STORE "${type}", falling back to in-memory storage.`
+    );
+  }
+
+  return new MemoryProfileStore();
+}
+
+// ============================================================================
+// PROFILE HELPERS
+// ============================================================================
+
+/**
+ * Validate profile fields submitted through the API
+ *
+ * Allergens and diets are normalized ("Milk" → "dairy", "Gluten-free" →
+ * "gluten_free"); allergens without a built-in ingredient list are kept as
+ * free text and matched literally. `allergies` is accepted for `allergens`.
+ * Unknown fields are rejected rather than ignored, so a misspelled
+ * restriction can't silently leave a profile without it.
+ *
+ * @param {Object} input - Request body
+ * @param {Object} [options] - { partial: true for updates, where every field is optional }
+ * @returns {Object} { value: { name?, allergens?, diets?, skillLevel?, units? } } or { error }
+ */
+export function validateProfileInput(input, { partial = false } = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Profile must be an object" };
+  }
+
+  const unknown = Object.keys(input).filter(
+    (field) =>
+      !PROFILE_FIELDS.includes(field) &&
+      !(field in FIELD_ALIASES) &&
+      !READ_ONLY_FIELDS.includes(field)
+  );
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown profile field${unknown.length > 1 ? "s" : ""}: ${unknown.join(", ")} (accepted: ${PROFILE_FIELDS.join(", ")})`,
+    };
+  }
+  for (const [alias, field] of Object.entries(FIELD_ALIASES)) {
+    if (input[alias] !== undefined && input[field] !== undefined) {
+      return { error: `${field} and ${alias} are aliases; send only one` };
+    }
+  }
+
+  const { name, diets, skillLevel, units } = input;
+  const allergens =
+    input.allergens !== undefined ? input.allergens : input.allergies;
+  const value = {};
+
+  if (name !== undefined && name !== null) {
+    if (typeof name !== "string" || name.length > MAX_NAME_LENGTH) {
+      return {
+        error: `name must be a string of at most ${MAX_NAME_LENGTH} characters`,
+      };
+    }
+    value.name = name.trim() || null;
+  } else if (!partial || name === null) {
+    value.name = null;
+  }
+
+  if (allergens !== undefined) {
+    if (
+      !Array.isArray(allergens) ||
+      allergens.length > MAX_ALLERGENS ||
+      allergens.some(
+        (allergen) =>
+          typeof allergen !== "string" ||
+          !allergen.trim() ||
+          allergen.length > MAX_ALLERGEN_LENGTH
+      )
+    ) {
+      return {
+        error: `allergens must be a list of at most ${MAX_ALLERGENS} names (${MAX_ALLERGEN_LENGTH} characters each)`,
+      };
+    }
+    value.allergens = [...new Set(allergens.map(normalizeAllergen))];
+  } else if (!partial) {
+    value.allergens = [];
+  }
+
+  if (diets !== undefined) {
+    const normalized = Array.isArray(diets)
+      ? diets.map((diet) =>
+          typeof diet === "string" ? normalizeDiet(diet) : null
+        )
+      : [null];
+    if (normalized.includes(null)) {
+      return {
+        error: `diets must be a list of: ${Object.keys(DIETS).join(", ")}`,
+      };
+    }
+    value.diets = [...new Set(normalized)];
+  } else if (!partial) {
+    value.diets = [];
+  }
+
+  if (skillLevel !== undefined && skillLevel !== null) {
+    if (!SKILL_LEVELS.includes(skillLevel)) {
+      return {
+        error: `skillLevel must be one of: ${SKILL_LEVELS.join(", ")}`,
+      };
+    }
+    value.skillLevel = skillLevel;
+  } else if (!partial || skillLevel === null) {
+    value.skillLevel = null;
+  }
+
+  if (units !== undefined && units !== null) {
+    if (!UNIT_SYSTEMS.includes(units)) {
+      return { error: `units must be one of: ${UNIT_SYSTEMS.join(", ")}` };
+    }
+    value.units = units;
+  } else if (!partial || units === null) {
+    value.units = null;
+  }
+
+  return { value };
+}
+
+/**
+ * Create a new profile object from validated fields
+ *
+ * @param {Object} fields - Value returned by validateProfileInput
+ * @param {string|null} [ownerId] - API client the profile belongs to
+ * @returns {Object} Profile ready to be saved
+ */
+export function createProfile(fields, ownerId = null) {
+  const now = new Date().toISOString();
+
+  return {
+    id: crypto.randomUUID(),
+    ...fields,
+    ownerId: ownerId, // Only this client may use the profile (null: anyone)
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Profile as returned by the API (without the owning client)
+ *
+ * @param {Object} profile - Stored profile
+ * @returns {Object} Public profile fields
+ */
+export function describeProfile(profile) {
+  const { ownerId, ...fields } = profile;
+  return fields;
+}
+
+/**
+ * Whether a profile has any dietary restriction to enforce
+ *
+ * @param {Object|null} profile - Stored profile
+ * @returns {boolean} True when allergens or diets are set
+ */
+export function hasDietaryRestrictions(profile) {
+  return Boolean(profile?.allergens?.length || profile?.diets?.length);
+}
+
+/**
+ * Describe a profile's constraints for the chat preamble
+ *
+ * @param {Object|null} profile - Stored profile
+ * @returns {string} Preamble section, or "" when the profile sets nothing
+ */
+export function describeProfileConstraints(profile) {
+  if (!profile) return "";
+
+  const lines = [];
+  if (profile.allergens?.length > 0) {
+    lines.push(
+      `• ALLERGIES: ${profile.allergens.map(allergenLabel).join(", ")}. Never include these ingredients; when a recipe or document uses one, give a safe substitute and say so.`
+    );
+  }
+  if (profile.diets?.length > 0) {
+    lines.push(
+      `• DIET: ${profile.diets.map((diet) => diet.replace(/_/g, "-")).join(", ")}. Only suggest ingredients that fit, adapting recipes with substitutions where needed.`
+    );
+  }
+  if (profile.skillLevel) {
+    lines.push(
+      `• SKILL LEVEL: the user is ${SKILL_GUIDANCE[profile.skillLevel]}.`
+    );
+  }
+  if (profile.units) {
+    lines.push(
+      `• UNITS: give amounts and temperatures in ${profile.units === "metric" ? "metric units (grams, millilitres, °C)" : "US units (cups, ounces, °F)"}.`
+    );
+  }
+
+  return lines.length > 0
+    ? `\n\n  USER PROFILE (always respect these constraints):\n  ${lines.join("\n  ")}`
+    : "";
+}
@@ -0,0 +1,267 @@
+/**
+ * Cohere Provider - Embeddings and chat via the Cohere API
+ *
+ * Uses `embed-multilingual-v3.0` for embeddings and `command-r-plus` for
+ * grounded chat with native document citations.
+ */
+
+import { CohereClient, CohereError, CohereTimeoutError } from "cohere-ai"; // Cohere AI SDK for embeddings and chat
+import { ProviderError, ProviderTimeoutError } from "./errors.js";
+
+const EMBEDDING_MODEL =
+  process.env.COHERE_EMBEDDING_MODEL || "embed-multilingual-v3.0";
+const CHAT_MODEL = process.env.COHERE_CHAT_MODEL || "command-r-plus";
+const RERANK_MODEL =
+  process.env.COHERE_RERANK_MODEL || "rerank-multilingual-v3.0";
+
+/**
+ * Translate Cohere SDK errors into provider-neutral errors
+ *
+ * @param {Error} err - Error thrown by the Cohere SDK
+ * @returns {Error} ProviderError subclass (or the original abort error)
+ */
+function normalizeError(err) {
+  if (err?.name === "AbortError") return err;
+
+  if (err instanceof CohereTimeoutError) {
+    return new ProviderTimeoutError("Cohere request timed out", {
+      provider: "cohere",
+      cause: err,
+    });
+  }
+
+  if (err instanceof CohereError) {
+    return new ProviderError("Cohere request failed", {
+      provider: "cohere",
+      statusCode: err.statusCode ?? null,
+      cause: err,
+    });
+  }
+
+  return err;
+}
+
+// Cohere parameter types for JSON Schema types
+const PARAMETER_TYPES = {
+  string: "str",
+  integer: "int",
+  number: "float",
+  boolean: "bool",
+  array: "list",
+  object: "dict",
+};
+
+/**
+ * Convert a tool's JSON Schema parameters into Cohere parameter definitions
+ *
+ * Cohere only knows flat, typed parameters, so the schema of list and dict
+ * parameters is appended to their description.
+ *
+ * @param {Object} tool - { name, description, parameters }
+ * @returns {Object} Cohere tool definition
+ */
+function toCohereTool(tool) {
+  const required = tool.parameters.required ?? [];
+
+  return {
+    name: tool.name,
+    description: tool.description,
+    parameterDefinitions: Object.fromEntries(
+      Object.entries(tool.parameters.properties ?? {}).map(([name, schema]) => {
+        const type = [].concat(schema.type)[0];
+        let description = schema.description ?? "";
+        if (schema.enum) description += ` One of: ${schema.enum.join(", ")}.`;
+        if (type === "array" || type === "object") {
+          description += ` Schema: ${JSON.stringify(schema.items ?? schema)}`;
+        }
+
+        return [
+          name,
+          {
+            description: description.trim(),
+            type: PARAMETER_TYPES[type] ?? "str",
+            required: required.includes(name),
+          },
+        ];
+      })
+    ),
+  };
+}
+
+/**
+ * Create the Cohere provider
+ *
+ * @returns {Object} Provider implementing embed, chat, chatStream, generateSearchQueries and rerank
+ */
+export function createCohereProvider() {
+  // Initialize Cohere AI client with API key from environment variables
+  const cohere = new CohereClient({
+    token: process.env.COHERE_API_KEY, // Requires COHERE_API_KEY in .env file
+  });
+
+  /**
+   * SDK request options; retries are left to the resilience layer
+   * (./resilience.js), which also handles throttling and timeouts
+   */
+  function requestOptions(options) {
+    return { abortSignal: options.abortSignal, maxRetries: 0 };
+  }
+
+  /**
+   * Build the shared chat request body
+   */
+  function buildChatRequest(message, documents, preamble, history, options) {
+    return {
+      model: CHAT_MODEL,
+      message: message,
+      chatHistory: history, // Earlier turns (empty for one-off questions)
+      documents: documents, // Retrieved context as { id, text }
+      preamble: preamble, // System prompt defining the assistant's role
+      temperature: options.temperature ?? 0.3, // Low temperature for factual responses
+      // Cohere doesn't support JSON mode together with documents (RAG mode)
+      ...(options.responseFormat &&
+        documents.length === 0 && { responseFormat: options.responseFormat }),
+      // Tool calls are answered in one step: the message is sent again
+      // together with the results of every call made so far
+      ...(options.tools?.length > 0 && {
+        tools: options.tools.map(toCohereTool),
+        forceSingleStep: true,
+      }),
+      ...(options.toolResults?.length > 0 && {
+        toolResults: options.toolResults.map((result) => ({
+          call: { name: result.call.name, parameters: result.call.parameters },
+          outputs: result.outputs,
+        })),
+      }),
+    };
+  }
+
+  return {
+    name: "cohere",
+    label: "Cohere",
+    embeddingModel: EMBEDDING_MODEL,
+    chatModel: CHAT_MODEL,
+
+    isConfigured() {
+      return !!process.env.COHERE_API_KEY;
+    },
+
+    async embed(texts, inputType, options = {}) {
+      try {
+        const response = await cohere.embed(
+          {
+            texts: texts,
+            model: EMBEDDING_MODEL,
+            inputType: inputType, // "search_document" or "search_query"
+          },
+          requestOptions(options)
+        );
+        return response.embeddings;
+      } catch (err) {
+        throw normalizeError(err);
+      }
+    },
+
+    async chat(message, documents, preamble, history = [], options = {}) {
+      try {
+        const response = await cohere.chat(
+          buildChatRequest(message, documents, preamble, history, options),
+          requestOptions(options)
+        );
+
+        return {
+          text: response.text,
+          citations: response.citations ?? [],
+          finishReason: response.finishReason ?? null,
+          // Cohere tool calls carry no id
+          toolCalls: (response.toolCalls ?? []).map((call, idx) => ({
+            id: `${call.name}_${idx}`,
+            name: call.name,
+            parameters: call.parameters ?? {},
+          })),
+        };
+      } catch (err) {
+        throw normalizeError(err);
+      }
+    },
+
+    async *chatStream(
+      message,
+      documents,
+      preamble,
+      history = [],
+      options = {}
+    ) {
+      try {
+        const stream = await cohere.chatStream(
+          buildChatRequest(message, documents, preamble, history, options),
+          requestOptions(options)
+        );
+
+        let text = "";
+        let citations = [];
+
+        for await (const event of stream) {
+          if (event.eventType === "text-generation") {
+            text += event.text;
+            yield { type: "text", text: event.text };
+          } else if (event.eventType === "citation-generation") {
+            citations.push(...event.citations);
+            yield { type: "citations", citations: event.citations };
+          } else if (event.eventType === "stream-end") {
+            yield {
+              type: "end",
+              text: event.response?.text ?? text,
+              citations: event.response?.citations ?? citations,
+              finishReason: event.finishReason ?? null,
+            };
+          }
+        }
+      } catch (err) {
+        throw normalizeError(err);
+      }
+    },
+
+    async generateSearchQueries(message, history = [], options = {}) {
+      try {
+        const response = await cohere.chat(
+          {
+            model: CHAT_MODEL,
+            message: message,
+            chatHistory: history,
+            searchQueriesOnly: true, // Only generate search queries, no reply
+          },
+          requestOptions(options)
+        );
+
+        return (response.searchQueries ?? [])
+          .map((query) => query.text)
+          .filter(Boolean);
+      } catch (err) {
+        throw normalizeError(err);
+      }
+    },
+
+    async rerank(query, texts, options = {}) {
+      try {
+        const response = await cohere.rerank(
+          {
+            model: RERANK_MODEL,
+            query: query,
+            documents: texts,
+            topN: texts.length,
+          },
+          requestOptions(options)
+        );
+
+        // Results come back ordered by relevance, indexed into `texts`
+        return response.results.map((result) => ({
+          index: result.index,
+          relevanceScore: result.relevanceScore,
+        }));
+      } catch (err) {
+        throw normalizeError(err);
+      }
+    },
+  };
+}
@@ -0,0 +1,67 @@
+/**
+ * Provider Errors - Provider-neutral error types for embedding and chat calls
+ *
+ * Each provider translates its SDK or HTTP failures into these classes so the
+ * server can report upstream problems without knowing which provider is active.
+ */
+
+/**
+ * Generic failure reported by an LLM/embedding provider
+ */
+export class ProviderError extends Error {
+  /**
+   * @param {string} message - Human-readable error description
+   * @param {Object} [details] - Extra context
+   * @param {string} [details.provider] - Provider name (cohere, openai, mock)
+   * @param {number|null} [details.statusCode] - Upstream HTTP status, if known
+   * @param {number|null} [details.retryAfterMs] - Wait asked for by the upstream (Retry-After)
+   * @param {Error} [details.cause] - Original error
+   */
+  constructor(
+    message,
+    { provider, statusCode = null, retryAfterMs = null, cause } = {}
+  ) {
+    super(message, { cause });
+    this.name = "ProviderError";
+    this.provider = provider;
+    this.statusCode = statusCode;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * The provider did not answer within the allowed time
+ */
+export class ProviderTimeoutError extends ProviderError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ProviderTimeoutError";
+  }
+}
+
+/**
+ * The provider wasn't called because its circuit breaker is open
+ * (see ./resilience.js); retryAfterMs is the time left until a trial call
+ */
+export class ProviderUnavailableError extends ProviderError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ProviderUnavailableError";
+  }
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ *
+ * @param {string|null} value - Header value
+ * @returns {number|null} Milliseconds to wait, or null when absent or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
@@ -0,0 +1,79 @@
+/**
+ * LLM/Embedding Provider Layer
+ *
+ * Every provider implements the same interface so the RAG pipeline does not
+ * depend on a specific vendor:
+ *
+ *   name, label, embeddingModel, chatModel
+ *                                        - Identification for logs, errors and stats
+ *   isConfigured()                       - Whether credentials are present
+ *   embed(texts, inputType, options)     - Vectors for "search_document" or "search_query" texts
+ *   chat(message, documents, preamble, history, options)
+ *                                        - { text, citations, finishReason, toolCalls? }
+ *   chatStream(message, documents, preamble, history, options)
+ *                                        - Async iterator of { type: "text" | "citations" | "end", ... }
+ *   generateSearchQueries(message, history, options)
+ *                                        - Standalone search queries for a follow-up
+ *   rerank(query, texts, options)        - Optional: [{ index, relevanceScore }] by relevance
+ *
+ * `documents` are `{ id, text }` objects and `history` uses Cohere-style
+ * `{ role: "USER" | "CHATBOT" | "SYSTEM", message }` entries. `options` may
+ * carry an `abortSignal`, a `temperature`, `maxRetries` (see ./resilience.js)
+ * and, for chat, a `responseFormat`
+ * of `{ type: "json_object", schema }` asking for JSON output (honoured where
+ * the vendor supports it; the message should ask for JSON as well).
+ *
+ * For tool use (see lib/tools), chat `options.tools` lists tool definitions
+ * as `{ name, description, parameters }` with JSON Schema parameters, and
+ * the reply's `toolCalls` are `{ id, name, parameters }` objects. The next
+ * call passes every call made so far back as `options.toolResults`:
+ * `{ call: { id, name, parameters }, outputs: [result objects] }`.
+ *
+ * The provider is selected with LLM_PROVIDER: "cohere" (default), "mock" or "openai".
+ * createResilientProvider (./resilience.js) wraps any of them with timeouts,
+ * retries and circuit breakers, and instrumentProvider (./instrument.js)
+ * with metrics and tracing.
+ */
+
+import { createCohereProvider } from "./cohere.js";
+import { createMockProvider } from "./mock.js";
+import { createOpenAIProvider } from "./openai.js";
+
+export {
+  ProviderError,
+  ProviderTimeoutError,
+  ProviderUnavailableError,
+} from "./errors.js";
+export { classifyProviderError, instrumentProvider } from "./instrument.js";
+export {
+  PROVIDER_TIMEOUT_MS,
+  createResilientProvider,
+  isTransientError,
+} from "./resilience.js";
+
+// Factories for the available providers, keyed by LLM_PROVIDER value
+const PROVIDERS = {
+  cohere: createCohereProvider,
+  mock: createMockProvider,
+  openai: createOpenAIProvider,
+};
+
+/**
+ * Create the provider selected by name or by the LLM_PROVIDER variable
+ *
+ * @param {string} [name] - Provider name (defaults to LLM_PROVIDER or "cohere")
+ * @returns {Object} Provider instance
+ */
+export function createProvider(name = process.env.LLM_PROVIDER || "cohere") {
+  const factory = PROVIDERS[name.toLowerCase()];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(
+        PROVIDERS
+      ).join(", ")}`
+    );
+  }
+
+  return factory();
+}
@@ -0,0 +1,151 @@
+/**
+ * Provider Instrumentation - Durations, error counts and spans for provider calls
+ *
+ * Wraps any provider (see ./index.js) without changing its interface:
+ * 1. Each call's duration is observed in the stage histogram
+ *    (embed_query, embed_documents, chat, chat_stream, search_queries, rerank)
+ * 2. Failures are counted by type (timeout, rate_limited, server_error,
+ *    client_error, unavailable, circuit_open, other); aborted calls aren't
+ *    failures
+ * 3. Each call runs in an OpenTelemetry span named `<provider>.<operation>`
+ *    (e.g. "cohere.chat") when tracing is enabled
+ */
+
+import { endSpan, startSpan, withSpan } from "../tracing.js";
+import {
+  ProviderError,
+  ProviderTimeoutError,
+  ProviderUnavailableError,
+} from "./errors.js";
+
+/**
+ * Classify a failed provider call for the upstream error counter
+ *
+ * @param {Error} err - Error thrown by the provider
+ * @returns {string|null} Error type, or null for aborted calls
+ */
+export function classifyProviderError(err) {
+  if (err?.name === "AbortError") return null;
+  if (err instanceof ProviderTimeoutError) return "timeout";
+  if (err instanceof ProviderUnavailableError) return "circuit_open";
+  if (!(err instanceof ProviderError)) return "other";
+
+  if (err.statusCode === 429) return "rate_limited";
+  if (err.statusCode >= 500) return "server_error";
+  if (err.statusCode >= 400) return "client_error";
+  return "unavailable"; // No HTTP response (network failure)
+}
+
+/**
+ * Wrap a provider so its calls are timed, counted and traced
+ *
+ * @param {Object} provider - Provider instance
+ * @param {Object} metrics - From createServerMetrics
+ * @param {Histogram} metrics.stageDuration - Call durations by stage
+ * @param {Counter} metrics.upstreamErrors - Failures by provider, operation and type
+ * @returns {Object} Provider with the same interface
+ */
+export function instrumentProvider(
+  provider,
+  { stageDuration, upstreamErrors }
+) {
+  const countError = (operation, err) => {
+    const type = classifyProviderError(err);
+    if (type) upstreamErrors.inc({ provider: provider.name, operation, type });
+  };
+
+  /**
+   * Run one provider call inside a span, timing it and counting failures
+   */
+  const call = (operation, stage, attributes, fn) =>
+    withSpan(
+      `${provider.name}.${operation}`,
+      { "llm.provider": provider.name, ...attributes },
+      async () => {
+        try {
+          return await stageDuration.time({ stage }, fn);
+        } catch (err) {
+          countError(operation, err);
+          throw err;
+        }
+      }
+    );
+
+  return {
+    ...provider,
+
+    embed(texts, inputType, options) {
+      return call(
+        "embed",
+        inputType === "search_query" ? "embed_query" : "embed_documents",
+        {
+          "llm.model": provider.embeddingModel,
+          "embed.input_type": inputType,
+          "embed.texts": texts.length,
+        },
+        () => provider.embed(texts, inputType, options)
+      );
+    },
+
+    chat(message, documents, preamble, history, options) {
+      return call(
+        "chat",
+        "chat",
+        {
+          "llm.model": provider.chatModel,
+          "chat.documents": documents?.length ?? 0,
+        },
+        () => provider.chat(message, documents, preamble, history, options)
+      );
+    },
+
+    // Timed from the request until the last event has been consumed
+    async *chatStream(message, documents, preamble, history, options) {
+      const span = startSpan(`${provider.name}.chat_stream`, {
+        "llm.provider": provider.name,
+        "llm.model": provider.chatModel,
+        "chat.documents": documents?.length ?? 0,
+      });
+      const startedAt = process.hrtime.bigint();
+      let failure = null;
+
+      try {
+        yield* provider.chatStream(
+          message,
+          documents,
+          preamble,
+          history,
+          options
+        );
+      } catch (err) {
+        failure = err;
+        countError("chat_stream", err);
+        throw err;
+      } finally {
+        // Also reached when the consumer stops iterating early
+        endSpan(span, failure);
+        stageDuration.observe(
+          { stage: "chat_stream" },
+          Number(process.hrtime.bigint() - startedAt) / 1e9
+        );
+      }
+    },
+
+    generateSearchQueries(message, history, options) {
+      return call(
+        "search_queries",
+        "search_queries",
+        { "llm.model": provider.chatModel },
+        () => provider.generateSearchQueries(message, history, options)
+      );
+    },
+
+    ...(typeof provider.rerank === "function" && {
+      rerank(query, texts, options) {
+        return call("rerank", "rerank", { "rerank.texts": texts.length }, () =>
+          provider.rerank(query, texts, options)
+        );
+      },
+    }),
+  };
+}
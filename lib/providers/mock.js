@@ -0,0 +1,498 @@
+/**
+ * Mock Provider - Deterministic, offline stand-in for a real LLM provider
+ *
+ * Lets CI and offline development exercise the full RAG pipeline without an
+ * API key:
+ * - Embeddings are feature-hashed bags of words (and word pairs), so texts
+ *   that share vocabulary get similar vectors and retrieval stays meaningful
+ * - Chat replies are templated from the retrieved documents, with citations
+ *   pointing at the documents they quote
+ * - Tools are called by keyword (e.g. "safe", "convert", "ready by"), and
+ *   replies after tool calls summarize their results
+ *
+ * The same input always produces the same output. MOCK_FAILURES makes
+ * chosen operations fail, to try out retries, the circuit breaker and
+ * degraded replies (see ./resilience.js).
+ */
+
+import { ProviderError } from "./errors.js";
+
+// Embedding dimension for hashed vectors
+const EMBEDDING_DIMENSION = parseInt(process.env.MOCK_EMBEDDING_DIM, 10) || 384;
+
+// Simulated upstream failures as "operation:failure" pairs, e.g.
+// "chat:503,embed:timeout" (an HTTP status, or "timeout" to hang until the
+// call is aborted). Operations: embed, chat (also streaming), search_queries
+const MOCK_FAILURES = new Map(
+  (process.env.MOCK_FAILURES || "")
+    .split(",")
+    .map((entry) => entry.trim().split(":"))
+    .filter(([operation, failure]) => operation && failure)
+);
+
+// Number of retrieved documents quoted in a templated reply
+const DOCUMENTS_QUOTED = 3;
+
+// Common words that carry no retrieval signal
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be but by can do does for from how i if in into is it " +
+    "its me my of on or so that the their them then there these this to was " +
+    "what when where which who why will with you your"
+  ).split(" ")
+);
+
+/**
+ * 32-bit FNV-1a hash of a string
+ *
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Split text into lowercase content words with naive plural stripping
+ *
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Tokens
+ */
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter((token) => !STOPWORDS.has(token))
+    .map((token) =>
+      token.length > 3 && token.endsWith("s") ? token.slice(0, -1) : token
+    );
+}
+
+/**
+ * Embed text by hashing words and adjacent word pairs into a fixed vector
+ *
+ * @param {string} text - Text to embed
+ * @returns {number[]} Unit-length embedding vector
+ */
+function hashEmbedding(text) {
+  const vector = new Array(EMBEDDING_DIMENSION).fill(0);
+  const tokens = tokenize(text);
+
+  const addFeature = (feature, weight) => {
+    const hash = fnv1a(feature);
+    const sign = hash & 0x80000000 ? -1 : 1; // Signed hashing reduces collision bias
+    vector[hash % EMBEDDING_DIMENSION] += sign * weight;
+  };
+
+  tokens.forEach((token, idx) => {
+    addFeature(token, 1);
+    if (idx > 0) addFeature(`${tokens[idx - 1]} ${token}`, 0.5);
+  });
+
+  // Normalize to unit length (all-zero vectors stay zero)
+  const magnitude = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return magnitude > 0 ? vector.map((v) => v / magnitude) : vector;
+}
+
+/**
+ * Return the first sentences of a text
+ *
+ * @param {string} text - Source text
+ * @param {number} count - Number of sentences to keep
+ * @returns {string} Leading sentences
+ */
+function leadingSentences(text, count) {
+  const sentences = text.match(/[^.!?]+[.!?]+(\s|$)/g) || [text];
+  return sentences.slice(0, count).join("").trim();
+}
+
+/**
+ * Build a templated reply that quotes the retrieved documents
+ *
+ * @param {string} message - User's message
+ * @param {Object[]} documents - Retrieved documents as { id, text }
+ * @returns {Object} { text, citations }
+ */
+function templatedReply(message, documents) {
+  if (documents.length === 0) {
+    return {
+      text:
+        "I couldn't find anything in the CulinaryGPT knowledge base about that yet. " +
+        "Try asking about recipes, techniques, substitutions, nutrition, equipment or food safety.",
+      citations: [],
+    };
+  }
+
+  let text = `Here's what the CulinaryGPT knowledge base says about "${message}":\n`;
+  const citations = [];
+
+  for (const doc of documents.slice(0, DOCUMENTS_QUOTED)) {
+    const quote = leadingSentences(doc.text, 2);
+    text += "\n- ";
+
+    citations.push({
+      start: text.length,
+      end: text.length + quote.length,
+      text: quote,
+      documentIds: [doc.id],
+    });
+    text += quote;
+  }
+
+  return { text, citations };
+}
+
+/**
+ * Build a templated recipe JSON object from the retrieved documents
+ *
+ * Used when a JSON response format is requested. Steps quote the first
+ * document's sentences and citations point at them in the serialized output.
+ *
+ * @param {string} message - User's message (first line is the question)
+ * @param {Object[]} documents - Retrieved documents as { id, text }
+ * @returns {Object} { text, citations }
+ */
+function templatedRecipe(message, documents) {
+  const question = message.split("\n")[0].replace(/[?.!]+$/, "");
+  const dish =
+    question.replace(/^(how (do i|to|can i) )?(make|cook|bake) /i, "") ||
+    "Recipe";
+  const source = documents[0];
+
+  // "2 cups flour" style phrases in the top document become ingredients
+  const ingredients = [];
+  for (const doc of documents.slice(0, 1)) {
+    for (const match of doc.text.matchAll(
+      /(\d+(?:\.\d+)?)\s*(cups?|tbsp|tsp|g|ml|oz)\s+(?:of\s+)?([a-z]+(?: (?!and\b|in\b|per\b|to\b)[a-z]+)?)/gi
+    )) {
+      ingredients.push({
+        quantity: Number(match[1]),
+        unit: match[2].toLowerCase(),
+        item: match[3].toLowerCase(),
+      });
+    }
+  }
+
+  const sentences = source
+    ? (source.text.match(/[^.!?]+[.!?]+(\s|$)/g) || [source.text]).map(
+        (sentence) => sentence.trim()
+      )
+    : ["Follow your usual method."];
+  if (sentences.length > 1) sentences.shift(); // Document title
+
+  const recipe = {
+    title: dish.charAt(0).toUpperCase() + dish.slice(1),
+    servings: 4,
+    ingredients:
+      ingredients.length > 0
+        ? ingredients.slice(0, 10)
+        : [{ quantity: null, unit: null, item: dish.toLowerCase() }],
+    steps: sentences.slice(0, 4).map((instruction, idx) => ({
+      step: idx + 1,
+      instruction,
+    })),
+    timings: { prepMinutes: null, cookMinutes: null, totalMinutes: null },
+    safetyNotes: [],
+    sourceIds: documents.slice(0, DOCUMENTS_QUOTED).map((doc) => doc.id),
+  };
+
+  const text = JSON.stringify(recipe, null, 2);
+  const citations = source
+    ? recipe.steps.map((step) => {
+        const quoted = JSON.stringify(step.instruction).slice(1, -1);
+        const start = text.indexOf(quoted);
+        return {
+          start,
+          end: start + quoted.length,
+          text: step.instruction,
+          documentIds: [source.id],
+        };
+      })
+    : [];
+
+  return { text, citations };
+}
+
+/**
+ * Decide which tools to call for a message, by keyword
+ *
+ * @param {string} message - User's message
+ * @param {Object[]} tools - Available tool definitions
+ * @returns {Object[]} Tool calls as { id, name, parameters }
+ */
+function plannedToolCalls(message, tools) {
+  const available = new Map(tools.map((tool) => [tool.name, tool]));
+  const lower = message.toLowerCase();
+  const calls = [];
+  const call = (name, parameters) => {
+    if (available.has(name)) {
+      calls.push({ id: `mock_call_${calls.length + 1}`, name, parameters });
+    }
+  };
+
+  // "roast the chicken for 90 minutes, potatoes 45 minutes ... ready by 6pm"
+  if (/\b(schedule|timers?|plan|ready (by|at))\b/.test(lower)) {
+    const tasks = [
+      ...lower.matchAll(
+        /([a-z][a-z ]*?)\s+(?:for\s+)?(\d+)\s*(hours?|hrs?|minutes?|mins?)\b/g
+      ),
+    ].map((match) => ({
+      name: match[1].replace(/^(and|then|plus|the|to|,)\s+/g, "").trim(),
+      minutes: Number(match[2]) * (match[3].startsWith("h") ? 60 : 1),
+    }));
+    const finishAt = lower.match(
+      /(?:ready|done|finish(?:ed)?)\s+(?:by|at)\s+(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)/
+    );
+    if (tasks.length > 0) {
+      call("plan_timers", {
+        tasks,
+        ...(finishAt && { finishAt: finishAt[1].replace(/\s+/g, "") }),
+      });
+    }
+  }
+
+  // Temperatures ("375°F in celsius") and ingredient amounts
+  const temperature = message.match(/(-?\d+)\s*°?\s*([FC])\b/);
+  const target = /celsius|°c\b/.test(lower)
+    ? "C"
+    : /fahrenheit|°f\b/.test(lower)
+      ? "F"
+      : null;
+  if (temperature && target && temperature[2] !== target) {
+    call("convert_units", { temperature: Number(temperature[1]), to: target });
+  } else if (/\b(convert|scale|double|triple|halve|metric)\b/.test(lower)) {
+    const factor = /\bdouble\b/.test(lower)
+      ? 2
+      : /\btriple\b/.test(lower)
+        ? 3
+        : /\bhalve\b/.test(lower)
+          ? 0.5
+          : undefined;
+    const to = /\b(metric|grams|ml)\b/.test(lower)
+      ? "metric"
+      : /\b(us units|cups|imperial)\b/.test(lower)
+        ? "us"
+        : undefined;
+    const ingredients = message.includes(":")
+      ? message.slice(message.indexOf(":") + 1).trim()
+      : message;
+    if (factor !== undefined || to) {
+      call("convert_units", {
+        ingredients: ingredients.slice(0, 5000),
+        ...(factor !== undefined && { factor }),
+        ...(to && { to }),
+      });
+    }
+  }
+
+  // Safe temperatures and storage times
+  if (
+    /\b(safe|safely|internal temp\w*|fridge|refrigerat\w*|freez\w*|store|keep|last)\b/.test(
+      lower
+    )
+  ) {
+    const topic = /\b(fridge|refrigerat\w*|freez\w*|store|keep|last)\b/.test(
+      lower
+    )
+      ? "storage"
+      : /\b(temp\w*|cook\w*|done)\b/.test(lower)
+        ? "temperature"
+        : "all";
+    call("food_safety_lookup", { food: message.slice(0, 200), topic });
+  }
+
+  // Explicit searches, limited to a category the message names
+  if (calls.length === 0 && /\b(search|look up|find)\b/.test(lower)) {
+    const categories =
+      available.get("search_knowledge_base")?.parameters.properties.category
+        ?.enum ?? [];
+    const category = categories.find((name) =>
+      lower.includes(name.replace(/_/g, " "))
+    );
+    call("search_knowledge_base", {
+      query: message.slice(0, 500),
+      ...(category && { category }),
+    });
+  }
+
+  return calls;
+}
+
+/**
+ * Summarize a tool result in one line
+ *
+ * @param {Object} result - { call, outputs }
+ * @returns {string} Summary
+ */
+function describeToolResult({ call, outputs }) {
+  const [output = {}] = outputs;
+  if (output.error) return `${call.name} failed: ${output.error}`;
+
+  switch (call.name) {
+    case "food_safety_lookup":
+      if (!output.found) {
+        return `No food safety entry found; keep food out of the danger zone (${output.general.dangerZone}).`;
+      }
+      return [
+        `${output.food}:`,
+        output.minInternalTemp && `cook to ${output.minInternalTemp.text}`,
+        output.storage &&
+          Object.entries(output.storage)
+            .map(([key, value]) => `${key} ${value}`)
+            .join(", "),
+      ]
+        .filter(Boolean)
+        .join(" ");
+    case "convert_units":
+      return output.ingredients
+        ? output.ingredients
+            .map((item) => `${item.input} → ${item.text}`)
+            .join("; ")
+        : `${output.value}°${output.from} = ${output.result}°${output.to}`;
+    case "plan_timers":
+      return output.timers.join("; ");
+    case "search_knowledge_base":
+      return `Found: ${output.documents.map((doc) => doc.title).join("; ")}`;
+    default:
+      return JSON.stringify(output).slice(0, 300);
+  }
+}
+
+/**
+ * Build a templated reply that reports tool results before quoting documents
+ *
+ * @param {string} message - User's message
+ * @param {Object[]} documents - Retrieved documents as { id, text }
+ * @param {Object[]} toolResults - { call, outputs }
+ * @returns {Object} { text, citations }
+ */
+function templatedToolReply(message, documents, toolResults) {
+  const summary =
+    "Tool results:\n" +
+    toolResults.map((result) => `- ${describeToolResult(result)}`).join("\n") +
+    "\n\n";
+  const reply = templatedReply(message, documents);
+
+  return {
+    text: summary + reply.text,
+    citations: reply.citations.map((citation) => ({
+      ...citation,
+      start: citation.start + summary.length,
+      end: citation.end + summary.length,
+    })),
+  };
+}
+
+/**
+ * Fail the way an upstream would when MOCK_FAILURES lists the operation
+ *
+ * @param {string} operation - embed, chat or search_queries
+ * @param {AbortSignal} [abortSignal] - Ends a simulated hang
+ */
+async function simulateFailure(operation, abortSignal) {
+  const failure = MOCK_FAILURES.get(operation);
+  if (!failure) return;
+
+  if (failure === "timeout") {
+    // Hang until aborted (at most a minute), like a stalled connection
+    const signal = abortSignal ?? AbortSignal.timeout(60000);
+    await new Promise((resolve) => {
+      if (signal.aborted) resolve();
+      signal.addEventListener("abort", resolve, { once: true });
+    });
+    throw new ProviderError("Mock request aborted", { provider: "mock" });
+  }
+
+  const statusCode = parseInt(failure, 10) || 500;
+  throw new ProviderError(`Mock request failed with status ${statusCode}`, {
+    provider: "mock",
+    statusCode,
+    retryAfterMs: statusCode === 429 ? 1000 : null,
+  });
+}
+
+/**
+ * Create the mock provider
+ *
+ * @returns {Object} Provider implementing embed, chat, chatStream and generateSearchQueries
+ */
+export function createMockProvider() {
+  return {
+    name: "mock",
+    label: "Mock",
+    embeddingModel: `mock-hash-${EMBEDDING_DIMENSION}`,
+    chatModel: "mock-template",
+    // Hashed words carry no topic signal, so off-domain scores are meaningless
+    topicalEmbeddings: false,
+
+    isConfigured() {
+      return true; // No credentials needed
+    },
+
+    async embed(texts, inputType, options = {}) {
+      await simulateFailure("embed", options.abortSignal);
+      return texts.map(hashEmbedding);
+    },
+
+    async chat(message, documents, preamble, history, options = {}) {
+      await simulateFailure("chat", options.abortSignal);
+
+      if (options.toolResults?.length > 0) {
+        return {
+          ...templatedToolReply(message, documents, options.toolResults),
+          finishReason: "COMPLETE",
+          toolCalls: [],
+        };
+      }
+
+      const toolCalls = plannedToolCalls(message, options.tools ?? []);
+      if (toolCalls.length > 0) {
+        return { text: "", citations: [], finishReason: "COMPLETE", toolCalls };
+      }
+
+      const reply =
+        options.responseFormat?.type === "json_object"
+          ? templatedRecipe(message, documents)
+          : templatedReply(message, documents);
+
+      return {
+        ...reply,
+        finishReason: "COMPLETE",
+        toolCalls: [],
+      };
+    },
+
+    async *chatStream(message, documents, preamble, history, options = {}) {
+      await simulateFailure("chat", options.abortSignal);
+      const { text, citations } = templatedReply(message, documents);
+
+      // Emit the reply word by word to mimic incremental generation
+      for (const chunk of text.match(/\S+\s*|\s+/g) || []) {
+        if (options.abortSignal?.aborted) return;
+        yield { type: "text", text: chunk };
+      }
+
+      if (citations.length > 0) {
+        yield { type: "citations", citations };
+      }
+
+      yield { type: "end", text, citations, finishReason: "COMPLETE" };
+    },
+
+    async generateSearchQueries(message, history = [], options = {}) {
+      await simulateFailure("search_queries", options.abortSignal);
+
+      // Prefix the follow-up with the previous question for context
+      const lastUserMessage = [...history]
+        .reverse()
+        .find((entry) => entry.role === "USER");
+
+      return [
+        lastUserMessage ? `${lastUserMessage.message} ${message}` : message,
+      ];
+    },
+  };
+}
@@ -0,0 +1,324 @@
+/**
+ * OpenAI-Compatible Provider - Embeddings and chat over the OpenAI HTTP API
+ *
+ * Works with OpenAI itself and with any server exposing the same
+ * `/embeddings` and `/chat/completions` endpoints (Azure OpenAI proxies,
+ * vLLM, Ollama, LM Studio, ...).
+ *
+ * Retrieved documents are placed in the system message with their ids, and the
+ * model is asked to cite them as `[id]`. Those markers are turned into
+ * citations in the same shape Cohere returns.
+ */
+
+import fetch from "node-fetch"; // HTTP client for the OpenAI-compatible API
+import { ProviderError, parseRetryAfter } from "./errors.js";
+
+const BASE_URL = (
+  process.env.OPENAI_BASE_URL || "https://api.openai.com/v1"
+).replace(/\/+$/, "");
+const EMBEDDING_MODEL =
+  process.env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small";
+const CHAT_MODEL = process.env.OPENAI_CHAT_MODEL || "gpt-4o-mini";
+
+// Map neutral (Cohere-style) chat history roles to OpenAI roles
+const ROLE_MAP = { USER: "user", CHATBOT: "assistant", SYSTEM: "system" };
+
+/**
+ * Send a JSON request to the OpenAI-compatible API
+ *
+ * @param {string} endpoint - Path below the base URL (e.g. "/embeddings")
+ * @param {Object} body - JSON request body
+ * @param {AbortSignal} [abortSignal] - Cancels the request when aborted
+ * @returns {Promise<Object>} The fetch response (status already checked)
+ */
+async function post(endpoint, body, abortSignal) {
+  let response;
+  try {
+    response = await fetch(`${BASE_URL}${endpoint}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(process.env.OPENAI_API_KEY && {
+          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+        }),
+      },
+      body: JSON.stringify(body),
+      signal: abortSignal,
+    });
+  } catch (err) {
+    if (err.name === "AbortError") throw err;
+    throw new ProviderError("OpenAI-compatible request failed", {
+      provider: "openai",
+      cause: err,
+    });
+  }
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => "");
+    throw new ProviderError(
+      `OpenAI-compatible request failed with status ${response.status}`,
+      {
+        provider: "openai",
+        statusCode: response.status,
+        retryAfterMs: parseRetryAfter(response.headers.get("retry-after")),
+        cause: new Error(detail.substring(0, 500)),
+      }
+    );
+  }
+
+  return response;
+}
+
+/**
+ * Build the chat messages, embedding the documents in the system prompt
+ *
+ * @param {string} message - User's message
+ * @param {Object[]} documents - Retrieved documents as { id, text }
+ * @param {string} preamble - System prompt
+ * @param {Object[]} history - Previous turns in neutral chat history format
+ * @returns {Object[]} OpenAI chat messages
+ */
+function buildMessages(message, documents, preamble, history) {
+  let system = preamble || "";
+
+  if (documents.length > 0) {
+    system +=
+      "\n\nDOCUMENTS:\n" +
+      documents.map((doc) => `[${doc.id}] ${doc.text}`).join("\n") +
+      "\n\nWhen you use a document, cite it by appending its id in square brackets, e.g. [" +
+      documents[0].id +
+      "].";
+  }
+
+  return [
+    ...(system ? [{ role: "system", content: system }] : []),
+    ...history.map((entry) => ({
+      role: ROLE_MAP[entry.role] || "user",
+      content: entry.message,
+    })),
+    { role: "user", content: message },
+  ];
+}
+
+/**
+ * Messages replaying the tool calls of a turn and their results
+ *
+ * @param {Object[]} toolResults - { call: { id, name, parameters }, outputs }
+ * @returns {Object[]} Assistant tool_calls message followed by one tool message per call
+ */
+function buildToolMessages(toolResults) {
+  return [
+    {
+      role: "assistant",
+      content: null,
+      tool_calls: toolResults.map((result) => ({
+        id: result.call.id,
+        type: "function",
+        function: {
+          name: result.call.name,
+          arguments: JSON.stringify(result.call.parameters),
+        },
+      })),
+    },
+    ...toolResults.map((result) => ({
+      role: "tool",
+      tool_call_id: result.call.id,
+      content: JSON.stringify(result.outputs),
+    })),
+  ];
+}
+
+/**
+ * Read the tool calls of a chat completion choice
+ *
+ * @param {Object} [message] - Choice message
+ * @returns {Object[]} Tool calls as { id, name, parameters }
+ */
+function parseToolCalls(message) {
+  return (message?.tool_calls ?? [])
+    .filter((call) => call.type === "function")
+    .map((call) => {
+      let parameters = {};
+      try {
+        parameters = JSON.parse(call.function.arguments || "{}");
+      } catch {
+        // Malformed arguments fail schema validation and are reported back
+      }
+      return { id: call.id, name: call.function.name, parameters };
+    });
+}
+
+/**
+ * Turn `[document_id]` markers in a reply into Cohere-style citations
+ *
+ * Each sentence that ends with one or more known document ids becomes a
+ * citation spanning that sentence.
+ *
+ * @param {string} text - Generated reply
+ * @param {Object[]} documents - Documents given to the model
+ * @returns {Object[]} Citations as { start, end, text, documentIds }
+ */
+function extractCitations(text, documents) {
+  const knownIds = new Set(documents.map((doc) => doc.id));
+  const citations = [];
+  const sentencePattern = /[^.!?\n]+[.!?]*(\s*\[[^\]]+\])*/g;
+
+  for (const match of text.matchAll(sentencePattern)) {
+    const ids = [...match[0].matchAll(/\[([^\]]+)\]/g)]
+      .flatMap((marker) => marker[1].split(/\s*,\s*/))
+      .filter((id) => knownIds.has(id));
+
+    if (ids.length === 0) continue;
+
+    const sentence = match[0].replace(/\s*\[[^\]]+\]/g, "").trim();
+    const start = text.indexOf(sentence, match.index);
+    citations.push({
+      start: start,
+      end: start + sentence.length,
+      text: sentence,
+      documentIds: [...new Set(ids)],
+    });
+  }
+
+  return citations;
+}
+
+/**
+ * Create the OpenAI-compatible provider
+ *
+ * @returns {Object} Provider implementing embed, chat, chatStream and generateSearchQueries
+ */
+export function createOpenAIProvider() {
+  return {
+    name: "openai",
+    label: "OpenAI-compatible",
+    embeddingModel: EMBEDDING_MODEL,
+    chatModel: CHAT_MODEL,
+
+    isConfigured() {
+      // Local OpenAI-compatible servers often need no key
+      return !!process.env.OPENAI_API_KEY || !!process.env.OPENAI_BASE_URL;
+    },
+
+    async embed(texts, inputType, options = {}) {
+      const response = await post(
+        "/embeddings",
+        { model: EMBEDDING_MODEL, input: texts },
+        options.abortSignal
+      );
+      const json = await response.json();
+
+      // Results may arrive out of order - restore input order by index
+      return json.data
+        .sort((a, b) => a.index - b.index)
+        .map((item) => item.embedding);
+    },
+
+    async chat(message, documents, preamble, history = [], options = {}) {
+      const response = await post(
+        "/chat/completions",
+        {
+          model: CHAT_MODEL,
+          messages: [
+            ...buildMessages(message, documents, preamble, history),
+            ...(options.toolResults?.length > 0
+              ? buildToolMessages(options.toolResults)
+              : []),
+          ],
+          temperature: options.temperature ?? 0.3,
+          ...(options.responseFormat?.type === "json_object" && {
+            response_format: { type: "json_object" },
+          }),
+          ...(options.tools?.length > 0 && {
+            tools: options.tools.map((tool) => ({
+              type: "function",
+              function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.parameters,
+              },
+            })),
+          }),
+        },
+        options.abortSignal
+      );
+      const json = await response.json();
+      const choice = json.choices?.[0];
+      const text = choice?.message?.content ?? "";
+
+      return {
+        text: text,
+        citations: extractCitations(text, documents),
+        finishReason: choice?.finish_reason ?? null,
+        toolCalls: parseToolCalls(choice?.message),
+      };
+    },
+
+    async *chatStream(
+      message,
+      documents,
+      preamble,
+      history = [],
+      options = {}
+    ) {
+      const response = await post(
+        "/chat/completions",
+        {
+          model: CHAT_MODEL,
+          messages: buildMessages(message, documents, preamble, history),
+          temperature: options.temperature ?? 0.3,
+          stream: true,
+        },
+        options.abortSignal
+      );
+
+      let text = "";
+      let finishReason = null;
+      let buffer = "";
+
+      // Parse the upstream SSE stream line by line
+      for await (const chunk of response.body) {
+        buffer += chunk.toString("utf-8");
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const data = line.trim();
+          if (!data.startsWith("data:")) continue;
+
+          const payload = data.slice(5).trim();
+          if (payload === "[DONE]") continue;
+
+          const choice = JSON.parse(payload).choices?.[0];
+          const delta = choice?.delta?.content;
+          if (delta) {
+            text += delta;
+            yield { type: "text", text: delta };
+          }
+          if (choice?.finish_reason) finishReason = choice.finish_reason;
+        }
+      }
+
+      // Citations can only be resolved once the whole reply is known
+      const citations = extractCitations(text, documents);
+      if (citations.length > 0) {
+        yield { type: "citations", citations };
+      }
+
+      yield { type: "end", text, citations, finishReason };
+    },
+
+    async generateSearchQueries(message, history = [], options = {}) {
+      const { text } = await this.chat(
+        message,
+        [],
+        "Rewrite the user's final message as a standalone search query for a cooking knowledge base, " +
+          "using the earlier conversation to resolve references. Reply with the query only.",
+        history,
+        { ...options, temperature: 0 }
+      );
+
+      return text.trim() ? [text.trim()] : [];
+    },
+  };
+}
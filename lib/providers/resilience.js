@@ -0,0 +1,509 @@
+/**
+ * Provider Resilience - Timeouts, retries and circuit breakers for provider calls
+ *
+ * Wraps any provider (see ./index.js) without changing its interface:
+ * 1. Each call has a deadline (PROVIDER_TIMEOUT_MS); a stream has it for
+ *    every event, so a long but steady reply isn't cut off
+ * 2. Timeouts, throttling (429), server errors and network failures are
+ *    retried with exponential backoff and full jitter, waiting at least as
+ *    long as the upstream's Retry-After; a stream is only retried until its
+ *    first event arrives
+ * 3. A circuit breaker per group of calls (embedding, generation, rerank)
+ *    fails fast with ProviderUnavailableError after repeated upstream
+ *    failures, and lets a single trial call through after a cooldown
+ *
+ * Invalid requests (other 4xx) and aborted calls are neither retried nor
+ * counted against a circuit; neither is throttling, which the backoff
+ * already deals with.
+ */
+
+import {
+  ProviderError,
+  ProviderTimeoutError,
+  ProviderUnavailableError,
+} from "./errors.js";
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Deadline for one provider call, or between two events of a stream
+export const PROVIDER_TIMEOUT_MS =
+  parseInt(process.env.PROVIDER_TIMEOUT_MS, 10) || 30000;
+
+// Retries after the first attempt (0 disables retrying)
+const MAX_RETRIES = Math.max(
+  0,
+  parseInt(process.env.PROVIDER_MAX_RETRIES ?? "2", 10) || 0
+);
+
+// Backoff before the first retry, doubled for each further one
+const RETRY_BASE_MS = parseInt(process.env.PROVIDER_RETRY_BASE_MS, 10) || 500;
+
+// Longest wait before a retry; a longer Retry-After fails the call instead
+const RETRY_MAX_DELAY_MS =
+  parseInt(process.env.PROVIDER_RETRY_MAX_DELAY_MS, 10) || 10000;
+
+// Consecutive upstream failures that open a circuit
+const CIRCUIT_FAILURE_THRESHOLD =
+  parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5;
+
+// How long an open circuit rejects calls before letting a trial call through
+const CIRCUIT_COOLDOWN_MS =
+  parseInt(process.env.CIRCUIT_COOLDOWN_MS, 10) || 30000;
+
+// Circuit guarding each operation: an outage of the chat model shouldn't
+// stop retrieval, and the other way round
+const OPERATION_CIRCUITS = {
+  embed: "embedding",
+  chat: "generation",
+  chat_stream: "generation",
+  search_queries: "generation",
+  rerank: "rerank",
+};
+
+// ============================================================================
+// ERROR CLASSIFICATION
+// ============================================================================
+
+/**
+ * Whether a failed call may succeed when tried again
+ *
+ * @param {Error} err - Error thrown by the provider
+ * @returns {boolean} True for timeouts, 408, 429, 5xx and network failures
+ */
+export function isTransientError(err) {
+  if (err instanceof ProviderTimeoutError) return true;
+  if (
+    !(err instanceof ProviderError) ||
+    err instanceof ProviderUnavailableError
+  )
+    return false;
+
+  const { statusCode } = err;
+  return (
+    statusCode === null ||
+    statusCode === 408 ||
+    statusCode === 429 ||
+    statusCode >= 500
+  );
+}
+
+/**
+ * Whether a failed call suggests the upstream is down (counts against the circuit)
+ *
+ * @param {Error} err - Error thrown by the provider
+ * @returns {boolean}
+ */
+function isOutage(err) {
+  return isTransientError(err) && err.statusCode !== 429;
+}
+
+// ============================================================================
+// CIRCUIT BREAKER
+// ============================================================================
+
+/**
+ * Circuit breaker for one group of upstream calls
+ *
+ * closed → open after `failureThreshold` consecutive outages; open →
+ * half_open once `cooldownMs` has passed, letting one trial call through;
+ * the trial closes the circuit again or reopens it.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {string} name - Circuit name (embedding, generation, rerank)
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold] - Consecutive outages that open it
+   * @param {number} [options.cooldownMs] - Time open before a trial call
+   */
+  constructor(
+    name,
+    {
+      failureThreshold = CIRCUIT_FAILURE_THRESHOLD,
+      cooldownMs = CIRCUIT_COOLDOWN_MS,
+    } = {}
+  ) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = "closed";
+    this.failures = 0; // Consecutive outages
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Reserve a call; in half_open state only one call at a time gets through
+   *
+   * @param {number} [now] - Current time in ms
+   * @returns {boolean} Whether the call may go ahead
+   */
+  tryAcquire(now = Date.now()) {
+    if (this.state === "open" && now - this.openedAt >= this.cooldownMs) {
+      this.state = "half_open";
+      this.trialInFlight = false;
+    }
+
+    if (this.state === "closed") return true;
+    if (this.state === "half_open" && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    if (this.state !== "closed") {
+      console.log(`Circuit "${this.name}" closed: upstream recovered`);
+    }
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * @param {number} [now] - Current time in ms
+   */
+  recordFailure(now = Date.now()) {
+    this.failures++;
+    if (this.state === "half_open" || this.failures >= this.failureThreshold) {
+      if (this.state !== "open") {
+        console.warn(
+          `Circuit "${this.name}" opened after ${this.failures} consecutive failures; ` +
+            `retrying in ${Math.round(this.cooldownMs / 1000)}s`
+        );
+      }
+      this.state = "open";
+      this.openedAt = now;
+    }
+    this.trialInFlight = false;
+  }
+
+  /**
+   * End a call that says nothing about the upstream's health (aborted,
+   * throttled or invalid), freeing the trial slot
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * @param {number} [now] - Current time in ms
+   * @returns {number} Time until the circuit lets a call through (0 when closed)
+   */
+  retryAfterMs(now = Date.now()) {
+    if (this.state === "closed") return 0;
+    return Math.max(1000, this.openedAt + this.cooldownMs - now);
+  }
+
+  /**
+   * @returns {Object} { state, failures, openedAt, retryAfterMs } for /health
+   */
+  snapshot() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt && new Date(this.openedAt).toISOString(),
+      retryAfterMs: this.retryAfterMs(),
+    };
+  }
+}
+
+// ============================================================================
+// DEADLINES AND BACKOFF
+// ============================================================================
+
+/**
+ * Deadline for a call, combined with the caller's abort signal
+ *
+ * The returned signal is handed to the provider so the request itself is
+ * cancelled; race() also rejects on time when a call ignores it.
+ *
+ * @param {AbortSignal} [abortSignal] - Caller's signal
+ * @param {number} timeoutMs - Time allowed
+ * @param {Function} onTimeout - Builds the timeout error from the call's own error
+ * @returns {Object} { signal, race(promise), restart(), clear() }
+ */
+function createDeadline(abortSignal, timeoutMs, onTimeout) {
+  const controller = new AbortController();
+  let timer = null;
+
+  const restart = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(), timeoutMs);
+  };
+  restart();
+
+  // The caller aborting isn't a timeout
+  const expired = () => controller.signal.aborted && !abortSignal?.aborted;
+
+  return {
+    signal: abortSignal
+      ? AbortSignal.any([abortSignal, controller.signal])
+      : controller.signal,
+
+    race(promise) {
+      return new Promise((resolve, reject) => {
+        const rejectOnTimeout = () => {
+          if (expired()) reject(onTimeout());
+        };
+        controller.signal.addEventListener("abort", rejectOnTimeout, {
+          once: true,
+        });
+
+        promise
+          .then(resolve, (err) => reject(expired() ? onTimeout(err) : err))
+          .finally(() =>
+            controller.signal.removeEventListener("abort", rejectOnTimeout)
+          );
+      });
+    },
+
+    restart,
+    clear: () => clearTimeout(timer),
+  };
+}
+
+/**
+ * Delay before the next attempt, or null when the call shouldn't be retried
+ *
+ * Full jitter: a random delay up to the exponential backoff, so clients
+ * failing together don't retry together. A Retry-After sets the minimum.
+ *
+ * @param {Error} err - Failure of the last attempt
+ * @param {number} retry - Retries made so far
+ * @param {number} maxRetries - Retries allowed
+ * @returns {number|null} Milliseconds to wait
+ */
+function retryDelay(err, retry, maxRetries) {
+  if (retry >= maxRetries || !isTransientError(err)) return null;
+
+  const backoff =
+    Math.random() * Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_MS * 2 ** retry);
+  if (err.retryAfterMs === null) return Math.round(backoff);
+
+  // Waiting longer than allowed would only hold up the caller
+  if (err.retryAfterMs > RETRY_MAX_DELAY_MS) return null;
+  return Math.round(Math.max(backoff, err.retryAfterMs));
+}
+
+/**
+ * Wait before a retry, cut short when the caller aborts
+ *
+ * @param {number} ms - Delay
+ * @param {AbortSignal} [abortSignal] - Caller's signal
+ */
+function sleep(ms, abortSignal) {
+  return new Promise((resolve, reject) => {
+    if (abortSignal?.aborted) return reject(abortSignal.reason);
+
+    const timer = setTimeout(() => {
+      abortSignal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortSignal.reason);
+    };
+    abortSignal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// ============================================================================
+// RESILIENT PROVIDER
+// ============================================================================
+
+/**
+ * Wrap a provider with deadlines, retries and circuit breakers
+ *
+ * Call options may set `maxRetries` to override PROVIDER_MAX_RETRIES (e.g.
+ * more patience for batch embedding than for a user waiting on a reply).
+ *
+ * @param {Object} provider - Provider instance
+ * @param {Object} [options]
+ * @param {Function} [options.onRetry] - Called with { operation, retry, delayMs, error }
+ * @param {number} [options.timeoutMs] - Deadline per call (PROVIDER_TIMEOUT_MS)
+ * @returns {Object} Provider with the same interface, plus circuitStatus()
+ */
+export function createResilientProvider(
+  provider,
+  { onRetry = () => {}, timeoutMs = PROVIDER_TIMEOUT_MS } = {}
+) {
+  const circuits = Object.fromEntries(
+    [...new Set(Object.values(OPERATION_CIRCUITS))].map((name) => [
+      name,
+      new CircuitBreaker(name),
+    ])
+  );
+
+  const timeoutError = (operation) => (cause) =>
+    new ProviderTimeoutError(
+      `${provider.label} ${operation} timed out after ${timeoutMs} ms`,
+      { provider: provider.name, cause }
+    );
+
+  /**
+   * Record how an attempt went on its circuit
+   */
+  const settle = (circuit, err, abortSignal) => {
+    if (!abortSignal?.aborted && isOutage(err)) circuit.recordFailure();
+    else circuit.release();
+  };
+
+  /**
+   * Run attempts through the circuit until one succeeds or retrying is pointless
+   *
+   * @param {string} operation - Key of OPERATION_CIRCUITS
+   * @param {Object} options - Call options ({ abortSignal, maxRetries })
+   * @param {Function} attempt - Makes one attempt
+   * @returns {Promise<*>} Result of the successful attempt
+   */
+  const withRetries = async (operation, options, attempt) => {
+    const circuit = circuits[OPERATION_CIRCUITS[operation]];
+    const maxRetries = options.maxRetries ?? MAX_RETRIES;
+
+    for (let retry = 0; ; retry++) {
+      if (!circuit.tryAcquire()) {
+        throw new ProviderUnavailableError(
+          `${provider.label} ${circuit.name} is unavailable after repeated failures`,
+          { provider: provider.name, retryAfterMs: circuit.retryAfterMs() }
+        );
+      }
+
+      try {
+        const result = await attempt();
+        circuit.recordSuccess();
+        return result;
+      } catch (err) {
+        settle(circuit, err, options.abortSignal);
+        if (options.abortSignal?.aborted) throw err;
+
+        const delayMs = retryDelay(err, retry, maxRetries);
+        if (delayMs === null) throw err;
+
+        console.warn(
+          `${provider.name}.${operation} failed (${err.message}); ` +
+            `retry ${retry + 1} of ${maxRetries} in ${delayMs} ms`
+        );
+        onRetry({ operation, retry: retry + 1, delayMs, error: err });
+        await sleep(delayMs, options.abortSignal);
+      }
+    }
+  };
+
+  /**
+   * One-shot call with a deadline per attempt
+   */
+  const call = (operation, options, fn) =>
+    withRetries(operation, options, async () => {
+      const deadline = createDeadline(
+        options.abortSignal,
+        timeoutMs,
+        timeoutError(operation)
+      );
+      try {
+        return await deadline.race(
+          fn({ ...options, abortSignal: deadline.signal })
+        );
+      } finally {
+        deadline.clear();
+      }
+    });
+
+  return {
+    ...provider,
+
+    embed(texts, inputType, options = {}) {
+      return call("embed", options, (attemptOptions) =>
+        provider.embed(texts, inputType, attemptOptions)
+      );
+    },
+
+    chat(message, documents, preamble, history, options = {}) {
+      return call("chat", options, (attemptOptions) =>
+        provider.chat(message, documents, preamble, history, attemptOptions)
+      );
+    },
+
+    // Opening the stream (up to its first event) is retried like a call;
+    // after that the deadline restarts with every event
+    async *chatStream(message, documents, preamble, history, options = {}) {
+      const circuit = circuits[OPERATION_CIRCUITS.chat_stream];
+      let deadline = null;
+
+      const { iterator, first } = await withRetries(
+        "chat_stream",
+        options,
+        async () => {
+          deadline = createDeadline(
+            options.abortSignal,
+            timeoutMs,
+            timeoutError("chat_stream")
+          );
+          const iterator = provider
+            .chatStream(message, documents, preamble, history, {
+              ...options,
+              abortSignal: deadline.signal,
+            })
+            [Symbol.asyncIterator]();
+
+          try {
+            return { iterator, first: await deadline.race(iterator.next()) };
+          } catch (err) {
+            deadline.clear();
+            throw err;
+          }
+        }
+      );
+
+      let next = first;
+      try {
+        while (!next.done) {
+          // The consumer's time with an event doesn't count
+          deadline.clear();
+          yield next.value;
+          deadline.restart();
+          next = await deadline.race(iterator.next());
+        }
+      } catch (err) {
+        settle(circuit, err, options.abortSignal);
+        throw err;
+      } finally {
+        deadline.clear();
+        // Close the upstream stream when the consumer stops early or it
+        // failed (without waiting on a call that may never settle)
+        if (!next.done) iterator.return?.().catch(() => {});
+      }
+    },
+
+    generateSearchQueries(message, history, options = {}) {
+      return call("search_queries", options, (attemptOptions) =>
+        provider.generateSearchQueries(message, history, attemptOptions)
+      );
+    },
+
+    ...(typeof provider.rerank === "function" && {
+      rerank(query, texts, options = {}) {
+        return call("rerank", options, (attemptOptions) =>
+          provider.rerank(query, texts, attemptOptions)
+        );
+      },
+    }),
+
+    /**
+     * @returns {Object} Circuit name → snapshot (see CircuitBreaker#snapshot)
+     */
+    circuitStatus() {
+      return Object.fromEntries(
+        Object.values(circuits)
+          .filter(
+            (circuit) =>
+              circuit.name !== "rerank" || typeof provider.rerank === "function"
+          )
+          .map((circuit) => [circuit.name, circuit.snapshot()])
+      );
+    },
+  };
+}
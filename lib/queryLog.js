@@ -0,0 +1,692 @@
+/**
+ * Query Log - Persisted chat analytics and response feedback
+ *
+ * Every chat reply is logged with:
+ * 1. The prompt, redacted (emails, URLs and long numbers removed) or only
+ *    as a hash (QUERY_LOG_PROMPTS=hash)
+ * 2. The retrieved document ids with their scores and categories
+ * 3. Latency per pipeline stage and estimated token usage
+ *
+ * Replies carry a `responseId` that clients rate with POST /feedback.
+ * summarizeQueryLog turns the log into the /stats/queries report: top
+ * questions, knowledge gaps (questions no document matched well) and
+ * satisfaction per category.
+ *
+ * Storage is selected with QUERY_LOG_STORE ("file" by default, "memory" or
+ * "off"). The file store appends JSON lines, so the log survives restarts.
+ */
+
+import fs from "fs/promises"; // Append-only log files
+import os from "os"; // Writable temporary directory on Vercel
+import path from "path"; // Path utilities for cross-platform compatibility
+import crypto from "crypto"; // Response ids and prompt hashes
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// How prompts are kept: "redacted" text or only a "hash"
+export const QUERY_LOG_PROMPTS =
+  process.env.QUERY_LOG_PROMPTS === "hash" ? "hash" : "redacted";
+
+// Best vector similarity below which a question counts as a knowledge gap
+export const KNOWLEDGE_GAP_SCORE =
+  Number(process.env.QUERY_LOG_GAP_SCORE) || 0.4;
+
+// Entries kept by the in-memory store (oldest are dropped first), and lines
+// per log file before the file store rotates it
+const MAX_ENTRIES = parseInt(process.env.QUERY_LOG_MAX_ENTRIES, 10) || 10000;
+
+// Optional key for prompt hashes, so short prompts can't be guessed back
+const HASH_SECRET = process.env.QUERY_LOG_HASH_SECRET || null;
+
+// Default directory for the file-backed store (gitignored). Vercel only
+// allows writes to the temporary directory.
+const DEFAULT_QUERY_LOG_DIR = process.env.VERCEL
+  ? path.join(os.tmpdir(), "culinarygpt-logs")
+  : path.join(process.cwd(), "logs");
+
+// Longest prompt, search query or comment kept, in characters
+const MAX_LOGGED_TEXT = 500;
+
+// Longest feedback comment accepted
+export const MAX_COMMENT_LENGTH = 1000;
+
+export const FEEDBACK_RATINGS = ["up", "down"];
+
+// Pipeline stages timed per reply ("request" is validation and loading the
+// conversation and profile)
+export const QUERY_STAGES = [
+  "request",
+  "moderation",
+  "cache",
+  "retrieval",
+  "generation",
+];
+
+// Personal details removed from logged text
+const REDACTIONS = [
+  [/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, "[email]"],
+  [/\bhttps?:\/\/[^\s,;)]+|\bwww\.[^\s,;)]+/gi, "[url]"],
+  [/\+?\d[\d\s().-]{6,}\d/g, "[number]"], // Phone and card numbers
+];
+
+// ============================================================================
+// STORAGE BACKENDS
+// ============================================================================
+
+/**
+ * In-memory query log
+ *
+ * Keeps the most recent QUERY_LOG_MAX_ENTRIES entries and feedback; lost
+ * when the process restarts.
+ */
+export class MemoryQueryLogStore {
+  /**
+   * @param {number} [maxEntries] - Entries (and feedback) kept
+   */
+  constructor(maxEntries = MAX_ENTRIES) {
+    this.name = "memory";
+    this.maxEntries = maxEntries;
+    this.queries = [];
+    this.ratings = [];
+  }
+
+  async append(entry) {
+    this.queries.push(entry);
+    if (this.queries.length > this.maxEntries) this.queries.shift();
+  }
+
+  async appendFeedback(feedback) {
+    this.ratings.push(feedback);
+    if (this.ratings.length > this.maxEntries) this.ratings.shift();
+  }
+
+  async get(id) {
+    return this.queries.find((entry) => entry.id === id) || null;
+  }
+
+  async entries() {
+    return [...this.queries];
+  }
+
+  async feedback() {
+    return [...this.ratings];
+  }
+}
+
+/**
+ * Read a JSON lines file
+ *
+ * Lines that don't parse (e.g. cut short by a crash) are skipped.
+ *
+ * @param {string} file - Path of the file
+ * @returns {Promise<Object[]>} Records, or [] when the file doesn't exist
+ */
+async function readJsonLines(file) {
+  let content;
+  try {
+    content = await fs.readFile(file, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return []; // Nothing logged yet
+    throw err;
+  }
+
+  return content.split("\n").flatMap((line) => {
+    if (!line.trim()) return [];
+    try {
+      return [JSON.parse(line)];
+    } catch (err) {
+      return [];
+    }
+  });
+}
+
+/**
+ * Append-only JSON lines file, rotated when it reaches `maxLines`
+ *
+ * The current file (e.g. queries.jsonl) is renamed to the previous
+ * generation (queries.1.jsonl) when full, replacing the one before, so
+ * between maxLines and twice as many records are kept. Both files are read
+ * once; after that the records are served from memory (indexed by `id`
+ * when the records have one).
+ */
+class RotatingJsonLinesLog {
+  /**
+   * @param {string} file - Path of the current file
+   * @param {number} maxLines - Lines written before rotating
+   * @param {Object} [options] - { indexed: true to look records up by id }
+   */
+  constructor(file, maxLines, { indexed = false } = {}) {
+    this.file = file;
+    this.previousFile = file.replace(/\.jsonl$/, ".1.jsonl");
+    this.maxLines = maxLines;
+    this.records = null; // Previous generation, then the current file
+    this.index = indexed ? new Map() : null; // id → record
+    this.currentLines = 0;
+    this.loading = null;
+    this.writes = Promise.resolve(); // Appends run one at a time
+  }
+
+  /**
+   * @returns {Promise<Object[]>} Kept records, oldest first
+   */
+  async load() {
+    this.loading ??= Promise.all([
+      readJsonLines(this.previousFile),
+      readJsonLines(this.file),
+    ]).then(([previous, current]) => {
+      this.records = [...previous, ...current];
+      for (const record of this.records) this.index?.set(record.id, record);
+      this.currentLines = current.length;
+    });
+    await this.loading.catch((err) => {
+      this.loading = null; // Try again on the next call
+      throw err;
+    });
+    return this.records;
+  }
+
+  /**
+   * @param {string} id - Record id
+   * @returns {Promise<Object|null>} Record, or null when unknown or rotated out
+   */
+  async get(id) {
+    await this.load();
+    return this.index.get(id) || null;
+  }
+
+  /**
+   * Append a record, rotating the file first when it is full
+   *
+   * @param {Object} record - Record to write
+   * @returns {Promise<void>}
+   */
+  append(record) {
+    const write = this.writes.then(async () => {
+      await this.load();
+
+      if (this.currentLines >= this.maxLines) {
+        await fs.rename(this.file, this.previousFile);
+        for (const dropped of this.records.splice(
+          0,
+          this.records.length - this.currentLines
+        )) {
+          this.index?.delete(dropped.id);
+        }
+        this.currentLines = 0;
+      }
+
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.appendFile(this.file, `${JSON.stringify(record)}\n`, "utf-8");
+      this.records.push(record);
+      this.index?.set(record.id, record);
+      this.currentLines++;
+    });
+    this.writes = write.catch(() => {}); // A failed write doesn't block the next
+    return write;
+  }
+}
+
+/**
+ * File-backed query log
+ *
+ * Appends one JSON line per entry to `queries.jsonl` and per rating to
+ * `feedback.jsonl` in the configured directory, rotating each file after
+ * QUERY_LOG_MAX_ENTRIES lines so the log can't grow without bound. The files
+ * are read on first use, then entries are looked up by id in memory. On
+ * Vercel the log lives in /tmp, so each instance keeps its own.
+ */
+export class FileQueryLogStore {
+  /**
+   * @param {string} directory - Directory that holds the log files
+   * @param {number} [maxEntries] - Lines per file before it is rotated
+   */
+  constructor(directory = DEFAULT_QUERY_LOG_DIR, maxEntries = MAX_ENTRIES) {
+    this.name = "file";
+    this.directory = directory;
+    this.queries = new RotatingJsonLinesLog(
+      path.join(directory, "queries.jsonl"),
+      maxEntries,
+      { indexed: true }
+    );
+    this.ratings = new RotatingJsonLinesLog(
+      path.join(directory, "feedback.jsonl"),
+      maxEntries
+    );
+  }
+
+  async append(entry) {
+    await this.queries.append(entry);
+  }
+
+  async appendFeedback(feedback) {
+    await this.ratings.append(feedback);
+  }
+
+  async get(id) {
+    return this.queries.get(id);
+  }
+
+  async entries() {
+    return [...(await this.queries.load())];
+  }
+
+  async feedback() {
+    return [...(await this.ratings.load())];
+  }
+}
+
+/**
+ * Create the query log store selected by environment variables
+ *
+ * QUERY_LOG_STORE - "file" (default), "memory" or "off"
+ * QUERY_LOG_DIR   - Directory for the file store (default: ./logs, or a
+ *                   temporary directory on Vercel)
+ *
+ * @returns {MemoryQueryLogStore|FileQueryLogStore|null} Store instance, or null when logging is off
+ */
+export function createQueryLogStore() {
+  const type = (process.env.QUERY_LOG_STORE || "file").toLowerCase();
+
+  if (type === "off") return null;
+
+  if (type === "memory") {
+    console.warn(
+      "Query log is in memory (QUERY_LOG_STORE=memory): analytics and feedback start over on every restart."
+    );
+    return new MemoryQueryLogStore();
+  }
+
+  if (type !== "file") {
+    console.warn(
+      `Unknown QUERY_LOG_STORE "${type}", falling back to file storage.`
+    );
+  }
+
+  return new FileQueryLogStore(
+    process.env.QUERY_LOG_DIR || DEFAULT_QUERY_LOG_DIR
+  );
+}
+
+// ============================================================================
+// LOG ENTRIES
+// ============================================================================
+
+/**
+ * Timer for the stages of one chat reply, carrying its response id
+ */
+export class QueryTrace {
+  /**
+   * @param {string} endpoint - "prompt" or "stream"
+   */
+  constructor(endpoint) {
+    this.id = crypto.randomUUID();
+    this.endpoint = endpoint;
+    this.startedAt = Date.now();
+    this.lastMark = this.startedAt;
+    this.stages = {};
+  }
+
+  /**
+   * Record the time since the previous mark as a stage's latency
+   *
+   * @param {string} stage - One of QUERY_STAGES
+   */
+  mark(stage) {
+    const now = Date.now();
+    this.stages[stage] = now - this.lastMark;
+    this.lastMark = now;
+  }
+
+  /**
+   * @returns {Object} Stage latencies plus `total`, in ms
+   */
+  timings() {
+    return { ...this.stages, total: Date.now() - this.startedAt };
+  }
+}
+
+/**
+ * Remove emails, URLs and long numbers from logged text
+ *
+ * @param {string} text - Prompt, search query or comment
+ * @returns {string} Redacted text, at most MAX_LOGGED_TEXT characters
+ */
+export function redactText(text) {
+  const redacted = REDACTIONS.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    text.trim()
+  );
+  return redacted.length > MAX_LOGGED_TEXT
+    ? `${redacted.substring(0, MAX_LOGGED_TEXT - 3)}...`
+    : redacted;
+}
+
+/**
+ * Hash a prompt so repeats of the same question group together
+ *
+ * Case, spacing and punctuation are ignored ("How do I poach an egg?" and
+ * "how do i poach an egg" share a hash).
+ *
+ * @param {string} prompt - User's message
+ * @returns {string} 16 hex characters
+ */
+export function hashPrompt(prompt) {
+  const normalized = prompt
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+  const hash = HASH_SECRET
+    ? crypto.createHmac("sha256", HASH_SECRET)
+    : crypto.createHash("sha256");
+  return hash.update(normalized).digest("hex").substring(0, 16);
+}
+
+/**
+ * Identify the client a reply was given to, for checking feedback
+ *
+ * Key clients are logged by their id ("key:web"). Anonymous clients are
+ * identified by IP address, which is logged only as a hash, like prompts.
+ *
+ * @param {string} clientId - req.apiClient.id
+ * @returns {string} Id stored in the log
+ */
+export function loggedClientId(clientId) {
+  if (!clientId.startsWith("ip:")) return clientId;
+  const hash = HASH_SECRET
+    ? crypto.createHmac("sha256", HASH_SECRET)
+    : crypto.createHash("sha256");
+  return `ip:${hash.update(clientId).digest("hex").substring(0, 16)}`;
+}
+
+/**
+ * Build the log entry for a chat reply
+ *
+ * @param {QueryTrace} trace - Trace started when the request arrived
+ * @param {Object} details
+ * @param {string} details.prompt - User's message
+ * @param {string} details.outcome - "answered", "cached", "degraded" (snippets
+ *   only, generation failed), "blocked" or "failed"
+ * @param {string|null} [details.requestId] - Request id (X-Request-Id) to match server logs
+ * @param {string|null} [details.client] - API client name (never the key)
+ * @param {string|null} [details.clientId] - API client id (see loggedClientId)
+ * @param {Object[]} [details.documents] - Retrieved documents as described in replies ({ id, category, score, scores? })
+ * @param {string|null} [details.searchQuery] - Rewritten query, when it differs from the prompt
+ * @param {string|null} [details.conversationId] - Conversation the turn belongs to
+ * @param {string} [details.format] - Response format
+ * @param {string|null} [details.moderationReason] - Why a blocked prompt was blocked
+ * @param {number} [details.tokens] - Estimated tokens spent
+ * @param {string|null} [details.error] - Failure message
+ * @returns {Object} Entry for the query log store
+ */
+export function buildQueryLogEntry(
+  trace,
+  {
+    prompt,
+    outcome,
+    requestId = null,
+    client = null,
+    clientId = null,
+    documents = [],
+    searchQuery = null,
+    conversationId = null,
+    format = "text",
+    moderationReason = null,
+    tokens = 0,
+    error = null,
+  }
+) {
+  const keepText = QUERY_LOG_PROMPTS === "redacted";
+  const vectorScores = documents.map((doc) => doc.scores?.vector ?? doc.score);
+
+  return {
+    id: trace.id,
+    createdAt: new Date(trace.startedAt).toISOString(),
+    endpoint: trace.endpoint,
+    requestId,
+    client,
+    clientId: clientId && loggedClientId(clientId), // Who may rate the reply
+    promptHash: hashPrompt(prompt),
+    prompt: keepText ? redactText(prompt) : null,
+    searchQuery:
+      keepText && searchQuery && searchQuery !== prompt
+        ? redactText(searchQuery)
+        : null,
+    conversationId,
+    format,
+    outcome,
+    moderationReason,
+    category: documents[0]?.category ?? null, // Category of the best document
+    documents: documents.map((doc) => ({
+      id: doc.id,
+      category: doc.category,
+      score: doc.score,
+    })),
+    bestScore: vectorScores.length > 0 ? Math.max(...vectorScores) : null,
+    timingsMs: trace.timings(),
+    tokens,
+    error,
+  };
+}
+
+/**
+ * Validate a POST /feedback body
+ *
+ * @param {Object} input - Request body
+ * @returns {Object} { value: { responseId, rating, comment } } or { error }
+ */
+export function validateFeedback(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Feedback must be an object" };
+  }
+
+  const { responseId, rating, comment } = input;
+
+  if (typeof responseId !== "string" || !responseId.trim()) {
+    return { error: "responseId is required" };
+  }
+
+  if (!FEEDBACK_RATINGS.includes(rating)) {
+    return { error: `rating must be one of: ${FEEDBACK_RATINGS.join(", ")}` };
+  }
+
+  if (
+    comment !== undefined &&
+    comment !== null &&
+    (typeof comment !== "string" || comment.length > MAX_COMMENT_LENGTH)
+  ) {
+    return {
+      error: `comment must be a string of at most ${MAX_COMMENT_LENGTH} characters`,
+    };
+  }
+
+  return {
+    value: {
+      responseId: responseId.trim(),
+      rating,
+      comment: comment?.trim() ? redactText(comment) : null,
+    },
+  };
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * Summarize the query log for /stats/queries
+ *
+ * Top questions leave out blocked prompts. Only the latest rating of each
+ * response counts. Satisfaction is the share
+ * of rated responses rated "up", per category of the best document.
+ * Knowledge gaps are answered (or cached) questions whose best vector
+ * similarity was below `gapScore`, or that retrieved nothing.
+ *
+ * @param {Object[]} entries - Logged replies
+ * @param {Object[]} feedback - Logged ratings
+ * @param {Object} [options]
+ * @param {Date} [options.since] - Ignore replies before this time
+ * @param {number} [options.limit] - Rows in each list
+ * @param {number} [options.gapScore] - Knowledge gap threshold
+ * @returns {Object} Report
+ */
+export function summarizeQueryLog(
+  entries,
+  feedback,
+  { since = null, limit = 10, gapScore = KNOWLEDGE_GAP_SCORE } = {}
+) {
+  const inWindow = since
+    ? entries.filter((entry) => new Date(entry.createdAt) >= since)
+    : entries;
+  const round = (value) => Math.round(value * 1000) / 1000;
+
+  const outcomes = {
+    answered: 0,
+    cached: 0,
+    degraded: 0,
+    blocked: 0,
+    failed: 0,
+  };
+  for (const entry of inWindow) outcomes[entry.outcome]++;
+
+  // Latency per stage, over the replies that went through it
+  const latencyMs = Object.fromEntries(
+    [...QUERY_STAGES, "total"].flatMap((stage) => {
+      const values = inWindow
+        .map((entry) => entry.timingsMs?.[stage])
+        .filter((value) => typeof value === "number")
+        .sort((a, b) => a - b);
+      if (values.length === 0) return [];
+      return [
+        [
+          stage,
+          {
+            average: Math.round(
+              values.reduce((sum, value) => sum + value, 0) / values.length
+            ),
+            p50: values[Math.floor(values.length * 0.5)],
+            p95: values[
+              Math.min(values.length - 1, Math.floor(values.length * 0.95))
+            ],
+          },
+        ],
+      ];
+    })
+  );
+
+  const tokens = inWindow.reduce((sum, entry) => sum + (entry.tokens || 0), 0);
+
+  // Latest rating per response, joined with the reply it rates
+  const byId = new Map(inWindow.map((entry) => [entry.id, entry]));
+  const latest = new Map();
+  for (const rating of feedback) {
+    if (byId.has(rating.responseId)) latest.set(rating.responseId, rating);
+  }
+  const ratings = [...latest.values()];
+
+  const satisfaction = (rated) => {
+    const up = rated.filter((rating) => rating.rating === "up").length;
+    return {
+      rated: rated.length,
+      up,
+      down: rated.length - up,
+      satisfaction: rated.length > 0 ? round(up / rated.length) : null,
+    };
+  };
+
+  const byCategory = new Map();
+  for (const rating of ratings) {
+    const category = byId.get(rating.responseId).category ?? "uncategorized";
+    if (!byCategory.has(category)) byCategory.set(category, []);
+    byCategory.get(category).push(rating);
+  }
+
+  const answered = inWindow.filter(
+    (entry) => entry.outcome === "answered" || entry.outcome === "cached"
+  );
+  const gaps = answered.filter(
+    (entry) => entry.bestScore === null || entry.bestScore < gapScore
+  );
+
+  return {
+    window: {
+      from: since?.toISOString() ?? inWindow[0]?.createdAt ?? null,
+      to: new Date().toISOString(),
+    },
+    queries: { total: inWindow.length, ...outcomes },
+    latencyMs,
+    tokens: {
+      total: tokens,
+      averagePerReply:
+        outcomes.answered > 0 ? Math.round(tokens / outcomes.answered) : 0,
+    },
+    topQuestions: groupQuestions(
+      inWindow.filter((entry) => entry.outcome !== "blocked")
+    ).slice(0, limit),
+    knowledgeGaps: {
+      threshold: gapScore,
+      count: gaps.length,
+      questions: groupQuestions(gaps)
+        .sort((a, b) => b.count - a.count || a.bestScore - b.bestScore)
+        .slice(0, limit),
+    },
+    feedback: {
+      ...satisfaction(ratings),
+      byCategory: Object.fromEntries(
+        [...byCategory]
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([category, rated]) => [category, satisfaction(rated)])
+      ),
+      recentComments: ratings
+        .filter((rating) => rating.comment)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit)
+        .map((rating) => ({
+          responseId: rating.responseId,
+          rating: rating.rating,
+          comment: rating.comment,
+          prompt: byId.get(rating.responseId).prompt,
+          createdAt: rating.createdAt,
+        })),
+    },
+  };
+}
+
+/**
+ * Group log entries by prompt hash, most asked first
+ *
+ * @param {Object[]} entries - Logged replies
+ * @returns {Object[]} { promptHash, prompt, count, bestScore, topDocument, lastAskedAt }
+ */
+function groupQuestions(entries) {
+  const groups = new Map();
+
+  for (const entry of entries) {
+    const group = groups.get(entry.promptHash) ?? {
+      promptHash: entry.promptHash,
+      prompt: entry.prompt, // null when only hashes are logged
+      count: 0,
+      bestScore: null,
+      topDocument: null,
+      lastAskedAt: entry.createdAt,
+    };
+    group.count++;
+    if (entry.createdAt > group.lastAskedAt) {
+      group.lastAskedAt = entry.createdAt;
+      group.prompt = entry.prompt ?? group.prompt;
+    }
+    if (
+      entry.bestScore !== null &&
+      (group.bestScore === null || entry.bestScore > group.bestScore)
+    ) {
+      group.bestScore = Math.round(entry.bestScore * 10000) / 10000;
+      group.topDocument = entry.documents[0]?.id ?? null;
+    }
+    groups.set(entry.promptHash, group);
+  }
+
+  return [...groups.values()].sort(
+    (a, b) => b.count - a.count || b.lastAskedAt.localeCompare(a.lastAskedAt)
+  );
+}
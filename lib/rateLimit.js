@@ -0,0 +1,492 @@
+/**
+ * Rate Limiting - Client API keys with per-key quotas
+ *
+ * Each client key has three quotas:
+ * 1. Requests per minute
+ * 2. Requests per day
+ * 3. Tokens per day (prompt, retrieved context and reply, estimated)
+ *
+ * Quotas use a sliding-window counter: the current and previous fixed
+ * windows are stored, and the previous one is weighted by how much of it
+ * still overlaps the sliding window. That keeps limits smooth at window
+ * boundaries while needing only two counters per quota, which also suits
+ * shared stores.
+ *
+ * A request is counted before its quotas are checked: the store's increment
+ * is atomic (INCRBY on Upstash) and returns the new total, so concurrent
+ * requests - also on other instances - always see each other's hits and
+ * can't all slip under a limit together. Rejected requests are uncounted.
+ *
+ * Counters live in memory by default. Set RATE_LIMIT_STORE=upstash (with
+ * UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN) to share them between
+ * instances, e.g. across Vercel functions.
+ */
+
+import crypto from "crypto"; // Hash API keys for lookup
+import fetch from "node-fetch"; // HTTP client for the Upstash REST API
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Quotas for keys that don't set their own (and for anonymous clients)
+export const DEFAULT_LIMITS = {
+  rpm: parseInt(process.env.RATE_LIMIT_RPM, 10) || 20,
+  rpd: parseInt(process.env.RATE_LIMIT_RPD, 10) || 500,
+  tokensPerDay: parseInt(process.env.RATE_LIMIT_TOKENS_PER_DAY, 10) || 200000,
+};
+
+// Rough characters-per-token ratio for usage estimates
+const CHARS_PER_TOKEN = 4;
+
+// ============================================================================
+// API KEYS
+// ============================================================================
+
+/**
+ * Hash an API key so keys are never compared or kept in plain form
+ *
+ * @param {string} key - API key
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Parse client API keys from API_KEYS
+ *
+ * Accepts a JSON array of
+ * `{ "key", "name", "rpm"?, "rpd"?, "tokensPerDay"? }` objects, or a comma
+ * separated list of `key` or `key:name` entries using the default limits.
+ * Names can't contain ":", so keys that do are split at their last ":" and
+ * need a name (or the JSON format).
+ *
+ * @param {string} [value] - Raw API_KEYS value
+ * @returns {Map<string, Object>} Key hash → client { id, name, limits }
+ */
+export function parseApiKeys(value = process.env.API_KEYS) {
+  const clients = new Map();
+  if (!value || !value.trim()) return clients;
+
+  const entries = value.trim().startsWith("[")
+    ? JSON.parse(value)
+    : value.split(",").map((entry) => {
+        const separator = entry.lastIndexOf(":");
+        return separator === -1
+          ? { key: entry.trim() }
+          : {
+              key: entry.slice(0, separator).trim(),
+              name: entry.slice(separator + 1).trim(),
+            };
+      });
+
+  entries.forEach((entry, idx) => {
+    if (!entry?.key) {
+      throw new Error(`API_KEYS entry ${idx + 1} has no key`);
+    }
+
+    const name = entry.name || `client-${idx + 1}`;
+    clients.set(hashKey(entry.key), {
+      id: `key:${name}`,
+      name: name,
+      limits: {
+        rpm: entry.rpm ?? DEFAULT_LIMITS.rpm,
+        rpd: entry.rpd ?? DEFAULT_LIMITS.rpd,
+        tokensPerDay: entry.tokensPerDay ?? DEFAULT_LIMITS.tokensPerDay,
+      },
+    });
+  });
+
+  return clients;
+}
+
+/**
+ * Find the client for a supplied API key
+ *
+ * @param {Map<string, Object>} clients - Clients from parseApiKeys
+ * @param {string} key - Key sent by the caller
+ * @returns {Object|null} Client, or null for unknown keys
+ */
+export function findClient(clients, key) {
+  return key ? clients.get(hashKey(key)) || null : null;
+}
+
+/**
+ * Estimate the tokens in a piece of text
+ *
+ * @param {string} text - Text sent to or received from the model
+ * @returns {number} Approximate token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text?.length || 0) / CHARS_PER_TOKEN);
+}
+
+// ============================================================================
+// COUNTER STORES
+// ============================================================================
+
+/**
+ * In-memory counter store
+ *
+ * Counters are per process, so on Vercel each instance limits separately.
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.name = "memory";
+    this.counters = new Map(); // key → { value, expiresAt }
+    this.writes = 0;
+  }
+
+  async getMany(keys) {
+    const now = Date.now();
+    return keys.map((key) => {
+      const counter = this.counters.get(key);
+      return counter && counter.expiresAt > now ? counter.value : 0;
+    });
+  }
+
+  async increment(key, amount, ttlMs) {
+    const now = Date.now();
+    const counter = this.counters.get(key);
+    const value =
+      (counter && counter.expiresAt > now ? counter.value : 0) + amount;
+    this.counters.set(key, { value, expiresAt: now + ttlMs });
+
+    // Drop expired counters now and then
+    if (++this.writes % 1000 === 0) {
+      for (const [name, entry] of this.counters) {
+        if (entry.expiresAt <= now) this.counters.delete(name);
+      }
+    }
+
+    return value;
+  }
+}
+
+/**
+ * Shared counter store on Upstash Redis (REST API)
+ */
+export class UpstashRateLimitStore {
+  /**
+   * @param {string} url - UPSTASH_REDIS_REST_URL
+   * @param {string} token - UPSTASH_REDIS_REST_TOKEN
+   */
+  constructor(url, token) {
+    this.name = "upstash";
+    this.url = url.replace(/\/+$/, "");
+    this.token = token;
+  }
+
+  /**
+   * Run Redis commands in one pipeline request
+   *
+   * @param {Array[]} commands - Commands such as ["INCRBY", key, 1]
+   * @returns {Promise<Array>} Command results
+   */
+  async pipeline(commands) {
+    const response = await fetch(`${this.url}/pipeline`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${this.token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(commands),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Upstash request failed with status ${response.status}`);
+    }
+
+    const results = await response.json();
+    const failed = results.find((result) => result.error);
+    if (failed) throw new Error(`Upstash command failed: ${failed.error}`);
+    return results.map((result) => result.result);
+  }
+
+  async getMany(keys) {
+    const [values] = await this.pipeline([["MGET", ...keys]]);
+    return values.map((value) => Number(value) || 0);
+  }
+
+  async increment(key, amount, ttlMs) {
+    const [value] = await this.pipeline([
+      ["INCRBY", key, amount],
+      ["PEXPIRE", key, ttlMs],
+    ]);
+    return Number(value);
+  }
+}
+
+/**
+ * Create the counter store selected by RATE_LIMIT_STORE
+ *
+ * @returns {MemoryRateLimitStore|UpstashRateLimitStore} Store instance
+ */
+export function createRateLimitStore() {
+  const type = (process.env.RATE_LIMIT_STORE || "memory").toLowerCase();
+
+  if (type === "upstash") {
+    const { UPSTASH_REDIS_REST_URL, UPSTASH_REDIS_REST_TOKEN } = process.env;
+    if (UPSTASH_REDIS_REST_URL && UPSTASH_REDIS_REST_TOKEN) {
+      return new UpstashRateLimitStore(
+        UPSTASH_REDIS_REST_URL,
+        UPSTASH_REDIS_REST_TOKEN
+      );
+    }
+    console.warn(
+      "RATE_LIMIT_STORE=upstash needs UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN, falling back to in-memory counters."
+    );
+  } else if (type !== "memory") {
+    console.warn(
+      `Unknown RATE_LIMIT_STORE "${type}", falling back to in-memory counters.`
+    );
+  }
+
+  return new MemoryRateLimitStore();
+}
+
+// ============================================================================
+// RATE LIMITER
+// ============================================================================
+
+/**
+ * Sliding-window rate limiter over a counter store
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} store - Counter store (memory or shared)
+   */
+  constructor(store) {
+    this.store = store;
+    this.clientStats = new Map(); // client id → usage seen by this process
+  }
+
+  /**
+   * Read a sliding-window count, optionally adding to it first
+   *
+   * With an amount, the current window is incremented and its new total read
+   * in one store operation, so the count includes this and every concurrent
+   * addition.
+   *
+   * @param {string} name - Counter name
+   * @param {number} windowMs - Window length
+   * @param {number} now - Current time in ms
+   * @param {number} [amount] - Amount to add to the current window first
+   * @returns {Promise<Object>} { count, previous, current, elapsed }
+   */
+  async slidingCount(name, windowMs, now, amount = 0) {
+    const bucket = Math.floor(now / windowMs);
+    const previousKey = `rl:${name}:${bucket - 1}`;
+    const currentKey = `rl:${name}:${bucket}`;
+
+    let previous, current;
+    if (amount > 0) {
+      [[previous], current] = await Promise.all([
+        this.store.getMany([previousKey]),
+        this.add(name, windowMs, amount, now),
+      ]);
+    } else {
+      [previous, current] = await this.store.getMany([previousKey, currentKey]);
+    }
+    const elapsed = (now % windowMs) / windowMs; // Fraction of the current window gone
+
+    return {
+      count: previous * (1 - elapsed) + current,
+      previous,
+      current,
+      elapsed,
+    };
+  }
+
+  /**
+   * Add to the current window of a counter
+   *
+   * @param {string} name - Counter name
+   * @param {number} windowMs - Window length
+   * @param {number} amount - Amount to add (negative to take back)
+   * @param {number} now - Current time in ms
+   * @returns {Promise<number>} New total of the current window
+   */
+  async add(name, windowMs, amount, now) {
+    const bucket = Math.floor(now / windowMs);
+    // Keep each bucket for two windows so it can serve as "previous"
+    return this.store.increment(`rl:${name}:${bucket}`, amount, windowMs * 2);
+  }
+
+  /**
+   * Check a client's quotas and count the request when it is allowed
+   *
+   * The daily token budget is only checked with `checkTokens` (requests that
+   * call the chat model); token usage itself is added by recordTokens.
+   * The request is counted and checked in one step per quota (see the module
+   * notes) and taken back out when a quota rejects it.
+   *
+   * @param {Object} client - Client as { id, name, limits }
+   * @param {Object} [options] - { checkTokens: boolean }
+   * @returns {Promise<Object>} { allowed, quota, limit, remaining, retryAfter } - retryAfter in seconds
+   */
+  async consume(client, { checkTokens = false } = {}) {
+    const now = Date.now();
+    const { rpm, rpd, tokensPerDay } = client.limits;
+
+    const quotas = [
+      {
+        quota: "requests_per_minute",
+        name: `${client.id}:m`,
+        windowMs: MINUTE_MS,
+        limit: rpm,
+        cost: 1,
+      },
+      {
+        quota: "requests_per_day",
+        name: `${client.id}:d`,
+        windowMs: DAY_MS,
+        limit: rpd,
+        cost: 1,
+      },
+    ];
+
+    if (checkTokens) {
+      quotas.push({
+        quota: "tokens_per_day",
+        name: `${client.id}:t`,
+        windowMs: DAY_MS,
+        limit: tokensPerDay,
+        cost: 0,
+      });
+    }
+
+    // Counts include this request; the token quota needs room for one token
+    const counts = await Promise.all(
+      quotas.map((quota) =>
+        this.slidingCount(quota.name, quota.windowMs, now, quota.cost)
+      )
+    );
+
+    const stats = this.getClientStats(client);
+
+    // Reject on the first quota the request exceeds
+    for (const [i, quota] of quotas.entries()) {
+      const window = counts[i];
+      if (window.count + (quota.cost > 0 ? 0 : 1) > quota.limit + 1e-9) {
+        await Promise.all(
+          quotas
+            .filter((counted) => counted.cost > 0)
+            .map((counted) =>
+              this.add(counted.name, counted.windowMs, -counted.cost, now)
+            )
+        );
+
+        stats.rejectedRequests++;
+        return {
+          allowed: false,
+          quota: quota.quota,
+          limit: quota.limit,
+          remaining: 0,
+          retryAfter: retryAfterSeconds(
+            { ...window, current: window.current - quota.cost },
+            quota,
+            now
+          ),
+        };
+      }
+    }
+
+    stats.requests++;
+    stats.lastRequestAt = new Date(now).toISOString();
+
+    return {
+      allowed: true,
+      quota: "requests_per_minute",
+      limit: rpm,
+      remaining: Math.max(0, Math.floor(rpm - counts[0].count)),
+      retryAfter: 0,
+    };
+  }
+
+  /**
+   * Charge tokens used by a completed request to the client's daily budget
+   *
+   * @param {Object} client - Client as { id, name, limits }
+   * @param {number} tokens - Tokens used
+   */
+  async recordTokens(client, tokens) {
+    if (!client || tokens <= 0) return;
+
+    await this.add(`${client.id}:t`, DAY_MS, tokens, Date.now());
+    this.getClientStats(client).tokens += tokens;
+  }
+
+  /**
+   * Current usage of a client against its quotas
+   *
+   * @param {Object} client - Client as { id, name, limits }
+   * @returns {Promise<Object>} Sliding-window usage and limits
+   */
+  async getUsage(client) {
+    const now = Date.now();
+    const [minute, day, tokens] = await Promise.all([
+      this.slidingCount(`${client.id}:m`, MINUTE_MS, now),
+      this.slidingCount(`${client.id}:d`, DAY_MS, now),
+      this.slidingCount(`${client.id}:t`, DAY_MS, now),
+    ]);
+
+    return {
+      requestsLastMinute: Math.round(minute.count),
+      requestsLastDay: Math.round(day.count),
+      tokensLastDay: Math.round(tokens.count),
+      limits: client.limits,
+    };
+  }
+
+  /**
+   * Usage counters kept by this process for a client
+   *
+   * @param {Object} client - Client as { id, name }
+   * @returns {Object} { name, requests, rejectedRequests, tokens, lastRequestAt }
+   */
+  getClientStats(client) {
+    if (!this.clientStats.has(client.id)) {
+      this.clientStats.set(client.id, {
+        name: client.name,
+        requests: 0,
+        rejectedRequests: 0,
+        tokens: 0,
+        lastRequestAt: null,
+      });
+    }
+    return this.clientStats.get(client.id);
+  }
+}
+
+/**
+ * Seconds until a sliding window has room for one more unit
+ *
+ * @param {Object} window - Result of slidingCount
+ * @param {Object} quota - { windowMs, limit }
+ * @param {number} now - Current time in ms
+ * @returns {number} Whole seconds, at least 1
+ */
+function retryAfterSeconds(window, quota, now) {
+  const { previous, current } = window;
+  const { windowMs, limit } = quota;
+  const target = Math.max(limit - 1, 0); // Count that leaves room for one more
+  const untilWindowEnd = windowMs - (now % windowMs);
+  let waitMs;
+
+  if (current > target) {
+    // Wait for this window to become "previous" and fade enough
+    const fade = current > 0 ? 1 - target / current : 0;
+    waitMs = untilWindowEnd + fade * windowMs;
+  } else {
+    // The previous window's weight must drop: previous * (1 - e) + current <= target
+    const neededElapsed = previous > 0 ? 1 - (target - current) / previous : 0;
+    waitMs = Math.max(neededElapsed * windowMs - (now % windowMs), 0);
+  }
+
+  return Math.max(1, Math.ceil(waitMs / 1000));
+}
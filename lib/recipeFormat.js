@@ -0,0 +1,472 @@
+/**
+ * Recipe Format - Structured JSON recipes for `format: "recipe"` chat requests
+ *
+ * The chat model is asked for a recipe object matching RECIPE_SCHEMA. Its
+ * output is then:
+ * 1. Extracted (code fences and surrounding prose are ignored)
+ * 2. Repaired where the intent is unambiguous ("1 1/2" → 1.5, steps given as
+ *    plain strings, "20 minutes" → 20, ...)
+ * 3. Validated against the schema - if it still fails, the model is asked
+ *    again with the validation errors, up to RECIPE_MAX_ATTEMPTS times
+ *
+ * Citations are mapped onto the recipe fields they support (e.g.
+ * "steps[2].instruction") so clients can attach sources to recipe cards.
+ */
+
+import { validateAgainstSchema } from "./schema.js"; // JSON Schema subset validation
+import { parseQuantity, parseIngredient } from "./units.js"; // Quantity and ingredient line parsing
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Total chat calls allowed to produce a valid recipe (first try + retries)
+const RECIPE_MAX_ATTEMPTS = parseInt(process.env.RECIPE_MAX_ATTEMPTS, 10) || 3;
+
+// Sampling temperature for recipe output - zero for well-formed JSON
+const RECIPE_TEMPERATURE = 0;
+
+// Categories recipe requests are grounded in first
+export const RECIPE_CATEGORIES = ["recipes", "cooking_advice"];
+
+// Output formats accepted by /prompt
+export const RESPONSE_FORMATS = ["text", "recipe"];
+
+const NULLABLE_NUMBER = { type: ["number", "null"], minimum: 0 };
+
+// JSON Schema of a recipe (also sent to providers that support JSON output)
+export const RECIPE_SCHEMA = {
+  type: "object",
+  required: [
+    "title",
+    "servings",
+    "ingredients",
+    "steps",
+    "timings",
+    "safetyNotes",
+    "sourceIds",
+  ],
+  properties: {
+    title: { type: "string", minLength: 1 },
+    servings: { type: "integer", minimum: 1 },
+    ingredients: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["quantity", "unit", "item"],
+        properties: {
+          quantity: NULLABLE_NUMBER,
+          unit: { type: ["string", "null"] },
+          item: { type: "string", minLength: 1 },
+          notes: { type: ["string", "null"] },
+        },
+      },
+    },
+    steps: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["step", "instruction"],
+        properties: {
+          step: { type: "integer", minimum: 1 },
+          instruction: { type: "string", minLength: 1 },
+          durationMinutes: NULLABLE_NUMBER,
+        },
+      },
+    },
+    timings: {
+      type: "object",
+      required: ["prepMinutes", "cookMinutes", "totalMinutes"],
+      properties: {
+        prepMinutes: NULLABLE_NUMBER,
+        cookMinutes: NULLABLE_NUMBER,
+        totalMinutes: NULLABLE_NUMBER,
+      },
+    },
+    safetyNotes: { type: "array", items: { type: "string", minLength: 1 } },
+    sourceIds: { type: "array", items: { type: "string" } },
+  },
+};
+
+/**
+ * Raised when the model could not produce a valid recipe
+ */
+export class RecipeFormatError extends Error {
+  /**
+   * @param {string} message - Error description
+   * @param {Object} details - { errors: string[], attempts: number }
+   */
+  constructor(message, { errors = [], attempts = 0 } = {}) {
+    super(message);
+    this.name = "RecipeFormatError";
+    this.errors = errors;
+    this.attempts = attempts;
+  }
+}
+
+// ============================================================================
+// REPAIR
+// ============================================================================
+
+/**
+ * Parse a duration such as "20 minutes", "1 hour 15 min" or "1.5 hours"
+ *
+ * @param {*} value - Duration as written by the model
+ * @returns {number|null|undefined} Minutes, null when empty, undefined if unparseable
+ */
+function parseMinutes(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "number") return value;
+  if (typeof value !== "string") return undefined;
+  if (!value.trim()) return null;
+
+  let minutes = 0;
+  let matched = false;
+  for (const match of value.matchAll(
+    /(\d*\.?\d+)\s*(h|hr|hrs|hours?|m|min|mins|minutes?)?\b/gi
+  )) {
+    const amount = Number(match[1]);
+    minutes += /^h/i.test(match[2] ?? "") ? amount * 60 : amount;
+    matched = true;
+  }
+
+  return matched ? Math.round(minutes) : undefined;
+}
+
+/**
+ * Normalize model output into the recipe shape where the intent is clear
+ *
+ * Anything that can't be repaired is left for validation to report.
+ *
+ * @param {*} value - Parsed model output
+ * @returns {*} Repaired recipe
+ */
+function repairRecipe(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return value;
+  }
+
+  // Some models wrap the object: { "recipe": { ... } }
+  const recipe =
+    value.recipe && typeof value.recipe === "object" && !value.title
+      ? { ...value.recipe }
+      : { ...value };
+
+  if (typeof recipe.servings === "string") {
+    const servings = parseInt(recipe.servings.match(/\d+/)?.[0], 10);
+    if (servings) recipe.servings = servings;
+  }
+
+  if (Array.isArray(recipe.ingredients)) {
+    recipe.ingredients = recipe.ingredients.map((ingredient) => {
+      if (typeof ingredient === "string") return parseIngredient(ingredient);
+      if (!ingredient || typeof ingredient !== "object") return ingredient;
+
+      const repaired = { ...ingredient };
+      if (repaired.item === undefined) {
+        repaired.item = repaired.name ?? repaired.ingredient;
+        delete repaired.name;
+        delete repaired.ingredient;
+      }
+      if (repaired.quantity === undefined) repaired.quantity = null;
+      const quantity = parseQuantity(repaired.quantity);
+      if (quantity !== undefined) repaired.quantity = quantity;
+      if (repaired.unit === undefined || repaired.unit === "") {
+        repaired.unit = null;
+      }
+      return repaired;
+    });
+  }
+
+  if (Array.isArray(recipe.steps)) {
+    recipe.steps = recipe.steps.map((step, idx) => {
+      if (typeof step === "string") {
+        return {
+          step: idx + 1,
+          instruction: step.replace(/^\s*(?:step\s*)?\d+[.):]\s*/i, ""),
+        };
+      }
+      if (!step || typeof step !== "object") return step;
+
+      const repaired = {
+        ...step,
+        step: idx + 1, // Steps are ordered by position
+        instruction: step.instruction ?? step.text ?? step.description,
+      };
+      delete repaired.text;
+      delete repaired.description;
+      if ("durationMinutes" in repaired) {
+        const minutes = parseMinutes(repaired.durationMinutes);
+        if (minutes !== undefined) repaired.durationMinutes = minutes;
+      }
+      return repaired;
+    });
+  }
+
+  const timings =
+    recipe.timings && typeof recipe.timings === "object"
+      ? { ...recipe.timings }
+      : {};
+  for (const key of ["prepMinutes", "cookMinutes", "totalMinutes"]) {
+    const minutes = parseMinutes(timings[key]);
+    if (minutes !== undefined) timings[key] = minutes;
+  }
+  if (
+    timings.totalMinutes === null &&
+    typeof timings.prepMinutes === "number" &&
+    typeof timings.cookMinutes === "number"
+  ) {
+    timings.totalMinutes = timings.prepMinutes + timings.cookMinutes;
+  }
+  recipe.timings = timings;
+
+  if (typeof recipe.safetyNotes === "string") {
+    recipe.safetyNotes = [recipe.safetyNotes];
+  }
+  recipe.safetyNotes = recipe.safetyNotes ?? [];
+  recipe.sourceIds = recipe.sourceIds ?? [];
+
+  return recipe;
+}
+
+/**
+ * Extract the JSON object from model output
+ *
+ * @param {string} text - Raw model output
+ * @returns {Object} { value, error } - error when no JSON object could be parsed
+ */
+function extractJson(text) {
+  const unfenced = text.replace(/```(?:json)?/gi, "");
+  const start = unfenced.indexOf("{");
+  const end = unfenced.lastIndexOf("}");
+
+  if (start === -1 || end <= start) {
+    return { error: "output does not contain a JSON object" };
+  }
+
+  try {
+    return { value: JSON.parse(unfenced.slice(start, end + 1)) };
+  } catch (err) {
+    return { error: `output is not valid JSON (${err.message})` };
+  }
+}
+
+/**
+ * Parse, repair and validate model output as a recipe
+ *
+ * @param {string} text - Raw model output
+ * @returns {Object} { recipe, errors, repaired }
+ */
+export function parseRecipeOutput(text) {
+  const { value, error } = extractJson(text);
+  if (error) return { recipe: null, errors: [error], repaired: false };
+
+  const recipe = repairRecipe(value);
+  return {
+    recipe,
+    errors: validateAgainstSchema(recipe, RECIPE_SCHEMA, "recipe"),
+    repaired: JSON.stringify(recipe) !== JSON.stringify(value),
+  };
+}
+
+// ============================================================================
+// CITATIONS
+// ============================================================================
+
+/**
+ * List the string fields of a recipe with their paths
+ *
+ * @param {Object} recipe - Validated recipe
+ * @returns {Object[]} Fields as { path, value }
+ */
+function textFields(recipe) {
+  const fields = [{ path: "title", value: recipe.title }];
+
+  recipe.ingredients.forEach((ingredient, idx) => {
+    fields.push({ path: `ingredients[${idx}].item`, value: ingredient.item });
+    if (ingredient.notes) {
+      fields.push({
+        path: `ingredients[${idx}].notes`,
+        value: ingredient.notes,
+      });
+    }
+  });
+  recipe.steps.forEach((step, idx) =>
+    fields.push({ path: `steps[${idx}].instruction`, value: step.instruction })
+  );
+  recipe.safetyNotes.forEach((note, idx) =>
+    fields.push({ path: `safetyNotes[${idx}]`, value: note })
+  );
+
+  return fields;
+}
+
+/**
+ * Map citations onto the recipe fields they support
+ *
+ * Provider citations are matched to the field containing their text; inline
+ * `[document_id]` markers are removed from fields and become citations of the
+ * whole field. Only ids of documents given to the model are kept.
+ *
+ * @param {Object} recipe - Validated recipe (markers are stripped in place)
+ * @param {Object[]} citations - Provider citations as { text, documentIds }
+ * @param {string[]} knownIds - Ids of the documents given to the model
+ * @returns {Object[]} Citations as { path, text, documentIds }
+ */
+export function mapRecipeCitations(recipe, citations, knownIds) {
+  const known = new Set(knownIds);
+  const mapped = [];
+
+  // Inline markers first, so provider citations match the cleaned text
+  for (const field of textFields(recipe)) {
+    const ids = [...field.value.matchAll(/\[([^\]]+)\]/g)]
+      .flatMap((marker) => marker[1].split(/\s*,\s*/))
+      .filter((id) => known.has(id));
+    if (ids.length === 0) continue;
+
+    const cleaned = field.value.replace(/\s*\[[^\]]+\]/g, "").trim();
+    setPath(recipe, field.path, cleaned);
+    mapped.push({
+      path: field.path,
+      text: cleaned,
+      documentIds: [...new Set(ids)],
+    });
+  }
+
+  const fields = textFields(recipe);
+  for (const citation of citations) {
+    const documentIds = (citation.documentIds ?? []).filter((id) =>
+      known.has(id)
+    );
+    const text = citation.text?.trim();
+    if (documentIds.length === 0 || !text) continue;
+
+    const field = fields.find((candidate) => candidate.value.includes(text));
+    if (field) mapped.push({ path: field.path, text, documentIds });
+  }
+
+  return mapped;
+}
+
+/**
+ * Set a value at a path such as "steps[2].instruction"
+ *
+ * @param {Object} target - Object to update
+ * @param {string} path - Dotted path with array indexes
+ * @param {*} value - New value
+ */
+function setPath(target, path, value) {
+  const keys = path.match(/[^.[\]]+/g);
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => node[key], target);
+  parent[last] = value;
+}
+
+// ============================================================================
+// GENERATION
+// ============================================================================
+
+/**
+ * Instructions appended to the user's message for recipe output
+ *
+ * @param {string} prompt - User's message
+ * @returns {string} Message asking for a recipe JSON object
+ */
+function buildRecipeMessage(prompt) {
+  return `${prompt}
+
+Generate a JSON object for this recipe - output only the JSON, no prose or code fences. It must match this JSON Schema:
+${JSON.stringify(RECIPE_SCHEMA)}
+
+Rules:
+- Base the recipe on the provided documents where they cover it, and list the ids of the documents you used in "sourceIds"
+- "quantity" is a number (use decimals, e.g. 1.5) or null when unmeasured (e.g. "to taste"); "unit" is null for countable items (e.g. 2 eggs)
+- "steps" are in cooking order, numbered from 1
+- "timings" are in minutes (null when unknown)
+- "safetyNotes" covers food safety points such as safe internal temperatures, raw eggs or allergens (empty list when there are none)`;
+}
+
+/**
+ * Ask the provider for a recipe until the output validates
+ *
+ * @param {Object} provider - LLM provider
+ * @param {string} prompt - User's message
+ * @param {Object[]} documents - Chat documents as { id, text }
+ * @param {string} preamble - System prompt
+ * @param {Object[]} history - Previous turns
+ * @param {Object} [options] - { abortSignal }
+ * @returns {Promise<Object>} { recipe, citations, text, attempts, repaired }
+ * @throws {RecipeFormatError} When no attempt produced a valid recipe
+ */
+export async function generateRecipe(
+  provider,
+  prompt,
+  documents,
+  preamble,
+  history,
+  { abortSignal } = {}
+) {
+  const message = buildRecipeMessage(prompt);
+  const chatOptions = {
+    temperature: RECIPE_TEMPERATURE,
+    responseFormat: { type: "json_object", schema: RECIPE_SCHEMA },
+    abortSignal,
+  };
+
+  let attemptMessage = message;
+  let attemptHistory = history;
+  let errors = [];
+
+  for (let attempt = 1; attempt <= RECIPE_MAX_ATTEMPTS; attempt++) {
+    const response = await provider.chat(
+      attemptMessage,
+      documents,
+      preamble,
+      attemptHistory,
+      chatOptions
+    );
+    const parsed = parseRecipeOutput(response.text);
+
+    if (parsed.errors.length === 0) {
+      const citations = mapRecipeCitations(
+        parsed.recipe,
+        response.citations ?? [],
+        documents.map((doc) => doc.id)
+      );
+      return {
+        recipe: parsed.recipe,
+        citations,
+        text: response.text,
+        attempts: attempt,
+        repaired: parsed.repaired,
+      };
+    }
+
+    errors = parsed.errors;
+    console.warn(
+      `Recipe output invalid (attempt ${attempt}/${RECIPE_MAX_ATTEMPTS}):`,
+      errors.slice(0, 5)
+    );
+
+    // Show the model its previous output and what was wrong with it
+    attemptHistory = [
+      ...history,
+      { role: "USER", message },
+      { role: "CHATBOT", message: response.text },
+    ];
+    attemptMessage = `That output is not a valid recipe object:
+${errors
+  .slice(0, 20)
+  .map((error) => `- ${error}`)
+  .join("\n")}
+
+Return the corrected JSON object only, matching the schema given before.`;
+  }
+
+  throw new RecipeFormatError("Could not generate a valid recipe", {
+    errors,
+    attempts: RECIPE_MAX_ATTEMPTS,
+  });
+}
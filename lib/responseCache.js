@@ -0,0 +1,227 @@
+/**
+ * Response Cache - Reuse answers for near-identical questions
+ *
+ * Replies are cached under the embedding of the question. A later question
+ * whose embedding is at least RESPONSE_CACHE_THRESHOLD similar ("classic
+ * pancake recipe" after "how to make pancakes") is answered from the cache
+ * without retrieval or a chat call. Entries only match requests from the
+ * same client with the same variant (format, filters, profile...), expire
+ * after a TTL and are evicted least recently used first.
+ */
+
+import { cosineSimilarity } from "./retrieval.js"; // Embedding similarity
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Cache replies at all (RESPONSE_CACHE=off disables)
+export const RESPONSE_CACHE_ENABLED = process.env.RESPONSE_CACHE !== "off";
+
+// Minimum question similarity for a cache hit
+export const RESPONSE_CACHE_THRESHOLD =
+  Number(process.env.RESPONSE_CACHE_THRESHOLD) || 0.92;
+
+// How long a reply stays valid
+export const RESPONSE_CACHE_TTL_MS =
+  (parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS, 10) || 3600) * 1000;
+
+// Most replies kept (least recently used are evicted first)
+export const RESPONSE_CACHE_MAX_ENTRIES =
+  parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 10) || 500;
+
+// ============================================================================
+// CACHE
+// ============================================================================
+
+/**
+ * Semantic cache of chat replies keyed by question embedding
+ */
+export class SemanticResponseCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.threshold] - Minimum similarity for a hit
+   * @param {number} [options.ttlMs] - Entry lifetime
+   * @param {number} [options.maxEntries] - Capacity before LRU eviction
+   */
+  constructor({
+    threshold = RESPONSE_CACHE_THRESHOLD,
+    ttlMs = RESPONSE_CACHE_TTL_MS,
+    maxEntries = RESPONSE_CACHE_MAX_ENTRIES,
+  } = {}) {
+    this.threshold = threshold;
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // id → entry, least recently used first
+    this.nextId = 1;
+    this.counters = {
+      hits: 0,
+      misses: 0,
+      bypassed: 0,
+      stores: 0,
+      evictions: 0,
+      expirations: 0,
+      invalidations: 0,
+    };
+    this.savings = { chatCalls: 0, tokens: 0, generationMs: 0 };
+    this.lastInvalidation = null;
+  }
+
+  /**
+   * Find the most similar cached reply for a question
+   *
+   * @param {number[]} embedding - Question embedding
+   * @param {string} variant - Request variant (see cacheVariant)
+   * @param {number} [now] - Current time in ms
+   * @returns {Object|null} { body, similarity, cachedAt } or null on a miss
+   */
+  lookup(embedding, variant, now = Date.now()) {
+    let best = null;
+    let bestSimilarity = -Infinity;
+
+    for (const [id, entry] of this.entries) {
+      if (now - entry.createdAt > this.ttlMs) {
+        this.entries.delete(id);
+        this.counters.expirations++;
+        continue;
+      }
+      if (entry.variant !== variant) continue;
+
+      const similarity = cosineSimilarity(embedding, entry.embedding);
+      if (similarity > bestSimilarity) {
+        best = entry;
+        bestSimilarity = similarity;
+      }
+    }
+
+    if (!best || bestSimilarity < this.threshold) {
+      this.counters.misses++;
+      return null;
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(best.id);
+    this.entries.set(best.id, best);
+    best.hits++;
+
+    this.counters.hits++;
+    this.savings.chatCalls += best.cost.chatCalls;
+    this.savings.tokens += best.cost.tokens;
+    this.savings.generationMs += best.cost.generationMs;
+
+    return {
+      body: best.body,
+      similarity: bestSimilarity,
+      cachedAt: new Date(best.createdAt).toISOString(),
+    };
+  }
+
+  /**
+   * Cache a reply
+   *
+   * @param {number[]} embedding - Question embedding
+   * @param {string} variant - Request variant (see cacheVariant)
+   * @param {Object} entry - { body, cost: { chatCalls, tokens, generationMs } }
+   * @param {number} [now] - Current time in ms
+   */
+  store(embedding, variant, { body, cost }, now = Date.now()) {
+    const id = this.nextId++;
+    this.entries.set(id, {
+      id,
+      embedding,
+      variant,
+      body,
+      cost,
+      createdAt: now,
+      hits: 0,
+    });
+    this.counters.stores++;
+
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+      this.counters.evictions++;
+    }
+  }
+
+  /**
+   * Count a request that skipped the cache
+   */
+  recordBypass() {
+    this.counters.bypassed++;
+  }
+
+  /**
+   * Drop every entry (e.g. after the knowledge base changed)
+   *
+   * @param {string} reason - Why the cache was cleared
+   */
+  clear(reason) {
+    if (this.entries.size > 0) {
+      console.log(
+        `Response cache cleared (${reason}): ${this.entries.size} entries`
+      );
+    }
+    this.entries.clear();
+    this.counters.invalidations++;
+    this.lastInvalidation = { reason, at: new Date().toISOString() };
+  }
+
+  /**
+   * Cache statistics for /stats
+   *
+   * @returns {Object} Size, configuration, hit rate and estimated savings
+   */
+  stats() {
+    const lookups = this.counters.hits + this.counters.misses;
+
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      threshold: this.threshold,
+      ttlSeconds: Math.round(this.ttlMs / 1000),
+      ...this.counters,
+      hitRate:
+        lookups > 0
+          ? Math.round((this.counters.hits / lookups) * 1000) / 1000
+          : 0,
+      missRate:
+        lookups > 0
+          ? Math.round((this.counters.misses / lookups) * 1000) / 1000
+          : 0,
+      // Work the hits didn't repeat, estimated from the original replies
+      estimatedSavings: { ...this.savings },
+      lastInvalidation: this.lastInvalidation,
+    };
+  }
+}
+
+/**
+ * Describe the request options a cached reply depends on
+ *
+ * Two questions share a reply only when these match, so a recipe-format or
+ * category-filtered request never gets a plain answer and a profile's
+ * answer is never served to another profile (or after it was edited).
+ * Streamed and JSON replies are kept apart as their bodies differ, and
+ * clients never share replies, as a reply can repeat its question.
+ *
+ * @param {Object} request - { clientId, format, useTools, streaming, retrievalOptions, profile }
+ * @returns {string} Variant key
+ */
+export function cacheVariant({
+  clientId,
+  format,
+  useTools,
+  streaming,
+  retrievalOptions,
+  profile,
+}) {
+  return JSON.stringify({
+    client: clientId ?? null,
+    format,
+    useTools: Boolean(useTools),
+    streaming: Boolean(streaming),
+    retrieval: retrievalOptions,
+    profile: profile ? `${profile.id}@${profile.updatedAt}` : null,
+  });
+}
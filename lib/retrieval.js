@@ -0,0 +1,749 @@
+/**
+ * Retrieval - Vector, lexical and hybrid search with filtering and routing
+ *
+ * This module implements document ranking for the RAG pipeline:
+ * 1. Cosine similarity between query and document embeddings
+ * 2. BM25 lexical scores, fused with vector scores in hybrid mode
+ *    (reciprocal rank fusion or weighted fusion)
+ * 3. An optional re-rank stage (Cohere rerank API or local cross-scoring)
+ * 4. Category include/exclude filters and a minimum score threshold
+ * 5. A keyword-based query-intent classifier that routes questions
+ *    (e.g. "how long does chicken keep") to the most relevant categories
+ */
+
+import { tokenize } from "./lexical.js";
+import { toUnitVector, dotProduct, selectTopK } from "./vectorIndex.js";
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Default and maximum number of documents returned per query
+export const DEFAULT_TOP_K = 8;
+export const MAX_TOP_K = 20;
+
+// Default and maximum page sizes for the /search endpoint
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+// Deepest result position /search will rank to (page * pageSize). Every page
+// re-ranks from the top, so this bounds the retrieval and re-rank work.
+export const MAX_SEARCH_DEPTH = 200;
+
+// Score bonus applied when ranking documents from routed categories.
+// Reported scores stay the raw cosine similarity.
+const ROUTING_BOOST = 0.05;
+
+// Maximum number of categories a query can be routed to
+const MAX_ROUTED_CATEGORIES = 2;
+
+// Supported ranking modes, fusion methods and re-rankers
+export const RETRIEVAL_MODES = ["vector", "lexical", "hybrid"];
+export const FUSION_METHODS = ["rrf", "weighted"];
+export const RERANK_METHODS = ["none", "cohere", "local"];
+
+// Defaults, overridable per deployment
+const DEFAULT_MODE = process.env.RETRIEVAL_MODE || "vector";
+const DEFAULT_FUSION = process.env.RETRIEVAL_FUSION || "rrf";
+const DEFAULT_RERANK = process.env.RETRIEVAL_RERANK || "none";
+const DEFAULT_COLLAPSE_DUPLICATES =
+  process.env.RETRIEVAL_COLLAPSE_DUPLICATES === "true";
+
+// Weight of the vector score in weighted fusion (lexical gets 1 - alpha)
+const DEFAULT_HYBRID_ALPHA = 0.5;
+
+// Rank offset for reciprocal rank fusion: score = Σ 1 / (RRF_K + rank)
+const RRF_K = 60;
+
+// Minimum number of candidates handed to the re-ranker
+export const RERANK_CANDIDATES = 25;
+
+// Keyword patterns indicating the intent of a query, per category
+const INTENT_PATTERNS = {
+  food_safety: [
+    /\bhow long\b/,
+    /\b(keep|kept|keeps|store|stored|storage|leftovers?)\b/,
+    /\b(safe|safely|unsafe|safety)\b/,
+    /\b(spoil|spoiled|expired?|expiration|go(ne)? bad|rotten|moldy)\b/,
+    /\b(fridge|refrigerat\w*|freez\w*|thaw\w*)\b/,
+    /\b(raw|undercooked|danger zone|bacteria|salmonella|e\. ?coli|food poisoning)\b/,
+    /\b(internal temp\w*|cross[- ]contamination)\b/,
+  ],
+  substitutions: [
+    /\b(substitut\w*|instead of|replace\w*|alternative\w*|swap)\b/,
+    /\b(out of|don'?t have|do not have|ran out|without)\b/,
+    /\b(egg[- ]free|dairy[- ]free|gluten[- ]free)\b/,
+  ],
+  nutrition: [
+    /\b(calories?|protein|carbs?|carbohydrates?|fiber|vitamins?|minerals?)\b/,
+    /\b(healthy|healthier|nutrition\w*|diet\w*|keto|macros?)\b/,
+    /\b(saturated|unsaturated|cholesterol|sodium|sugar intake)\b/,
+  ],
+  equipment: [
+    /\b(pan|pans|skillet|wok|pot|dutch oven|cast iron|non-?stick)\b/,
+    /\b(knife|knives|mandoline|blender|mixer|food processor|thermometer)\b/,
+    /\b(air fryer|instant pot|pressure cooker|slow cooker|sous vide|grill)\b/,
+    /\b(equipment|appliance|tool|utensil|cookware|bakeware)\b/,
+  ],
+  recipes: [
+    /\b(recipe|recipes)\b/,
+    /\bhow (do i|to|can i) (make|bake|cook|prepare)\b/,
+    /\b(ingredients for|what do i need for)\b/,
+  ],
+  techniques: [
+    /\b(technique|method|tips? for)\b/,
+    /\b(sear|braise|blanch|poach|saut[eé]|julienne|dice|fold|temper|emulsif\w*|deglaze|caramelize|knead|proof)\w*\b/,
+  ],
+};
+
+// ============================================================================
+// VECTOR SIMILARITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Calculate cosine similarity between two vectors
+ *
+ * Cosine similarity measures the cosine of the angle between two vectors,
+ * providing a metric of how similar they are regardless of magnitude.
+ *
+ * Formula: cos(θ) = (A·B) / (|A| × |B|)
+ *
+ * Document search doesn't call this: document vectors are stored unit
+ * length, so their similarity with a normalized query is a dot product.
+ *
+ * @param {number[]|Float32Array} vecA - First vector (embedding)
+ * @param {number[]|Float32Array} vecB - Second vector (embedding)
+ * @returns {number} Similarity score between -1 and 1 (1 = identical, 0 = orthogonal, -1 = opposite)
+ */
+export function cosineSimilarity(vecA, vecB) {
+  // Dot product and both squared magnitudes in a single pass
+  let dot = 0;
+  let sumA = 0;
+  let sumB = 0;
+  for (let i = 0; i < vecA.length; i++) {
+    dot += vecA[i] * vecB[i];
+    sumA += vecA[i] * vecA[i];
+    sumB += vecB[i] * vecB[i];
+  }
+
+  // Return cosine similarity: dot product divided by product of magnitudes
+  return dot / (Math.sqrt(sumA) * Math.sqrt(sumB));
+}
+
+/**
+ * Find the top K most relevant documents for a query
+ *
+ * This implements the core search functionality by:
+ * 1. Dropping documents outside the included/excluded categories
+ * 2. Scoring the remaining documents by vector similarity and, in lexical or
+ *    hybrid mode, by BM25 keyword relevance
+ * 3. Ranking by the selected mode (each signal is scaled by the category's
+ *    retrieval weight, and routed categories get a small boost)
+ * 4. Taking the top K (partial selection, no full sort) and removing those
+ *    below the minimum score
+ *
+ * Document embeddings must be unit vectors (see toUnitVector). With a
+ * `vectorIndex`, only the documents in the clusters nearest to the query
+ * (plus keyword matches in hybrid mode) are scored; the search falls back
+ * to scoring every document when fewer than K candidates pass the filters.
+ *
+ * With `duplicateGroups` (see lib/corpusQuality.js), only the best-ranked
+ * document of each near-duplicate cluster is kept; the others are listed
+ * in its `duplicateIds` instead of taking top-K slots.
+ *
+ * `minScore` always applies to the vector (cosine) similarity, so the same
+ * threshold means the same thing in every mode. Scores are kept with each
+ * result so callers can tell strong matches from weak ones.
+ *
+ * @param {number[]} queryEmbedding - Vector embedding of user's query
+ * @param {Object[]} documents - Array of document objects with embeddings
+ * @param {number} k - Number of top documents to return (default: 8)
+ * @param {Object} [options] - Ranking and filtering options
+ * @param {string[]} [options.include] - Only search these categories
+ * @param {string[]} [options.exclude] - Never return these categories
+ * @param {number|null} [options.minScore] - Minimum cosine similarity to keep a document
+ * @param {string[]} [options.routedCategories] - Categories ranked ahead of others
+ * @param {Object} [options.categoryWeights] - Ranking multiplier per category (default 1)
+ * @param {string} [options.mode] - "vector" (default), "lexical" or "hybrid"
+ * @param {string} [options.fusion] - Hybrid fusion method: "rrf" or "weighted"
+ * @param {number} [options.alpha] - Vector weight for weighted fusion (0-1)
+ * @param {string} [options.queryText] - Query text for lexical scoring
+ * @param {BM25Index} [options.lexicalIndex] - Index used in lexical/hybrid mode
+ * @param {IVFIndex} [options.vectorIndex] - Approximate index used in vector/hybrid mode
+ * @param {Map<string, string>} [options.duplicateGroups] - Document id → duplicate cluster, to collapse duplicates
+ * @returns {Object} { results: [{ doc, score, scores, duplicateIds? }], excludedByThreshold, totalMatches, approximate }
+ */
+export function getTopKDocuments(
+  queryEmbedding,
+  documents,
+  k = DEFAULT_TOP_K,
+  options = {}
+) {
+  const {
+    include = [],
+    exclude = [],
+    minScore = null,
+    routedCategories = [],
+    categoryWeights = {},
+    mode = "vector",
+    fusion = "rrf",
+    alpha = DEFAULT_HYBRID_ALPHA,
+    queryText = "",
+    lexicalIndex = null,
+    vectorIndex = null,
+    duplicateGroups = null,
+  } = options;
+
+  const queryVector = toUnitVector(queryEmbedding);
+  const inCategories = (doc) =>
+    (include.length === 0 || include.includes(doc.data.category)) &&
+    !exclude.includes(doc.data.category);
+
+  // Keyword scores, normalized to 0-1 against the best match
+  const lexicalScores =
+    mode !== "vector" && lexicalIndex
+      ? lexicalIndex.score(queryText)
+      : new Map();
+  let maxLexical = 0;
+  for (const score of lexicalScores.values()) {
+    maxLexical = Math.max(maxLexical, score);
+  }
+
+  // Apply category filters before scoring, narrowing to the nearest clusters
+  // when an approximate index is available
+  let candidates = null;
+  if (vectorIndex && mode !== "lexical") {
+    const nearby = new Set(vectorIndex.candidates(queryVector));
+    for (const doc of documents) {
+      if (lexicalScores.has(doc.id)) nearby.add(doc);
+    }
+    candidates = [...nearby].filter(inCategories);
+    if (candidates.length < k) candidates = null; // Too few - search exactly
+  }
+  const approximate = candidates !== null;
+  candidates ??= documents.filter(inCategories);
+
+  // Calculate similarity scores for each document
+  const scored = candidates.map((doc) => ({
+    doc,
+    vector: dotProduct(queryVector, doc.embedding),
+    lexical: maxLexical > 0 ? (lexicalScores.get(doc.id) || 0) / maxLexical : 0,
+    weight: categoryWeights[doc.data.category] ?? 1,
+    boost: routedCategories.includes(doc.data.category) ? ROUTING_BOOST : 0,
+  }));
+
+  // Rank according to the selected mode and keep the top K (most relevant first)
+  rankByMode(scored, mode, fusion, alpha);
+  const byRank = (a, b) => b.rank - a.rank || b.vector - a.vector;
+  const topK = duplicateGroups
+    ? collapseDuplicates(scored, k, byRank, duplicateGroups)
+    : selectTopK(scored, k, byRank);
+
+  // Split the top K into documents kept and those below the threshold
+  const passesThreshold = (item) =>
+    minScore === null || item.vector >= minScore;
+
+  const toResult = (item) => ({
+    doc: item.doc,
+    score: item.score,
+    scores:
+      mode === "vector"
+        ? { vector: item.vector }
+        : { vector: item.vector, lexical: item.lexical },
+    ...(item.duplicateIds && { duplicateIds: item.duplicateIds }),
+  });
+
+  // Documents that match the filters and threshold, one per duplicate cluster
+  const matching = scored.filter(passesThreshold);
+  const totalMatches = duplicateGroups
+    ? matching.filter((item) => !duplicateGroups.has(item.doc.id)).length +
+      new Set(
+        matching.map((item) => duplicateGroups.get(item.doc.id)).filter(Boolean)
+      ).size
+    : matching.length;
+
+  return {
+    results: topK.filter(passesThreshold).map(toResult),
+    excludedByThreshold: topK
+      .filter((item) => !passesThreshold(item))
+      .map((item) => describeScoredDocument(toResult(item))),
+    // Beyond the top K too (only among the candidates when the search was
+    // approximate)
+    totalMatches,
+    approximate,
+  };
+}
+
+/**
+ * Select the top K items, keeping one document per duplicate cluster
+ *
+ * Enough items are ranked to fill K even if every clustered document comes
+ * first; later members of a cluster are recorded on the one kept.
+ *
+ * @param {Object[]} scored - Ranked items
+ * @param {number} k - Number of items to keep
+ * @param {Function} compare - Ranking order
+ * @param {Map<string, string>} duplicateGroups - Document id → duplicate cluster
+ * @returns {Object[]} Top items, with `duplicateIds` on those that absorbed others
+ */
+function collapseDuplicates(scored, k, compare, duplicateGroups) {
+  const clustered = scored.filter((item) =>
+    duplicateGroups.has(item.doc.id)
+  ).length;
+  const kept = [];
+  const keptByGroup = new Map();
+
+  for (const item of selectTopK(scored, k + clustered, compare)) {
+    const group = duplicateGroups.get(item.doc.id);
+    const representative = group && keptByGroup.get(group);
+    if (representative) {
+      representative.duplicateIds.push(item.doc.id);
+      continue;
+    }
+    if (kept.length === k) continue;
+
+    if (group) {
+      item.duplicateIds = [];
+      keptByGroup.set(group, item);
+    }
+    kept.push(item);
+  }
+
+  for (const item of kept) {
+    if (item.duplicateIds?.length === 0) delete item.duplicateIds;
+  }
+  return kept;
+}
+
+/**
+ * Score documents by the selected retrieval mode
+ *
+ * - vector:  cosine similarity
+ * - lexical: normalized BM25 score (vector similarity breaks ties)
+ * - hybrid:  reciprocal rank fusion of both rankings, or a weighted sum
+ *
+ * Signals are multiplied by the category weight before the routing boost is
+ * added; the reported vector score stays the raw similarity. Items are
+ * updated in place with `score` (reported) and `rank` (ordered by); only
+ * reciprocal rank fusion needs full sorts, to find each document's ranks.
+ *
+ * @param {Object[]} scored - Items as { doc, vector, lexical, weight, boost }
+ * @param {string} mode - "vector", "lexical" or "hybrid"
+ * @param {string} fusion - "rrf" or "weighted" (hybrid only)
+ * @param {number} alpha - Vector weight for weighted fusion
+ * @returns {Object[]} The same items, with `score` and `rank` fields
+ */
+function rankByMode(scored, mode, fusion, alpha) {
+  if (mode === "lexical") {
+    for (const item of scored) {
+      item.score = item.rank = item.lexical * item.weight + item.boost;
+    }
+    return scored;
+  }
+
+  if (mode === "hybrid" && fusion === "weighted") {
+    for (const item of scored) {
+      item.score = item.rank =
+        (alpha * item.vector + (1 - alpha) * item.lexical) * item.weight +
+        item.boost;
+    }
+    return scored;
+  }
+
+  if (mode === "hybrid") {
+    // Reciprocal rank fusion: reward documents ranked highly by either signal
+    const vectorRanks = rankPositions(
+      scored,
+      (item) => item.vector * item.weight + item.boost
+    );
+    const lexicalRanks = rankPositions(
+      scored.filter((item) => item.lexical > 0),
+      (item) => item.lexical * item.weight + item.boost
+    );
+
+    for (const item of scored) {
+      item.score = item.rank =
+        1 / (RRF_K + vectorRanks.get(item.doc.id)) +
+        (lexicalRanks.has(item.doc.id)
+          ? 1 / (RRF_K + lexicalRanks.get(item.doc.id))
+          : 0);
+    }
+    return scored;
+  }
+
+  for (const item of scored) {
+    item.score = item.vector;
+    item.rank = item.vector * item.weight + item.boost;
+  }
+  return scored;
+}
+
+/**
+ * Compute 1-based rank positions for items ordered by a score
+ *
+ * @param {Object[]} items - Scored items
+ * @param {Function} scoreOf - Returns the score to rank by
+ * @returns {Map<string, number>} Document id → rank (1 = best)
+ */
+function rankPositions(items, scoreOf) {
+  const ordered = [...items].sort((a, b) => scoreOf(b) - scoreOf(a));
+  return new Map(ordered.map((item, idx) => [item.doc.id, idx + 1]));
+}
+
+// ============================================================================
+// RE-RANKING
+// ============================================================================
+
+/**
+ * Re-rank retrieved candidates with a more precise relevance model
+ *
+ * - cohere: the provider's rerank API (Cohere rerank); falls back to local
+ *           scoring when the provider has no rerank support or the call fails
+ * - local:  deterministic cross-scoring of query terms against each document
+ *
+ * @param {string} query - Query text
+ * @param {Object[]} results - Ranked results as { doc, score, scores }
+ * @param {string} method - "cohere" or "local"
+ * @param {Object} provider - Active LLM provider
+ * @param {Object} [options] - { abortSignal }
+ * @returns {Promise<Object>} { results, applied } where applied is the re-ranker actually used
+ */
+export async function rerankResults(
+  query,
+  results,
+  method,
+  provider,
+  options = {}
+) {
+  if (results.length === 0) return { results, applied: method };
+
+  if (method === "cohere" && typeof provider.rerank === "function") {
+    try {
+      const ranking = await provider.rerank(
+        query,
+        results.map(
+          (item) => `${item.doc.data.title}. ${item.doc.data.snippet}`
+        ),
+        { abortSignal: options.abortSignal }
+      );
+
+      return {
+        results: ranking.map(({ index, relevanceScore }) =>
+          withRerankScore(results[index], relevanceScore)
+        ),
+        applied: "cohere",
+      };
+    } catch (err) {
+      if (options.abortSignal?.aborted) throw err;
+      console.warn(
+        "Rerank request failed, using local re-ranking:",
+        err.message
+      );
+    }
+  }
+
+  return { results: localRerank(query, results), applied: "local" };
+}
+
+/**
+ * Score candidates by how completely and closely they contain the query terms
+ *
+ * Combines title term coverage, snippet term coverage and matched adjacent
+ * term pairs, blended with the candidate's original (normalized) score.
+ *
+ * @param {string} query - Query text
+ * @param {Object[]} results - Ranked results as { doc, score, scores }
+ * @returns {Object[]} Results re-ordered by the cross score
+ */
+function localRerank(query, results) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const queryPairs = pairsOf(tokenize(query));
+  const maxScore = Math.max(...results.map((item) => item.score), 1e-9);
+
+  return results
+    .map((item) => {
+      const titleTerms = new Set(tokenize(item.doc.data.title));
+      const bodyTerms = tokenize(
+        `${item.doc.data.title} ${item.doc.data.snippet}`
+      );
+      const snippetTerms = new Set(bodyTerms);
+      const bodyPairs = new Set(pairsOf(bodyTerms));
+
+      const coverage = (terms) =>
+        queryTerms.length === 0
+          ? 0
+          : queryTerms.filter((term) => terms.has(term)).length /
+            queryTerms.length;
+      const pairCoverage =
+        queryPairs.length === 0
+          ? 0
+          : queryPairs.filter((pair) => bodyPairs.has(pair)).length /
+            queryPairs.length;
+
+      const crossScore =
+        0.45 * coverage(titleTerms) +
+        0.35 * coverage(snippetTerms) +
+        0.2 * pairCoverage;
+
+      return withRerankScore(
+        item,
+        0.7 * crossScore + 0.3 * Math.max(item.score / maxScore, 0)
+      );
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * List adjacent term pairs ("cast iron", "iron skillet")
+ *
+ * @param {string[]} terms - Terms in order
+ * @returns {string[]} Space-joined pairs
+ */
+function pairsOf(terms) {
+  return terms.slice(1).map((term, idx) => `${terms[idx]} ${term}`);
+}
+
+/**
+ * Attach a re-rank score to a result, keeping the earlier score for reference
+ *
+ * @param {Object} item - Result as { doc, score, scores }
+ * @param {number} rerankScore - New relevance score
+ * @returns {Object} Updated result
+ */
+function withRerankScore(item, rerankScore) {
+  return {
+    ...item,
+    score: rerankScore,
+    scores: { ...item.scores, retrieval: item.score, rerank: rerankScore },
+  };
+}
+
+/**
+ * Describe a scored document for API responses
+ *
+ * @param {Object} item - Ranked result as { doc, score }
+ * @returns {Object} { id, title, category, score } with the score rounded to 4 decimals
+ */
+export function describeScoredDocument(item) {
+  const round = (value) => Math.round(value * 10000) / 10000;
+
+  return {
+    id: item.doc.id,
+    title: item.doc.data.title,
+    category: item.doc.data.category,
+    score: round(item.score),
+    // File, section and offset for documents ingested from Markdown, CSV or text
+    ...(item.doc.data.source && { source: item.doc.data.source }),
+    // Near-duplicates collapsed into this result
+    ...(item.duplicateIds && { duplicateIds: item.duplicateIds }),
+    // Per-signal breakdown when more than the vector score is involved
+    ...(item.scores &&
+      Object.keys(item.scores).length > 1 && {
+        scores: Object.fromEntries(
+          Object.entries(item.scores).map(([name, value]) => [
+            name,
+            round(value),
+          ])
+        ),
+      }),
+  };
+}
+
+// ============================================================================
+// QUERY INTENT CLASSIFICATION
+// ============================================================================
+
+/**
+ * Classify which knowledge categories a query is most likely about
+ *
+ * Counts keyword pattern matches per category and returns the best-matching
+ * categories (ties included, up to MAX_ROUTED_CATEGORIES).
+ *
+ * @param {string} query - User query (or rewritten search query)
+ * @param {string[]} [availableCategories] - Only route to these categories
+ * @returns {Object[]} Matches as { category, matches }, strongest first
+ */
+export function classifyQueryIntent(query, availableCategories) {
+  const text = query.toLowerCase();
+
+  const scores = Object.entries(INTENT_PATTERNS)
+    .filter(
+      ([category]) =>
+        !availableCategories || availableCategories.includes(category)
+    )
+    .map(([category, patterns]) => ({
+      category,
+      matches: patterns.filter((pattern) => pattern.test(text)).length,
+    }))
+    .filter((entry) => entry.matches > 0)
+    .sort((a, b) => b.matches - a.matches);
+
+  if (scores.length === 0) return [];
+
+  // Keep only the categories tied for the strongest signal
+  return scores
+    .filter((entry) => entry.matches === scores[0].matches)
+    .slice(0, MAX_ROUTED_CATEGORIES);
+}
+
+// ============================================================================
+// REQUEST OPTION PARSING
+// ============================================================================
+
+/**
+ * Validate retrieval options from a request body
+ *
+ * Accepted fields:
+ * - categories: string[] (include list) or { include?: string[], exclude?: string[] }
+ * - k: integer between 1 and MAX_TOP_K
+ * - minScore: number between -1 and 1
+ * - autoRoute: boolean (default: true) - route by query intent
+ * - retrievalMode: "vector" | "lexical" | "hybrid" (`mode` is accepted as
+ *   an alias, matching the GET /search query string)
+ * - fusion: "rrf" | "weighted" (hybrid mode)
+ * - hybridAlpha: number between 0 and 1 - vector weight for weighted fusion
+ * - rerank: "none" | "cohere" | "local"
+ * - collapseDuplicates: boolean - keep one document per near-duplicate cluster
+ *
+ * @param {Object} body - Request body
+ * @param {string[]} availableCategories - Categories present in the knowledge base
+ * @returns {Object} { options } on success, or { error } with a message
+ */
+export function parseRetrievalOptions(body, availableCategories) {
+  const {
+    categories,
+    k,
+    minScore,
+    autoRoute,
+    fusion,
+    hybridAlpha,
+    rerank,
+    collapseDuplicates,
+  } = body;
+
+  if (
+    body.retrievalMode !== undefined &&
+    body.mode !== undefined &&
+    body.retrievalMode !== body.mode
+  ) {
+    return { error: "mode and retrievalMode are aliases; send only one" };
+  }
+  const retrievalMode = body.retrievalMode ?? body.mode;
+
+  let include = [];
+  let exclude = [];
+
+  if (categories !== undefined) {
+    if (Array.isArray(categories)) {
+      include = categories;
+    } else if (categories && typeof categories === "object") {
+      include = categories.include ?? [];
+      exclude = categories.exclude ?? [];
+    } else {
+      return {
+        error:
+          "categories must be an array or an object with include/exclude arrays",
+      };
+    }
+
+    for (const list of [include, exclude]) {
+      if (!Array.isArray(list) || list.some((c) => typeof c !== "string")) {
+        return { error: "Category lists must be arrays of strings" };
+      }
+
+      const unknown = list.filter((c) => !availableCategories.includes(c));
+      if (unknown.length > 0) {
+        return {
+          error: `Unknown categories: ${unknown.join(
+            ", "
+          )}. Available: ${availableCategories.join(", ")}`,
+        };
+      }
+    }
+  }
+
+  if (k !== undefined && (!Number.isInteger(k) || k < 1 || k > MAX_TOP_K)) {
+    return { error: `k must be an integer between 1 and ${MAX_TOP_K}` };
+  }
+
+  if (
+    minScore !== undefined &&
+    (typeof minScore !== "number" ||
+      !Number.isFinite(minScore) ||
+      minScore < -1 ||
+      minScore > 1)
+  ) {
+    return { error: "minScore must be a number between -1 and 1" };
+  }
+
+  if (autoRoute !== undefined && typeof autoRoute !== "boolean") {
+    return { error: "autoRoute must be a boolean" };
+  }
+
+  if (
+    collapseDuplicates !== undefined &&
+    typeof collapseDuplicates !== "boolean"
+  ) {
+    return { error: "collapseDuplicates must be a boolean" };
+  }
+
+  for (const [name, value, allowed] of [
+    ["retrievalMode", retrievalMode, RETRIEVAL_MODES],
+    ["fusion", fusion, FUSION_METHODS],
+    ["rerank", rerank, RERANK_METHODS],
+  ]) {
+    if (value !== undefined && !allowed.includes(value)) {
+      return { error: `${name} must be one of: ${allowed.join(", ")}` };
+    }
+  }
+
+  if (
+    hybridAlpha !== undefined &&
+    (typeof hybridAlpha !== "number" || !(hybridAlpha >= 0 && hybridAlpha <= 1))
+  ) {
+    return { error: "hybridAlpha must be a number between 0 and 1" };
+  }
+
+  return {
+    options: {
+      include,
+      exclude,
+      k: k ?? DEFAULT_TOP_K,
+      minScore: minScore ?? null,
+      autoRoute: autoRoute ?? true,
+      mode: retrievalMode ?? DEFAULT_MODE,
+      fusion: fusion ?? DEFAULT_FUSION,
+      alpha: hybridAlpha ?? DEFAULT_HYBRID_ALPHA,
+      rerank: rerank ?? DEFAULT_RERANK,
+      collapseDuplicates: collapseDuplicates ?? DEFAULT_COLLAPSE_DUPLICATES,
+    },
+  };
+}
+
+/**
+ * Validate pagination options for search results
+ *
+ * @param {Object} body - Request fields with optional page and pageSize
+ * @returns {Object} { options: { page, pageSize } } on success, or { error }
+ */
+export function parsePagination(body) {
+  const { page = 1, pageSize = DEFAULT_PAGE_SIZE } = body;
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: "page must be a positive integer" };
+  }
+
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return {
+      error: `pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`,
+    };
+  }
+
+  if (page * pageSize > MAX_SEARCH_DEPTH) {
+    return {
+      error: `page * pageSize must not exceed ${MAX_SEARCH_DEPTH}; only the first ${MAX_SEARCH_DEPTH} results can be paged through`,
+    };
+  }
+
+  return { options: { page, pageSize } };
+}
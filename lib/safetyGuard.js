@@ -0,0 +1,485 @@
+/**
+ * Safety Guard - Deterministic check of food safety figures in replies
+ *
+ * Runs after generation. Numeric claims in the reply are compared with the
+ * food safety table (lib/foodSafety.js):
+ * - Minimum internal temperatures ("cook chicken to 150°F")
+ * - Refrigerator storage times ("cooked chicken keeps 7 days")
+ * - Marinating times ("marinate fish for up to 5 days")
+ * - Time at room temperature ("leftovers can sit out for 4 hours")
+ *
+ * Claims that are less safe than the table are corrected in place (or only
+ * flagged, with FOOD_SAFETY_GUARD=flag), and replies about higher-risk foods
+ * (raw meat, seafood, eggs, canning, sprouts) get a safety notice appended.
+ */
+
+import {
+  GENERAL_RULES,
+  FOOD_SAFETY_TABLE,
+  SAFETY_NOTICES,
+  findFoodMentions,
+} from "./foodSafety.js"; // Reference table of safe temperatures and storage times
+import { extractTemperatures } from "./units.js"; // Temperature mentions in text
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// "correct" rewrites unsafe figures, "flag" only reports them, "off" disables the guard
+export const SAFETY_GUARD_MODES = ["correct", "flag", "off"];
+export const SAFETY_GUARD_MODE = SAFETY_GUARD_MODES.includes(
+  process.env.FOOD_SAFETY_GUARD
+)
+  ? process.env.FOOD_SAFETY_GUARD
+  : "correct";
+
+// Celsius figures are rounded differently between sources (73.9 → 74)
+const CELSIUS_TOLERANCE = 1;
+
+// Sentence context that decides which rule a number is checked against
+const OVEN_CONTEXT =
+  /\b(oven|preheat\w*|bak(e|ing)|broil\w*|grill(ing)? at|deep[- ]fr\w*|oil|air fryer|sous vide bath)\b/i;
+const COOKING_CONTEXT =
+  /\b(internal|cook(s|ed|ing)?|reach(es|ed)?|safe(ly)?|done(ness)?|thermometer|minimum|re-?heat(s|ed)?|until)\b/i;
+const HOLDING_CONTEXT =
+  /\b(danger zone|refrigerat\w*|fridge|freez\w*|frozen|thaw\w*|hold(ing)?|keep warm|cool(ing)?)\b/i;
+const FRIDGE_CONTEXT = /\b(refrigerat\w*|fridge)\b/i;
+const MARINATE_CONTEXT = /\bmarinat\w*\b/i;
+const ROOM_TEMPERATURE_CONTEXT =
+  /\b(room temperature|sit(ting)? out|left out|on the counter|unrefrigerated)\b/i;
+
+const PERISHABLE_CONTEXT =
+  /\b(leftovers?|perishables?|cooked (food|meals?|dishes))\b/i;
+
+// Where a clause ends around a duration, and around a temperature, where
+// "and"/"then" also start a new step ("cook to 145°F, then cool it quickly")
+const CLAUSE_BOUNDARY = /[,;]/;
+const STEP_BOUNDARY = /[,;]|\b(?:and|then|but|while)\b/i;
+
+// "3 days", "3-4 days", "3 to 4 days", "3.5 days" - the lookbehind keeps a
+// match from starting after a decimal point ("5 days" inside "3.5 days")
+const DURATION_PATTERN =
+  /(?<![\d.])(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(days?|hours?)\b/gi;
+
+// ============================================================================
+// CLAIM DETECTION
+// ============================================================================
+
+/**
+ * Split text into sentences with their offsets
+ *
+ * @param {string} text - Text to split
+ * @returns {Object[]} Sentences as { text, index }
+ */
+function splitSentences(text) {
+  // A period followed by a digit is a decimal point, not a sentence end
+  return [...text.matchAll(/[^.!?\n]+(?:\.(?=\d)[^.!?\n]*)*[.!?]*/g)]
+    .filter((match) => match[0].trim())
+    .map((match) => ({ text: match[0], index: match.index }));
+}
+
+/**
+ * The part of a sentence around a number, between clause boundaries
+ *
+ * @param {string} text - Sentence text
+ * @param {number} start - Start of the number
+ * @param {number} end - End of the number (and its unit)
+ * @param {RegExp} boundary - Pattern separating clauses
+ * @returns {string} Clause containing the number
+ */
+function clauseAround(text, start, end, boundary) {
+  return (
+    text.slice(0, start).split(boundary).pop() +
+    text.slice(start, end) +
+    text.slice(end).split(boundary)[0]
+  );
+}
+
+/**
+ * The food a number in a sentence refers to: the nearest food mentioned
+ * before it, or else the first one after it
+ *
+ * @param {Object[]} mentions - Results of findFoodMentions for the sentence
+ * @param {number} index - Position of the number in the sentence
+ * @returns {Object|null} Table entry
+ */
+function foodFor(mentions, index) {
+  const before = mentions.filter((mention) => mention.index < index);
+  const mention =
+    before[before.length - 1] ??
+    mentions.find((candidate) => candidate.index > index);
+  return mention?.entry ?? null;
+}
+
+/**
+ * Describe a table limit ("1-2 days", "2 hours", "1 hour")
+ *
+ * @param {number[]} range - [max] or [min, max]
+ * @param {string} unit - "days" or "hours"
+ * @returns {string} Description
+ */
+function formatLimit(range, unit) {
+  if (range.length > 1 && range[0] !== range[1]) {
+    return `${range[0]}-${range[1]} ${unit}`;
+  }
+  const max = range[range.length - 1];
+  return `${max} ${max === 1 ? unit.slice(0, -1) : unit}`;
+}
+
+/**
+ * Find food safety claims in a text that are less safe than the table
+ *
+ * @param {string} text - Reply (or document) text
+ * @returns {Object[]} Issues as { type, food, claim, expected, replacement,
+ *   index, length, sentence, sourceIds }, in text order
+ */
+export function findSafetyIssues(text) {
+  const issues = [];
+
+  for (const sentence of splitSentences(text)) {
+    const mentions = findFoodMentions(sentence.text);
+    const issue = (fields, match) =>
+      issues.push({
+        ...fields,
+        index: sentence.index + match.index,
+        length: match.length,
+        sentence: sentence.text.trim(),
+      });
+
+    // Minimum internal temperatures (oven and holding temperatures are not,
+    // judged by their own step: "cook to 145°F and keep it in the fridge")
+    if (mentions.length > 0 && COOKING_CONTEXT.test(sentence.text)) {
+      for (const temperature of extractTemperatures(sentence.text)) {
+        const step = clauseAround(
+          sentence.text,
+          temperature.index,
+          temperature.index + temperature.length,
+          STEP_BOUNDARY
+        );
+        if (HOLDING_CONTEXT.test(step)) continue;
+        if (OVEN_CONTEXT.test(step) && !/\binternal\b/i.test(step)) continue;
+
+        const entry = foodFor(mentions, temperature.index);
+        if (!entry?.minInternalTemp) continue;
+        if (sentence.text[temperature.index - 1] === "-") continue; // Below zero
+
+        const celsius = temperature.unit === "C";
+        const minimum = celsius
+          ? entry.minInternalTemp.c
+          : entry.minInternalTemp.f;
+        const tolerance = celsius ? CELSIUS_TOLERANCE : 0;
+        if (temperature.value >= minimum - tolerance) continue;
+
+        const claimed = sentence.text.slice(
+          temperature.index,
+          temperature.index + temperature.length
+        );
+        issue(
+          {
+            type: "temperature",
+            food: entry.food,
+            claim: claimed,
+            expected: `${minimum}°${temperature.unit}`,
+            replacement: claimed.replace(
+              String(temperature.value),
+              String(minimum)
+            ),
+            sourceIds: entry.sourceIds,
+          },
+          temperature
+        );
+      }
+    }
+
+    // Storage, marinating and room-temperature durations
+    for (const match of sentence.text.matchAll(DURATION_PATTERN)) {
+      const claimedMax = parseFloat(match[2] ?? match[1]);
+      const unit = match[3].toLowerCase().startsWith("day") ? "days" : "hours";
+      const entry = foodFor(mentions, match.index);
+      // Clause around the number ("..., marinate for up to 2 days, ...")
+      const clause = clauseAround(
+        sentence.text,
+        match.index,
+        match.index + match[0].length,
+        CLAUSE_BOUNDARY
+      );
+      let rule = null;
+
+      // Only for perishable food - cultures and doughs sit out on purpose
+      if (
+        unit === "hours" &&
+        ROOM_TEMPERATURE_CONTEXT.test(sentence.text) &&
+        (entry || PERISHABLE_CONTEXT.test(sentence.text))
+      ) {
+        rule = {
+          type: "room_temperature",
+          food: entry?.food ?? "perishable food",
+          range: [GENERAL_RULES.maxHoursAtRoomTemperature],
+          sourceIds: GENERAL_RULES.sourceIds,
+        };
+      } else if (unit === "days" && entry && MARINATE_CONTEXT.test(clause)) {
+        if (entry.marinateMaxDays) {
+          rule = {
+            type: "marinating",
+            food: entry.food,
+            range: [entry.marinateMaxDays],
+            sourceIds: entry.sourceIds,
+          };
+        }
+      } else if (
+        unit === "days" &&
+        entry &&
+        FRIDGE_CONTEXT.test(sentence.text)
+      ) {
+        // Raw and cooked limits differ: look for a hint in the clause, then
+        // the sentence, and without one allow the longer limit
+        const hint = [clause, sentence.text].find((part) =>
+          /\b(cooked|leftovers?|raw|fresh|uncooked)\b/i.test(part)
+        );
+        const cooked = /\b(cooked|leftovers?)\b/i.test(hint ?? "");
+        const raw = !cooked && /\b(raw|fresh|uncooked)\b/i.test(hint ?? "");
+        const range =
+          (cooked && entry.fridgeCookedDays) ||
+          (raw && entry.fridgeRawDays) ||
+          [entry.fridgeRawDays, entry.fridgeCookedDays]
+            .filter(Boolean)
+            .sort((a, b) => b[1] - a[1])[0];
+        if (range) {
+          rule = {
+            type: "storage",
+            food: entry.food,
+            range,
+            sourceIds: entry.sourceIds,
+          };
+        }
+      }
+
+      if (!rule) continue;
+      const allowedMax = rule.range[rule.range.length - 1];
+      if (claimedMax <= allowedMax) continue;
+
+      const expected = formatLimit(rule.range, unit);
+      issue(
+        {
+          type: rule.type,
+          food: rule.food,
+          claim: match[0],
+          expected,
+          // "5 days" becomes "2 days", a claimed range the table's range
+          replacement: match[2] ? expected : formatLimit([allowedMax], unit),
+          sourceIds: rule.sourceIds,
+        },
+        { index: match.index, length: match[0].length }
+      );
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Safety notices for the higher-risk topics in a question and its reply
+ *
+ * @param {string} text - Question and reply text
+ * @returns {Object[]} Notices as { topic, text, sourceIds }
+ */
+export function findSafetyNotices(text) {
+  return SAFETY_NOTICES.filter((notice) => notice.pattern.test(text)).map(
+    ({ topic, text: noticeText, sourceIds }) => ({
+      topic,
+      text: noticeText,
+      sourceIds,
+    })
+  );
+}
+
+// ============================================================================
+// REPLY CHECKING
+// ============================================================================
+
+/**
+ * Replace spans of a text, keeping citation offsets pointing at the same words
+ *
+ * @param {string} text - Original text
+ * @param {Object[]} citations - Citations as { start, end, text, ... }
+ * @param {Object[]} edits - { index, length, replacement }, non-overlapping
+ * @returns {Object} { text, citations }
+ */
+function applyEdits(text, citations, edits) {
+  let result = text;
+  let updated = citations.map((citation) => ({ ...citation }));
+
+  // Right to left, so earlier offsets stay valid
+  for (const edit of [...edits].sort((a, b) => b.index - a.index)) {
+    const end = edit.index + edit.length;
+    const delta = edit.replacement.length - edit.length;
+    result = result.slice(0, edit.index) + edit.replacement + result.slice(end);
+
+    updated = updated.map((citation) => {
+      if (citation.start >= end) {
+        return {
+          ...citation,
+          start: citation.start + delta,
+          end: citation.end + delta,
+        };
+      }
+      return citation.end > edit.index
+        ? { ...citation, end: citation.end + delta, edited: true }
+        : citation;
+    });
+  }
+
+  return {
+    text: result,
+    citations: updated.map(({ edited, ...citation }) =>
+      edited
+        ? { ...citation, text: result.slice(citation.start, citation.end) }
+        : citation
+    ),
+  };
+}
+
+/**
+ * Check a reply's food safety figures and attach safety notices
+ *
+ * @param {string} text - Generated reply
+ * @param {Object[]} citations - Citations into the reply
+ * @param {Object} [options] - { prompt: question asked, mode: "correct" | "flag" | "off" }
+ * @returns {Object} { text, citations, safety: { mode, issues, notices } }
+ */
+export function guardReply(
+  text,
+  citations = [],
+  { prompt = "", mode = SAFETY_GUARD_MODE } = {}
+) {
+  if (mode === "off") {
+    return { text, citations, safety: { mode, issues: [], notices: [] } };
+  }
+
+  const issues = findSafetyIssues(text);
+  const notices = findSafetyNotices(`${prompt}\n${text}`);
+  const action = mode === "correct" ? "corrected" : "flagged";
+
+  let result = { text, citations };
+  if (mode === "correct" && issues.length > 0) {
+    result = applyEdits(text, citations, issues);
+  }
+
+  const lines = [
+    ...issues.map(
+      (issue) =>
+        `⚠️ Safety ${mode === "correct" ? "correction" : "check"}: ` +
+        `for ${issue.food} the safe figure is ${issue.expected}, not ${issue.claim}.`
+    ),
+    ...notices.map((notice) => `⚠️ Food safety: ${notice.text}`),
+  ];
+
+  return {
+    text:
+      lines.length > 0 ? `${result.text}\n\n${lines.join("\n")}` : result.text,
+    citations: result.citations,
+    safety: {
+      mode,
+      issues: issues.map(({ index, length, replacement, ...issue }) => ({
+        ...issue,
+        action,
+      })),
+      notices,
+    },
+  };
+}
+
+/**
+ * Check a structured recipe's steps and safety notes
+ *
+ * Unsafe figures in step instructions are corrected (or flagged), and the
+ * corrections and topic notices are added to `safetyNotes`.
+ *
+ * @param {Object} recipe - Recipe matching RECIPE_SCHEMA (updated in place)
+ * @param {Object} [options] - { prompt: question asked, mode: "correct" | "flag" | "off" }
+ * @returns {Object} { mode, issues, notices }
+ */
+export function guardRecipe(
+  recipe,
+  { prompt = "", mode = SAFETY_GUARD_MODE } = {}
+) {
+  if (mode === "off") return { mode, issues: [], notices: [] };
+
+  const action = mode === "correct" ? "corrected" : "flagged";
+  const issues = [];
+
+  for (const step of recipe.steps) {
+    const found = findSafetyIssues(step.instruction);
+    if (found.length === 0) continue;
+
+    if (mode === "correct") {
+      step.instruction = applyEdits(step.instruction, [], found).text;
+    }
+    issues.push(
+      ...found.map(({ index, length, replacement, ...issue }) => ({
+        ...issue,
+        step: step.step,
+        action,
+      }))
+    );
+  }
+
+  const notices = findSafetyNotices(
+    `${prompt}\n${recipe.title}\n${recipe.ingredients
+      .map((ingredient) => ingredient.item)
+      .join(", ")}\n${recipe.steps.map((step) => step.instruction).join(" ")}`
+  );
+
+  recipe.safetyNotes = [
+    ...new Set([
+      ...recipe.safetyNotes,
+      ...issues.map(
+        (issue) =>
+          `Step ${issue.step}: for ${issue.food} the safe figure is ${issue.expected}` +
+          (mode === "correct"
+            ? ` (was ${issue.claim}).`
+            : `, not ${issue.claim}.`)
+      ),
+      ...notices.map((notice) => notice.text),
+    ]),
+  ];
+
+  return { mode, issues, notices };
+}
+
+/**
+ * Check the food safety documents against the table
+ *
+ * The table is seeded from these documents; an edit that changes a figure
+ * shows up here as an issue so the table can be updated to match.
+ *
+ * @param {Object[]} documents - Knowledge base documents
+ * @returns {Object[]} Issues as { documentId, type, food, claim, expected } or
+ *   { documentId, type: "missing_source" }
+ */
+export function verifyFoodSafetyTable(documents) {
+  const foodSafety = documents.filter(
+    (doc) => doc.data.category === "food_safety"
+  );
+  const ids = new Set(foodSafety.map((doc) => doc.id));
+  const referenced = new Set([
+    ...GENERAL_RULES.sourceIds,
+    ...FOOD_SAFETY_TABLE.flatMap((entry) => entry.sourceIds),
+    ...SAFETY_NOTICES.flatMap((notice) => notice.sourceIds),
+  ]);
+
+  return [
+    ...[...referenced]
+      .filter((id) => !ids.has(id))
+      .map((id) => ({ documentId: id, type: "missing_source" })),
+    ...foodSafety.flatMap((doc) =>
+      findSafetyIssues(doc.data.snippet).map((issue) => ({
+        documentId: doc.id,
+        type: issue.type,
+        food: issue.food,
+        claim: issue.claim,
+        expected: issue.expected,
+      }))
+    ),
+  ];
+}
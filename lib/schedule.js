@@ -0,0 +1,216 @@
+/**
+ * Schedule - Timer plan for cooking several dishes at once
+ *
+ * Tasks have a duration and may depend on other tasks ("rest" after
+ * "roast"). Each task is started as late as possible, so everything without
+ * a follow-up task finishes together at the end of the plan. With a
+ * `finishAt` clock time the offsets are turned into start and end times.
+ */
+
+// Upper bounds that keep a plan readable
+export const MAX_SCHEDULE_TASKS = 30;
+export const MAX_TASK_MINUTES = 24 * 60;
+
+/**
+ * Error for a task list that can't be scheduled
+ */
+export class ScheduleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ScheduleError";
+  }
+}
+
+/**
+ * Parse a clock time ("18:30", "6:30pm", "6pm") into minutes after midnight
+ *
+ * @param {string} text - Clock time
+ * @returns {number|null} Minutes after midnight, or null when unparseable
+ */
+export function parseClockTime(text) {
+  const match = String(text)
+    .trim()
+    .toLowerCase()
+    .match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] ?? 0);
+  if (minutes > 59) return null;
+
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[3] === "pm" ? 12 : 0);
+  } else if (hours > 23) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Format minutes after midnight as a 24-hour clock time (wrapping past midnight)
+ *
+ * @param {number} minutes - Minutes after midnight (may be negative)
+ * @returns {string} "HH:MM"
+ */
+function formatClockTime(minutes) {
+  const wrapped = ((Math.round(minutes) % 1440) + 1440) % 1440;
+  const hours = Math.floor(wrapped / 60);
+  return `${String(hours).padStart(2, "0")}:${String(wrapped % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Order tasks so every task comes after the tasks it depends on
+ *
+ * @param {Object[]} tasks - Tasks as { name, minutes, after }
+ * @returns {Object[]} Tasks in dependency order
+ * @throws {ScheduleError} On an unknown dependency or a cycle
+ */
+function sortByDependencies(tasks) {
+  const byName = new Map(tasks.map((task) => [task.name, task]));
+  const ordered = [];
+  const state = new Map(); // name → "visiting" | "done"
+
+  const visit = (task, chain) => {
+    if (state.get(task.name) === "done") return;
+    if (state.get(task.name) === "visiting") {
+      throw new ScheduleError(
+        `Tasks depend on each other in a cycle: ${[...chain, task.name].join(" → ")}`
+      );
+    }
+
+    state.set(task.name, "visiting");
+    for (const name of task.after) {
+      const dependency = byName.get(name);
+      if (!dependency) {
+        throw new ScheduleError(
+          `Task "${task.name}" depends on unknown task "${name}"`
+        );
+      }
+      visit(dependency, [...chain, task.name]);
+    }
+    state.set(task.name, "done");
+    ordered.push(task);
+  };
+
+  tasks.forEach((task) => visit(task, []));
+  return ordered;
+}
+
+/**
+ * Plan start times for a set of cooking tasks
+ *
+ * @param {Object[]} tasks - Tasks as { name, minutes, after?: string[] }
+ * @param {Object} [options] - { finishAt: clock time everything should be ready }
+ * @returns {Object} { totalMinutes, finishAt?, startAt?, tasks, timers }
+ * @throws {ScheduleError} When the tasks are invalid or can't be ordered
+ */
+export function planSchedule(tasks, { finishAt } = {}) {
+  if (!Array.isArray(tasks) || tasks.length === 0) {
+    throw new ScheduleError("At least one task is required");
+  }
+  if (tasks.length > MAX_SCHEDULE_TASKS) {
+    throw new ScheduleError(
+      `At most ${MAX_SCHEDULE_TASKS} tasks can be planned`
+    );
+  }
+
+  const normalized = tasks.map((task) => ({
+    name: String(task.name ?? "").trim(),
+    minutes: task.minutes,
+    after: [].concat(task.after ?? []).map((name) => String(name).trim()),
+  }));
+
+  const names = new Set();
+  for (const task of normalized) {
+    if (!task.name) throw new ScheduleError("Every task needs a name");
+    if (names.has(task.name)) {
+      throw new ScheduleError(`Task "${task.name}" appears more than once`);
+    }
+    if (
+      !Number.isFinite(task.minutes) ||
+      task.minutes <= 0 ||
+      task.minutes > MAX_TASK_MINUTES
+    ) {
+      throw new ScheduleError(
+        `Task "${task.name}" needs a duration between 1 and ${MAX_TASK_MINUTES} minutes`
+      );
+    }
+    names.add(task.name);
+  }
+
+  let finishMinutes = null;
+  if (finishAt !== undefined && finishAt !== null) {
+    finishMinutes = parseClockTime(finishAt);
+    if (finishMinutes === null) {
+      throw new ScheduleError(
+        `finishAt "${finishAt}" is not a clock time like 18:30 or 6:30pm`
+      );
+    }
+  }
+
+  const ordered = sortByDependencies(normalized);
+
+  // Earliest finish of each task fixes the length of the plan
+  const earliestEnd = new Map();
+  for (const task of ordered) {
+    const ready = Math.max(
+      0,
+      ...task.after.map((name) => earliestEnd.get(name))
+    );
+    earliestEnd.set(task.name, ready + task.minutes);
+  }
+  const totalMinutes = Math.max(...earliestEnd.values());
+
+  // Then start every task as late as its follow-up tasks allow
+  const latestStart = new Map();
+  for (const task of [...ordered].reverse()) {
+    const followUps = ordered.filter((other) =>
+      other.after.includes(task.name)
+    );
+    const end = Math.min(
+      totalMinutes,
+      ...followUps.map((other) => latestStart.get(other.name))
+    );
+    latestStart.set(task.name, end - task.minutes);
+  }
+
+  const clock = (offset) =>
+    finishMinutes === null
+      ? {}
+      : { at: formatClockTime(finishMinutes - totalMinutes + offset) };
+
+  const planned = normalized
+    .map((task) => {
+      const start = latestStart.get(task.name);
+      return {
+        name: task.name,
+        minutes: task.minutes,
+        ...(task.after.length > 0 && { after: task.after }),
+        startMinute: start,
+        endMinute: start + task.minutes,
+        ...(finishMinutes !== null && {
+          startAt: clock(start).at,
+          endAt: clock(start + task.minutes).at,
+        }),
+      };
+    })
+    .sort(
+      (a, b) => a.startMinute - b.startMinute || a.name.localeCompare(b.name)
+    );
+
+  return {
+    totalMinutes,
+    ...(finishMinutes !== null && {
+      startAt: clock(0).at,
+      finishAt: formatClockTime(finishMinutes),
+    }),
+    tasks: planned,
+    // Timers to set, in the order they start
+    timers: planned.map(
+      (task) =>
+        `${task.startAt ?? `T+${task.startMinute} min`}: start "${task.name}" (${task.minutes} min)`
+    ),
+  };
+}
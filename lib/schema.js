@@ -0,0 +1,99 @@
+/**
+ * Schema - Validation against the JSON Schema subset used in this project
+ *
+ * Recipe output and tool parameters are described with JSON Schema so the
+ * same schema can be sent to the model. This validator covers the keywords
+ * those schemas use: type (single or list), enum, required, properties,
+ * items, minItems/maxItems, minLength/maxLength and minimum/maximum.
+ */
+
+/**
+ * JSON type name of a value ("integer" for whole numbers)
+ *
+ * @param {*} value - Value to describe
+ * @returns {string} Type name
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema
+ * @param {string} [path] - Path of the value, for messages
+ * @returns {string[]} Errors as "path: message" (empty when valid)
+ */
+export function validateAgainstSchema(value, schema, path = "value") {
+  const types = [].concat(schema.type ?? []);
+  const actual = typeOf(value);
+  const typeMatches =
+    types.length === 0 ||
+    types.includes(actual) ||
+    (actual === "integer" && types.includes("number"));
+
+  if (!typeMatches) {
+    return [`${path}: expected ${types.join(" or ")}, got ${actual}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path}: must be one of ${schema.enum.join(", ")}`];
+  }
+
+  const errors = [];
+
+  if (actual === "object") {
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(
+      schema.properties ?? {}
+    )) {
+      if (key in value) {
+        errors.push(
+          ...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`)
+        );
+      }
+    }
+  }
+
+  if (actual === "array") {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${path}: needs at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: allows at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, idx) =>
+        errors.push(
+          ...validateAgainstSchema(item, schema.items, `${path}[${idx}]`)
+        )
+      );
+    }
+  }
+
+  if (actual === "string") {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push(`${path}: must not be empty`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (actual === "number" || actual === "integer") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be at most ${schema.maximum}`);
+    }
+  }
+
+  return errors;
+}
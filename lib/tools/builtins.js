@@ -0,0 +1,228 @@
+/**
+ * Built-in Tools - Tools available to the chat model out of the box
+ *
+ * - search_knowledge_base: search the knowledge base, optionally in one category
+ * - food_safety_lookup:   safe internal temperatures and storage times
+ * - convert_units:        scale or convert ingredient amounts and temperatures
+ * - plan_timers:          start times for cooking several dishes at once
+ *
+ * Knowledge base access is injected so the tools don't depend on the server.
+ */
+
+import { FOOD_SAFETY_TOPICS, lookupFoodSafety } from "../foodSafety.js";
+import {
+  ScheduleError,
+  planSchedule,
+  MAX_SCHEDULE_TASKS,
+} from "../schedule.js";
+import {
+  UNIT_SYSTEMS,
+  parseIngredientList,
+  convertIngredients,
+  scaleIngredients,
+  convertTemperature,
+} from "../units.js";
+import { ToolError } from "./errors.js";
+
+// Results returned by one knowledge base search
+const MAX_SEARCH_RESULTS = 10;
+const DEFAULT_SEARCH_RESULTS = 5;
+
+/**
+ * Create the built-in tools
+ *
+ * @param {Object} options
+ * @param {Function} options.searchDocuments - async (query, { category, k }, abortSignal) →
+ *   [{ id, title, category, snippet, score }]
+ * @param {Function} options.getCategories - () → category names (read on every request)
+ * @returns {Object[]} Tools for createToolRegistry
+ */
+export function createBuiltinTools({ searchDocuments, getCategories }) {
+  return [
+    {
+      name: "search_knowledge_base",
+      description:
+        "Search the CulinaryGPT knowledge base for documents beyond those already provided. " +
+        "Optionally restrict the search to one category.",
+      // Categories can change while the server runs
+      get parameters() {
+        return {
+          type: "object",
+          required: ["query"],
+          properties: {
+            query: {
+              type: "string",
+              description: "What to search for",
+              minLength: 1,
+              maxLength: 500,
+            },
+            category: {
+              type: "string",
+              description: "Only search this category",
+              enum: getCategories(),
+            },
+            k: {
+              type: "integer",
+              description: `Number of documents to return (default ${DEFAULT_SEARCH_RESULTS})`,
+              minimum: 1,
+              maximum: MAX_SEARCH_RESULTS,
+            },
+          },
+        };
+      },
+      async handler({ query, category, k = DEFAULT_SEARCH_RESULTS }, context) {
+        const documents = await searchDocuments(
+          query,
+          { category, k },
+          context.abortSignal
+        );
+        return { query, ...(category && { category }), documents };
+      },
+    },
+
+    {
+      name: "food_safety_lookup",
+      description:
+        "Look up the safe minimum internal cooking temperature and refrigerator/freezer " +
+        "storage times for a food. Use this for any food safety figure instead of recalling it.",
+      parameters: {
+        type: "object",
+        required: ["food"],
+        properties: {
+          food: {
+            type: "string",
+            description: 'Food, e.g. "chicken thighs" or "ground pork"',
+            minLength: 1,
+            maxLength: 200,
+          },
+          topic: {
+            type: "string",
+            description: "Limit the answer to temperatures or storage times",
+            enum: FOOD_SAFETY_TOPICS,
+          },
+        },
+      },
+      handler({ food, topic = "all" }) {
+        return lookupFoodSafety(food, topic);
+      },
+    },
+
+    {
+      name: "convert_units",
+      description:
+        "Scale a list of ingredients and/or convert it between metric and US units, " +
+        "or convert a temperature between Fahrenheit and Celsius. Returns exact amounts.",
+      parameters: {
+        type: "object",
+        properties: {
+          ingredients: {
+            type: "string",
+            description:
+              'Ingredient lines separated by newlines or commas, e.g. "2 cups flour, 1 tbsp sugar"',
+            minLength: 1,
+            maxLength: 5000,
+          },
+          factor: {
+            type: "number",
+            description:
+              "Multiply the amounts by this factor (e.g. 2 to double)",
+            minimum: 0.01,
+            maximum: 100,
+          },
+          to: {
+            type: "string",
+            description:
+              "Unit system for ingredients, or F/C for a temperature",
+            enum: [...UNIT_SYSTEMS, "F", "C"],
+          },
+          temperature: {
+            type: "number",
+            description: "Temperature to convert (with `to` set to F or C)",
+          },
+        },
+      },
+      // Scaled amounts default to the user's preferred units (context.units)
+      handler({ ingredients, factor, to, temperature }, { units } = {}) {
+        if (temperature !== undefined) {
+          if (to !== "F" && to !== "C") {
+            throw new ToolError("Set `to` to F or C to convert a temperature");
+          }
+          const from = to === "F" ? "C" : "F";
+          return {
+            value: temperature,
+            from,
+            to,
+            result: convertTemperature(temperature, from, to),
+          };
+        }
+
+        if (!ingredients) {
+          throw new ToolError("Provide ingredients or a temperature");
+        }
+        if (to === "F" || to === "C") {
+          throw new ToolError("`to` must be metric or us for ingredients");
+        }
+        if (factor === undefined && !to) {
+          throw new ToolError(
+            "Provide a factor, a target unit system, or both"
+          );
+        }
+
+        const parsed = parseIngredientList(ingredients);
+        const target = to ?? (factor !== undefined ? units : undefined);
+        return {
+          ...(factor !== undefined && { factor }),
+          ...(target && { to: target }),
+          ingredients:
+            factor !== undefined
+              ? scaleIngredients(parsed, factor, { to: target })
+              : convertIngredients(parsed, target),
+        };
+      },
+    },
+
+    {
+      name: "plan_timers",
+      description:
+        "Plan when to start each cooking task so everything is ready together. " +
+        "Tasks may depend on others (e.g. rest after roasting). Returns start times and timers.",
+      parameters: {
+        type: "object",
+        required: ["tasks"],
+        properties: {
+          tasks: {
+            type: "array",
+            minItems: 1,
+            maxItems: MAX_SCHEDULE_TASKS,
+            items: {
+              type: "object",
+              required: ["name", "minutes"],
+              properties: {
+                name: { type: "string", minLength: 1, maxLength: 100 },
+                minutes: { type: "number", minimum: 1 },
+                after: {
+                  type: "array",
+                  description: "Names of tasks that must finish first",
+                  items: { type: "string" },
+                },
+              },
+            },
+          },
+          finishAt: {
+            type: "string",
+            description:
+              'Clock time everything should be ready, e.g. "18:30" or "6:30pm"',
+          },
+        },
+      },
+      handler({ tasks, finishAt }) {
+        try {
+          return planSchedule(tasks, { finishAt });
+        } catch (err) {
+          if (err instanceof ScheduleError) throw new ToolError(err.message);
+          throw err;
+        }
+      },
+    },
+  ];
+}
@@ -0,0 +1,23 @@
+/**
+ * Tool Errors - Failures reported back to the model as tool results
+ */
+
+/**
+ * Error for an unknown tool, invalid arguments or a failed handler
+ *
+ * The message is returned to the model as the tool's result.
+ */
+export class ToolError extends Error {
+  /**
+   * @param {string} message - Human-readable error description
+   * @param {Object} [details] - Extra context
+   * @param {string} [details.tool] - Tool name
+   * @param {string[]} [details.errors] - Schema validation errors
+   */
+  constructor(message, { tool, errors = [] } = {}) {
+    super(message);
+    this.name = "ToolError";
+    this.tool = tool;
+    this.errors = errors;
+  }
+}
@@ -0,0 +1,277 @@
+/**
+ * Tools - Registry and call loop for model-invoked tools
+ *
+ * A tool is `{ name, description, parameters, handler }`, where `parameters`
+ * is a JSON Schema object describing the arguments and
+ * `handler(parameters, context)` returns a JSON-serializable result (or a
+ * Promise of one). The registry validates arguments against the schema
+ * before a handler runs, so handlers can trust their input.
+ *
+ * runToolLoop lets the chat model call tools during a turn:
+ * 1. Chat with the tool definitions available
+ * 2. Run the tool calls in the reply and send their results back
+ * 3. Repeat until the model answers without calling tools, or the
+ *    iteration limit is reached (the last call then gets no tools and
+ *    must answer from the results so far)
+ *
+ * Every call is recorded in a trace returned with the reply.
+ */
+
+import { validateAgainstSchema } from "../schema.js"; // Argument validation
+import { ToolError } from "./errors.js";
+
+export { ToolError } from "./errors.js";
+export { createBuiltinTools } from "./builtins.js";
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Chat calls that may request tools in one turn
+export const TOOL_MAX_ITERATIONS =
+  parseInt(process.env.TOOL_MAX_ITERATIONS, 10) || 3;
+
+// Tool calls run per chat call (extra calls are answered with an error)
+const MAX_CALLS_PER_ITERATION = 5;
+
+// Time a single tool handler may take
+const TOOL_TIMEOUT_MS = parseInt(process.env.TOOL_TIMEOUT_MS, 10) || 10000;
+
+// Tool names as accepted by the Cohere and OpenAI APIs
+const TOOL_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,63}$/;
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * Create a tool registry
+ *
+ * @param {Object[]} [tools] - Tools to register
+ * @returns {Object} Registry with register, get, list, definitions and execute
+ */
+export function createToolRegistry(tools = []) {
+  const registered = new Map();
+
+  const registry = {
+    /**
+     * Add a tool (replaces a tool of the same name)
+     *
+     * @param {Object} tool - { name, description, parameters, handler }
+     */
+    register(tool) {
+      if (!TOOL_NAME_PATTERN.test(tool?.name ?? "")) {
+        throw new Error(`Invalid tool name "${tool?.name}"`);
+      }
+      if (typeof tool.handler !== "function") {
+        throw new Error(`Tool "${tool.name}" needs a handler function`);
+      }
+      if (tool.parameters?.type !== "object") {
+        throw new Error(
+          `Tool "${tool.name}" parameters must be an object schema`
+        );
+      }
+      registered.set(tool.name, tool);
+      return registry;
+    },
+
+    get(name) {
+      return registered.get(name) ?? null;
+    },
+
+    list() {
+      return [...registered.values()];
+    },
+
+    /**
+     * Tool definitions sent to the chat model
+     *
+     * @returns {Object[]} { name, description, parameters }
+     */
+    definitions() {
+      return registry.list().map((tool) => ({
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters,
+      }));
+    },
+
+    /**
+     * Validate arguments and run a tool
+     *
+     * @param {string} name - Tool name
+     * @param {Object} parameters - Arguments from the model
+     * @param {Object} [context] - Passed through to the handler (e.g. abortSignal)
+     * @returns {Promise<*>} Handler result
+     * @throws {ToolError} For unknown tools, invalid arguments or handler failures
+     */
+    async execute(name, parameters, context = {}) {
+      const tool = registered.get(name);
+      if (!tool) {
+        throw new ToolError(`Unknown tool "${name}"`, { tool: name });
+      }
+
+      const errors = validateAgainstSchema(
+        parameters ?? {},
+        tool.parameters,
+        "parameters"
+      );
+      if (errors.length > 0) {
+        throw new ToolError(`Invalid arguments for ${name}`, {
+          tool: name,
+          errors,
+        });
+      }
+
+      let timer;
+      try {
+        return await Promise.race([
+          Promise.resolve().then(() => tool.handler(parameters ?? {}, context)),
+          new Promise((_, reject) => {
+            timer = setTimeout(
+              () =>
+                reject(
+                  new ToolError(
+                    `${name} timed out after ${TOOL_TIMEOUT_MS} ms`,
+                    {
+                      tool: name,
+                    }
+                  )
+                ),
+              TOOL_TIMEOUT_MS
+            );
+          }),
+        ]);
+      } catch (err) {
+        if (err instanceof ToolError || err?.name === "AbortError") throw err;
+        throw new ToolError(err.message, { tool: name });
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+
+  tools.forEach((tool) => registry.register(tool));
+  return registry;
+}
+
+// ============================================================================
+// CALL LOOP
+// ============================================================================
+
+/**
+ * Turn tool results into chat documents
+ *
+ * Used for the final answer when the iteration limit is reached, so the
+ * model can still quote (and cite) what the tools returned.
+ *
+ * @param {Object[]} toolResults - { call, outputs }
+ * @returns {Object[]} Chat documents as { id, text }
+ */
+function toolResultDocuments(toolResults) {
+  return toolResults.map((result, idx) => ({
+    id: `tool_${result.call.name}_${idx + 1}`,
+    text:
+      `Result of ${result.call.name}(${JSON.stringify(result.call.parameters)}):\n` +
+      JSON.stringify(result.outputs),
+  }));
+}
+
+/**
+ * Answer a chat turn, letting the model call tools along the way
+ *
+ * @param {Object} provider - Chat provider (see lib/providers)
+ * @param {Object} turn - { message, documents, preamble, history, registry,
+ *   temperature, abortSignal, maxIterations, context }
+ * @returns {Promise<Object>} { text, citations, finishReason, toolTrace, iterations }
+ */
+export async function runToolLoop(
+  provider,
+  {
+    message,
+    documents,
+    preamble,
+    history = [],
+    registry,
+    temperature,
+    abortSignal,
+    maxIterations = TOOL_MAX_ITERATIONS,
+    context = {},
+  }
+) {
+  const toolResults = []; // Every call so far with its outputs, in order
+  const toolTrace = [];
+
+  for (let iteration = 1; ; iteration++) {
+    const final = iteration > maxIterations;
+    const response = await provider.chat(
+      message,
+      final ? [...documents, ...toolResultDocuments(toolResults)] : documents,
+      preamble,
+      history,
+      {
+        temperature,
+        abortSignal,
+        ...(!final && {
+          tools: registry.definitions(),
+          ...(toolResults.length > 0 && { toolResults }),
+        }),
+      }
+    );
+
+    const toolCalls = final ? [] : (response.toolCalls ?? []);
+    if (toolCalls.length === 0) {
+      return {
+        text: response.text,
+        citations: response.citations ?? [],
+        finishReason: response.finishReason ?? null,
+        toolTrace,
+        iterations: iteration,
+      };
+    }
+
+    for (const [idx, call] of toolCalls.entries()) {
+      const started = Date.now();
+      const entry = { iteration, name: call.name, parameters: call.parameters };
+      let output;
+
+      try {
+        if (idx >= MAX_CALLS_PER_ITERATION) {
+          throw new ToolError(
+            `Only ${MAX_CALLS_PER_ITERATION} tool calls are run per step`,
+            { tool: call.name }
+          );
+        }
+        output = await registry.execute(call.name, call.parameters, {
+          ...context,
+          abortSignal,
+        });
+        entry.output = output;
+      } catch (err) {
+        if (err?.name === "AbortError") throw err;
+        // Report the failure to the model so it can retry or answer without it
+        output = {
+          error: err.message,
+          ...(err.errors?.length > 0 && { details: err.errors }),
+        };
+        entry.error = output;
+      }
+
+      entry.durationMs = Date.now() - started;
+      toolTrace.push(entry);
+      toolResults.push({
+        call: { id: call.id, name: call.name, parameters: call.parameters },
+        // Providers expect a list of result objects
+        outputs: [].concat(
+          output !== null && typeof output === "object"
+            ? output
+            : { result: output }
+        ),
+      });
+    }
+
+    console.log(
+      `Tool step ${iteration}: ${toolCalls.map((call) => call.name).join(", ")}`
+    );
+  }
+}
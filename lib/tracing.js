@@ -0,0 +1,145 @@
+/**
+ * Tracing - Optional OpenTelemetry spans around the RAG pipeline
+ *
+ * With OTEL_TRACING=on, the OpenTelemetry Node SDK is loaded on startup and
+ * spans are exported over OTLP/HTTP to OTEL_EXPORTER_OTLP_ENDPOINT (default
+ * http://localhost:4318, a local collector). The packages are not
+ * dependencies of the server; install them where tracing is wanted:
+ *
+ *   npm install @opentelemetry/api @opentelemetry/sdk-node \
+ *     @opentelemetry/exporter-trace-otlp-http
+ *
+ * When tracing is off or the packages are missing, withSpan and startSpan
+ * cost nothing beyond a function call.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Export spans at all (off by default)
+export const TRACING_ENABLED = process.env.OTEL_TRACING === "on";
+
+// Service name shown in the tracing backend
+const SERVICE_NAME = process.env.OTEL_SERVICE_NAME || "culinarygpt";
+
+// The @opentelemetry/api module and tracer, once tracing has started
+let otel = null;
+let tracer = null;
+
+// ============================================================================
+// SETUP
+// ============================================================================
+
+/**
+ * Start the OpenTelemetry SDK when OTEL_TRACING=on
+ *
+ * Missing packages or a failing SDK only disable tracing, with a warning.
+ *
+ * @returns {Promise<boolean>} Whether spans are being exported
+ */
+export async function initTracing() {
+  if (!TRACING_ENABLED) return false;
+
+  try {
+    const [api, { NodeSDK }, { OTLPTraceExporter }] = await Promise.all([
+      import("@opentelemetry/api"),
+      import("@opentelemetry/sdk-node"),
+      import("@opentelemetry/exporter-trace-otlp-http"),
+    ]);
+
+    // The exporter reads OTEL_EXPORTER_OTLP_ENDPOINT and OTLP headers itself
+    const sdk = new NodeSDK({
+      serviceName: SERVICE_NAME,
+      traceExporter: new OTLPTraceExporter(),
+    });
+    sdk.start();
+
+    // Flush buffered spans before the process exits
+    process.once("SIGTERM", () => {
+      sdk.shutdown().finally(() => process.exit(0));
+    });
+
+    otel = api;
+    tracer = api.trace.getTracer(SERVICE_NAME);
+    console.log(`OpenTelemetry tracing enabled (service "${SERVICE_NAME}")`);
+    return true;
+  } catch (err) {
+    console.warn(
+      `OpenTelemetry tracing disabled: ${err.message}. Install @opentelemetry/api, ` +
+        "@opentelemetry/sdk-node and @opentelemetry/exporter-trace-otlp-http to enable it."
+    );
+    return false;
+  }
+}
+
+// ============================================================================
+// SPANS
+// ============================================================================
+
+/**
+ * Run a function inside an active span
+ *
+ * Spans started inside the function (including in awaited calls) become
+ * its children. Errors are recorded on the span and rethrown; aborted
+ * requests aren't marked as errors.
+ *
+ * @param {string} name - Span name (e.g. "getTopKDocuments")
+ * @param {Object} attributes - Span attributes
+ * @param {Function} fn - Called with the span (null when tracing is off)
+ * @returns {Promise<*>} The function's result
+ */
+export async function withSpan(name, attributes, fn) {
+  if (!tracer) return fn(null);
+
+  return tracer.startActiveSpan(name, { attributes }, async (span) => {
+    try {
+      return await fn(span);
+    } catch (err) {
+      recordSpanError(span, err);
+      throw err;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Start a span that the caller ends with endSpan
+ *
+ * For work that can't be wrapped in one function call, such as consuming a
+ * stream. The span is a child of the active span but doesn't become active.
+ *
+ * @param {string} name - Span name
+ * @param {Object} attributes - Span attributes
+ * @returns {Object|null} Span, or null when tracing is off
+ */
+export function startSpan(name, attributes) {
+  return tracer ? tracer.startSpan(name, { attributes }) : null;
+}
+
+/**
+ * End a span from startSpan, recording the failure if there was one
+ *
+ * @param {Object|null} span - From startSpan
+ * @param {Error} [err] - Failure to record
+ */
+export function endSpan(span, err) {
+  if (!span) return;
+
+  if (err) recordSpanError(span, err);
+  span.end();
+}
+
+/**
+ * Mark a span as failed (aborted requests aren't failures)
+ *
+ * @param {Object} span - Active span
+ * @param {Error} err - Failure
+ */
+function recordSpanError(span, err) {
+  if (err?.name === "AbortError") return;
+
+  span.recordException(err);
+  span.setStatus({ code: otel.SpanStatusCode.ERROR, message: err.message });
+}
@@ -0,0 +1,869 @@
+/**
+ * Units - Deterministic ingredient parsing, recipe scaling and unit conversion
+ *
+ * Chat models get recipe arithmetic wrong often enough that scaling and
+ * conversion are done here instead:
+ * 1. Ingredient lines ("1 1/2 cups all-purpose flour, sifted") are parsed
+ *    into quantity, unit, item and notes
+ * 2. Quantities are scaled by a factor and re-expressed in a sensible unit
+ *    (6 tsp → 2 tbsp)
+ * 3. Units are converted between US and metric; volume ↔ weight conversions
+ *    use per-ingredient densities and are flagged as approximate
+ */
+
+// ============================================================================
+// UNIT DEFINITIONS
+// ============================================================================
+
+// Units by canonical name. `factor` converts to the base unit of the kind
+// (millilitres for volume, grams for mass).
+const UNITS = {
+  tsp: {
+    kind: "volume",
+    system: "us",
+    factor: 4.92892,
+    aliases: ["teaspoons", "teaspoon", "tsps", "tsp"],
+  },
+  tbsp: {
+    kind: "volume",
+    system: "us",
+    factor: 14.7868,
+    aliases: ["tablespoons", "tablespoon", "tbsps", "tbsp", "tbs"],
+  },
+  "fl oz": {
+    kind: "volume",
+    system: "us",
+    factor: 29.5735,
+    aliases: ["fluid ounces", "fluid ounce", "fl. oz", "fl oz"],
+  },
+  cup: {
+    kind: "volume",
+    system: "us",
+    factor: 236.588,
+    aliases: ["cups", "cup"],
+  },
+  pint: {
+    kind: "volume",
+    system: "us",
+    factor: 473.176,
+    aliases: ["pints", "pint", "pt"],
+  },
+  quart: {
+    kind: "volume",
+    system: "us",
+    factor: 946.353,
+    aliases: ["quarts", "quart", "qt"],
+  },
+  gallon: {
+    kind: "volume",
+    system: "us",
+    factor: 3785.41,
+    aliases: ["gallons", "gallon", "gal"],
+  },
+  ml: {
+    kind: "volume",
+    system: "metric",
+    factor: 1,
+    aliases: ["milliliters", "millilitres", "milliliter", "millilitre", "ml"],
+  },
+  l: {
+    kind: "volume",
+    system: "metric",
+    factor: 1000,
+    aliases: ["liters", "litres", "liter", "litre", "l"],
+  },
+  mg: {
+    kind: "mass",
+    system: "metric",
+    factor: 0.001,
+    aliases: ["milligrams", "milligram", "mg"],
+  },
+  g: {
+    kind: "mass",
+    system: "metric",
+    factor: 1,
+    aliases: ["grams", "gram", "gr", "g"],
+  },
+  kg: {
+    kind: "mass",
+    system: "metric",
+    factor: 1000,
+    aliases: ["kilograms", "kilogram", "kilos", "kg"],
+  },
+  oz: {
+    kind: "mass",
+    system: "us",
+    factor: 28.3495,
+    aliases: ["ounces", "ounce", "oz"],
+  },
+  lb: {
+    kind: "mass",
+    system: "us",
+    factor: 453.592,
+    aliases: ["pounds", "pound", "lbs", "lb"],
+  },
+};
+
+// Units that are kept as written - scaled, but never converted
+const COUNT_UNITS = {
+  pinch: ["pinches", "pinch"],
+  dash: ["dashes", "dash"],
+  clove: ["cloves", "clove"],
+  can: ["cans", "can"],
+  slice: ["slices", "slice"],
+  stick: ["sticks", "stick"],
+  handful: ["handfuls", "handful"],
+  sprig: ["sprigs", "sprig"],
+  bunch: ["bunches", "bunch"],
+};
+
+// A US stick of butter (or margarine) is half a cup; other sticks
+// (cinnamon, celery) are counts
+const STICK_CUPS = 0.5;
+const STICK_INGREDIENTS = /\b(butter|margarine)\b/i;
+
+// Alias → canonical unit, longest aliases first so "fl oz" wins over "oz"
+const UNIT_ALIASES = [
+  ...Object.entries(UNITS).flatMap(([unit, def]) =>
+    def.aliases.map((alias) => [alias, unit])
+  ),
+  ...Object.entries(COUNT_UNITS).flatMap(([unit, aliases]) =>
+    aliases.map((alias) => [alias, unit])
+  ),
+].sort((a, b) => b[0].length - a[0].length);
+
+const UNIT_PATTERN = UNIT_ALIASES.map(([alias]) =>
+  alias.replace(/[.\s]/g, (char) => (char === "." ? "\\." : "\\s*"))
+).join("|");
+
+// Quantities: "1 1/2", "1/2", "2.5", "2-3", "½"
+const QUANTITY_PATTERN =
+  "(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d*\\.?\\d+(?:\\s*(?:-|–|to)\\s*\\d*\\.?\\d+)?|\\d*\\s*[¼½¾⅓⅔⅛])";
+
+// Separator of a range's bounds ("2-3", "2 – 3", "2 to 3")
+const RANGE_SEPARATOR = /\s*(?:-|–|to)\s*(?=\d)/;
+
+// Unicode vulgar fractions
+const UNICODE_FRACTIONS = {
+  "¼": 0.25,
+  "½": 0.5,
+  "¾": 0.75,
+  "⅓": 1 / 3,
+  "⅔": 2 / 3,
+  "⅛": 0.125,
+};
+
+// Approximate densities in grams per US cup, most specific names first.
+// `liquid` ingredients convert to millilitres rather than grams in metric.
+const DENSITIES = [
+  { names: ["bread flour"], gramsPerCup: 127 },
+  { names: ["whole wheat flour", "wholemeal flour"], gramsPerCup: 120 },
+  { names: ["almond flour"], gramsPerCup: 96 },
+  { names: ["flour"], gramsPerCup: 125 }, // All-purpose
+  { names: ["brown sugar"], gramsPerCup: 220 }, // Packed
+  {
+    names: ["powdered sugar", "icing sugar", "confectioners sugar"],
+    gramsPerCup: 120,
+  },
+  { names: ["sugar"], gramsPerCup: 200 }, // Granulated
+  { names: ["butter"], gramsPerCup: 227 },
+  { names: ["cocoa"], gramsPerCup: 85 },
+  { names: ["cornstarch", "cornflour"], gramsPerCup: 128 },
+  { names: ["baking powder"], gramsPerCup: 220 },
+  { names: ["baking soda", "bicarbonate of soda"], gramsPerCup: 220 },
+  { names: ["yeast"], gramsPerCup: 150 },
+  { names: ["salt"], gramsPerCup: 292 }, // Table salt
+  { names: ["honey"], gramsPerCup: 340 },
+  { names: ["maple syrup", "syrup"], gramsPerCup: 322 },
+  { names: ["peanut butter"], gramsPerCup: 258 },
+  { names: ["rolled oats", "oats"], gramsPerCup: 90 },
+  { names: ["rice"], gramsPerCup: 185 }, // Uncooked
+  { names: ["breadcrumbs", "bread crumbs"], gramsPerCup: 108 },
+  { names: ["chocolate chips"], gramsPerCup: 170 },
+  { names: ["ricotta"], gramsPerCup: 246 },
+  { names: ["parmesan"], gramsPerCup: 100 }, // Grated
+  { names: ["mozzarella", "cheddar", "cheese"], gramsPerCup: 113 }, // Shredded
+  { names: ["yogurt", "yoghurt"], gramsPerCup: 245 },
+  { names: ["sour cream"], gramsPerCup: 230 },
+  { names: ["nuts", "almonds", "walnuts", "pecans"], gramsPerCup: 120 },
+  { names: ["onion"], gramsPerCup: 160 }, // Chopped
+  { names: ["spinach"], gramsPerCup: 30 }, // Raw
+  { names: ["berries", "blueberries", "strawberries"], gramsPerCup: 150 },
+  { names: ["milk", "buttermilk"], gramsPerCup: 245, liquid: true },
+  { names: ["cream"], gramsPerCup: 238, liquid: true },
+  { names: ["oil"], gramsPerCup: 218, liquid: true },
+  { names: ["stock", "broth"], gramsPerCup: 240, liquid: true },
+  { names: ["juice"], gramsPerCup: 240, liquid: true },
+  { names: ["vinegar"], gramsPerCup: 240, liquid: true },
+  {
+    names: ["tomato puree", "passata", "marinara"],
+    gramsPerCup: 250,
+    liquid: true,
+  },
+  { names: ["water"], gramsPerCup: 236.6, liquid: true },
+];
+
+// Conversion targets accepted besides canonical unit names
+export const UNIT_SYSTEMS = ["metric", "us"];
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Canonical name of a unit alias ("Tablespoons" → "tbsp")
+ *
+ * @param {string} text - Unit as written
+ * @returns {string|null} Canonical unit, or null when unknown
+ */
+export function normalizeUnit(text) {
+  if (!text) return null;
+  const key = text.trim().toLowerCase().replace(/\s+/g, " ").replace(/\.$/, "");
+  return UNIT_ALIASES.find(([alias]) => alias === key)?.[1] ?? null;
+}
+
+/**
+ * Parse a quantity such as "2", "1 1/2", "½" or "2-3" (lower bound)
+ *
+ * @param {*} value - Quantity as written
+ * @returns {number|null|undefined} Number, null for "to taste", undefined if unparseable
+ */
+export function parseQuantity(value) {
+  if (value === null || typeof value === "number") return value;
+  if (typeof value !== "string") return undefined;
+
+  let text = value.trim();
+  if (!text || /^(to taste|as needed|some|a few)$/i.test(text)) return null;
+  if (/^an?$/i.test(text)) return 1;
+
+  for (const [symbol, amount] of Object.entries(UNICODE_FRACTIONS)) {
+    text = text.replace(symbol, ` ${amount}`);
+  }
+
+  // Ranges ("2-3", "2 to 3") use the lower bound
+  text = text.split(RANGE_SEPARATOR)[0].trim();
+
+  let total = 0;
+  let matched = false;
+  for (const part of text.split(/\s+/)) {
+    const fraction = part.match(/^(\d+)\/(\d+)$/);
+    if (fraction && Number(fraction[2]) !== 0) {
+      total += Number(fraction[1]) / Number(fraction[2]);
+      matched = true;
+    } else if (/^\d*\.?\d+$/.test(part)) {
+      total += Number(part);
+      matched = true;
+    } else {
+      break;
+    }
+  }
+
+  return matched ? Math.round(total * 1000) / 1000 : undefined;
+}
+
+/**
+ * Parse a quantity that may be a range ("2-3 tbsp", "1 to 1 1/2 cups")
+ *
+ * @param {string} value - Quantity as written
+ * @returns {Object} { quantity, quantityMax? } - quantity as parseQuantity
+ *   (the lower bound, null when unparseable); quantityMax only for ranges
+ */
+export function parseQuantityRange(value) {
+  const quantity = parseQuantity(value) ?? null;
+  const [, upper] = String(value).split(RANGE_SEPARATOR);
+  const quantityMax = upper === undefined ? undefined : parseQuantity(upper);
+
+  return quantity !== null && quantityMax > quantity
+    ? { quantity, quantityMax }
+    : { quantity };
+}
+
+/**
+ * Parse one ingredient line ("2 cups plain flour, sifted", "400g spaghetti")
+ *
+ * @param {string} line - Ingredient line
+ * @returns {Object} Ingredient as { quantity, quantityMax?, unit, item, notes } - quantityMax for ranges
+ */
+export function parseIngredient(line) {
+  let rest = line.trim().replace(/^[-*•]\s*/, "");
+  let quantity = null;
+  let quantityMax;
+
+  const amount = rest.match(
+    new RegExp(`^(${QUANTITY_PATTERN}|an?(?=\\s))\\s*`, "i")
+  );
+  if (amount) {
+    ({ quantity, quantityMax } = parseQuantityRange(amount[1]));
+    rest = rest.slice(amount[0].length);
+  }
+
+  let unit = null;
+  const unitMatch =
+    quantity !== null &&
+    rest.match(new RegExp(`^(${UNIT_PATTERN})(?![a-z])\\.?\\s*`, "i"));
+  if (unitMatch) {
+    unit = normalizeUnit(unitMatch[1]);
+    rest = rest.slice(unitMatch[0].length).replace(/^of\s+/i, "");
+  }
+
+  const [item, ...notes] = rest.split(",");
+  return {
+    quantity,
+    ...(quantityMax !== undefined && { quantityMax }),
+    unit,
+    item: item.trim(),
+    notes: notes.join(",").trim() || null,
+  };
+}
+
+/**
+ * Parse ingredients given as lines or as one comma-separated string
+ *
+ * A comma only separates ingredients when the next part starts with a
+ * quantity, so "1 onion, chopped" stays one ingredient.
+ *
+ * @param {string|string[]} input - Ingredient lines
+ * @returns {Object[]} Ingredients as { input, quantity, quantityMax?, unit, item, notes }
+ */
+export function parseIngredientList(input) {
+  const lines = Array.isArray(input)
+    ? input
+    : String(input).split(
+        new RegExp(`\\n|[,;]\\s*(?:and\\s+)?(?=${QUANTITY_PATTERN}\\s*\\S)`)
+      );
+
+  return lines
+    .map((line) => String(line).trim())
+    .filter(Boolean)
+    .map((line) => ({ input: line, ...parseIngredient(line) }));
+}
+
+// Words that end an ingredient name in running text
+const ITEM_TERMINATORS =
+  "and|or|plus|until|for|in|into|with|to|per|then|at|on|over|before|after";
+
+// First words that show a number isn't an ingredient amount
+const NON_INGREDIENT_WORDS =
+  /^(minutes?|mins?|hours?|hrs?|seconds?|secs?|days?|weeks?|inch(es)?|cm|mm|times?|people|persons|servings?|guests|degrees?|percent|x)\b/i;
+
+/**
+ * Find ingredient amounts in running text, e.g. a recipe document
+ *
+ * "Whisk 1 cup milk, 1 egg, and 2 tbsp melted butter" yields three
+ * ingredients. Durations, temperatures and other numbers are skipped.
+ *
+ * @param {string} text - Recipe text
+ * @returns {Object[]} Ingredients as { input, quantity, quantityMax?, unit, item, notes }
+ */
+export function extractIngredients(text) {
+  const pattern = new RegExp(
+    `(?<![\\w/.])(${QUANTITY_PATTERN}|an?(?=\\s+(?:${UNIT_PATTERN})(?![a-z])))\\s*(?:(${UNIT_PATTERN})(?![a-z])\\.?)?\\s*(?:of\\s+)?` +
+      `([a-zà-ÿ][^,.;:()?!\\n]*?)(?=\\s*(?:[,.;:()?!\\n]|\\b(?:${ITEM_TERMINATORS})\\b|$))`,
+    "gi"
+  );
+
+  const ingredients = [];
+  for (const match of text.matchAll(pattern)) {
+    const item = match[3].trim();
+    if (!item || NON_INGREDIENT_WORDS.test(item)) continue;
+
+    ingredients.push({
+      input: match[0].trim(),
+      ...parseQuantityRange(match[1]),
+      unit: normalizeUnit(match[2]),
+      item: item,
+      notes: null,
+    });
+  }
+
+  return ingredients;
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+// Fractions US recipes are written in
+const COMMON_FRACTIONS = [
+  [0, ""],
+  [1 / 8, "1/8"],
+  [1 / 4, "1/4"],
+  [1 / 3, "1/3"],
+  [3 / 8, "3/8"],
+  [1 / 2, "1/2"],
+  [5 / 8, "5/8"],
+  [2 / 3, "2/3"],
+  [3 / 4, "3/4"],
+  [7 / 8, "7/8"],
+  [1, ""],
+];
+
+/**
+ * Round a quantity for display in its unit's system
+ *
+ * US and count quantities become kitchen fractions ("1 1/2"); metric
+ * quantities are rounded to a sensible precision.
+ *
+ * @param {number|null} quantity - Quantity
+ * @param {string|null} unit - Canonical unit
+ * @returns {Object} { quantity, text } - quantity rounded as displayed
+ */
+export function formatQuantity(quantity, unit) {
+  if (quantity === null || quantity === undefined) {
+    return { quantity: null, text: "" };
+  }
+
+  if (UNITS[unit]?.system === "metric") {
+    const step =
+      quantity >= 100 ? 5 : quantity >= 10 ? 1 : quantity >= 1 ? 0.5 : 0.01;
+    const rounded = Math.round(quantity / step) * step;
+    const value =
+      Math.round(rounded * 100) / 100 || Math.round(quantity * 100) / 100;
+    return { quantity: value, text: String(value) };
+  }
+
+  let whole = Math.floor(quantity);
+  const [fraction, label] = COMMON_FRACTIONS.reduce((best, candidate) =>
+    Math.abs(candidate[0] - (quantity - whole)) <
+    Math.abs(best[0] - (quantity - whole))
+      ? candidate
+      : best
+  );
+  if (fraction === 1) whole++;
+
+  const value = whole + (fraction === 1 ? 0 : fraction);
+  if (value === 0) {
+    // Too small for kitchen fractions - keep two decimals
+    const small = Math.round(quantity * 100) / 100;
+    return { quantity: small, text: String(small) };
+  }
+
+  return {
+    quantity: Math.round(value * 1000) / 1000,
+    text: [whole || "", label].filter(Boolean).join(" "),
+  };
+}
+
+/**
+ * Display text for an ingredient ("1 1/2 cups flour, sifted", "2-3 tbsp oil")
+ *
+ * @param {Object} ingredient - { quantity, quantityMax?, unit, item, notes }
+ * @returns {string} Ingredient line
+ */
+function formatIngredient({ quantity, quantityMax, unit, item, notes }) {
+  const lower = formatQuantity(quantity, unit).text;
+  const upper =
+    quantityMax !== undefined ? formatQuantity(quantityMax, unit).text : lower;
+  const amount = upper !== lower ? `${lower}-${upper}` : lower;
+
+  const largest = quantityMax ?? quantity;
+  const plural = largest !== null && largest > 1 && !UNITS[unit]?.system;
+  const unitText =
+    unit && plural && COUNT_UNITS[unit]
+      ? COUNT_UNITS[unit][0]
+      : unit === "cup" && largest > 1
+        ? "cups"
+        : unit;
+
+  return (
+    [amount, unitText, item].filter(Boolean).join(" ") +
+    (notes ? `, ${notes}` : "")
+  );
+}
+
+// ============================================================================
+// SCALING AND CONVERSION
+// ============================================================================
+
+/**
+ * Density entry for an ingredient name
+ *
+ * @param {string} item - Ingredient name
+ * @returns {Object|null} { name, gramsPerCup, liquid }
+ */
+export function findDensity(item) {
+  const text = item.toLowerCase();
+  for (const entry of DENSITIES) {
+    const name = entry.names.find((candidate) =>
+      new RegExp(`\\b${candidate}`).test(text)
+    );
+    if (name)
+      return { name, gramsPerCup: entry.gramsPerCup, liquid: !!entry.liquid };
+  }
+  return null;
+}
+
+/**
+ * Re-express a quantity in the most readable unit of the same system
+ *
+ * 6 tsp → 2 tbsp, 1/8 cup → 2 tbsp, 1500 g → 1.5 kg, 20 oz → 1.25 lb.
+ * Small spoon amounts stay in teaspoons unless they make whole or half
+ * tablespoons (4 tsp, not 1 1/3 tbsp).
+ *
+ * @param {number} quantity - Quantity
+ * @param {string} unit - Canonical unit
+ * @returns {Object} { quantity, unit }
+ */
+function tidyUnit(quantity, unit) {
+  const ladders = {
+    us_volume: [
+      ["cup", 0.25],
+      ["tbsp", 1],
+      ["tsp", 0],
+    ],
+    metric_volume: [
+      ["l", 1],
+      ["ml", 0],
+    ],
+    metric_mass: [
+      ["kg", 1],
+      ["g", 1],
+      ["mg", 0],
+    ],
+    us_mass: [
+      ["lb", 1],
+      ["oz", 0],
+    ],
+  };
+
+  const def = UNITS[unit];
+  const ladder = def && ladders[`${def.system}_${def.kind}`];
+  if (!ladder || !ladder.some(([name]) => name === unit)) {
+    return { quantity, unit }; // fl oz, pints etc. stay as written
+  }
+
+  const base = quantity * def.factor;
+  for (const [candidate, minimum] of ladder) {
+    const amount = base / UNITS[candidate].factor;
+    const awkwardSpoons =
+      candidate === "tbsp" &&
+      amount < 3 &&
+      Math.abs(amount * 2 - Math.round(amount * 2)) > 0.04;
+    if (amount >= minimum * 0.999 && !awkwardSpoons) {
+      return { quantity: amount, unit: candidate };
+    }
+  }
+  return { quantity, unit };
+}
+
+/**
+ * Convert an ingredient quantity to another unit or unit system
+ *
+ * @param {Object} ingredient - { quantity, unit, item }
+ * @param {string} to - "metric", "us" or a unit name
+ * @returns {Object} { quantity, unit, density?, warning? } - density when volume and weight were exchanged
+ */
+function convertQuantity(ingredient, to) {
+  const { quantity, unit, item } = ingredient;
+  const def = UNITS[unit];
+
+  if (unit === "stick" && to !== "us" && STICK_INGREDIENTS.test(item)) {
+    return convertQuantity(
+      { ...ingredient, quantity: quantity * STICK_CUPS, unit: "cup" },
+      to
+    );
+  }
+
+  if (quantity === null || !def) {
+    return { quantity, unit }; // Counts ("2 eggs", "1 pinch") stay as they are
+  }
+
+  const density = findDensity(item);
+  let target = normalizeUnit(to);
+
+  if (!target) {
+    // Unit system: pick the unit a cook in that system would measure with
+    if (to === def.system) return tidyUnit(quantity, unit);
+
+    if (to === "metric") {
+      target =
+        def.kind === "volume" && (!density || density.liquid) ? "ml" : "g";
+    } else {
+      target = def.kind === "mass" && !density ? "oz" : "cup";
+    }
+  }
+
+  const targetDef = UNITS[target];
+  if (!targetDef) {
+    return { quantity, unit, warning: `cannot convert to ${to}` };
+  }
+
+  let base = quantity * def.factor; // ml or g
+  let usedDensity = null;
+
+  if (targetDef.kind !== def.kind) {
+    if (!density) {
+      return {
+        quantity,
+        unit,
+        warning: `no density known for "${item}" to convert ${def.kind} to ${targetDef.kind}`,
+      };
+    }
+    const gramsPerMl = density.gramsPerCup / UNITS.cup.factor;
+    base = def.kind === "volume" ? base * gramsPerMl : base / gramsPerMl;
+    usedDensity = {
+      ingredient: density.name,
+      gramsPerCup: density.gramsPerCup,
+    };
+  }
+
+  const converted = normalizeUnit(to)
+    ? { quantity: base / targetDef.factor, unit: target }
+    : tidyUnit(base / targetDef.factor, target);
+
+  return { ...converted, ...(usedDensity && { density: usedDensity }) };
+}
+
+/**
+ * Describe an ingredient after scaling and/or conversion
+ *
+ * Scaling and conversion are linear, so a range's upper bound keeps its
+ * ratio to the lower bound and is expressed in the same unit.
+ *
+ * @param {Object} ingredient - Parsed ingredient (with `input`)
+ * @param {Object} result - { quantity, unit, density?, warning? } for the lower bound
+ * @returns {Object} Ingredient result for API responses
+ */
+function describeResult(ingredient, result) {
+  const { quantity } = formatQuantity(result.quantity, result.unit);
+  const quantityMax =
+    ingredient.quantityMax !== undefined && ingredient.quantity > 0
+      ? formatQuantity(
+          (result.quantity * ingredient.quantityMax) / ingredient.quantity,
+          result.unit
+        ).quantity
+      : undefined;
+  const converted = { ...ingredient, quantity, quantityMax, unit: result.unit };
+
+  return {
+    input: ingredient.input ?? formatIngredient(ingredient),
+    quantity: quantity,
+    ...(quantityMax > quantity && { quantityMax }),
+    unit: result.unit,
+    item: ingredient.item,
+    notes: ingredient.notes ?? null,
+    text: formatIngredient(converted),
+    ...(result.density && {
+      approximate: true, // Volume ↔ weight depends on how the ingredient is packed
+      density: result.density,
+    }),
+    ...(result.warning && { warning: result.warning }),
+  };
+}
+
+/**
+ * Convert ingredients to another unit or unit system
+ *
+ * @param {Object[]} ingredients - Ingredients from parseIngredientList
+ * @param {string} to - "metric", "us" or a unit name
+ * @returns {Object[]} Converted ingredients
+ */
+export function convertIngredients(ingredients, to) {
+  return ingredients.map((ingredient) =>
+    describeResult(ingredient, convertQuantity(ingredient, to))
+  );
+}
+
+/**
+ * Scale ingredients by a factor, optionally converting them as well
+ *
+ * @param {Object[]} ingredients - Ingredients from parseIngredientList
+ * @param {number} factor - Scale factor (2 doubles the recipe)
+ * @param {Object} [options] - { to: "metric" | "us" | unit }
+ * @returns {Object[]} Scaled ingredients
+ */
+export function scaleIngredients(ingredients, factor, { to } = {}) {
+  return ingredients.map((ingredient) => {
+    if (ingredient.quantity === null) {
+      return describeResult(ingredient, ingredient); // "salt to taste"
+    }
+
+    const scaled = { ...ingredient, quantity: ingredient.quantity * factor };
+    const result = to
+      ? convertQuantity(scaled, to)
+      : UNITS[scaled.unit]
+        ? tidyUnit(scaled.quantity, scaled.unit)
+        : scaled;
+
+    return describeResult(ingredient, result);
+  });
+}
+
+/**
+ * Convert a temperature between Fahrenheit and Celsius
+ *
+ * @param {number} value - Temperature
+ * @param {string} from - "F" or "C"
+ * @param {string} to - "F" or "C"
+ * @returns {number} Converted temperature, rounded to whole degrees
+ */
+export function convertTemperature(value, from, to) {
+  const source = from.toUpperCase();
+  const target = to.toUpperCase();
+  if (source === target) return value;
+  return Math.round(
+    source === "F" ? ((value - 32) * 5) / 9 : (value * 9) / 5 + 32
+  );
+}
+
+/**
+ * Normalize a temperature unit ("°F", "fahrenheit" → "F")
+ *
+ * @param {string} text - Unit as written
+ * @returns {string|null} "F", "C" or null
+ */
+export function normalizeTemperatureUnit(text) {
+  const key = String(text ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/^°|^degrees?\s*/, "");
+  if (["f", "fahrenheit"].includes(key)) return "F";
+  if (["c", "celsius", "centigrade"].includes(key)) return "C";
+  return null;
+}
+
+// ============================================================================
+// REQUEST DETECTION
+// ============================================================================
+
+// Conversion targets named in questions
+const TARGET_WORDS = [
+  [/\b(grams?|g)\b/i, "g"],
+  [/\b(kilograms?|kg)\b/i, "kg"],
+  [/\b(ounces?|oz)\b/i, "oz"],
+  [/\b(pounds?|lbs?)\b/i, "lb"],
+  [/\b(millilit(?:er|re)s?|ml)\b/i, "ml"],
+  [/\b(lit(?:er|re)s?)\b/i, "l"],
+  [/\bcups?\b/i, "cup"],
+  [/\b(tablespoons?|tbsp)\b/i, "tbsp"],
+  [/\b(teaspoons?|tsp)\b/i, "tsp"],
+  [/\bmetric\b/i, "metric"],
+  [/\b(us|american|imperial) (units|measures|measurements|cups)\b/i, "us"],
+  [/\b(celsius|centigrade|°c)\b/i, "C"],
+  [/\b(fahrenheit|°f)\b/i, "F"],
+];
+
+// Assumed servings of knowledge base recipes, which don't state them
+export const DEFAULT_RECIPE_SERVINGS = 4;
+
+// What a scaling word has to apply to ("double the pancake recipe", "halve
+// the amounts", "a triple batch", "can the recipe be doubled"), so compounds
+// such as "double boiler", "triple sec", "twice-baked" or "half-and-half"
+// don't scale
+const SCALE_TARGETS =
+  "recipes?|batch(?:es)?|quantit(?:y|ies)|amounts?|ingredients|portions?|servings?";
+const SCALE_DETERMINERS =
+  "the|this|that|my|our|your|a|an|of|whole|entire|all|these|those";
+// A word naming the dish between determiner and target ("the pancake recipe")
+const SCALE_DISH_WORD = `(?!(?:${SCALE_DETERMINERS}|in|for|on|with|to|from|at|by|and|or)\\b)[a-z'-]+`;
+const SCALE_WORDS = [
+  ["double|twice", "doubled", 2],
+  ["triple", "tripled", 3],
+  ["halve|half", "halved|in half|by half", 0.5],
+];
+
+/**
+ * Scale factor named by words such as "double the recipe" or "recipe halved"
+ *
+ * @param {string} text - Lowercased message
+ * @returns {number|null} Factor, or null when no scaling word applies to a recipe
+ */
+function scaleWordFactor(text) {
+  for (const [words, participles, factor] of SCALE_WORDS) {
+    const before = new RegExp(
+      `\\b(?:${words}|${participles})\\s+(?:(?:(?:${SCALE_DETERMINERS})\\s+){1,2}(?:${SCALE_DISH_WORD}\\s+){0,3}(?:${SCALE_TARGETS})|${SCALE_TARGETS})\\b`
+    );
+    const after = new RegExp(
+      `\\b(?:${SCALE_TARGETS})\\s+(?:[a-z'-]+\\s+){0,2}(?:${participles})\\b`
+    );
+    if (before.test(text) || after.test(text)) return factor;
+  }
+  return null;
+}
+
+/**
+ * Detect a scaling or unit-conversion request in a chat message
+ *
+ * @param {string} message - User's message
+ * @returns {Object|null} { type: "scale" | "convert", factor?, servings?, targetServings?, to? }
+ */
+export function detectUnitRequest(message) {
+  const text = message.toLowerCase();
+
+  // Target after "to"/"in"/"into" ("convert to grams", "how much is that in ml")
+  const targetClause = text.match(
+    /\b(?:to|in|into|as)\s+((?:us |american |imperial )?[a-z°]+(?: [a-z]+)?)\s*[?.!]*$|\bhow many ([a-z]+)\b/
+  );
+  let to = null;
+  if (targetClause) {
+    const clause = targetClause[1] ?? targetClause[2];
+    to = TARGET_WORDS.find(([pattern]) => pattern.test(clause))?.[1] ?? null;
+  }
+
+  let factor = null;
+  let servings = null;
+  let targetServings = null;
+
+  const servingsChange = text.match(
+    /\bfrom (\d+) to (\d+) (?:servings|people|portions)\b/
+  );
+  const wordFactor = scaleWordFactor(text);
+  const multiplier = text.match(/\b(\d+(?:\.\d+)?)\s*(?:x|times)\b/);
+  const forPeople = text.match(
+    /\b(?:for|serves?|feed|feeds)\s+(\d+)\s*(?:people|persons|servings|guests|portions)\b/
+  );
+
+  if (servingsChange) {
+    servings = Number(servingsChange[1]);
+    targetServings = Number(servingsChange[2]);
+  } else if (wordFactor) {
+    factor = wordFactor;
+  } else if (multiplier && /\b(recipe|batch|scale)/.test(text)) {
+    factor = Number(multiplier[1]);
+  } else if (
+    forPeople &&
+    /\b(scale|make|adjust|recipe|batch|enough)\b/.test(text)
+  ) {
+    servings = DEFAULT_RECIPE_SERVINGS;
+    targetServings = Number(forPeople[1]);
+  }
+
+  if (targetServings) factor = targetServings / servings;
+
+  if (factor && factor > 0) {
+    return {
+      type: "scale",
+      factor,
+      ...(targetServings && { servings, targetServings }),
+      ...(to && to !== "C" && to !== "F" && { to }),
+    };
+  }
+
+  const asksConversion =
+    /\bconvert\b|\bhow many\b|\bhow much\b|\bin (grams|ml|cups|ounces|metric)\b/.test(
+      text
+    );
+  const temperatureTarget = (to === "C" || to === "F") && /\d/.test(text);
+  if (to && (asksConversion || temperatureTarget)) {
+    return { type: "convert", to };
+  }
+
+  return null;
+}
+
+/**
+ * Find temperatures such as "375°F" or "180 C" in text
+ *
+ * @param {string} text - Text to scan
+ * @returns {Object[]} Temperatures as { value, unit, index, length }
+ */
+export function extractTemperatures(text) {
+  return [
+    ...text.matchAll(/(\d{2,3})\s*°?\s*(F|C|fahrenheit|celsius)\b/gi),
+  ].map((match) => ({
+    value: Number(match[1]),
+    unit: normalizeTemperatureUnit(match[2]),
+    index: match.index, // Position of the match in the text
+    length: match[0].length,
+  }));
+}
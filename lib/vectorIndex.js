@@ -0,0 +1,408 @@
+/**
+ * Vector Index - Unit vectors, top-K selection and approximate search
+ *
+ * Document embeddings are stored as unit-length Float32Arrays, so cosine
+ * similarity with a (normalized) query is a plain dot product. This module
+ * provides:
+ * 1. Normalization and dot products over typed arrays
+ * 2. Partial top-K selection with a bounded heap instead of a full sort
+ * 3. An optional IVF (inverted file) index for large corpora: documents are
+ *    clustered with k-means and a query only scores the documents of the
+ *    clusters nearest to it
+ *
+ * The IVF index is approximate. Use scripts/benchmarkVectorSearch.js to
+ * compare its recall and latency with exact search before enabling it.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Vector index type: "exact" (score every document) or "ivf"
+export const VECTOR_INDEX = (process.env.VECTOR_INDEX || "exact").toLowerCase();
+
+// Smallest corpus the IVF index is built for (exact search is fast below it)
+export const VECTOR_INDEX_MIN_DOCUMENTS =
+  parseInt(process.env.VECTOR_INDEX_MIN_DOCUMENTS, 10) || 2000;
+
+// Number of clusters (default: √documents) and clusters scored per query
+const IVF_LISTS = parseInt(process.env.IVF_LISTS, 10) || null;
+const IVF_PROBES = parseInt(process.env.IVF_PROBES, 10) || 8;
+
+// k-means training: iterations and sample size per cluster
+const KMEANS_ITERATIONS = 8;
+const KMEANS_SAMPLES_PER_LIST = 32;
+
+// Retrain the clusters once the corpus has grown or shrunk by this factor
+// since training (smaller changes only assign the new documents)
+const RETRAIN_FACTOR = 2;
+
+// ============================================================================
+// VECTOR HELPERS
+// ============================================================================
+
+/**
+ * Convert an embedding to a unit-length Float32Array
+ *
+ * A zero vector stays zero (it is similar to nothing).
+ *
+ * @param {number[]|Float32Array} values - Embedding
+ * @returns {Float32Array} Normalized copy
+ */
+export function toUnitVector(values) {
+  const vector = Float32Array.from(values);
+
+  let sumOfSquares = 0;
+  for (let i = 0; i < vector.length; i++) {
+    sumOfSquares += vector[i] * vector[i];
+  }
+
+  const magnitude = Math.sqrt(sumOfSquares);
+  if (magnitude > 0) {
+    for (let i = 0; i < vector.length; i++) {
+      vector[i] /= magnitude;
+    }
+  }
+  return vector;
+}
+
+/**
+ * Dot product of two vectors (the cosine similarity of unit vectors)
+ *
+ * @param {Float32Array|number[]} vecA - First vector
+ * @param {Float32Array|number[]} vecB - Second vector
+ * @returns {number} Dot product
+ */
+export function dotProduct(vecA, vecB) {
+  // Four independent sums let the CPU overlap the multiply-adds
+  const length = vecA.length;
+  let sum0 = 0;
+  let sum1 = 0;
+  let sum2 = 0;
+  let sum3 = 0;
+  let i = 0;
+  for (; i + 3 < length; i += 4) {
+    sum0 += vecA[i] * vecB[i];
+    sum1 += vecA[i + 1] * vecB[i + 1];
+    sum2 += vecA[i + 2] * vecB[i + 2];
+    sum3 += vecA[i + 3] * vecB[i + 3];
+  }
+  for (; i < length; i++) {
+    sum0 += vecA[i] * vecB[i];
+  }
+  return sum0 + sum1 + sum2 + sum3;
+}
+
+// ============================================================================
+// TOP-K SELECTION
+// ============================================================================
+
+/**
+ * Select the K best items without sorting the whole list
+ *
+ * Keeps a heap of the best K seen so far whose root is the worst of them,
+ * so each further item costs O(log K) and selection is O(n log K).
+ *
+ * @param {Object[]} items - Items to select from
+ * @param {number} k - Number of items to keep
+ * @param {Function} compare - Sort comparator (negative when a ranks before b)
+ * @returns {Object[]} The best K items, best first
+ */
+export function selectTopK(items, k, compare) {
+  if (k <= 0) return [];
+  if (items.length <= k) return [...items].sort(compare);
+
+  // Max-heap by `compare`: the root is the item that ranks last
+  const heap = [];
+  const worse = (i, j) => compare(heap[i], heap[j]) > 0;
+  const swap = (i, j) => ([heap[i], heap[j]] = [heap[j], heap[i]]);
+
+  const siftDown = (i) => {
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let largest = i;
+      if (left < heap.length && worse(left, largest)) largest = left;
+      if (right < heap.length && worse(right, largest)) largest = right;
+      if (largest === i) return;
+      swap(i, largest);
+      i = largest;
+    }
+  };
+
+  for (const item of items) {
+    if (heap.length < k) {
+      // Sift up
+      heap.push(item);
+      let i = heap.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (!worse(i, parent)) break;
+        swap(i, parent);
+        i = parent;
+      }
+    } else if (compare(item, heap[0]) < 0) {
+      heap[0] = item;
+      siftDown(0);
+    }
+  }
+
+  return heap.sort(compare);
+}
+
+// ============================================================================
+// IVF INDEX
+// ============================================================================
+
+/**
+ * Deterministic pseudo-random numbers (mulberry32), so an index built from
+ * the same documents always has the same clusters
+ *
+ * @param {number} seed - Seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Index of the centroid nearest to a vector
+ *
+ * @param {Float32Array} vector - Unit vector
+ * @param {Float32Array[]} centroids - Unit centroids
+ * @returns {number} Centroid index
+ */
+function nearestCentroid(vector, centroids) {
+  let best = 0;
+  let bestScore = -Infinity;
+  for (let c = 0; c < centroids.length; c++) {
+    const score = dotProduct(vector, centroids[c]);
+    if (score > bestScore) {
+      best = c;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Inverted file index over unit document vectors
+ *
+ * Documents are assigned to the nearest of `lists` k-means centroids
+ * (spherical k-means, trained on a sample). A query scores the centroids,
+ * then only the documents in the `probes` nearest lists are candidates.
+ * More probes raise recall at the cost of latency.
+ *
+ * Assignments are remembered per embedding, so after a knowledge base edit
+ * refresh() only places new or re-embedded documents.
+ */
+export class IVFIndex {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.lists] - Number of clusters (default: √documents)
+   * @param {number} [options.probes] - Clusters scored per query
+   * @param {number} [options.iterations] - k-means iterations
+   * @param {number} [options.seed] - Seed for the k-means initialization
+   */
+  constructor({
+    lists = IVF_LISTS,
+    probes = IVF_PROBES,
+    iterations = KMEANS_ITERATIONS,
+    seed = 42,
+  } = {}) {
+    this.type = "ivf";
+    this.requestedLists = lists;
+    this.probes = probes;
+    this.iterations = iterations;
+    this.seed = seed;
+    this.centroids = [];
+    this.lists = []; // Documents per centroid
+    this.assignments = new WeakMap(); // Embedding → list
+    this.size = 0;
+    this.trainedSize = 0; // Documents when the clusters were trained
+    this.builtAt = null;
+    this.buildMs = 0;
+  }
+
+  /**
+   * Cluster the documents and fill the inverted lists
+   *
+   * @param {Object[]} documents - Documents with unit `embedding` vectors
+   * @returns {IVFIndex} This index
+   */
+  build(documents) {
+    const startedAt = Date.now();
+    const embedded = documents.filter((doc) => doc.embedding);
+    const listCount = Math.max(
+      1,
+      Math.min(
+        embedded.length,
+        this.requestedLists ?? Math.round(Math.sqrt(embedded.length))
+      )
+    );
+    const random = createRandom(this.seed);
+
+    // Train on a random sample; assigning every document is one pass after
+    const sampleSize = Math.min(
+      embedded.length,
+      listCount * KMEANS_SAMPLES_PER_LIST
+    );
+    const sample = [...embedded];
+    for (let i = 0; i < sampleSize; i++) {
+      const j = i + Math.floor(random() * (sample.length - i));
+      [sample[i], sample[j]] = [sample[j], sample[i]];
+    }
+    sample.length = sampleSize;
+
+    let centroids = sample
+      .slice(0, listCount)
+      .map((doc) => Float32Array.from(doc.embedding));
+
+    for (let iteration = 0; iteration < this.iterations; iteration++) {
+      const dimensions = centroids[0]?.length ?? 0;
+      const sums = centroids.map(() => new Float32Array(dimensions));
+      const counts = new Array(centroids.length).fill(0);
+
+      for (const doc of sample) {
+        const c = nearestCentroid(doc.embedding, centroids);
+        counts[c]++;
+        const sum = sums[c];
+        for (let i = 0; i < dimensions; i++) sum[i] += doc.embedding[i];
+      }
+
+      // Empty clusters are re-seeded with a random sample vector
+      centroids = sums.map((sum, c) =>
+        counts[c] > 0
+          ? toUnitVector(sum)
+          : Float32Array.from(
+              sample[Math.floor(random() * sample.length)].embedding
+            )
+      );
+    }
+
+    this.centroids = centroids;
+    this.assignments = new WeakMap();
+    this.trainedSize = embedded.length;
+    this.assign(embedded);
+
+    this.builtAt = new Date().toISOString();
+    this.buildMs = Date.now() - startedAt;
+    return this;
+  }
+
+  /**
+   * Bring the index up to date with changed documents
+   *
+   * Retrains the clusters when the corpus size changed by RETRAIN_FACTOR
+   * since training; otherwise only unseen embeddings are assigned.
+   *
+   * @param {Object[]} documents - Documents with unit `embedding` vectors
+   * @returns {IVFIndex} This index
+   */
+  refresh(documents) {
+    const embedded = documents.filter((doc) => doc.embedding);
+    if (
+      embedded.length > this.trainedSize * RETRAIN_FACTOR ||
+      embedded.length * RETRAIN_FACTOR < this.trainedSize
+    ) {
+      return this.build(documents);
+    }
+
+    this.assign(embedded);
+    return this;
+  }
+
+  /**
+   * Fill the inverted lists, reusing known assignments
+   *
+   * @param {Object[]} embedded - Documents with embeddings
+   */
+  assign(embedded) {
+    this.lists = this.centroids.map(() => []);
+    for (const doc of embedded) {
+      let list = this.assignments.get(doc.embedding);
+      if (list === undefined) {
+        list = nearestCentroid(doc.embedding, this.centroids);
+        this.assignments.set(doc.embedding, list);
+      }
+      this.lists[list].push(doc);
+    }
+    this.size = embedded.length;
+  }
+
+  /**
+   * Candidate documents for a query
+   *
+   * @param {Float32Array} queryVector - Unit query vector
+   * @param {number} [probes] - Clusters to score (default: the index's)
+   * @returns {Object[]} Documents in the nearest clusters
+   */
+  candidates(queryVector, probes = this.probes) {
+    const nearest = selectTopK(
+      this.centroids.map((centroid, list) => ({
+        list,
+        score: dotProduct(queryVector, centroid),
+      })),
+      probes,
+      (a, b) => b.score - a.score
+    );
+
+    return nearest.flatMap(({ list }) => this.lists[list]);
+  }
+
+  /**
+   * Index summary for /stats
+   *
+   * @returns {Object} Type, size and configuration
+   */
+  describe() {
+    const sizes = this.lists.map((list) => list.length);
+    return {
+      type: this.type,
+      documents: this.size,
+      lists: this.lists.length,
+      probes: this.probes,
+      largestList: Math.max(0, ...sizes),
+      builtAt: this.builtAt,
+      buildMs: this.buildMs,
+    };
+  }
+}
+
+/**
+ * Build the vector index selected by environment variables
+ *
+ * VECTOR_INDEX               - "exact" (default) or "ivf"
+ * VECTOR_INDEX_MIN_DOCUMENTS - Smallest corpus to build the IVF index for (default: 2000)
+ * IVF_LISTS / IVF_PROBES     - Clusters, and clusters scored per query
+ *
+ * @param {Object[]} documents - Documents with unit embeddings
+ * @param {IVFIndex|null} [previous] - Index to refresh instead of rebuilding
+ * @returns {IVFIndex|null} Index, or null when exact search is used
+ */
+export function createVectorIndex(documents, previous = null) {
+  if (VECTOR_INDEX !== "ivf") {
+    if (VECTOR_INDEX !== "exact") {
+      console.warn(
+        `Unknown VECTOR_INDEX "${VECTOR_INDEX}", falling back to exact search.`
+      );
+    }
+    return null;
+  }
+
+  if (documents.length < VECTOR_INDEX_MIN_DOCUMENTS) return null;
+  if (previous) return previous.refresh(documents);
+
+  const index = new IVFIndex().build(documents);
+  console.log(
+    `IVF index built: ${index.size} documents in ${index.lists.length} lists (${index.buildMs} ms)`
+  );
+  return index;
+}
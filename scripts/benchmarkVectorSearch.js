@@ -0,0 +1,213 @@
+/**
+ * Vector Search Benchmark - Recall and latency of exact and IVF search
+ *
+ * Builds a synthetic corpus of clustered unit vectors (documents about the
+ * same topic sit close together, as real embeddings do) and runs the same
+ * queries through:
+ * 1. The previous implementation: reduce-based cosine similarity over plain
+ *    arrays and a full sort
+ * 2. Exact search: unit Float32Arrays, dot products and partial top-K
+ * 3. IVF search at several probe counts
+ *
+ * Recall@K is measured against exact search.
+ *
+ * Usage:
+ *   node scripts/benchmarkVectorSearch.js [--documents=10000] [--dimensions=384]
+ *     [--queries=200] [--k=8] [--lists=<√documents>] [--probes=1,2,4,8,16,32]
+ *     [--noise=2.5]
+ *
+ * Higher --noise makes topics overlap more, which lowers IVF recall.
+ */
+
+import { getTopKDocuments } from "../lib/retrieval.js";
+import { IVFIndex, toUnitVector } from "../lib/vectorIndex.js";
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const args = Object.fromEntries(
+  process.argv
+    .slice(2)
+    .map((arg) => arg.replace(/^--/, "").split("="))
+    .map(([name, value]) => [name, value ?? "true"])
+);
+
+const DOCUMENTS = parseInt(args.documents, 10) || 10000;
+const DIMENSIONS = parseInt(args.dimensions, 10) || 384;
+const QUERIES = parseInt(args.queries, 10) || 200;
+const K = parseInt(args.k, 10) || 8;
+const LISTS = parseInt(args.lists, 10) || null;
+const PROBES = (args.probes || "1,2,4,8,16,32")
+  .split(",")
+  .map((probes) => parseInt(probes, 10))
+  .filter((probes) => probes > 0);
+
+// Topics in the synthetic corpus, and how far documents stray from them
+const TOPICS = Math.max(1, Math.round(DOCUMENTS / 100));
+const NOISE = Number(args.noise) || 2.5;
+
+// ============================================================================
+// SYNTHETIC DATA
+// ============================================================================
+
+// Seeded so runs are comparable
+let seed = 7;
+function random() {
+  seed = (seed + 0x6d2b79f5) >>> 0;
+  let t = Math.imul(seed ^ (seed >>> 15), seed | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function gaussian() {
+  return (
+    Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random())
+  );
+}
+
+function randomVector() {
+  return Array.from({ length: DIMENSIONS }, gaussian);
+}
+
+function nearTopic(topic) {
+  const scale = NOISE / Math.sqrt(DIMENSIONS);
+  return toUnitVector(topic.map((value) => value + gaussian() * scale));
+}
+
+const topics = Array.from({ length: TOPICS }, () =>
+  Array.from(toUnitVector(randomVector()))
+);
+
+const documents = Array.from({ length: DOCUMENTS }, (_, i) => {
+  const topic = i % TOPICS;
+  return {
+    id: `doc_${i}`,
+    data: {
+      title: `Document ${i}`,
+      snippet: "",
+      category: `topic_${topic % 7}`,
+    },
+    embedding: nearTopic(topics[topic]),
+  };
+});
+
+const queries = Array.from({ length: QUERIES }, () =>
+  Array.from(nearTopic(topics[Math.floor(random() * TOPICS)]))
+);
+
+// ============================================================================
+// SEARCH METHODS
+// ============================================================================
+
+// The implementation this replaced, kept for comparison
+function legacyCosineSimilarity(vecA, vecB) {
+  const dotProduct = vecA.reduce((sum, a, idx) => sum + a * vecB[idx], 0);
+  const magA = Math.sqrt(vecA.reduce((sum, a) => sum + a * a, 0));
+  const magB = Math.sqrt(vecB.reduce((sum, b) => sum + b * b, 0));
+  return dotProduct / (magA * magB);
+}
+
+const legacyDocuments = documents.map((doc) => ({
+  ...doc,
+  embedding: Array.from(doc.embedding),
+}));
+
+function legacySearch(query) {
+  return legacyDocuments
+    .map((doc) => ({
+      doc,
+      score: legacyCosineSimilarity(query, doc.embedding),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, K);
+}
+
+/**
+ * Run every query through a search function
+ *
+ * @param {string} name - Method name
+ * @param {Function} search - Returns { results, scored } for a query
+ * @param {Map<number, Set<string>>} [truth] - Exact top-K ids per query
+ * @returns {Object} Summary row
+ */
+function measure(name, search, truth) {
+  const latencies = [];
+  const ids = new Map();
+  let recallSum = 0;
+  let scoredSum = 0;
+
+  // Warm up the JIT so the first method isn't penalized
+  queries.slice(0, 20).forEach((query) => search(query));
+
+  queries.forEach((query, q) => {
+    const startedAt = process.hrtime.bigint();
+    const { results, scored } = search(query);
+    latencies.push(Number(process.hrtime.bigint() - startedAt) / 1e6);
+
+    const found = new Set(results.map((item) => item.doc.id));
+    ids.set(q, found);
+    scoredSum += scored;
+    if (truth) {
+      const expected = truth.get(q);
+      recallSum +=
+        [...found].filter((id) => expected.has(id)).length / expected.size;
+    }
+  });
+
+  latencies.sort((a, b) => a - b);
+  const row = {
+    method: name,
+    "mean ms": round(latencies.reduce((a, b) => a + b, 0) / latencies.length),
+    "p95 ms": round(latencies[Math.floor(latencies.length * 0.95)] ?? 0),
+    "docs scored": Math.round(scoredSum / queries.length),
+    [`recall@${K}`]: truth ? round(recallSum / queries.length) : 1,
+  };
+  return { row, ids };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// ============================================================================
+// BENCHMARK
+// ============================================================================
+
+console.log(
+  `Corpus: ${DOCUMENTS} documents × ${DIMENSIONS} dimensions, ${QUERIES} queries, K=${K}`
+);
+
+const exact = measure("exact (Float32Array + top-K heap)", (query) => {
+  const { results } = getTopKDocuments(query, documents, K);
+  return { results, scored: documents.length };
+});
+
+const legacy = measure(
+  "previous (reduce + full sort)",
+  (query) => ({ results: legacySearch(query), scored: documents.length }),
+  exact.ids
+);
+
+const index = new IVFIndex({ lists: LISTS }).build(documents);
+console.log(
+  `IVF index: ${index.lists.length} lists, built in ${index.buildMs} ms`
+);
+
+const rows = [legacy.row, exact.row];
+for (const probes of PROBES) {
+  index.probes = probes;
+  const ivf = measure(
+    `ivf (probes=${probes})`,
+    (query) => {
+      const { results, totalMatches } = getTopKDocuments(query, documents, K, {
+        vectorIndex: index,
+      });
+      return { results, scored: totalMatches };
+    },
+    exact.ids
+  );
+  rows.push(ivf.row);
+}
+
+console.table(rows);
@@ -0,0 +1,73 @@
+/**
+ * Golden Set Builder - Generate retrieval evaluation queries
+ *
+ * Writes evaluation/goldenSet.json from the knowledge base: each distinct
+ * prompt as a seed query, plus keyword-style and reworded paraphrases.
+ * Entries with "source": "manual" are hand-written and kept as they are, so
+ * run this again after editing documents without losing them.
+ *
+ * Usage:
+ *   node scripts/buildGoldenSet.js [--out=evaluation/goldenSet.json]
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import {
+  loadDocumentSources,
+  loadSourceDocuments,
+} from "../lib/knowledgeBase.js";
+import { buildGoldenSet, validateGoldenSet } from "../lib/evaluation.js";
+
+const args = Object.fromEntries(
+  process.argv
+    .slice(2)
+    .map((arg) => arg.replace(/^--/, "").split("="))
+    .map(([name, value]) => [name, value ?? "true"])
+);
+
+const file = path.resolve(args.out || "evaluation/goldenSet.json");
+
+let previous = null;
+try {
+  previous = JSON.parse(await fs.readFile(file, "utf-8"));
+} catch (err) {
+  if (err.code !== "ENOENT") {
+    console.error(`Can't read ${file}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+const { sources } = await loadDocumentSources();
+const { documents, failedSources } = await loadSourceDocuments(sources);
+if (failedSources.length > 0) {
+  console.error(
+    `Can't build from a partial knowledge base (failed: ${failedSources
+      .map((source) => source.file)
+      .join(", ")})`
+  );
+  process.exit(1);
+}
+
+const { goldenSet, dropped } = buildGoldenSet(documents, previous);
+const error = validateGoldenSet(goldenSet);
+if (error) {
+  console.error(`Generated golden set is invalid: ${error}`);
+  process.exit(1);
+}
+
+await fs.mkdir(path.dirname(file), { recursive: true });
+await fs.writeFile(file, `${JSON.stringify(goldenSet, null, 2)}\n`);
+
+const counts = goldenSet.queries.reduce((acc, entry) => {
+  acc[entry.type] = (acc[entry.type] || 0) + 1;
+  return acc;
+}, {});
+console.log(
+  `Wrote ${goldenSet.queries.length} queries for ${documents.length} documents to ${file}:`,
+  counts
+);
+for (const entry of dropped) {
+  console.warn(
+    `Dropped manual query ${entry.id} ("${entry.query}"): none of its documents exist any more`
+  );
+}
@@ -0,0 +1,443 @@
+/**
+ * Retrieval Evaluation - Score retrieval configurations on the golden set
+ *
+ * Runs every golden query (evaluation/goldenSet.json) through the same
+ * retrieval pipeline as /prompt, using the server's offline index in
+ * embeddings/ (documents missing from it are embedded for this run only),
+ * and reports recall@k, MRR and nDCG@k overall, per category and per query
+ * type.
+ *
+ * A configuration is a JSON file with /prompt retrieval fields (k,
+ * retrievalMode, rerank...) plus an optional name, embeddingText template
+ * and vectorIndex; see evaluation/configs/. With --compare, a second
+ * configuration is scored and shown side by side with the first. With
+ * --baseline, the run is compared with a report saved earlier by --save.
+ * Either comparison exits with status 1 when a metric drops by more than
+ * --tolerance, overall or in a category, so it can gate CI.
+ *
+ * Usage:
+ *   node scripts/evaluateRetrieval.js [--config=evaluation/configs/default.json]
+ *     [--compare=<config>] [--baseline=<report>] [--save=<report>]
+ *     [--tolerance=0.02] [--golden=evaluation/goldenSet.json]
+ *     [--dir=embeddings] [--failures=10]
+ */
+
+import "dotenv/config";
+import fs from "fs/promises";
+import path from "path";
+import {
+  loadDocumentSources,
+  loadSourceDocuments,
+} from "../lib/knowledgeBase.js";
+import {
+  diffEmbeddingCache,
+  embeddingText,
+  readEmbeddingCache,
+} from "../lib/embeddingCache.js";
+import { BM25Index } from "../lib/lexical.js";
+import { IVFIndex, toUnitVector } from "../lib/vectorIndex.js";
+import {
+  createProvider,
+  createResilientProvider,
+} from "../lib/providers/index.js";
+import { buildQualityReport, duplicateGroups } from "../lib/corpusQuality.js";
+import {
+  DEFAULT_TOLERANCE,
+  METRICS,
+  compareReports,
+  parseEvaluationConfig,
+  renderEmbeddingText,
+  retrieveForEvaluation,
+  scoreRankings,
+  validateGoldenSet,
+} from "../lib/evaluation.js";
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const args = Object.fromEntries(
+  process.argv
+    .slice(2)
+    .map((arg) => arg.replace(/^--/, "").split("="))
+    .map(([name, value]) => [name, value ?? "true"])
+);
+
+const GOLDEN_SET_FILE = path.resolve(
+  args.golden || "evaluation/goldenSet.json"
+);
+const EMBEDDINGS_DIR = path.resolve(args.dir || "embeddings");
+const TOLERANCE = args.tolerance ? Number(args.tolerance) : DEFAULT_TOLERANCE;
+const FAILURES_SHOWN = parseInt(args.failures ?? "10", 10) || 0;
+
+// Texts per embedding call
+const EMBED_BATCH_SIZE = 96;
+
+if (!(TOLERANCE >= 0)) {
+  fail("--tolerance must be a number of at least 0");
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(2);
+}
+
+async function readJson(file, label) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf-8"));
+  } catch (err) {
+    return fail(`Can't read ${label} ${file}: ${err.message}`);
+  }
+}
+
+// ============================================================================
+// KNOWLEDGE BASE AND EMBEDDINGS
+// ============================================================================
+
+// Timeouts and retries as in the server (the provider SDKs don't retry)
+const provider = createResilientProvider(createProvider());
+if (!provider.isConfigured()) {
+  fail(`${provider.label} is not configured (set its API key or LLM_PROVIDER)`);
+}
+
+const { sources } = await loadDocumentSources();
+const { documents, failedSources } = await loadSourceDocuments(sources);
+if (failedSources.length > 0) {
+  fail(
+    `Can't evaluate a partial knowledge base (failed: ${failedSources
+      .map((source) => source.file)
+      .join(", ")})`
+  );
+}
+const categories = [
+  ...new Set(documents.map((doc) => doc.data.category)),
+].sort();
+const categoryWeights = Object.fromEntries(
+  sources
+    .filter((source) => source.weight !== 1)
+    .map((source) => [source.category, source.weight])
+);
+
+const goldenSet = await readJson(GOLDEN_SET_FILE, "golden set");
+const goldenError = validateGoldenSet(goldenSet);
+if (goldenError) fail(`Invalid golden set: ${goldenError}`);
+
+// Expected documents that were deleted can never be found
+const knownIds = new Set(documents.map((doc) => doc.id));
+const staleQueries = goldenSet.queries.filter((entry) =>
+  entry.expectedIds.some((id) => !knownIds.has(id))
+);
+if (staleQueries.length > 0) {
+  console.warn(
+    `${staleQueries.length} golden queries expect documents that no longer exist ` +
+      `(e.g. ${staleQueries[0].id}); run \`npm run eval:golden\` to refresh the set.`
+  );
+}
+
+/**
+ * Embed texts in batches as unit vectors
+ *
+ * @param {string[]} texts - Texts to embed
+ * @param {string} inputType - "search_document" or "search_query"
+ * @returns {Promise<Float32Array[]>} One vector per text
+ */
+async function embedAll(texts, inputType) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+    const batch = texts.slice(i, i + EMBED_BATCH_SIZE);
+    const embeddings = await provider.embed(batch, inputType);
+    vectors.push(...embeddings.map(toUnitVector));
+  }
+  return vectors;
+}
+
+/**
+ * Documents embedded as the server embeds them, from the offline index
+ *
+ * @returns {Promise<Object[]>} Documents with unit embeddings
+ */
+async function loadOfflineIndex() {
+  const stored = await readEmbeddingCache(EMBEDDINGS_DIR);
+  const diff = diffEmbeddingCache(
+    documents,
+    stored?.documents ?? null,
+    provider.embeddingModel
+  );
+
+  if (diff.rebuildReason) {
+    console.warn(
+      `Offline index unusable (${diff.rebuildReason}); embedding all ${documents.length} documents for this run.`
+    );
+  } else if (diff.toEmbed.length > 0) {
+    console.warn(
+      `${diff.toEmbed.length} documents are missing from the offline index; embedding them for this run (start the server to update it).`
+    );
+  }
+
+  const vectors = await embedAll(
+    diff.toEmbed.map(embeddingText),
+    "search_document"
+  );
+  vectors.forEach((vector, i) => (diff.toEmbed[i].embedding = vector));
+  return diff.documents;
+}
+
+// Embedded documents per embedding text template
+const embeddedDocuments = new Map();
+
+/**
+ * Documents embedded with a configuration's text template
+ *
+ * The default template reuses the offline index; any other one embeds the
+ * whole knowledge base again (one model call per batch).
+ *
+ * @param {string} template - embeddingText of the configuration
+ * @returns {Promise<Object[]>} Documents with unit embeddings
+ */
+async function documentsFor(template) {
+  if (embeddedDocuments.has(template)) return embeddedDocuments.get(template);
+
+  let embedded;
+  if (
+    documents.every(
+      (doc) => renderEmbeddingText(template, doc) === embeddingText(doc)
+    )
+  ) {
+    embedded = await loadOfflineIndex();
+  } else {
+    console.log(
+      `Embedding ${documents.length} documents as "${template}" for this run...`
+    );
+    const vectors = await embedAll(
+      documents.map((doc) => renderEmbeddingText(template, doc)),
+      "search_document"
+    );
+    embedded = documents.map((doc, i) => ({ ...doc, embedding: vectors[i] }));
+  }
+
+  embeddedDocuments.set(template, embedded);
+  return embedded;
+}
+
+// Query vectors are shared by every configuration
+const queryTexts = [...new Set(goldenSet.queries.map((entry) => entry.query))];
+const queryVectors = await embedAll(queryTexts, "search_query");
+const queryEmbeddings = new Map(
+  queryTexts.map((text, i) => [text, queryVectors[i]])
+);
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Load and validate a configuration file (defaults when none is given)
+ *
+ * @param {string} [file] - Configuration path
+ * @returns {Promise<Object>} Parsed configuration
+ */
+async function loadConfig(file) {
+  const input = file ? await readJson(path.resolve(file), "configuration") : {};
+  const { config, error } = parseEvaluationConfig(input, categories);
+  if (error) fail(`Invalid configuration ${file ?? "(defaults)"}: ${error}`);
+  return config;
+}
+
+/**
+ * Run the golden set through one configuration
+ *
+ * @param {Object} config - From parseEvaluationConfig
+ * @returns {Promise<Object>} Report
+ */
+async function evaluate(config) {
+  const startedAt = Date.now();
+  const indexDocuments = await documentsFor(config.embeddingText);
+  const vectorIndex =
+    config.vectorIndex === "ivf"
+      ? new IVFIndex(
+          config.ivfProbes ? { probes: config.ivfProbes } : {}
+        ).build(indexDocuments)
+      : null;
+  const index = {
+    documents: indexDocuments,
+    categories,
+    categoryWeights,
+    lexicalIndex: new BM25Index(indexDocuments),
+    vectorIndex,
+    duplicateGroups: config.retrieval.collapseDuplicates
+      ? duplicateGroups(buildQualityReport(indexDocuments, { vectorIndex }))
+      : null,
+  };
+
+  const rankings = new Map();
+  for (const entry of goldenSet.queries) {
+    rankings.set(
+      entry.id,
+      await retrieveForEvaluation(
+        entry.query,
+        queryEmbeddings.get(entry.query),
+        index,
+        config.retrieval,
+        provider
+      )
+    );
+  }
+
+  return {
+    name: config.name,
+    config,
+    embeddingModel: provider.embeddingModel,
+    goldenSet: {
+      file: path.relative(process.cwd(), GOLDEN_SET_FILE),
+      queries: goldenSet.queries.length,
+      generatedAt: goldenSet.generatedAt,
+    },
+    documents: documents.length,
+    k: config.retrieval.k,
+    evaluatedAt: new Date().toISOString(),
+    durationMs: Date.now() - startedAt,
+    ...scoreRankings(goldenSet.queries, rankings, config.retrieval.k),
+  };
+}
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+function metricsRow(label, summary) {
+  return {
+    scope: label,
+    queries: summary.queries,
+    ...Object.fromEntries(METRICS.map((metric) => [metric, summary[metric]])),
+  };
+}
+
+/**
+ * Print a report's metrics and its worst queries
+ *
+ * @param {Object} report - From evaluate
+ */
+function printReport(report) {
+  console.log(
+    `\n${report.name}: k=${report.k}, ${report.goldenSet.queries} queries, ${report.documents} documents (${report.durationMs} ms)`
+  );
+  console.table([
+    metricsRow("overall", report.overall),
+    ...Object.entries(report.byCategory).map(([category, summary]) =>
+      metricsRow(category, summary)
+    ),
+    ...Object.entries(report.byType).map(([type, summary]) =>
+      metricsRow(`type: ${type}`, summary)
+    ),
+  ]);
+
+  const missed = report.queries.filter((row) => row.recall === 0);
+  if (FAILURES_SHOWN > 0 && missed.length > 0) {
+    console.log(
+      `${missed.length} queries found none of their documents, e.g.:`
+    );
+    console.table(
+      missed.slice(0, FAILURES_SHOWN).map((row) => ({
+        query: row.query,
+        expected: row.expectedIds.join(", "),
+        top: row.retrievedIds.slice(0, 3).join(", "),
+      }))
+    );
+  }
+}
+
+/**
+ * Print a side-by-side comparison and the queries that got worse
+ *
+ * @param {Object} baseline - Reference report
+ * @param {Object} candidate - Report compared with it
+ * @returns {Object[]} Regressions
+ */
+function printComparison(baseline, candidate) {
+  const { rows, regressions } = compareReports(baseline, candidate, TOLERANCE);
+
+  // A saved baseline usually has the same name as the run checked against it
+  const [before, after] =
+    baseline.name === candidate.name
+      ? [`${baseline.name} (baseline)`, candidate.name]
+      : [baseline.name, candidate.name];
+  console.log(`\n${before} → ${after} (tolerance ${TOLERANCE}):`);
+  console.table(
+    rows.map((row) => ({
+      scope: row.scope,
+      metric: row.metric,
+      [before]: row.baseline,
+      [after]: row.candidate,
+      delta: row.delta > 0 ? `+${row.delta}` : `${row.delta}`,
+      "": row.regression ? "REGRESSION" : "",
+    }))
+  );
+
+  const previous = new Map(baseline.queries.map((row) => [row.id, row]));
+  const drop = (row) => previous.get(row.id).ndcg - row.ndcg;
+  const worse = candidate.queries
+    .filter((row) => previous.has(row.id) && drop(row) > 0)
+    .sort((a, b) => drop(b) - drop(a));
+  if (FAILURES_SHOWN > 0 && worse.length > 0) {
+    console.log(`${worse.length} queries ranked worse, e.g.:`);
+    console.table(
+      worse.slice(0, FAILURES_SHOWN).map((row) => ({
+        query: row.query,
+        [`${before} ndcg`]: previous.get(row.id).ndcg,
+        [`${after} ndcg`]: row.ndcg,
+      }))
+    );
+  }
+
+  return regressions;
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+const report = await evaluate(await loadConfig(args.config));
+printReport(report);
+
+const regressions = [];
+
+if (args.compare) {
+  const candidate = await evaluate(await loadConfig(args.compare));
+  printReport(candidate);
+  regressions.push(...printComparison(report, candidate));
+}
+
+if (args.baseline) {
+  const baseline = await readJson(
+    path.resolve(args.baseline),
+    "baseline report"
+  );
+  if (baseline.embeddingModel !== report.embeddingModel) {
+    fail(
+      `Baseline was scored with ${baseline.embeddingModel}, this run uses ${report.embeddingModel}`
+    );
+  }
+  if (baseline.goldenSet?.queries !== report.goldenSet.queries) {
+    console.warn(
+      `Golden set changed since the baseline (${baseline.goldenSet?.queries} → ${report.goldenSet.queries} queries); save a new baseline after reviewing.`
+    );
+  }
+  regressions.push(...printComparison(baseline, report));
+}
+
+if (args.save) {
+  const file = path.resolve(args.save);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, `${JSON.stringify(report, null, 2)}\n`);
+  console.log(`Report saved to ${file}`);
+}
+
+if (regressions.length > 0) {
+  console.error(
+    `\n${regressions.length} metrics regressed by more than ${TOLERANCE}: ` +
+      regressions
+        .map((row) => `${row.scope} ${row.metric} ${row.delta}`)
+        .join(", ")
+  );
+  process.exit(1);
+}
@@ -0,0 +1,86 @@
+/**
+ * Embeddings Migration - Convert the embeddings cache to the binary format
+ *
+ * The server migrates a legacy embeddings.json on its first write, but that
+ * only happens when something needs re-embedding. Run this to convert ahead
+ * of a deployment, or to switch between float32 and int8 encodings, without
+ * calling the embedding model.
+ *
+ * Usage:
+ *   node scripts/migrateEmbeddings.js [--dir=embeddings] [--encoding=float32|int8]
+ */
+
+import path from "path";
+import {
+  EMBEDDING_MODEL_VERSION,
+  EMBEDDINGS_ENCODING,
+  ENCODINGS,
+  embeddingFiles,
+  readEmbeddingCache,
+  writeEmbeddingCache,
+  getEmbeddingFileInfo,
+} from "../lib/embeddingCache.js";
+
+const args = Object.fromEntries(
+  process.argv
+    .slice(2)
+    .map((arg) => arg.replace(/^--/, "").split("="))
+    .map(([name, value]) => [name, value ?? "true"])
+);
+
+const directory = path.resolve(args.dir || "embeddings");
+const encoding = (args.encoding || EMBEDDINGS_ENCODING).toLowerCase();
+
+if (!ENCODINGS.includes(encoding)) {
+  console.error(`--encoding must be one of: ${ENCODINGS.join(", ")}`);
+  process.exit(1);
+}
+
+const before = await getEmbeddingFileInfo(directory);
+const stored = await readEmbeddingCache(directory);
+if (!stored) {
+  console.error(
+    `No readable embeddings in ${directory} (looked for ${Object.values(
+      embeddingFiles(directory)
+    )
+      .map((file) => path.basename(file))
+      .join(", ")})`
+  );
+  process.exit(1);
+}
+
+// The binary header records one model for every vector
+const { documents } = stored;
+const models = new Set(
+  documents.map((doc) => `${doc.model}@${doc.modelVersion}`)
+);
+if (models.size > 1) {
+  console.error(
+    `Vectors come from several models (${[...models].join(", ")}); let the server re-embed instead.`
+  );
+  process.exit(1);
+}
+const [model, modelVersion] = [...models][0]?.split("@") ?? [];
+if (documents.length > 0 && modelVersion !== EMBEDDING_MODEL_VERSION) {
+  console.error(
+    `Vectors are model version ${modelVersion}; set EMBEDDING_MODEL_VERSION=${modelVersion} to keep them.`
+  );
+  process.exit(1);
+}
+
+const { bytes, migratedLegacy } = await writeEmbeddingCache(
+  directory,
+  documents,
+  model,
+  { encoding }
+);
+const after = await getEmbeddingFileInfo(directory);
+
+console.log(
+  `Wrote ${documents.length} vectors (${model}, ${encoding}): ` +
+    `${Math.round(before.size / 1024)} KB ${before.header?.encoding ?? before.format} → ` +
+    `${Math.round(after.size / 1024)} KB (${Math.round(bytes / 1024)} KB of vectors)`
+);
+if (migratedLegacy) {
+  console.log("Removed the legacy embeddings.json.");
+}
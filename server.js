@@ -3,9 +3,9 @@
  *
  * This server implements a semantic search system that:
  * 1. Loads culinary documents from JSON files
- * 2. Converts documents to vector embeddings using Cohere's embedding model
+ * 2. Converts documents to vector embeddings using the configured provider (Cohere by default)
  * 3. Performs similarity search against user queries
- * 4. Uses retrieved context to generate accurate responses via Cohere's chat model
+ * 4. Uses retrieved context to generate accurate responses via the provider's chat model
  *
  * Architecture: Express.js REST API + Cohere AI + Vector Similarity Search
  *
@@ -18,9 +18,147 @@
 import "dotenv/config"; // Load environment variables from .env file
 import express from "express"; // Web framework for Node.js
 import cors from "cors"; // Enable Cross-Origin Resource Sharing
-import { CohereClient } from "cohere-ai"; // Cohere AI SDK for embeddings and chat
-import fs from "fs/promises"; // File system operations with Promise support
+import crypto from "crypto"; // Constant-time key comparison and request ids
+import {
+  classifyProviderError,
+  createProvider,
+  createResilientProvider,
+  instrumentProvider,
+  PROVIDER_TIMEOUT_MS,
+  ProviderError,
+  ProviderTimeoutError,
+  ProviderUnavailableError,
+} from "./lib/providers/index.js"; // Pluggable LLM/embedding providers (Cohere, mock, OpenAI)
 import path from "path"; // Path utilities for cross-platform compatibility
+import {
+  createConversationStore,
+  createConversation,
+  describeConversation,
+  describeTranscript,
+  isConversationOwner,
+  appendTurn,
+  buildChatHistory,
+} from "./lib/conversations.js"; // Server-side multi-turn conversation history
+import {
+  loadDocumentSources,
+  setDocumentSources,
+  getDocumentSources,
+  loadSourceDocuments,
+  SourceConflictError,
+  getSource,
+  isEditableSource,
+  readSourceFile,
+  writeSourceItems,
+  validateDocumentInput,
+  nextDocumentId,
+} from "./lib/knowledgeBase.js"; // Source JSON files behind the knowledge base
+import {
+  EMBEDDING_MODEL_VERSION,
+  EMBEDDINGS_ENCODING,
+  EMBEDDINGS_READ_MODE,
+  embeddingText,
+  readEmbeddingCache,
+  writeEmbeddingCache,
+  getEmbeddingFileInfo,
+  diffEmbeddingCache,
+  getCacheDrift,
+} from "./lib/embeddingCache.js"; // Content-hashed, model-versioned binary embeddings files
+import {
+  getTopKDocuments,
+  classifyQueryIntent,
+  parseRetrievalOptions,
+  parsePagination,
+  MAX_SEARCH_DEPTH,
+  describeScoredDocument,
+  rerankResults,
+  RERANK_CANDIDATES,
+  DEFAULT_TOP_K,
+} from "./lib/retrieval.js"; // Vector search with category filters and intent routing
+import { BM25Index } from "./lib/lexical.js"; // BM25 keyword index for lexical/hybrid retrieval
+import { toUnitVector, createVectorIndex } from "./lib/vectorIndex.js"; // Unit vectors and the optional IVF index
+import {
+  UNIT_SYSTEMS,
+  normalizeUnit,
+  normalizeTemperatureUnit,
+  parseIngredientList,
+  extractIngredients,
+  extractTemperatures,
+  scaleIngredients,
+  convertIngredients,
+  convertTemperature,
+  detectUnitRequest,
+} from "./lib/units.js"; // Deterministic recipe scaling and unit conversion
+import {
+  RECIPE_CATEGORIES,
+  RESPONSE_FORMATS,
+  RecipeFormatError,
+  generateRecipe,
+} from "./lib/recipeFormat.js"; // Structured JSON recipe output
+import {
+  DEFAULT_LIMITS,
+  parseApiKeys,
+  findClient,
+  estimateTokens,
+  createRateLimitStore,
+  RateLimiter,
+} from "./lib/rateLimit.js"; // API keys and sliding-window quotas
+import {
+  SAFETY_GUARD_MODE,
+  guardReply,
+  guardRecipe,
+  verifyFoodSafetyTable,
+} from "./lib/safetyGuard.js"; // Post-generation food safety checks
+import {
+  createToolRegistry,
+  createBuiltinTools,
+  runToolLoop,
+  TOOL_MAX_ITERATIONS,
+} from "./lib/tools/index.js"; // Tools the chat model can call during a turn
+import {
+  createProfileStore,
+  createProfile,
+  describeProfile,
+  validateProfileInput,
+  describeProfileConstraints,
+  hasDietaryRestrictions,
+} from "./lib/profiles.js"; // Allergen, diet, skill level and unit preferences
+import { findDietaryConflicts, dietaryWarnings } from "./lib/dietary.js"; // Ingredients a profile rules out
+import {
+  MAX_PROMPT_CHARS,
+  DOMAIN_KEYWORD_MARGIN,
+  MODERATION_REASONS,
+  screenPrompt,
+  computeCategoryCentroids,
+  checkDomain,
+  domainThresholdFor,
+  cannedResponse,
+} from "./lib/moderation.js"; // Prompt screening before any chat call
+import {
+  RESPONSE_CACHE_ENABLED,
+  SemanticResponseCache,
+  cacheVariant,
+} from "./lib/responseCache.js"; // Replies reused for near-identical questions
+import {
+  DUPLICATE_THRESHOLD,
+  buildQualityReport,
+  duplicateGroups,
+} from "./lib/corpusQuality.js"; // Near-duplicates, conflicts and misfiled documents
+import {
+  KNOWLEDGE_GAP_SCORE,
+  QUERY_LOG_PROMPTS,
+  QueryTrace,
+  buildQueryLogEntry,
+  createQueryLogStore,
+  loggedClientId,
+  summarizeQueryLog,
+  validateFeedback,
+} from "./lib/queryLog.js"; // Persisted query log and response feedback
+import {
+  METRICS_CONTENT_TYPE,
+  SlidingWindowCounter,
+  createServerMetrics,
+} from "./lib/metrics.js"; // Prometheus metrics for GET /metrics
+import { initTracing, withSpan } from "./lib/tracing.js"; // Optional OpenTelemetry spans
 
 // ============================================================================
 // SERVER SETUP AND CONFIGURATION
@@ -29,83 +167,79 @@ import path from "path"; // Path utilities for cross-platform compatibility
 const app = express();
 
 // Middleware setup
-app.use(cors()); // Allow cross-origin requests from frontend
+app.use(cors({ exposedHeaders: ["X-Request-Id", "Retry-After"] })); // Allow cross-origin requests from frontend
+app.use(assignRequestId); // Id for every request, sent back as X-Request-Id
 app.use(express.json()); // Parse JSON request bodies
 
-// Initialize Cohere AI client with API key from environment variables
-const cohere = new CohereClient({
-  token: process.env.COHERE_API_KEY, // Requires COHERE_API_KEY in .env file
-});
+// Request counts and latency per route for GET /metrics
+app.use(recordHttpMetrics);
 
-// File path for storing pre-computed embeddings to avoid re-computation
-const EMBEDDINGS_FILE = path.join(
-  process.cwd(),
-  "embeddings",
-  "embeddings.json"
+// Behind a proxy (Vercel, nginx) req.ip must come from X-Forwarded-For so
+// anonymous clients are rate limited per real address
+app.set(
+  "trust proxy",
+  process.env.TRUST_PROXY
+    ? Number(process.env.TRUST_PROXY)
+    : process.env.VERCEL
+      ? 1
+      : false
 );
 
-// Global variables for tracking server metrics
-let serverStartTime = new Date();
-let totalQueries = 0;
-let embeddingsComputedAt = null;
-let lastQueryTime = null;
+// Prometheus metrics, and OpenTelemetry tracing when OTEL_TRACING=on
+const metrics = createServerMetrics();
+await initTracing();
 
-// ============================================================================
-// VECTOR SIMILARITY FUNCTIONS
-// ============================================================================
+// Initialize the LLM/embedding provider selected by LLM_PROVIDER (default:
+// cohere) with timeouts, retries and circuit breakers, timed and traced per call
+const baseProvider = createProvider();
+const provider = instrumentProvider(
+  createResilientProvider(baseProvider, {
+    onRetry: ({ operation, error }) =>
+      metrics.upstreamRetries.inc({
+        provider: baseProvider.name,
+        operation,
+        type: classifyProviderError(error),
+      }),
+  }),
+  metrics
+);
 
-/**
- * Calculate cosine similarity between two vectors
- *
- * Cosine similarity measures the cosine of the angle between two vectors,
- * providing a metric of how similar they are regardless of magnitude.
- *
- * Formula: cos(θ) = (A·B) / (|A| × |B|)
- *
- * @param {number[]} vecA - First vector (embedding)
- * @param {number[]} vecB - Second vector (embedding)
- * @returns {number} Similarity score between -1 and 1 (1 = identical, 0 = orthogonal, -1 = opposite)
- */
-function cosineSimilarity(vecA, vecB) {
-  // Calculate dot product: sum of element-wise multiplication
-  const dotProduct = vecA.reduce((sum, a, idx) => sum + a * vecB[idx], 0);
+// Minimum prompt similarity to the knowledge base (null: no off-domain check)
+const domainThreshold = domainThresholdFor(baseProvider);
 
-  // Calculate magnitude (length) of vector A: √(sum of squares)
-  const magA = Math.sqrt(vecA.reduce((sum, a) => sum + a * a, 0));
+// Directory for storing pre-computed embeddings to avoid re-computation
+const EMBEDDINGS_DIR = path.join(process.cwd(), "embeddings");
 
-  // Calculate magnitude (length) of vector B: √(sum of squares)
-  const magB = Math.sqrt(vecB.reduce((sum, b) => sum + b * b, 0));
+// Discover knowledge base sources up front so categories are known before the
+// documents are embedded (e.g. for admin requests on a fresh instance). The
+// registry only changes on restart: files added later are neither served nor
+// editable until then.
+const sourceDiscovery = await loadDocumentSources();
+setDocumentSources(sourceDiscovery.sources);
 
-  // Return cosine similarity: dot product divided by product of magnitudes
-  return dotProduct / (magA * magB);
-}
+// Conversation storage (in-memory by default, file-backed via CONVERSATION_STORE=file)
+const conversationStore = createConversationStore();
 
-/**
- * Find the top K most similar documents to a query embedding
- *
- * This implements the core semantic search functionality by:
- * 1. Computing similarity scores between query and all documents
- * 2. Sorting documents by similarity score (highest first)
- * 3. Returning the top K most relevant documents
- *
- * @param {number[]} queryEmbedding - Vector embedding of user's query
- * @param {Object[]} documents - Array of document objects with embeddings
- * @param {number} k - Number of top documents to return (default: 8)
- * @returns {Object[]} Top K most similar documents
- */
-function getTopKDocuments(queryEmbedding, documents, k = 8) {
-  // Calculate similarity score for each document
-  const similarities = documents.map((doc) => ({
-    doc,
-    score: cosineSimilarity(queryEmbedding, doc.embedding),
-  }));
+// User profiles (in-memory by default, file-backed via PROFILE_STORE=file)
+const profileStore = createProfileStore();
 
-  // Sort by similarity score in descending order (most similar first)
-  similarities.sort((a, b) => b.score - a.score);
+// Client API keys (API_KEYS) and the limiter enforcing their quotas
+const apiClients = parseApiKeys();
+const rateLimiter = new RateLimiter(createRateLimitStore());
 
-  // Return top K documents (without similarity scores)
-  return similarities.slice(0, k).map((item) => item.doc);
-}
+// Chat replies and their ratings (file-backed by default, in memory with
+// QUERY_LOG_STORE=memory, disabled with QUERY_LOG_STORE=off)
+const queryLogStore = createQueryLogStore();
+
+// Replies to standalone questions, reused for near-identical ones
+const responseCache = new SemanticResponseCache();
+
+// Global variables for tracking server metrics
+let serverStartTime = new Date();
+let totalQueries = 0;
+let embeddingsComputedAt = null;
+let lastQueryTime = null;
+const recentQueries = new SlidingWindowCounter(); // Queries in the last hour
 
 // ============================================================================
 // DOCUMENT LOADING AND PROCESSING
@@ -115,60 +249,22 @@ function getTopKDocuments(queryEmbedding, documents, k = 8) {
  * Load and categorize culinary documents from JSON files
  *
  * This function:
- * 1. Reads multiple JSON files containing culinary knowledge
- * 2. Categorizes documents based on filename patterns
+ * 1. Reads the source files discovered at startup (documents/manifest.json
+ *    plus any other supported file in the documents directory)
+ * 2. Validates every item, skipping and reporting invalid ones
  * 3. Structures data for embedding and retrieval
  * 4. Provides logging for monitoring the loading process
  *
- * @returns {Object[]} Array of structured document objects
+ * @returns {Object} { documents, failedSources }
  */
 async function loadDocuments() {
-  // Define all JSON files containing culinary knowledge
-  const files = [
-    path.join(process.cwd(), "documents", "recipes.json"), // Recipe instructions and ingredients
-    path.join(process.cwd(), "documents", "techniques_Tips.json"), // Cooking techniques and tips
-    path.join(process.cwd(), "documents", "nutrition_Advice.json"), // Nutrition advice and health info
-    path.join(process.cwd(), "documents", "ingredient_Substitutions.json"), // Ingredient substitutions
-    path.join(process.cwd(), "documents", "food_Safety.json"), // Food safety guidelines
-    path.join(process.cwd(), "documents", "equipment_Usage.json"), // Kitchen equipment usage
-    path.join(process.cwd(), "documents", "cooking_Advice.json"), // General cooking advice
-  ];
-
-  const documents = [];
+  const { documents, failedSources, issues } =
+    await loadSourceDocuments(getDocumentSources());
 
-  // Process each file sequentially
-  for (const file of files) {
-    try {
-      // Read and parse JSON file
-      const content = await fs.readFile(file, "utf-8");
-      const json = JSON.parse(content);
-
-      // Determine document category based on filename for better organization
-      let category = "general"; // Default category
-      if (file.includes("nutrition_Advice")) category = "nutrition";
-      else if (file.includes("ingredient_Substitutions"))
-        category = "substitutions";
-      else if (file.includes("food_Safety")) category = "food_safety";
-      else if (file.includes("equipment_Usage")) category = "equipment";
-      else if (file.includes("recipes")) category = "recipes";
-      else if (file.includes("techniques_Tips")) category = "techniques";
-      else if (file.includes("cooking_Advice")) category = "cooking_advice";
-
-      // Process each item in the JSON array
-      json.forEach((item, idx) => {
-        documents.push({
-          id: `${category}_${idx + 1}`, // Unique identifier for each document
-          data: {
-            title: item.prompt, // Question/topic (used for embedding)
-            snippet: item.response, // Answer/content (used for embedding and context)
-            category: category, // Document category for filtering/stats
-          },
-        });
-      });
-    } catch (err) {
-      // Log errors but continue processing other files
-      console.error(`Error reading ${file}:`, err);
-    }
+  // Report problems per file and item, then continue with what is valid
+  sourceIssues = [...sourceDiscovery.issues, ...issues];
+  for (const issue of issues) {
+    console.warn(`Knowledge base: ${describeSourceIssue(issue)}`);
   }
 
   console.log(`Loaded ${documents.length} documents across all categories`);
@@ -180,7 +276,23 @@ async function loadDocuments() {
   }, {});
 
   console.log("Document breakdown by category:", categoryCount);
-  return documents;
+  return { documents, failedSources };
+}
+
+/**
+ * Format a source validation issue for logs
+ *
+ * @param {Object} issue - { file, index?, id?, message }
+ * @returns {string} e.g. "recipes.json item 4: prompt must be a non-empty string"
+ */
+function describeSourceIssue(issue) {
+  const location =
+    issue.index !== undefined
+      ? ` item ${issue.index}`
+      : issue.id !== undefined
+        ? ` (${issue.id})`
+        : "";
+  return `${issue.file}${location}: ${issue.message}`;
 }
 
 // ============================================================================
@@ -197,21 +309,31 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+// Pause between embedding batches (throttled calls already back off and
+// honour Retry-After, see lib/providers/resilience.js)
+const EMBED_BATCH_DELAY_MS =
+  parseInt(process.env.EMBED_BATCH_DELAY_MS, 10) || 0;
+
+// Retries per batch - building the index can wait longer than a user's question
+const EMBED_BATCH_RETRIES = Math.max(
+  0,
+  parseInt(process.env.EMBED_BATCH_RETRIES ?? "5", 10) || 0
+);
+
 /**
- * Generate embeddings for documents in batches to respect API rate limits
+ * Generate embeddings for documents in batches
  *
  * This function processes documents in batches to:
- * 1. Avoid hitting Cohere API rate limits
+ * 1. Stay within the provider's request size and rate limits
  * 2. Provide progress feedback for large document sets
- * 3. Handle potential API errors gracefully
+ * 3. Keep finished batches when a later one fails: each document gets its
+ *    `embedding` and `computedAt` as soon as its batch is done, so the
+ *    caller can save them and the next attempt only embeds the rest
  *
- * @param {Object[]} documents - Array of document objects to embed
+ * @param {Object[]} documents - Array of document objects to embed (updated in place)
  * @param {number} batchSize - Number of documents to process per batch (default: 96)
- * @returns {number[][]} Array of embedding vectors
  */
 async function embedDocumentsInBatches(documents, batchSize = 96) {
-  const allEmbeddings = [];
-
   // Process documents in batches
   for (let i = 0; i < documents.length; i += batchSize) {
     const batch = documents.slice(i, i + batchSize);
@@ -224,23 +346,23 @@ async function embedDocumentsInBatches(documents, batchSize = 96) {
     );
 
     // Generate embeddings for current batch
-    const response = await cohere.embed({
-      // Combine title and snippet for comprehensive context
-      texts: batch.map((doc) => `${doc.data.title}. ${doc.data.snippet}`),
-      model: "embed-multilingual-v3.0", // Cohere's multilingual embedding model
-      input_type: "search_document", // Optimizes embeddings for search/retrieval
-    });
+    const embeddings = await provider.embed(
+      batch.map(embeddingText),
+      "search_document", // Optimizes embeddings for search/retrieval
+      { maxRetries: EMBED_BATCH_RETRIES }
+    );
 
-    // Collect embeddings from this batch
-    allEmbeddings.push(...response.embeddings);
+    // Attach this batch's embeddings, normalized for dot-product search
+    const computedAt = new Date().toISOString();
+    batch.forEach((doc, j) => {
+      doc.embedding = toUnitVector(embeddings[j]);
+      doc.computedAt = computedAt;
+    });
 
-    // Rate limiting: shorter wait for Vercel (reduced from 10 seconds)
-    if (i + batchSize < documents.length) {
-      await sleep(2000);
+    if (EMBED_BATCH_DELAY_MS > 0 && i + batchSize < documents.length) {
+      await sleep(EMBED_BATCH_DELAY_MS);
     }
   }
-
-  return allEmbeddings;
 }
 
 /**
@@ -252,69 +374,43 @@ async function embedDocumentsInBatches(documents, batchSize = 96) {
  * @param {Object[]} documents - Documents with computed embeddings
  */
 async function saveEmbeddingsToFile(documents) {
-  // Ensure embeddings directory exists
-  const embeddingsDir = path.dirname(EMBEDDINGS_FILE);
-  await fs.mkdir(embeddingsDir, { recursive: true });
-
-  // Structure data for JSON serialization
-  const embeddingsData = documents.map((doc) => ({
-    id: doc.id,
-    title: doc.data.title,
-    snippet: doc.data.snippet,
-    category: doc.data.category,
-    embedding: doc.embedding, // Vector embedding array
-    computedAt: new Date().toISOString(), // Track when embeddings were computed
-  }));
-
-  // Write to file with pretty formatting
-  await fs.writeFile(
-    EMBEDDINGS_FILE,
-    JSON.stringify(embeddingsData, null, 2),
-    "utf-8"
+  const { bytes, migratedLegacy } = await writeEmbeddingCache(
+    EMBEDDINGS_DIR,
+    documents,
+    provider.embeddingModel
   );
 
   // Update global tracking variable
   embeddingsComputedAt = new Date();
-  console.log(`Embeddings saved to ${EMBEDDINGS_FILE}`);
+  console.log(
+    `Embeddings saved to ${EMBEDDINGS_DIR} (${EMBEDDINGS_ENCODING}, ${Math.round(bytes / 1024)} KB)`
+  );
+  if (migratedLegacy) {
+    console.log("Replaced the legacy embeddings.json with the binary format.");
+  }
 }
 
 /**
- * Load pre-computed embeddings from file if available
+ * Save the documents embedded before a batch failed
  *
- * This function checks for existing embeddings to avoid re-computation,
- * which can take significant time and API calls for large document sets.
+ * The embeddings file then holds every document that has a vector, so the
+ * next initialization reuses them and embeds only the remaining ones. A
+ * failure to save is only logged: the embedding error is what gets reported.
  *
- * @returns {Object[]|null} Array of documents with embeddings, or null if file doesn't exist
+ * @param {Object} diff - Result of diffEmbeddingCache, partly embedded
  */
-async function loadEmbeddingsFromFile() {
-  try {
-    // Attempt to read existing embeddings file
-    const content = await fs.readFile(EMBEDDINGS_FILE, "utf-8");
-    const embeddingsData = JSON.parse(content);
+async function saveEmbeddingProgress(diff) {
+  const embedded = diff.toEmbed.filter((doc) => doc.embedding).length;
+  if (embedded === 0) return;
 
-    // Set embeddings computed time from file data
-    if (embeddingsData.length > 0 && embeddingsData[0].computedAt) {
-      embeddingsComputedAt = new Date(embeddingsData[0].computedAt);
-    }
-
-    console.log(
-      `Loaded ${embeddingsData.length} embeddings from ${EMBEDDINGS_FILE}`
+  try {
+    await saveEmbeddingsToFile(diff.documents.filter((doc) => doc.embedding));
+    console.warn(
+      `Embedding stopped after ${embedded} of ${diff.toEmbed.length} documents; ` +
+        "progress saved, the next attempt resumes from there."
     );
-
-    // Restructure data to match expected format
-    return embeddingsData.map((item) => ({
-      id: item.id,
-      data: {
-        title: item.title,
-        snippet: item.snippet,
-        category: item.category || "general", // Fallback for older data
-      },
-      embedding: item.embedding,
-    }));
   } catch (err) {
-    // File doesn't exist or is corrupted - will need to compute embeddings
-    console.warn("No existing embeddings file found. Will compute embeddings.");
-    return null;
+    console.warn(`Failed to save embedding progress: ${err.message}`);
   }
 }
 
@@ -326,13 +422,127 @@ async function loadEmbeddingsFromFile() {
 let cachedDocuments = [];
 let isInitializing = false;
 
+// Outcome of the last reconciliation between source files and embeddings file
+let lastEmbeddingSync = null;
+
+// Problems found while validating the source files (manifest, files and items)
+let sourceIssues = [];
+
+// Served embeddings vs. the source files, as { stale, missing, orphaned,
+// checkedAt } - computed when documents load and after admin writes, since
+// re-reading the corpus per /health request is too costly for a public route
+let embeddingDrift = null;
+
+// Keyword index over cachedDocuments (rebuilt whenever the documents change)
+let lexicalIndex = null;
+
+// Approximate nearest-neighbour index (null: exact search, see lib/vectorIndex.js)
+let vectorIndex = null;
+
+// Mean embedding per category, used to spot off-domain prompts
+let categoryCentroids = new Map();
+
+// Corpus quality report and duplicate clusters (built on first use)
+let corpusQuality = null;
+
+// Reports for other duplicate thresholds, by threshold (most recent last)
+const customQualityReports = new Map();
+
+// Most reports kept for thresholds other than the default
+const MAX_CUSTOM_QUALITY_REPORTS = 4;
+
+/**
+ * Rebuild in-memory search indexes from the cached documents
+ */
+function rebuildSearchIndexes() {
+  lexicalIndex = new BM25Index(cachedDocuments);
+  vectorIndex = createVectorIndex(cachedDocuments, vectorIndex);
+  categoryCentroids = computeCategoryCentroids(cachedDocuments);
+  corpusQuality = null;
+  customQualityReports.clear();
+}
+
+/**
+ * Quality report of the current knowledge base
+ *
+ * Comparing every pair of documents is quadratic, so the report is built
+ * on the first request that needs it (a /stats call or a search collapsing
+ * duplicates) and kept until the documents change.
+ *
+ * @returns {Object} { report, duplicateGroups }
+ */
+function getCorpusQuality() {
+  if (!corpusQuality) {
+    const report = buildQualityReport(cachedDocuments, {
+      centroids: categoryCentroids,
+      vectorIndex,
+    });
+    corpusQuality = { report, duplicateGroups: duplicateGroups(report) };
+    console.log(
+      `Corpus quality report: ${report.summary.duplicateClusters} duplicate clusters, ` +
+        `${report.summary.conflictingClusters} with conflicts (${report.durationMs} ms)`
+    );
+  }
+  return corpusQuality;
+}
+
+/**
+ * Quality report for a duplicate threshold other than the default
+ *
+ * Built like the default report, and kept for the last few thresholds
+ * asked for until the documents change, so repeated requests don't redo
+ * the quadratic comparison.
+ *
+ * @param {number} threshold - Duplicate similarity threshold
+ * @returns {Object} Quality report
+ */
+function getCustomQualityReport(threshold) {
+  let report = customQualityReports.get(threshold);
+  if (report) {
+    customQualityReports.delete(threshold); // Re-insert as most recent
+  } else {
+    report = buildQualityReport(cachedDocuments, {
+      centroids: categoryCentroids,
+      vectorIndex,
+      threshold,
+    });
+  }
+
+  customQualityReports.set(threshold, report);
+  if (customQualityReports.size > MAX_CUSTOM_QUALITY_REPORTS) {
+    customQualityReports.delete(customQualityReports.keys().next().value);
+  }
+  return report;
+}
+
+// Food safety documents that disagree with the safety guard's table
+let foodSafetyTableIssues = [];
+
+/**
+ * Compare the food safety documents with the safety guard's table
+ *
+ * The guard corrects replies using the table, so a document edited to a
+ * different figure is reported (the table needs the same change).
+ */
+function checkFoodSafetyTable() {
+  foodSafetyTableIssues = verifyFoodSafetyTable(cachedDocuments);
+  for (const issue of foodSafetyTableIssues) {
+    console.warn(
+      issue.type === "missing_source"
+        ? `⚠️ Food safety table cites missing document ${issue.documentId}`
+        : `⚠️ ${issue.documentId} says ${issue.claim} for ${issue.food}; the food safety table says ${issue.expected}`
+    );
+  }
+}
+
 /**
  * Initialize document embeddings system
  *
  * This function orchestrates the entire document loading and embedding process:
- * 1. Try to load existing embeddings from file
- * 2. If not found, load documents and compute embeddings
- * 3. Save computed embeddings for future use
+ * 1. Load the source documents and the embeddings file
+ * 2. Reuse vectors whose content hash still matches, embed added or edited
+ *    documents and prune removed ones (everything on a model change)
+ * 3. Save the reconciled embeddings for future use
  * 4. Cache documents in memory for fast retrieval
  */
 async function initializeDocuments() {
@@ -351,34 +561,94 @@ async function initializeDocuments() {
   isInitializing = true;
 
   try {
-    // First, try to load pre-computed embeddings
-    cachedDocuments = await loadEmbeddingsFromFile();
+    await withSpan("initializeDocuments", {}, async (span) => {
+      // Load the source documents and any previously computed embeddings
+      const { documents, failedSources } = await loadDocuments();
+      const stored = await readEmbeddingCache(EMBEDDINGS_DIR);
+      const cached = stored?.documents ?? null;
 
-    if (!cachedDocuments) {
-      // No existing embeddings found - need to compute them
-      console.log("Computing embeddings for the first time...");
+      // Work out which documents need (re-)embedding
+      const diff = diffEmbeddingCache(
+        documents,
+        cached,
+        provider.embeddingModel,
+        {
+          preserveCategories: failedSources.map((source) => source.category),
+        }
+      );
 
-      // Load documents from JSON files
-      const documents = await loadDocuments();
+      if (diff.rebuildReason) {
+        console.log(`Embedding all documents (${diff.rebuildReason})...`);
+      } else {
+        console.log(
+          `Embeddings cache: ${diff.documents.length - diff.toEmbed.length} reused, ` +
+            `${diff.toEmbed.length - diff.changed} added, ${diff.changed} changed, ` +
+            `${diff.removedIds.length} removed.`
+        );
+      }
 
-      console.log("Embedding documents...");
-      // Generate embeddings in batches
-      const allEmbeddings = await embedDocumentsInBatches(documents);
+      // Generate embeddings in batches for new and edited documents only
+      if (diff.toEmbed.length > 0) {
+        try {
+          await embedDocumentsInBatches(diff.toEmbed);
+        } catch (err) {
+          await saveEmbeddingProgress(diff);
+          throw err;
+        }
+      }
 
-      // Attach embeddings to document objects
-      allEmbeddings.forEach((embedding, i) => {
-        documents[i].embedding = embedding;
-      });
+      // Save when anything differs from the file (including the legacy JSON
+      // format and a change of EMBEDDINGS_ENCODING)
+      const upToDate =
+        stored?.format === EMBEDDINGS_ENCODING &&
+        diff.toEmbed.length === 0 &&
+        diff.removedIds.length === 0 &&
+        cached.length === diff.documents.length &&
+        cached.every(
+          (entry, i) =>
+            entry.id === diff.documents[i].id &&
+            entry.data.category === diff.documents[i].data.category
+        );
 
-      // Save embeddings to file for future use
-      await saveEmbeddingsToFile(documents);
+      if (upToDate) {
+        const computedTimes = cached
+          .map((entry) => entry.computedAt)
+          .filter(Boolean)
+          .sort();
+        if (computedTimes.length > 0) {
+          embeddingsComputedAt = new Date(
+            computedTimes[computedTimes.length - 1]
+          );
+        }
+        console.log("Using cached embeddings from file.");
+      } else {
+        await saveEmbeddingsToFile(diff.documents);
+      }
 
       // Cache documents in memory
-      cachedDocuments = documents;
+      cachedDocuments = diff.documents;
+      embeddingDrift = {
+        ...getCacheDrift(documents, cachedDocuments),
+        checkedAt: new Date().toISOString(),
+      };
+      lastEmbeddingSync = {
+        syncedAt: new Date().toISOString(),
+        fullRebuild: diff.rebuildReason,
+        reused: diff.documents.length - diff.toEmbed.length,
+        embedded: diff.toEmbed.length,
+        pruned: diff.removedIds.length,
+        preserved: diff.preserved,
+      };
       console.log("Embeddings ready.");
-    } else {
-      console.log("Using cached embeddings from file.");
-    }
+
+      rebuildSearchIndexes();
+      checkFoodSafetyTable();
+
+      span?.setAttributes({
+        "documents.count": diff.documents.length,
+        "documents.embedded": diff.toEmbed.length,
+      });
+    });
   } finally {
     isInitializing = false;
   }
@@ -421,6 +691,28 @@ function getUptimeFormatted() {
   return `${seconds}s`;
 }
 
+/**
+ * List the categories present in the loaded knowledge base
+ *
+ * @returns {string[]} Sorted category names
+ */
+function getAvailableCategories() {
+  return [...new Set(cachedDocuments.map((doc) => doc.data.category))].sort();
+}
+
+/**
+ * Retrieval weights of categories whose source sets one other than 1
+ *
+ * @returns {Object} Category → weight
+ */
+function getCategoryWeights() {
+  return Object.fromEntries(
+    getDocumentSources()
+      .filter((source) => source.weight !== 1)
+      .map((source) => [source.category, source.weight])
+  );
+}
+
 /**
  * Get detailed category statistics
  */
@@ -462,72 +754,23 @@ function getCategoryStats() {
     // Remove temporary arrays
     delete stat.titleLengths;
     delete stat.snippetLengths;
+
+    // Describe the category from its source definition
+    const source = getSource(category);
+    stat.displayName = source?.displayName ?? category;
+    stat.description = source?.description ?? null;
+    stat.retrievalWeight = source?.weight ?? 1;
   });
 
   return categoryStats;
 }
 
 // ============================================================================
-// API ENDPOINTS
+// CHAT CONFIGURATION AND CONVERSATION-AWARE RETRIEVAL
 // ============================================================================
 
-/**
- * Main chat endpoint - handles user queries with RAG (Retrieval-Augmented Generation)
- *
- * Process flow:
- * 1. Embed user's query
- * 2. Find most similar documents using cosine similarity
- * 3. Use retrieved documents as context for AI response
- * 4. Return AI-generated response with citations
- */
-app.post("/prompt", async (req, res) => {
-  const { prompt } = req.body;
-
-  // Validate input
-  if (!prompt) {
-    return res.status(400).json({ error: "Prompt is required" });
-  }
-
-  try {
-    console.log(`Processing user prompt: "${prompt.substring(0, 50)}..."`);
-
-    // Update query tracking
-    totalQueries++;
-    lastQueryTime = new Date();
-
-    // Initialize documents if not already done
-    const documents = await initializeDocuments();
-
-    // STEP 1: Convert user query to vector embedding
-    const embedResponse = await cohere.embed({
-      texts: [prompt],
-      model: "embed-multilingual-v3.0",
-      input_type: "search_query", // Optimized for search queries (vs documents)
-    });
-
-    const queryEmbedding = embedResponse.embeddings[0];
-
-    // STEP 2: Find most relevant documents using semantic similarity
-    const topDocuments = getTopKDocuments(queryEmbedding, documents, 8);
-
-    // Log retrieval results for monitoring
-    console.log(`Retrieved top ${topDocuments.length} documents.`);
-    console.log("Categories found:", [
-      ...new Set(topDocuments.map((doc) => doc.data.category)),
-    ]);
-
-    // STEP 3: Generate AI response using retrieved context
-    const response = await cohere.chat({
-      model: "command-r-plus", // Cohere's most capable chat model
-      message: prompt,
-
-      // Provide retrieved documents as context
-      documents: topDocuments.map((doc) => ({
-        text: `${doc.data.title}. ${doc.data.snippet}`,
-      })),
-
-      // System prompt defining AI assistant's role and behavior
-      preamble: `You are CulinaryGPT, a comprehensive culinary AI assistant with expertise across all aspects of cooking, food, and kitchen management. You have access to extensive knowledge covering:
+// System prompt defining AI assistant's role and behavior
+const CULINARY_PREAMBLE = `You are CulinaryGPT, a comprehensive culinary AI assistant with expertise across all aspects of cooking, food, and kitchen management. You have access to extensive knowledge covering:
 
   COOKING & RECIPES: Traditional and modern recipes, cooking techniques, flavor combinations, and meal planning
   INGREDIENT SUBSTITUTIONS: Creative alternatives for dietary restrictions, allergies, and missing ingredients
@@ -546,119 +789,3261 @@ app.post("/prompt", async (req, res) => {
   • For complex topics, break down information into digestible steps
   • If asked about non-culinary topics, politely redirect to food/cooking questions
       
-  Remember: You're here to make cooking accessible, safe, and enjoyable for everyone!`,
+  Remember: You're here to make cooking accessible, safe, and enjoyable for everyone!`;
 
-      temperature: 0.3, // Low temperature for consistent, factual responses
-    });
+/**
+ * System prompt for a chat turn, with the user's profile constraints
+ *
+ * @param {Object|null} profile - Profile selected with `profileId` (or null)
+ * @returns {string} Preamble
+ */
+function chatPreamble(profile) {
+  return CULINARY_PREAMBLE + describeProfileConstraints(profile);
+}
 
-    console.log("Response generated successfully");
+/**
+ * Rewrite a follow-up question into a standalone search query
+ *
+ * Follow-ups like "what if I don't have eggs for that?" embed poorly on their
+ * own. When chat history exists, the provider generates a self-contained search
+ * query from the earlier turns before retrieval (Cohere's search-query mode).
+ * If that fails, the previous user message is prepended as a fallback.
+ *
+ * @param {string} prompt - User's latest message
+ * @param {Object[]} chatHistory - Previous turns in Cohere chat history format
+ * @param {AbortSignal} [abortSignal] - Cancels the upstream call when aborted
+ * @returns {Promise<string>} Query text to embed for document retrieval
+ */
+async function rewriteQueryWithHistory(prompt, chatHistory, abortSignal) {
+  // Standalone questions need no rewriting
+  if (chatHistory.length === 0) {
+    return prompt;
+  }
 
-    // STEP 4: Return structured response with metadata
-    res.json({
-      text: response.text, // AI-generated response
-      citations: response.citations ?? [], // Source citations from documents
-      documentsUsed: topDocuments.length, // Number of documents used
-      categoriesReferenced: [
-        // Categories of knowledge used
-        ...new Set(topDocuments.map((doc) => doc.data.category)),
-      ],
+  try {
+    const queries = await provider.generateSearchQueries(prompt, chatHistory, {
+      abortSignal,
     });
+
+    if (queries.length > 0) {
+      return queries.join(" ");
+    }
   } catch (err) {
-    console.error("Error communicating with Cohere API:", err);
-    res.status(500).json({ error: "Cohere request failed" });
+    if (abortSignal?.aborted) throw err;
+    console.warn(
+      "Search query generation failed, using fallback:",
+      err.message
+    );
   }
-});
+
+  // Fallback: combine the previous user message with the follow-up
+  const lastUserMessage = [...chatHistory]
+    .reverse()
+    .find((entry) => entry.role === "USER");
+
+  return lastUserMessage ? `${lastUserMessage.message} ${prompt}` : prompt;
+}
 
 /**
- * Enhanced health check endpoint - returns comprehensive server status and metrics
- * Useful for monitoring, load balancers, and debugging
+ * Rank knowledge base documents for a search query
+ *
+ * Shared by chat retrieval and the retrieval-only /search endpoint:
+ * 1. Embed the search query
+ * 2. Classify the query intent to pick categories to rank first
+ * 3. Rank documents within the requested categories (vector, lexical or hybrid)
+ * 4. Optionally re-rank the best candidates
+ *
+ * @param {string} searchQuery - Standalone query text
+ * @param {Object} retrievalOptions - Parsed options from parseRetrievalOptions
+ * @param {AbortSignal} [abortSignal] - Cancels upstream calls when aborted
+ * @param {number[]} [precomputedEmbedding] - Query embedding when already known
+ * @returns {Promise<Object>} { results, totalMatches, retrieval }
  */
-app.get("/health", async (req, res) => {
-  try {
-    // Get system information
-    const memoryStats = getMemoryStats();
-    const uptime = getUptimeFormatted();
+async function searchDocuments(
+  searchQuery,
+  retrievalOptions,
+  abortSignal,
+  precomputedEmbedding
+) {
+  // Initialize documents if not already done
+  const documents = await initializeDocuments();
 
-    // Calculate basic stats
-    const categoryCount = cachedDocuments.reduce((acc, doc) => {
-      acc[doc.data.category] = (acc[doc.data.category] || 0) + 1;
-      return acc;
-    }, {});
+  // STEP 1: Convert search query to vector embedding
+  const [queryEmbedding] = precomputedEmbedding
+    ? [precomputedEmbedding]
+    : await provider.embed(
+        [searchQuery],
+        "search_query", // Optimized for search queries (vs documents)
+        { abortSignal }
+      );
 
-    // Check if embeddings file exists
-    let embeddingsFileExists = false;
-    let embeddingsFileSize = 0;
-    try {
-      const stats = await fs.stat(EMBEDDINGS_FILE);
-      embeddingsFileExists = true;
-      embeddingsFileSize = Math.round(stats.size / 1024 / 1024); // Size in MB
-    } catch (err) {
-      // File doesn't exist
-    }
+  // STEP 2: Route the query to the categories its intent points at
+  const {
+    include,
+    exclude,
+    k,
+    minScore,
+    autoRoute,
+    mode,
+    fusion,
+    alpha,
+    rerank,
+    collapseDuplicates = false,
+    preferredCategories = [],
+  } = retrievalOptions;
+  const searchableCategories = getAvailableCategories().filter(
+    (category) =>
+      (include.length === 0 || include.includes(category)) &&
+      !exclude.includes(category)
+  );
+  const routedCategories = [
+    // Categories the response format needs (e.g. recipes for recipe output)
+    ...preferredCategories.filter((category) =>
+      searchableCategories.includes(category)
+    ),
+    ...(autoRoute
+      ? classifyQueryIntent(searchQuery, searchableCategories).map(
+          (match) => match.category
+        )
+      : []),
+  ].filter((category, idx, list) => list.indexOf(category) === idx);
 
-    // Determine overall health status
-    const isHealthy = cachedDocuments.length > 0 && process.env.COHERE_API_KEY;
+  // STEP 3: Find most relevant documents (a larger pool when re-ranking)
+  const reranking = rerank !== "none";
+  const ranked = await withSpan(
+    "getTopKDocuments",
+    { "retrieval.mode": mode, "retrieval.k": k },
+    () =>
+      metrics.stageDuration.time({ stage: "retrieval" }, () =>
+        getTopKDocuments(
+          queryEmbedding,
+          documents,
+          reranking ? Math.max(k, RERANK_CANDIDATES) : k,
+          {
+            include,
+            exclude,
+            minScore,
+            routedCategories,
+            categoryWeights: getCategoryWeights(),
+            mode,
+            fusion,
+            alpha,
+            queryText: searchQuery,
+            lexicalIndex,
+            vectorIndex,
+            duplicateGroups: collapseDuplicates
+              ? getCorpusQuality().duplicateGroups
+              : null,
+          }
+        )
+      )
+  );
+  const { excludedByThreshold, totalMatches, approximate } = ranked;
+  let results = ranked.results;
 
-    res.json({
-      // Basic health info
-      status: isHealthy ? "healthy" : "unhealthy",
-      timestamp: new Date().toISOString(),
+  // STEP 4: Re-rank the candidates and keep the top K
+  let rerankApplied = "none";
+  if (reranking) {
+    const reranked = await rerankResults(
+      searchQuery,
+      results,
+      rerank,
+      provider,
+      {
+        abortSignal,
+      }
+    );
+    results = reranked.results.slice(0, k);
+    rerankApplied = reranked.applied;
+  }
 
-      // Server information
-      server: {
-        uptime: uptime,
-        startedAt: serverStartTime.toISOString(),
-        nodeVersion: process.version,
-        platform: process.platform,
-        environment: process.env.NODE_ENV || "development",
-      },
+  if (routedCategories.length > 0) {
+    console.log("Query routed to:", routedCategories);
+  }
 
-      // Knowledge base status
-      knowledgeBase: {
-        documentsLoaded: cachedDocuments.length,
-        categoriesCount: Object.keys(categoryCount).length,
-        categories: Object.keys(categoryCount).sort(),
-        embeddingsReady: cachedDocuments.length > 0,
-        embeddingsComputedAt: embeddingsComputedAt?.toISOString() || null,
-        embeddingsFileExists: embeddingsFileExists,
-        embeddingsFileSize: `${embeddingsFileSize} MB`,
+  return {
+    results,
+    totalMatches,
+    retrieval: {
+      // Filters that shaped this retrieval
+      filters: {
+        include,
+        exclude,
+        k,
+        minScore,
+        autoRoute,
+        routedCategories,
+        mode,
+        ...(mode === "hybrid" && { fusion }),
+        ...(mode === "hybrid" && fusion === "weighted" && { alpha }),
+        rerank,
+        ...(collapseDuplicates && { collapseDuplicates }),
+        // Differs from `rerank` when the requested re-ranker was unavailable
+        ...(rerankApplied !== rerank && { rerankApplied }),
       },
+      // Top-K documents dropped for scoring below minScore
+      excludedByThreshold,
+      // Only the nearest IVF clusters were scored
+      ...(approximate && { approximate }),
+    },
+  };
+}
 
-      // API usage stats
-      usage: {
-        totalQueries: totalQueries,
-        lastQueryAt: lastQueryTime?.toISOString() || null,
-        queriesPerHour:
-          totalQueries > 0 && lastQueryTime
-            ? Math.round(
-                totalQueries /
-                  ((Date.now() - serverStartTime.getTime()) / (1000 * 60 * 60))
-              )
-            : 0,
-      },
+// Chat document id of unit tool results (citations may reference it)
+const UNIT_TOOL_DOCUMENT_ID = "tool_units";
 
-      // System resources
-      system: {
-        memory: memoryStats,
-        pid: process.pid,
-      },
+/**
+ * Scale or convert ingredients when a chat message asks for it
+ *
+ * Ingredients come from the message itself ("convert 2 cups flour to grams")
+ * or, failing that, from the best recipe document ("double the pancake
+ * recipe"). Temperatures in the message are converted when it asks for
+ * Celsius or Fahrenheit. The result is handed to the chat model as an extra
+ * document so it quotes exact figures.
+ *
+ * @param {string} prompt - User's message
+ * @param {Object} request - Request found by detectUnitRequest
+ * @param {Object[]} topDocuments - Retrieved documents
+ * @returns {Object|null} { name, input, output, document }, or null when not applicable
+ */
+function runUnitTool(prompt, request, topDocuments) {
+  if (request.to === "C" || request.to === "F") {
+    const temperatures = extractTemperatures(prompt).filter(
+      (temperature) => temperature.unit !== request.to
+    );
+    if (temperatures.length === 0) return null;
 
-      // Configuration status
-      config: {
-        cohereApiConfigured: !!process.env.COHERE_API_KEY,
-        corsEnabled: true,
-        rateLimitingActive: true,
+    const output = temperatures.map((temperature) => ({
+      value: temperature.value,
+      from: temperature.unit,
+      to: request.to,
+      result: convertTemperature(
+        temperature.value,
+        temperature.unit,
+        request.to
+      ),
+    }));
+    return {
+      name: "convert",
+      input: request,
+      output: { temperatures: output },
+      document: {
+        id: UNIT_TOOL_DOCUMENT_ID,
+        text:
+          "Unit converter results (exact - quote these figures):\n" +
+          output
+            .map((t) => `- ${t.value}°${t.from} = ${t.result}°${t.to}`)
+            .join("\n"),
       },
-    });
-  } catch (err) {
-    console.error("Health check error:", err);
-    res.status(500).json({
-      status: "error",
-      error: err.message,
-      timestamp: new Date().toISOString(),
-    });
+    };
   }
-});
+
+  let ingredients = extractIngredients(prompt);
+  let sourceDocument = null;
+
+  // Otherwise use the best-ranked recipe (then cooking advice) with amounts
+  for (const category of RECIPE_CATEGORIES) {
+    if (ingredients.length > 0) break;
+    for (const doc of topDocuments) {
+      if (doc.data.category !== category) continue;
+      ingredients = extractIngredients(doc.data.snippet);
+      if (ingredients.length > 0) {
+        sourceDocument = doc;
+        break;
+      }
+    }
+  }
+  if (ingredients.length === 0) return null;
+
+  const results =
+    request.type === "scale"
+      ? scaleIngredients(ingredients, request.factor, { to: request.to })
+      : convertIngredients(ingredients, request.to);
+
+  const heading =
+    request.type === "scale"
+      ? `scaled ×${Math.round(request.factor * 100) / 100}${request.to ? ` in ${request.to}` : ""}`
+      : `converted to ${request.to}`;
+
+  return {
+    name: request.type,
+    input: {
+      ...request,
+      ...(sourceDocument && { sourceDocumentId: sourceDocument.id }),
+    },
+    output: { ingredients: results },
+    document: {
+      id: UNIT_TOOL_DOCUMENT_ID,
+      text:
+        `Unit converter results (exact - quote these amounts rather than recalculating)` +
+        `${sourceDocument ? ` for "${sourceDocument.data.title}"` : ""}, ${heading}:\n` +
+        results
+          .map(
+            (result) =>
+              `- ${result.input} → ${result.text}${result.approximate ? " (approximate)" : ""}`
+          )
+          .join("\n"),
+    },
+  };
+}
+
+// Substitution documents added when retrieved recipes conflict with a profile
+const PROFILE_SUBSTITUTIONS_K = 3;
+
+/**
+ * Find substitution documents for recipes that conflict with a profile
+ *
+ * Retrieved recipe and cooking advice documents are scanned for ingredients
+ * the profile rules out ("butter" for a dairy allergy). When any are found, a
+ * second search within the substitutions category looks for replacements.
+ *
+ * @param {Object[]} results - Ranked documents as { doc, score }
+ * @param {Object} retrievalOptions - Options of the main search
+ * @param {Object|null} profile - Profile selected with `profileId`
+ * @param {AbortSignal} [abortSignal] - Cancels upstream calls when aborted
+ * @returns {Promise<Object|null>} { terms, results } with documents not yet
+ *   retrieved, or null when nothing conflicts
+ */
+async function findSubstitutions(
+  results,
+  retrievalOptions,
+  profile,
+  abortSignal
+) {
+  if (
+    !hasDietaryRestrictions(profile) ||
+    !getAvailableCategories().includes("substitutions") ||
+    retrievalOptions.exclude.includes("substitutions")
+  ) {
+    return null;
+  }
+
+  const terms = [
+    ...new Set(
+      results
+        .filter((item) => RECIPE_CATEGORIES.includes(item.doc.data.category))
+        .flatMap((item) =>
+          findDietaryConflicts(item.doc.data.snippet, profile).map(
+            (conflict) => conflict.term
+          )
+        )
+    ),
+  ];
+  if (terms.length === 0) return null;
+
+  const retrievedIds = new Set(results.map((item) => item.doc.id));
+  const { results: found } = await searchDocuments(
+    `substitutes for ${terms.join(", ")}`,
+    {
+      ...retrievalOptions,
+      include: ["substitutions"],
+      exclude: [],
+      k: PROFILE_SUBSTITUTIONS_K,
+      autoRoute: false,
+      preferredCategories: [],
+      rerank: "none",
+    },
+    abortSignal
+  );
+
+  console.log(`Profile conflicts in retrieved recipes: ${terms.join(", ")}`);
+  return {
+    terms,
+    results: found.filter((item) => !retrievedIds.has(item.doc.id)),
+  };
+}
+
+/**
+ * Retrieve the documents that ground a chat turn
+ *
+ * Shared by the JSON and streaming chat endpoints:
+ * 1. Rewrite follow-up questions into a standalone search query
+ * 2. Rank documents for that query (see searchDocuments)
+ * 3. Add substitution documents when a retrieved recipe conflicts with the
+ *    user's profile (see findSubstitutions)
+ * 4. Scale or convert the recipe when the message asks for it (see runUnitTool)
+ *
+ * @param {string} prompt - User's message
+ * @param {Object[]} chatHistory - Previous turns in Cohere chat history format
+ * @param {Object} retrievalOptions - Parsed options from parseRetrievalOptions
+ * @param {Object} [options] - Per-turn options
+ * @param {AbortSignal} [options.abortSignal] - Cancels upstream calls when aborted
+ * @param {Object|null} [options.profile] - Profile selected with `profileId`
+ * @param {number[]} [options.promptEmbedding] - Prompt embedding from moderation
+ * @returns {Promise<Object>} { searchQuery, topDocuments, scoredDocuments, retrieval, tool? }
+ */
+async function retrieveContext(
+  prompt,
+  chatHistory,
+  retrievalOptions,
+  { abortSignal, profile = null, promptEmbedding } = {}
+) {
+  // STEP 1: Rewrite follow-ups into a standalone query using earlier turns
+  const searchQuery = await rewriteQueryWithHistory(
+    prompt,
+    chatHistory,
+    abortSignal
+  );
+
+  // Scaling requests need the recipe itself, so rank recipes first
+  const unitRequest = detectUnitRequest(prompt);
+  if (unitRequest?.type === "scale" && !unitRequest.to && profile?.units) {
+    unitRequest.to = profile.units; // Scaled amounts in the preferred units
+  }
+  const searchOptions =
+    unitRequest?.type === "scale" && !retrievalOptions.preferredCategories
+      ? { ...retrievalOptions, preferredCategories: RECIPE_CATEGORIES }
+      : retrievalOptions;
+
+  // STEP 2: Find most relevant documents for the standalone query
+  const { results, retrieval } = await searchDocuments(
+    searchQuery,
+    searchOptions,
+    abortSignal,
+    searchQuery === prompt ? promptEmbedding : undefined
+  );
+
+  // STEP 3: Boost substitutions when a recipe conflicts with the profile
+  const substitutions = await findSubstitutions(
+    results,
+    retrievalOptions,
+    profile,
+    abortSignal
+  );
+  if (substitutions) {
+    results.push(...substitutions.results);
+    retrieval.profileConflicts = {
+      terms: substitutions.terms, // Ingredients the profile rules out
+      substitutionIds: substitutions.results.map((item) => item.doc.id),
+    };
+  }
+  const topDocuments = results.map((item) => item.doc);
+
+  // Log retrieval results for monitoring
+  console.log(`Retrieved top ${topDocuments.length} documents.`);
+  console.log("Categories found:", [
+    ...new Set(topDocuments.map((doc) => doc.data.category)),
+  ]);
+
+  // STEP 4: Work out scaling/conversion requests exactly instead of leaving
+  // the arithmetic to the chat model
+  const tool = unitRequest && runUnitTool(prompt, unitRequest, topDocuments);
+  if (tool) {
+    console.log(`Unit tool applied: ${tool.name}`);
+  }
+
+  return {
+    searchQuery,
+    topDocuments,
+    scoredDocuments: results, // Same documents as { doc, score }
+    retrieval,
+    ...(tool && { tool }),
+  };
+}
+
+// Sampling temperature for chat replies - low for consistent, factual responses
+const CHAT_TEMPERATURE = 0.3;
+
+/**
+ * Convert retrieved documents into the provider's `{ id, text }` context format
+ *
+ * Passing the document id lets citations reference knowledge base ids
+ * (e.g. "recipes_1") instead of positional placeholders.
+ *
+ * @param {Object[]} topDocuments - Retrieved documents used as context
+ * @returns {Object[]} Chat documents as { id, text }
+ */
+function toChatDocuments(topDocuments) {
+  return topDocuments.map((doc) => ({
+    id: doc.id,
+    text: `${doc.data.title}. ${doc.data.snippet}`,
+  }));
+}
+
+/**
+ * Chat documents for a turn: the retrieved documents plus any unit tool result
+ *
+ * @param {Object} context - Result of retrieveContext for this turn
+ * @returns {Object[]} Chat documents as { id, text }
+ */
+function chatDocumentsFor(context) {
+  return [
+    ...toChatDocuments(context.topDocuments),
+    ...(context.tool ? [context.tool.document] : []),
+  ];
+}
+
+/**
+ * Point citations back at the sections of ingested source files
+ *
+ * Citations keep their shape and gain `sources` (file, section, offset and
+ * length) for cited documents that were ingested from Markdown, CSV or text.
+ *
+ * @param {Object[]} citations - Citations as { start, end, text, documentIds }
+ * @param {Object[]} topDocuments - Documents given to the model
+ * @returns {Object[]} Citations with source locations where available
+ */
+function withCitationSources(citations, topDocuments) {
+  const byId = new Map(topDocuments.map((doc) => [doc.id, doc]));
+
+  return citations.map((citation) => {
+    const sources = (citation.documentIds ?? [])
+      .map((id) => byId.get(id))
+      .filter((doc) => doc?.data.source)
+      .map((doc) => ({ documentId: doc.id, ...doc.data.source }));
+
+    return sources.length > 0 ? { ...citation, sources } : citation;
+  });
+}
+
+/**
+ * Log what the food safety guard changed in a reply
+ *
+ * @param {Object} safety - { mode, issues, notices } from the safety guard
+ */
+function logSafetyCheck(safety) {
+  for (const issue of safety.issues) {
+    console.warn(
+      `Food safety guard ${issue.action} ${issue.claim} for ${issue.food} (expected ${issue.expected})`
+    );
+  }
+  if (safety.notices.length > 0) {
+    console.log(
+      "Safety notices attached:",
+      safety.notices.map((notice) => notice.topic)
+    );
+  }
+}
+
+/**
+ * Warn about ingredients in a reply that the user's profile rules out
+ *
+ * The model's own text is scanned (not the appended safety lines), and one
+ * "⚠️" line per warning is appended to the guarded reply.
+ *
+ * @param {string} replyText - Reply as generated by the model
+ * @param {string} guardedText - Reply after the food safety guard
+ * @param {Object|null} profile - Profile selected with `profileId`
+ * @returns {Object} { text, warnings }
+ */
+function applyProfileWarnings(replyText, guardedText, profile) {
+  const warnings = dietaryWarnings(replyText, profile);
+  if (warnings.length > 0) {
+    console.warn(
+      "Profile conflicts in reply:",
+      warnings.flatMap((warning) => warning.terms)
+    );
+  }
+
+  return {
+    text:
+      warnings.length > 0
+        ? `${guardedText}\n\n${warnings.map((warning) => `⚠️ ${warning.message}`).join("\n")}`
+        : guardedText,
+    warnings,
+  };
+}
+
+/**
+ * Persist a completed turn so follow-ups can build on it
+ *
+ * @param {Object|null} conversation - Conversation being continued (or null)
+ * @param {string} prompt - User's message
+ * @param {string} responseText - Generated reply
+ * @param {Object} context - Result of retrieveContext for this turn
+ */
+async function recordConversationTurn(
+  conversation,
+  prompt,
+  responseText,
+  context
+) {
+  if (!conversation) return;
+
+  appendTurn(conversation, {
+    prompt: prompt,
+    response: responseText,
+    searchQuery: context.searchQuery,
+    documentIds: context.topDocuments.map((doc) => doc.id),
+  });
+  await conversationStore.save(conversation);
+}
+
+/**
+ * Build the metadata returned alongside every chat reply
+ *
+ * @param {Object} context - Result of retrieveContext for this turn
+ * @param {Object|null} conversation - Conversation being continued (or null)
+ * @param {Object|null} [profile] - Profile selected with `profileId`
+ * @returns {Object} Response metadata fields
+ */
+function buildResponseMetadata(context, conversation, profile = null) {
+  const { topDocuments, scoredDocuments, searchQuery, retrieval } = context;
+
+  return {
+    documents: scoredDocuments.map(describeScoredDocument), // Documents used, with similarity scores
+    documentsUsed: topDocuments.length, // Number of documents used
+    categoriesReferenced: [
+      // Categories of knowledge used
+      ...new Set(topDocuments.map((doc) => doc.data.category)),
+    ],
+    retrieval: retrieval, // Applied filters and threshold exclusions
+    ...(context.tool && {
+      // Exact scaling/conversion given to the model
+      tool: {
+        name: context.tool.name,
+        input: context.tool.input,
+        output: context.tool.output,
+      },
+    }),
+    ...(conversation && {
+      conversationId: conversation.id, // Conversation this turn belongs to
+      searchQuery: searchQuery, // Standalone query used for retrieval
+    }),
+    ...(profile && { profileId: profile.id }), // Profile the answer respects
+  };
+}
+
+/**
+ * Validate a chat request body and load its conversation
+ *
+ * Sends the appropriate 4xx response itself when the request is invalid.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} [options] - { streaming: boolean }
+ * @returns {Promise<Object|null>} { prompt, conversation, profile, retrievalOptions, format, useTools, streaming, useCache }, or null if a response was sent
+ */
+async function parseChatRequest(req, res, { streaming = false } = {}) {
+  const body = req.body ?? {};
+  const {
+    prompt,
+    conversationId,
+    profileId,
+    format = "text",
+    tools,
+    cache,
+  } = body;
+
+  // Validate input
+  if (!prompt) {
+    res.status(400).json({ error: "Prompt is required" });
+    return null;
+  }
+
+  if (typeof prompt !== "string") {
+    res.status(400).json({ error: "Prompt must be a string" });
+    return null;
+  }
+
+  if (conversationId !== undefined && typeof conversationId !== "string") {
+    res.status(400).json({ error: "conversationId must be a string" });
+    return null;
+  }
+
+  if (profileId !== undefined && typeof profileId !== "string") {
+    res.status(400).json({ error: "profileId must be a string" });
+    return null;
+  }
+
+  if (!RESPONSE_FORMATS.includes(format)) {
+    res.status(400).json({
+      error: `format must be one of: ${RESPONSE_FORMATS.join(", ")}`,
+    });
+    return null;
+  }
+
+  if (streaming && format !== "text") {
+    res.status(400).json({
+      error: `format "${format}" is not available for streaming responses`,
+    });
+    return null;
+  }
+
+  if (tools !== undefined && typeof tools !== "boolean") {
+    res.status(400).json({ error: "tools must be a boolean" });
+    return null;
+  }
+
+  if (cache !== undefined && typeof cache !== "boolean") {
+    res.status(400).json({ error: "cache must be a boolean" });
+    return null;
+  }
+
+  // Tool calls need the complete reply, so only plain JSON replies use them
+  if (tools === true && (streaming || format !== "text")) {
+    res.status(400).json({
+      error: streaming
+        ? "tools are not available for streaming responses"
+        : `tools are not available with format "${format}"`,
+    });
+    return null;
+  }
+
+  // Category names are only known once the knowledge base is loaded
+  await initializeDocuments();
+  const { options: retrievalOptions, error } = parseRetrievalOptions(
+    body,
+    getAvailableCategories()
+  );
+  if (error) {
+    res.status(400).json({ error });
+    return null;
+  }
+
+  // Ground recipe output in recipe documents first
+  if (format === "recipe") {
+    retrievalOptions.preferredCategories = RECIPE_CATEGORIES;
+  }
+
+  // Load the conversation so earlier turns can be used as context
+  let conversation = null;
+  if (conversationId) {
+    conversation = await loadConversation(req, conversationId);
+    if (!conversation) {
+      res.status(404).json({ error: "Conversation not found" });
+      return null;
+    }
+  }
+
+  // Load the profile whose allergens, diets and preferences apply
+  let profile = null;
+  if (profileId) {
+    profile = await loadProfile(req, profileId);
+    if (!profile) {
+      res.status(404).json({ error: "Profile not found" });
+      return null;
+    }
+  }
+
+  return {
+    prompt,
+    conversation,
+    profile,
+    retrievalOptions,
+    format,
+    useTools: !streaming && format === "text" && (tools ?? CHAT_TOOLS_ENABLED),
+    streaming: streaming,
+    useCache: cache !== false, // `"cache": false` skips the response cache
+    clientId: req.apiClient.id, // Cached replies are kept per client
+  };
+}
+
+/**
+ * Generate a structured recipe for a chat turn and send it as JSON
+ *
+ * The recipe is validated against the recipe schema (with retries, see
+ * lib/recipeFormat.js). Citations name the recipe field they support, and
+ * `sources` lists the documents the recipe is based on, recipe and cooking
+ * advice documents first.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} prompt - User's message
+ * @param {Object[]} chatHistory - Previous turns
+ * @param {Object|null} conversation - Conversation being continued (or null)
+ * @param {Object} context - Result of retrieveContext for this turn
+ * @param {Object|null} profile - Profile selected with `profileId`
+ * @param {Object|null} cacheLookup - Result of lookupCachedResponse (a miss)
+ * @param {QueryTrace} trace - Stage timings and response id of this reply
+ */
+async function sendRecipeResponse(
+  req,
+  res,
+  prompt,
+  chatHistory,
+  conversation,
+  context,
+  profile,
+  cacheLookup,
+  trace
+) {
+  const { topDocuments } = context;
+
+  let result;
+  try {
+    result = await generateRecipe(
+      provider,
+      prompt,
+      chatDocumentsFor(context),
+      chatPreamble(profile),
+      chatHistory
+    );
+  } catch (err) {
+    if (!(err instanceof RecipeFormatError)) {
+      const degraded = buildDegradedResponse(
+        err,
+        context,
+        conversation,
+        profile
+      );
+      if (!degraded) throw err;
+      await logDegradedReply(req, trace, err, degraded, {
+        prompt,
+        conversation,
+        format: "recipe",
+      });
+      return res.json({
+        format: "recipe",
+        recipe: null,
+        ...degraded,
+        responseId: trace.id,
+      });
+    }
+
+    console.error(`${err.message} after ${err.attempts} attempts`);
+    await logQuery(req, trace, {
+      prompt,
+      conversation,
+      format: "recipe",
+      outcome: "failed",
+      error: err.message,
+    });
+    return res.status(502).json({
+      error: err.message,
+      details: err.errors.slice(0, 20),
+      attempts: err.attempts,
+    });
+  }
+
+  trace.mark("generation");
+
+  const { recipe, citations } = result;
+  const byId = new Map(topDocuments.map((doc) => [doc.id, doc]));
+  const sourceIds = [
+    ...new Set([
+      ...recipe.sourceIds,
+      ...citations.flatMap((citation) => citation.documentIds),
+    ]),
+  ].filter((id) => byId.has(id));
+  recipe.sourceIds = sourceIds;
+
+  // Correct unsafe figures in the steps and add safety notices
+  const safety = guardRecipe(recipe, { prompt });
+  logSafetyCheck(safety);
+
+  // Note ingredients the user's profile rules out
+  const profileWarnings = dietaryWarnings(
+    `${recipe.title}\n${recipe.ingredients
+      .map((ingredient) => ingredient.item)
+      .join("\n")}\n${recipe.steps.map((step) => step.instruction).join("\n")}`,
+    profile
+  );
+  recipe.safetyNotes.push(...profileWarnings.map((warning) => warning.message));
+
+  const recipeText = JSON.stringify(recipe);
+  await recordConversationTurn(conversation, prompt, recipeText, context);
+  const tokens = await recordTokenUsage(
+    req,
+    prompt,
+    chatHistory,
+    topDocuments,
+    result.text
+  );
+
+  console.log(
+    `Recipe generated in ${result.attempts} attempt(s)${result.repaired ? " (repaired)" : ""}`
+  );
+
+  const body = {
+    format: "recipe",
+    recipe: recipe,
+    citations: withCitationSources(citations, topDocuments),
+    sources: sourceIds
+      .map((id) => byId.get(id))
+      .sort(
+        (a, b) =>
+          RECIPE_CATEGORIES.includes(b.data.category) -
+          RECIPE_CATEGORIES.includes(a.data.category)
+      )
+      .map((doc) => ({
+        id: doc.id,
+        title: doc.data.title,
+        category: doc.data.category,
+      })),
+    generation: {
+      attempts: result.attempts, // Chat calls needed for a valid recipe
+      repaired: result.repaired, // Output needed normalizing before it validated
+    },
+    safety: safety, // Corrected or flagged figures and safety notices
+    ...(profile && { profileWarnings }), // Ingredients the profile rules out
+    ...buildResponseMetadata(context, conversation, profile),
+  };
+  storeCachedResponse(cacheLookup, body, {
+    chatCalls: result.attempts,
+    tokens: tokens,
+  });
+  await logQuery(req, trace, {
+    prompt,
+    conversation,
+    format: "recipe",
+    outcome: "answered",
+    documents: body.documents,
+    searchQuery: context.searchQuery,
+    tokens,
+  });
+  res.json({ ...body, responseId: trace.id, ...cacheStatus(cacheLookup) });
+}
+
+// ============================================================================
+// INPUT MODERATION
+// ============================================================================
+
+// Screened and blocked prompts since startup, by reason
+const moderationStats = {
+  screened: 0,
+  blocked: 0,
+  reasons: Object.fromEntries(MODERATION_REASONS.map((reason) => [reason, 0])),
+};
+
+/**
+ * Screen a chat prompt before retrieval and generation
+ *
+ * Length, character and injection checks run first. Standalone prompts are
+ * then embedded and compared with the category centroids; follow-ups in a
+ * conversation skip that check, as "what about with chicken?" only makes
+ * sense with the earlier turns. The embedding is returned so retrieval
+ * doesn't compute it twice.
+ *
+ * @param {string} prompt - User's message
+ * @param {Object[]} chatHistory - Previous turns
+ * @param {AbortSignal} [abortSignal] - Cancels the embedding call when aborted
+ * @returns {Promise<Object>} { blocked, reason?, detail?, domain?, embedding? }
+ */
+async function moderatePrompt(prompt, chatHistory, abortSignal) {
+  moderationStats.screened++;
+
+  let result = screenPrompt(prompt);
+
+  if (!result.blocked && chatHistory.length === 0 && domainThreshold !== null) {
+    await initializeDocuments();
+    const [embedding] = await provider.embed([prompt], "search_query", {
+      abortSignal,
+    });
+    const domain = checkDomain(
+      prompt,
+      embedding,
+      categoryCentroids,
+      domainThreshold
+    );
+    result = domain.offDomain
+      ? {
+          blocked: true,
+          reason: "off_domain",
+          detail: `similarity ${domain.score} to ${domain.nearestCategory} (threshold ${domain.threshold})`,
+          domain,
+        }
+      : { blocked: false, domain, embedding };
+  }
+
+  if (result.blocked) {
+    moderationStats.blocked++;
+    moderationStats.reasons[result.reason]++;
+    console.warn(`Prompt blocked (${result.reason}): ${result.detail}`);
+  }
+
+  return result;
+}
+
+/**
+ * Build the reply for a blocked prompt (no documents, no chat call)
+ *
+ * @param {Object} moderation - Result of moderatePrompt
+ * @param {Object|null} conversation - Conversation being continued (or null)
+ * @returns {Object} Response body with the canned reply
+ */
+function buildBlockedResponse(moderation, conversation) {
+  return {
+    text: cannedResponse(moderation.reason),
+    citations: [],
+    moderation: {
+      blocked: true,
+      reason: moderation.reason, // One of MODERATION_REASONS
+      detail: moderation.detail,
+    },
+    documents: [],
+    documentsUsed: 0,
+    categoriesReferenced: [],
+    ...(conversation && { conversationId: conversation.id }),
+  };
+}
+
+// ============================================================================
+// RESPONSE CACHE
+// ============================================================================
+
+/**
+ * Look up a cached reply for a chat turn
+ *
+ * Only questions outside a conversation are cached: a follow-up's answer
+ * depends on the earlier turns. The prompt embedding from moderation is
+ * reused (and computed here when moderation didn't embed the prompt).
+ *
+ * @param {Object} parsed - Result of parseChatRequest
+ * @param {Object} moderation - Result of moderatePrompt
+ * @param {AbortSignal} [abortSignal] - Cancels the embedding call when aborted
+ * @returns {Promise<Object|null>} { embedding, variant, startedAt, hit, bypassed },
+ *   or null when the turn can't be cached
+ */
+async function lookupCachedResponse(parsed, moderation, abortSignal) {
+  if (!RESPONSE_CACHE_ENABLED || parsed.conversation) return null;
+
+  const startedAt = Date.now();
+  if (!parsed.useCache) {
+    responseCache.recordBypass();
+    metrics.cacheLookups.inc({ result: "bypass" });
+    return { bypassed: true, startedAt, hit: null };
+  }
+
+  const [embedding] = moderation.embedding
+    ? [moderation.embedding]
+    : await provider.embed([parsed.prompt], "search_query", { abortSignal });
+  const variant = cacheVariant(parsed);
+  const hit = responseCache.lookup(embedding, variant);
+  metrics.cacheLookups.inc({ result: hit ? "hit" : "miss" });
+
+  if (hit) {
+    console.log(`Response cache hit (similarity ${hit.similarity.toFixed(4)})`);
+  }
+  return { embedding, variant, startedAt, hit, bypassed: false };
+}
+
+/**
+ * Cache a freshly generated reply for later near-identical questions
+ *
+ * @param {Object|null} cacheLookup - Result of lookupCachedResponse
+ * @param {Object} body - Response body (without the `cache` field)
+ * @param {Object} cost - { chatCalls, tokens } spent on the reply
+ */
+function storeCachedResponse(cacheLookup, body, cost) {
+  if (!cacheLookup?.variant) return;
+
+  responseCache.store(cacheLookup.embedding, cacheLookup.variant, {
+    body,
+    cost: { ...cost, generationMs: Date.now() - cacheLookup.startedAt },
+  });
+}
+
+/**
+ * Cache status reported with a chat reply
+ *
+ * @param {Object|null} cacheLookup - Result of lookupCachedResponse
+ * @returns {Object} `{ cache }` field, or {} when the turn wasn't cacheable
+ */
+function cacheStatus(cacheLookup) {
+  if (!cacheLookup) return {};
+  if (cacheLookup.bypassed) return { cache: { hit: false, bypassed: true } };
+  if (!cacheLookup.hit) return { cache: { hit: false } };
+
+  return {
+    cache: {
+      hit: true,
+      similarity: Math.round(cacheLookup.hit.similarity * 10000) / 10000,
+      cachedAt: cacheLookup.hit.cachedAt,
+    },
+  };
+}
+
+// ============================================================================
+// QUERY LOG
+// ============================================================================
+
+/**
+ * Log a chat reply for /stats/queries and POST /feedback (and count it
+ * for /metrics)
+ *
+ * A failing store is reported but never fails the reply.
+ *
+ * @param {Object} req - Express request (with req.apiClient)
+ * @param {QueryTrace} trace - Stage timings and response id of this reply
+ * @param {Object} details - { prompt, conversation, outcome, ... } (see buildQueryLogEntry)
+ */
+async function logQuery(req, trace, { conversation, ...details }) {
+  metrics.chatReplies.inc({ outcome: details.outcome });
+  if (!queryLogStore) return;
+
+  try {
+    await queryLogStore.append(
+      buildQueryLogEntry(trace, {
+        requestId: req.id,
+        client: req.apiClient?.name ?? null,
+        clientId: req.apiClient?.id ?? null,
+        conversationId: conversation?.id ?? null,
+        ...details,
+      })
+    );
+  } catch (err) {
+    console.warn(`Failed to log query: ${err.message}`);
+  }
+}
+
+// ============================================================================
+// UPSTREAM FAILURES AND DEGRADED REPLIES
+// ============================================================================
+
+// Answer with the retrieved snippets when generation fails upstream
+// (DEGRADED_MODE=off returns the error instead)
+const DEGRADED_MODE_ENABLED = process.env.DEGRADED_MODE !== "off";
+
+// Snippets quoted in a degraded reply
+const DEGRADED_SNIPPETS = 3;
+
+// Failures that mean the chat model is down or overloaded, not that the
+// request was wrong
+const DEGRADABLE_FAILURES = [
+  "upstream_timeout",
+  "upstream_unavailable",
+  "upstream_throttled",
+];
+
+/**
+ * Map an error to the status and type reported to the client
+ *
+ * - 400 `invalid_input`: the provider rejected the request (e.g. too long)
+ * - 429 `upstream_throttled`: the provider is rate limiting this server
+ * - 503 `upstream_unavailable`: the provider failed, is unreachable or its
+ *   circuit breaker is open
+ * - 504 `upstream_timeout`: no answer within PROVIDER_TIMEOUT_MS
+ * - 409 `source_conflict`: a knowledge base source file can't be rewritten
+ *   safely (admin document routes)
+ * - 500 `internal_error`: anything else
+ *
+ * @param {Error} err - Error raised while handling the request
+ * @param {string} [fallbackMessage] - Message for internal errors
+ * @returns {Object} { status, type, message, retryAfter? } - retryAfter in seconds
+ */
+function describeFailure(err, fallbackMessage = "Internal server error") {
+  const retryAfter =
+    err?.retryAfterMs > 0 ? Math.ceil(err.retryAfterMs / 1000) : undefined;
+
+  if (err instanceof SourceConflictError) {
+    return { status: 409, type: "source_conflict", message: err.message };
+  }
+
+  if (err instanceof ProviderTimeoutError) {
+    return {
+      status: 504,
+      type: "upstream_timeout",
+      message: `${provider.label} did not respond in time`,
+    };
+  }
+
+  if (err instanceof ProviderUnavailableError) {
+    return {
+      status: 503,
+      type: "upstream_unavailable",
+      message: `${provider.label} is unavailable after repeated failures`,
+      retryAfter,
+    };
+  }
+
+  if (err instanceof ProviderError) {
+    if (err.statusCode === 429) {
+      return {
+        status: 429,
+        type: "upstream_throttled",
+        message: `${provider.label} is rate limiting requests`,
+        retryAfter,
+      };
+    }
+    if ([400, 413, 422].includes(err.statusCode)) {
+      return {
+        status: 400,
+        type: "invalid_input",
+        message: `${provider.label} rejected the request as invalid`,
+      };
+    }
+    return {
+      status: 503,
+      type: "upstream_unavailable",
+      message: `${provider.label} request failed`,
+      retryAfter,
+    };
+  }
+
+  return { status: 500, type: "internal_error", message: fallbackMessage };
+}
+
+/**
+ * Send the typed error response for a failed request
+ *
+ * @param {Object} req - Express request (with req.id)
+ * @param {Object} res - Express response
+ * @param {Error} err - Error raised while handling the request
+ * @param {string} fallbackMessage - Message for internal errors
+ */
+function sendFailure(req, res, err, fallbackMessage) {
+  const { status, type, message, retryAfter } = describeFailure(
+    err,
+    fallbackMessage
+  );
+
+  if (retryAfter) res.set("Retry-After", String(retryAfter));
+  res.status(status).json({
+    error: message,
+    type,
+    requestId: req.id,
+    ...(retryAfter && { retryAfter }),
+  });
+}
+
+/**
+ * Build a reply from the retrieved snippets when generation failed upstream
+ *
+ * @param {Error} err - Generation failure
+ * @param {Object} context - Result of retrieveContext for this turn
+ * @param {Object|null} conversation - Conversation being continued (or null)
+ * @param {Object|null} profile - Profile selected with `profileId`
+ * @returns {Object|null} Response body, or null when the error should be
+ *   returned instead (degraded mode off, invalid input, nothing retrieved)
+ */
+function buildDegradedResponse(err, context, conversation, profile) {
+  const failure = describeFailure(err);
+  if (
+    !DEGRADED_MODE_ENABLED ||
+    !DEGRADABLE_FAILURES.includes(failure.type) ||
+    context.topDocuments.length === 0
+  ) {
+    return null;
+  }
+
+  const passages = context.topDocuments
+    .slice(0, DEGRADED_SNIPPETS)
+    .map((doc, i) => `${i + 1}. ${doc.data.title}\n${doc.data.snippet}`);
+
+  return {
+    text:
+      "I can't write an answer right now, but these passages from the knowledge base look relevant:\n\n" +
+      passages.join("\n\n"),
+    citations: [],
+    degraded: {
+      reason: failure.type,
+      message: failure.message,
+      ...(failure.retryAfter && { retryAfter: failure.retryAfter }),
+    },
+    ...buildResponseMetadata(context, conversation, profile),
+  };
+}
+
+/**
+ * Log a degraded reply; unlike answers, it isn't cached or added to the
+ * conversation
+ *
+ * @param {Object} req - Express request
+ * @param {QueryTrace} trace - Trace of this reply
+ * @param {Error} err - Generation failure
+ * @param {Object} body - From buildDegradedResponse
+ * @param {Object} details - { prompt, conversation, format? } for the query log
+ */
+async function logDegradedReply(req, trace, err, body, details) {
+  console.warn(
+    `[${req.id}] Generation failed (${err.message}); replying with retrieved snippets`
+  );
+  await logQuery(req, trace, {
+    ...details,
+    outcome: "degraded",
+    documents: body.documents,
+    error: err.message,
+  });
+}
+
+// ============================================================================
+// CHAT TOOLS
+// ============================================================================
+
+// Let the chat model call tools in JSON /prompt replies (CHAT_TOOLS=off disables)
+const CHAT_TOOLS_ENABLED = process.env.CHAT_TOOLS !== "off";
+
+/**
+ * Knowledge base search for the search_knowledge_base tool
+ *
+ * @param {string} query - What the model is looking for
+ * @param {Object} options - { category, k }
+ * @param {AbortSignal} [abortSignal] - Cancels upstream calls when aborted
+ * @returns {Promise<Object[]>} Documents with scores and snippets
+ */
+async function searchKnowledgeBaseTool(query, { category, k }, abortSignal) {
+  const { options, error } = parseRetrievalOptions(
+    { ...(category && { categories: [category] }), k },
+    getAvailableCategories()
+  );
+  if (error) throw new Error(error);
+
+  const { results } = await searchDocuments(query, options, abortSignal);
+  return results.map((item) => ({
+    ...describeScoredDocument(item),
+    snippet: item.doc.data.snippet,
+  }));
+}
+
+// Tools available to the chat model (see lib/tools)
+const toolRegistry = createToolRegistry(
+  createBuiltinTools({
+    searchDocuments: searchKnowledgeBaseTool,
+    getCategories: getAvailableCategories,
+  })
+);
+
+// ============================================================================
+// SERVER-SENT EVENTS STREAMING
+// ============================================================================
+
+// Interval for SSE comment heartbeats that keep idle proxies from closing the stream
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * Write a single Server-Sent Event to the response
+ *
+ * @param {Object} res - Express response in event-stream mode
+ * @param {string} event - Event name (documents, delta, citations, done, error)
+ * @param {Object} data - JSON-serializable payload
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Classify a mid-stream failure into a typed error event payload
+ *
+ * Upstream failures use the same types as JSON error responses (see
+ * describeFailure); anything else is `retrieval_failed` or
+ * `generation_failed`.
+ *
+ * @param {Error} err - Error raised while retrieving or generating
+ * @param {string} stage - Pipeline stage that failed ("retrieval" or "generation")
+ * @param {string} requestId - Id of the request (X-Request-Id)
+ * @returns {Object} { type, stage, message, requestId, retryAfter? }
+ */
+function toStreamError(err, stage, requestId) {
+  const { type, message, retryAfter } = describeFailure(err);
+
+  return {
+    type: type === "internal_error" ? `${stage}_failed` : type,
+    stage,
+    message: type === "internal_error" ? err.message : message,
+    requestId,
+    ...(retryAfter && { retryAfter }),
+  };
+}
+
+/**
+ * Stream a chat reply as Server-Sent Events
+ *
+ * Event order:
+ * 1. `documents` - metadata of the retrieved documents
+ * 2. `delta`     - incremental text chunks as they are generated
+ * 3. `citations` - citation batches as the model emits them
+ * 4. `done`      - final text, all citations and response metadata
+ *
+ * A cached reply is sent as `documents`, a single `delta` with the whole
+ * text and `done`.
+ *
+ * Failures after the stream has started are sent as an `error` event with a
+ * `type` field instead of dropping the connection. If the client disconnects,
+ * the in-flight provider calls are aborted.
+ */
+async function streamPromptResponse(req, res) {
+  const trace = new QueryTrace("stream");
+  let parsed;
+  try {
+    parsed = await parseChatRequest(req, res, { streaming: true });
+  } catch (err) {
+    console.error("Error preparing streaming request:", err);
+    return res.status(500).json({ error: "Failed to prepare request" });
+  }
+  if (!parsed) return;
+  trace.mark("request");
+
+  const { prompt, conversation, profile, retrievalOptions } = parsed;
+  const chatHistory = buildChatHistory(conversation);
+
+  console.log(`Streaming user prompt: "${prompt.substring(0, 50)}..."`);
+
+  // Abort upstream work as soon as the client goes away
+  const abortController = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      console.log("Client disconnected, aborting stream.");
+      abortController.abort();
+    }
+  });
+
+  // Open the event stream before doing any slow work
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(
+    () => res.write(": keep-alive\n\n"),
+    SSE_HEARTBEAT_MS
+  );
+  let stage = "retrieval";
+
+  try {
+    // STEP 1: Screen the prompt; a blocked prompt gets the canned reply as
+    // the only event
+    const moderation = await moderatePrompt(
+      prompt,
+      chatHistory,
+      abortController.signal
+    );
+    trace.mark("moderation");
+    if (moderation.blocked) {
+      await logQuery(req, trace, {
+        prompt,
+        conversation,
+        outcome: "blocked",
+        moderationReason: moderation.reason,
+      });
+      sendEvent(res, "done", {
+        ...buildBlockedResponse(moderation, conversation),
+        responseId: trace.id,
+      });
+      return;
+    }
+
+    // Update query tracking
+    totalQueries++;
+    lastQueryTime = new Date();
+    recentQueries.record();
+
+    // STEP 2: Replay the reply to a near-identical earlier question as one
+    // delta (it already includes any safety and profile notes)
+    const cacheLookup = await lookupCachedResponse(
+      parsed,
+      moderation,
+      abortController.signal
+    );
+    trace.mark("cache");
+    if (cacheLookup?.hit) {
+      await logQuery(req, trace, {
+        prompt,
+        conversation,
+        outcome: "cached",
+        documents: cacheLookup.hit.body.documents,
+      });
+      const {
+        text,
+        citations,
+        finishReason,
+        safety,
+        profileWarnings,
+        ...metadata
+      } = cacheLookup.hit.body;
+      sendEvent(res, "documents", metadata);
+      sendEvent(res, "delta", { text });
+      sendEvent(res, "done", {
+        ...cacheLookup.hit.body,
+        responseId: trace.id,
+        ...cacheStatus(cacheLookup),
+      });
+      return;
+    }
+
+    // STEP 3: Retrieve grounding documents and announce them first
+    const context = await retrieveContext(
+      prompt,
+      chatHistory,
+      retrievalOptions,
+      {
+        abortSignal: abortController.signal,
+        profile,
+        promptEmbedding: cacheLookup?.embedding ?? moderation.embedding,
+      }
+    );
+    const { topDocuments } = context;
+    trace.mark("retrieval");
+
+    sendEvent(
+      res,
+      "documents",
+      buildResponseMetadata(context, conversation, profile)
+    );
+
+    // STEP 4: Relay generated text and citations as they arrive
+    stage = "generation";
+    const stream = provider.chatStream(
+      prompt,
+      chatDocumentsFor(context),
+      chatPreamble(profile),
+      chatHistory,
+      { temperature: CHAT_TEMPERATURE, abortSignal: abortController.signal }
+    );
+
+    let text = "";
+    let citations = [];
+    let finishReason = null;
+
+    try {
+      for await (const event of stream) {
+        if (event.type === "text") {
+          text += event.text;
+          sendEvent(res, "delta", { text: event.text });
+        } else if (event.type === "citations") {
+          citations.push(...event.citations);
+          sendEvent(res, "citations", {
+            citations: withCitationSources(event.citations, topDocuments),
+          });
+        } else if (event.type === "end") {
+          finishReason = event.finishReason;
+          text = event.text ?? text;
+          citations = event.citations ?? citations;
+        }
+      }
+    } catch (err) {
+      // Before any text went out, the snippets can stand in for the reply
+      const degraded =
+        text === "" &&
+        !abortController.signal.aborted &&
+        buildDegradedResponse(err, context, conversation, profile);
+      if (!degraded) throw err;
+
+      await logDegradedReply(req, trace, err, degraded, {
+        prompt,
+        conversation,
+      });
+      sendEvent(res, "delta", { text: degraded.text });
+      sendEvent(res, "done", { ...degraded, responseId: trace.id });
+      return;
+    }
+
+    trace.mark("generation");
+
+    // STEP 5: Check food safety figures and profile conflicts; the text
+    // already streamed can't change, so corrections, notices and allergen
+    // warnings follow as a "safety" event
+    const guarded = guardReply(text, citations, { prompt });
+    logSafetyCheck(guarded.safety);
+    const checked = applyProfileWarnings(text, guarded.text, profile);
+    if (
+      guarded.safety.issues.length > 0 ||
+      guarded.safety.notices.length > 0 ||
+      checked.warnings.length > 0
+    ) {
+      sendEvent(res, "safety", {
+        ...guarded.safety,
+        ...(profile && { profileWarnings: checked.warnings }),
+        appendedText: checked.text.slice(text.length),
+      });
+    }
+
+    // STEP 6: Persist the turn and close with the complete reply
+    await recordConversationTurn(conversation, prompt, checked.text, context);
+    const tokens = await recordTokenUsage(
+      req,
+      prompt,
+      chatHistory,
+      topDocuments,
+      text
+    );
+
+    const body = {
+      text: checked.text,
+      citations: withCitationSources(guarded.citations, topDocuments),
+      finishReason: finishReason,
+      safety: guarded.safety,
+      ...(profile && { profileWarnings: checked.warnings }),
+      ...buildResponseMetadata(context, conversation, profile),
+    };
+    storeCachedResponse(cacheLookup, body, { chatCalls: 1, tokens });
+    await logQuery(req, trace, {
+      prompt,
+      conversation,
+      outcome: "answered",
+      documents: body.documents,
+      searchQuery: context.searchQuery,
+      tokens,
+    });
+    sendEvent(res, "done", {
+      ...body,
+      responseId: trace.id,
+      ...cacheStatus(cacheLookup),
+    });
+    console.log("Streamed response completed successfully");
+  } catch (err) {
+    if (abortController.signal.aborted) {
+      // Client is gone - nothing left to send
+      return;
+    }
+
+    console.error(`[${req.id}] Streaming ${stage} error:`, err);
+    await logQuery(req, trace, {
+      prompt,
+      conversation,
+      outcome: "failed",
+      error: err.message,
+    });
+    sendEvent(res, "error", toStreamError(err, stage, req.id));
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+}
+
+// ============================================================================
+// REQUEST IDS
+// ============================================================================
+
+// Accepted X-Request-Id values from clients and gateways
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Give each request an id for correlating responses with server logs
+ *
+ * A well-formed X-Request-Id from the client or a gateway is kept,
+ * otherwise a UUID is generated. The id is sent back as X-Request-Id, is
+ * part of every error body from a failed upstream call and is stored
+ * with the query log entry.
+ */
+function assignRequestId(req, res, next) {
+  const incoming = req.get("x-request-id");
+  req.id = REQUEST_ID_PATTERN.test(incoming ?? "")
+    ? incoming
+    : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+}
+
+// ============================================================================
+// HTTP METRICS
+// ============================================================================
+
+/**
+ * Count each request and observe its latency once the response is sent
+ *
+ * Requests are labelled with their route pattern ("/conversations/:id"),
+ * so ids don't create a series each. Requests rejected before reaching a
+ * route (401, 429) are labelled with the prefix they were sent to, and
+ * anything else with "unmatched".
+ */
+function recordHttpMetrics(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    // req.path is relative to the mount point inside app.use(CLIENT_ROUTES)
+    const path = req.originalUrl.split("?")[0];
+    const route = req.route
+      ? `${req.baseUrl}${req.route.path}`
+      : (CLIENT_ROUTES.find(
+          (prefix) => path === prefix || path.startsWith(`${prefix}/`)
+        ) ?? "unmatched");
+
+    metrics.httpRequests.inc({
+      method: req.method,
+      route,
+      status: res.statusCode,
+    });
+    metrics.httpDuration.observe(
+      { method: req.method, route },
+      Number(process.hrtime.bigint() - startedAt) / 1e9
+    );
+  });
+
+  next();
+}
+
+// ============================================================================
+// API KEYS AND RATE LIMITING
+// ============================================================================
+
+/**
+ * Identify the API client and enforce its quotas
+ *
+ * The key is accepted as `X-API-Key: <key>` or `Authorization: Bearer <key>`.
+ * With API_KEYS configured a valid key is required; without it requests are
+ * anonymous and limited per IP address with the default quotas.
+ *
+ * Allowed requests get `X-RateLimit-*` headers; requests over a quota get a
+ * 429 with `Retry-After` (seconds).
+ */
+async function requireApiClient(req, res, next) {
+  const suppliedKey =
+    req.get("x-api-key") ||
+    req.get("authorization")?.replace(/^Bearer\s+/i, "") ||
+    "";
+
+  let client;
+  if (apiClients.size > 0) {
+    client = findClient(apiClients, suppliedKey);
+    if (!client) {
+      return res.status(401).json({ error: "Invalid or missing API key" });
+    }
+  } else {
+    client = {
+      id: `ip:${req.ip}`,
+      name: "anonymous",
+      limits: DEFAULT_LIMITS,
+    };
+  }
+
+  let result;
+  try {
+    result = await rateLimiter.consume(client, {
+      checkTokens: req.baseUrl === "/prompt", // Only chat requests use tokens
+    });
+  } catch (err) {
+    // A failing shared store shouldn't take the API down with it
+    console.warn(
+      `Rate limit store unavailable, allowing request: ${err.message}`
+    );
+    req.apiClient = client;
+    return next();
+  }
+
+  res.set({
+    "X-RateLimit-Limit": String(result.limit),
+    "X-RateLimit-Remaining": String(result.remaining),
+  });
+
+  if (!result.allowed) {
+    res.set("Retry-After", String(result.retryAfter));
+    return res.status(429).json({
+      error: "Rate limit exceeded",
+      quota: result.quota,
+      limit: result.limit,
+      retryAfter: result.retryAfter,
+    });
+  }
+
+  req.apiClient = client;
+  next();
+}
+
+/**
+ * Charge the estimated tokens of a chat exchange to the client's daily budget
+ *
+ * Counts the prompt, conversation history, retrieved documents and reply.
+ *
+ * @param {Object} req - Express request (with req.apiClient)
+ * @param {string} prompt - User prompt
+ * @param {Object[]} chatHistory - History sent to the model
+ * @param {Object[]} topDocuments - Documents given to the model
+ * @param {string} reply - Generated reply
+ * @returns {Promise<number>} Estimated tokens
+ */
+async function recordTokenUsage(req, prompt, chatHistory, topDocuments, reply) {
+  const tokens =
+    estimateTokens(prompt) +
+    estimateTokens(reply) +
+    chatHistory.reduce((sum, entry) => sum + estimateTokens(entry.message), 0) +
+    toChatDocuments(topDocuments).reduce(
+      (sum, doc) => sum + estimateTokens(doc.text),
+      0
+    );
+
+  try {
+    await rateLimiter.recordTokens(req.apiClient, tokens);
+  } catch (err) {
+    console.warn(`Failed to record token usage: ${err.message}`);
+  }
+  return tokens;
+}
+
+/**
+ * Per-client usage for /stats
+ *
+ * Configured keys are listed by name (never by key) with their quota usage;
+ * anonymous per-IP clients are aggregated into one entry.
+ *
+ * @returns {Promise<Object>} Usage section
+ */
+async function getClientUsage() {
+  const clients = await Promise.all(
+    [...apiClients.values()].map(async (client) => {
+      const { name, ...counters } = rateLimiter.getClientStats(client);
+      return {
+        name: name,
+        ...counters,
+        ...(await rateLimiter.getUsage(client)),
+      };
+    })
+  );
+
+  const anonymous = [...rateLimiter.clientStats.entries()]
+    .filter(([id]) => id.startsWith("ip:"))
+    .map(([, stats]) => stats);
+
+  return {
+    apiKeysRequired: apiClients.size > 0,
+    store: rateLimiter.store.name,
+    defaultLimits: DEFAULT_LIMITS,
+    clients: clients,
+    ...(anonymous.length > 0 && {
+      anonymous: {
+        addresses: anonymous.length,
+        requests: anonymous.reduce((sum, stats) => sum + stats.requests, 0),
+        rejectedRequests: anonymous.reduce(
+          (sum, stats) => sum + stats.rejectedRequests,
+          0
+        ),
+        tokens: anonymous.reduce((sum, stats) => sum + stats.tokens, 0),
+      },
+    }),
+  };
+}
+
+// Everything except /health, /metrics (and the admin API, which has its own
+// key) needs a client key
+const CLIENT_ROUTES = [
+  "/prompt",
+  "/search",
+  "/feedback",
+  "/conversations",
+  "/profiles",
+  "/tools",
+  "/stats",
+];
+app.use(CLIENT_ROUTES, requireApiClient);
+
+if (apiClients.size === 0) {
+  console.warn(
+    "API_KEYS not set - public endpoints are open and limited per IP address."
+  );
+}
+
+// ============================================================================
+// API ENDPOINTS
+// ============================================================================
+
+/**
+ * Main chat endpoint - handles user queries with RAG (Retrieval-Augmented Generation)
+ *
+ * Process flow:
+ * 1. Load conversation history (when a conversationId is supplied)
+ * 2. Screen the prompt; blocked prompts get a canned reply (see lib/moderation.js)
+ * 3. Answer repeated standalone questions from the response cache (see
+ *    lib/responseCache.js; skip it with `"cache": false`)
+ * 4. Retrieve documents for the (rewritten) query
+ * 5. Use retrieved documents and history as context for AI response; the
+ *    model may call tools along the way (disable with `"tools": false`)
+ * 6. Check food safety figures in the reply (see lib/safetyGuard.js)
+ * 7. Store the new turn and return AI-generated response with citations
+ *
+ * Clients sending `Accept: text/event-stream` receive a streamed reply
+ * (see POST /prompt/stream).
+ */
+app.post("/prompt", async (req, res) => {
+  if (req.get("accept")?.includes("text/event-stream")) {
+    return streamPromptResponse(req, res);
+  }
+
+  const trace = new QueryTrace("prompt");
+  let parsed = null;
+  try {
+    parsed = await parseChatRequest(req, res);
+    if (!parsed) return;
+    trace.mark("request");
+
+    const {
+      prompt,
+      conversation,
+      profile,
+      retrievalOptions,
+      format,
+      useTools,
+    } = parsed;
+    const chatHistory = buildChatHistory(conversation);
+
+    console.log(`Processing user prompt: "${prompt.substring(0, 50)}..."`);
+
+    // STEP 1: Screen the prompt before anything reaches the chat model
+    const moderation = await moderatePrompt(prompt, chatHistory);
+    trace.mark("moderation");
+    if (moderation.blocked) {
+      await logQuery(req, trace, {
+        prompt,
+        conversation,
+        format,
+        outcome: "blocked",
+        moderationReason: moderation.reason,
+      });
+      return res.json({
+        ...buildBlockedResponse(moderation, conversation),
+        responseId: trace.id,
+      });
+    }
+
+    // Update query tracking
+    totalQueries++;
+    lastQueryTime = new Date();
+    recentQueries.record();
+
+    // STEP 2: Reuse the reply to a near-identical earlier question
+    const cacheLookup = await lookupCachedResponse(parsed, moderation);
+    trace.mark("cache");
+    if (cacheLookup?.hit) {
+      await logQuery(req, trace, {
+        prompt,
+        conversation,
+        format,
+        outcome: "cached",
+        documents: cacheLookup.hit.body.documents,
+      });
+      return res.json({
+        ...cacheLookup.hit.body,
+        responseId: trace.id,
+        ...cacheStatus(cacheLookup),
+      });
+    }
+
+    // STEP 3: Find the most relevant documents for this turn
+    const context = await retrieveContext(
+      prompt,
+      chatHistory,
+      retrievalOptions,
+      {
+        profile,
+        promptEmbedding: cacheLookup?.embedding ?? moderation.embedding,
+      }
+    );
+    const { topDocuments } = context;
+    trace.mark("retrieval");
+
+    if (format === "recipe") {
+      return await sendRecipeResponse(
+        req,
+        res,
+        prompt,
+        chatHistory,
+        conversation,
+        context,
+        profile,
+        cacheLookup,
+        trace
+      );
+    }
+
+    // STEP 4: Generate AI response using retrieved context and history,
+    // letting the model call tools (search, food safety, units, timers);
+    // if the chat model is down, reply with the retrieved snippets instead
+    let response;
+    try {
+      response = useTools
+        ? await runToolLoop(provider, {
+            message: prompt,
+            documents: chatDocumentsFor(context),
+            preamble: chatPreamble(profile),
+            history: chatHistory,
+            registry: toolRegistry,
+            temperature: CHAT_TEMPERATURE,
+            context: { units: profile?.units }, // Default units for the unit tool
+          })
+        : await provider.chat(
+            prompt,
+            chatDocumentsFor(context),
+            chatPreamble(profile),
+            chatHistory,
+            { temperature: CHAT_TEMPERATURE }
+          );
+    } catch (err) {
+      const degraded = buildDegradedResponse(
+        err,
+        context,
+        conversation,
+        profile
+      );
+      if (!degraded) throw err;
+      await logDegradedReply(req, trace, err, degraded, {
+        prompt,
+        conversation,
+        format,
+      });
+      return res.json({ ...degraded, responseId: trace.id });
+    }
+
+    console.log("Response generated successfully");
+    trace.mark("generation");
+
+    // STEP 5: Check food safety figures against the reference table and
+    // warn about ingredients the user's profile rules out
+    const guarded = guardReply(response.text, response.citations ?? [], {
+      prompt,
+    });
+    logSafetyCheck(guarded.safety);
+    const checked = applyProfileWarnings(response.text, guarded.text, profile);
+
+    // STEP 6: Persist the new turn so follow-ups can build on it
+    await recordConversationTurn(conversation, prompt, checked.text, context);
+    const tokens = await recordTokenUsage(
+      req,
+      prompt,
+      chatHistory,
+      topDocuments,
+      response.text
+    );
+
+    // STEP 7: Return structured response with metadata
+    const body = {
+      text: checked.text, // AI-generated response (safety- and profile-checked)
+      citations: withCitationSources(guarded.citations, topDocuments), // Source citations from documents
+      safety: guarded.safety, // Corrected or flagged figures and safety notices
+      ...(profile && { profileWarnings: checked.warnings }), // Ingredients the profile rules out
+      ...buildResponseMetadata(context, conversation, profile),
+      ...(useTools && {
+        toolTrace: response.toolTrace, // Tool calls made while answering
+        toolIterations: response.iterations, // Chat calls needed for the answer
+      }),
+    };
+    storeCachedResponse(cacheLookup, body, {
+      chatCalls: useTools ? response.iterations : 1,
+      tokens: tokens,
+    });
+    await logQuery(req, trace, {
+      prompt,
+      conversation,
+      outcome: "answered",
+      documents: body.documents,
+      searchQuery: context.searchQuery,
+      tokens,
+    });
+    res.json({ ...body, responseId: trace.id, ...cacheStatus(cacheLookup) });
+  } catch (err) {
+    console.error(
+      `[${req.id}] Error communicating with ${provider.name} provider:`,
+      err
+    );
+    if (parsed) {
+      await logQuery(req, trace, {
+        prompt: parsed.prompt,
+        conversation: parsed.conversation,
+        format: parsed.format,
+        outcome: "failed",
+        error: err.message,
+      });
+    }
+    sendFailure(req, res, err, "Failed to answer the prompt");
+  }
+});
+
+/**
+ * Streaming chat endpoint - same request body as /prompt, replies with
+ * Server-Sent Events (documents → delta… → citations… → done)
+ */
+app.post("/prompt/stream", streamPromptResponse);
+
+/**
+ * Rate a chat reply by the `responseId` it was returned with
+ *
+ * POST /feedback { "responseId": "...", "rating": "up" | "down", "comment"?: "..." }
+ *
+ * Clients can only rate their own replies. Rating a reply again replaces
+ * the earlier rating in /stats/queries.
+ */
+app.post("/feedback", async (req, res) => {
+  if (!queryLogStore) {
+    return res.status(503).json({ error: "Feedback collection is disabled" });
+  }
+
+  const { value, error } = validateFeedback(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const entry = await queryLogStore.get(value.responseId);
+    if (!entry || entry.clientId !== loggedClientId(req.apiClient.id)) {
+      return res.status(404).json({ error: "Response not found" });
+    }
+
+    const feedback = {
+      ...value,
+      client: entry.client,
+      createdAt: new Date().toISOString(),
+    };
+    await queryLogStore.appendFeedback(feedback);
+    res.status(201).json(feedback);
+  } catch (err) {
+    console.error("Feedback error:", err);
+    res.status(500).json({ error: "Failed to record feedback" });
+  }
+});
+
+/**
+ * Convert /search query-string parameters into the JSON body format
+ *
+ * `categories` and `exclude` are comma-separated lists; numbers and booleans
+ * arrive as strings and are converted here (invalid values fail validation).
+ *
+ * @param {Object} query - Express req.query
+ * @returns {Object} Search request fields
+ */
+function parseSearchQueryString(query) {
+  const list = (value) =>
+    value === undefined
+      ? undefined
+      : String(value)
+          .split(",")
+          .map((item) => item.trim())
+          .filter(Boolean);
+  const number = (value) => (value === undefined ? undefined : Number(value));
+
+  const include = list(query.categories);
+  const exclude = list(query.exclude);
+
+  return {
+    query: query.q ?? query.query,
+    categories:
+      include || exclude
+        ? { include: include ?? [], exclude: exclude ?? [] }
+        : undefined,
+    minScore: number(query.minScore),
+    mode: query.mode,
+    retrievalMode: query.retrievalMode,
+    fusion: query.fusion,
+    hybridAlpha: number(query.hybridAlpha),
+    rerank: query.rerank,
+    autoRoute:
+      query.autoRoute === undefined ? undefined : query.autoRoute !== "false",
+    collapseDuplicates:
+      query.collapseDuplicates === undefined
+        ? undefined
+        : query.collapseDuplicates !== "false",
+    page: number(query.page),
+    pageSize: number(query.pageSize),
+  };
+}
+
+/**
+ * Retrieval-only search endpoint - embeds the query and ranks documents
+ * without calling the chat model
+ *
+ * Useful for "related articles" lists and for inspecting ranking quality.
+ *
+ * GET  /search?q=...&categories=recipes,techniques&exclude=...&minScore=0.3&mode=hybrid&rerank=local&collapseDuplicates=true&page=1&pageSize=10
+ * POST /search { "query": "...", "categories": [...], "minScore": 0.3, "page": 1, "pageSize": 10 }
+ */
+async function handleSearch(req, res) {
+  const body =
+    req.method === "GET" ? parseSearchQueryString(req.query) : (req.body ?? {});
+  const { query } = body;
+
+  // Validate input
+  if (!query || typeof query !== "string") {
+    return res.status(400).json({ error: "Query is required" });
+  }
+
+  try {
+    // Category names are only known once the knowledge base is loaded
+    await initializeDocuments();
+
+    const retrievalParse = parseRetrievalOptions(
+      { ...body, k: undefined },
+      getAvailableCategories()
+    );
+    const paginationParse = parsePagination(body);
+    const error = retrievalParse.error || paginationParse.error;
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { page, pageSize } = paginationParse.options;
+
+    // Rank enough documents to fill the requested page
+    const { results, totalMatches, retrieval } = await searchDocuments(query, {
+      ...retrievalParse.options,
+      k: page * pageSize,
+    });
+
+    const { k, ...filters } = retrieval.filters;
+
+    res.json({
+      query: query,
+      page: page,
+      pageSize: pageSize,
+      totalResults: totalMatches,
+      totalPages: Math.ceil(
+        Math.min(totalMatches, MAX_SEARCH_DEPTH) / pageSize
+      ),
+      results: results.slice((page - 1) * pageSize).map((item) => ({
+        ...describeScoredDocument(item),
+        snippet: item.doc.data.snippet,
+      })),
+      retrieval: {
+        filters: filters,
+        excludedByThreshold: retrieval.excludedByThreshold,
+        ...(retrieval.approximate && { approximate: true }),
+      },
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Search error:`, err);
+    sendFailure(req, res, err, "Search failed");
+  }
+}
+
+app.get("/search", handleSearch);
+app.post("/search", handleSearch);
+
+/**
+ * Client that owns the conversations created by a request
+ *
+ * Conversations belong to the API key that created them; without API keys
+ * there is no client identity and conversations are shared.
+ *
+ * @param {Object} req - Express request (after requireApiClient)
+ * @returns {string|null} Client id, or null when API keys are off
+ */
+function conversationOwner(req) {
+  return apiClients.size > 0 ? req.apiClient.id : null;
+}
+
+/**
+ * Load a conversation the requesting client may use
+ *
+ * Other clients' conversations are reported as unknown, so ids can't be probed.
+ *
+ * @param {Object} req - Express request (after requireApiClient)
+ * @param {string} id - Conversation id
+ * @returns {Promise<Object|null>} Conversation, or null when unknown or not the client's
+ */
+async function loadConversation(req, id) {
+  const conversation = await conversationStore.get(id);
+  if (!conversation) return null;
+  return isConversationOwner(conversation, conversationOwner(req))
+    ? conversation
+    : null;
+}
+
+/**
+ * Create a new conversation for multi-turn chats
+ * Pass the returned id as `conversationId` on subsequent /prompt requests
+ */
+app.post("/conversations", async (req, res) => {
+  const { title } = req.body ?? {};
+
+  if (title !== undefined && typeof title !== "string") {
+    return res.status(400).json({ error: "title must be a string" });
+  }
+
+  try {
+    const conversation = await conversationStore.save(
+      createConversation(title?.trim() || null, conversationOwner(req))
+    );
+    res.status(201).json(describeConversation(conversation));
+  } catch (err) {
+    console.error("Error creating conversation:", err);
+    res.status(500).json({ error: "Failed to create conversation" });
+  }
+});
+
+/**
+ * List the client's conversations, most recently active first
+ */
+app.get("/conversations", async (req, res) => {
+  try {
+    const conversations = (await conversationStore.list(conversationOwner(req)))
+      .map(describeConversation)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+    res.json({
+      count: conversations.length,
+      store: conversationStore.name,
+      conversations: conversations,
+    });
+  } catch (err) {
+    console.error("Error listing conversations:", err);
+    res.status(500).json({ error: "Failed to list conversations" });
+  }
+});
+
+/**
+ * Get a single conversation including its stored turns and summary
+ */
+app.get("/conversations/:id", async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    res.json(describeTranscript(conversation));
+  } catch (err) {
+    console.error("Error reading conversation:", err);
+    res.status(500).json({ error: "Failed to read conversation" });
+  }
+});
+
+/**
+ * Delete a conversation and its stored history
+ */
+app.delete("/conversations/:id", async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, req.params.id);
+    if (!conversation || !(await conversationStore.delete(conversation.id))) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    res.status(204).end();
+  } catch (err) {
+    console.error("Error deleting conversation:", err);
+    res.status(500).json({ error: "Failed to delete conversation" });
+  }
+});
+
+/**
+ * Load a profile the requesting client may use
+ *
+ * Profiles created with an API key belong to that key; profiles created
+ * without keys configured are shared.
+ *
+ * @param {Object} req - Express request (after requireApiClient)
+ * @param {string} id - Profile id
+ * @returns {Promise<Object|null>} Profile, or null when unknown or not the client's
+ */
+async function loadProfile(req, id) {
+  const profile = await profileStore.get(id);
+  if (!profile) return null;
+  if (profile.ownerId && profile.ownerId !== req.apiClient?.id) return null;
+  return profile;
+}
+
+/**
+ * Create a user profile with allergens, diets, skill level and preferred units
+ * Pass the returned id as `profileId` on /prompt requests
+ */
+app.post("/profiles", async (req, res) => {
+  const { value, error } = validateProfileInput(req.body ?? {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const profile = await profileStore.save(
+      createProfile(value, apiClients.size > 0 ? req.apiClient.id : null)
+    );
+    res.status(201).json(describeProfile(profile));
+  } catch (err) {
+    console.error("Error creating profile:", err);
+    res.status(500).json({ error: "Failed to create profile" });
+  }
+});
+
+/**
+ * Get a single profile
+ */
+app.get("/profiles/:id", async (req, res) => {
+  try {
+    const profile = await loadProfile(req, req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: "Profile not found" });
+    }
+
+    res.json(describeProfile(profile));
+  } catch (err) {
+    console.error("Error reading profile:", err);
+    res.status(500).json({ error: "Failed to read profile" });
+  }
+});
+
+/**
+ * Update a profile - only the fields sent are changed (null clears a field)
+ */
+app.put("/profiles/:id", async (req, res) => {
+  const { value, error } = validateProfileInput(req.body ?? {}, {
+    partial: true,
+  });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const profile = await loadProfile(req, req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: "Profile not found" });
+    }
+
+    const updated = await profileStore.save({
+      ...profile,
+      ...value,
+      updatedAt: new Date().toISOString(),
+    });
+    res.json(describeProfile(updated));
+  } catch (err) {
+    console.error("Error updating profile:", err);
+    res.status(500).json({ error: "Failed to update profile" });
+  }
+});
+
+/**
+ * Delete a profile
+ */
+app.delete("/profiles/:id", async (req, res) => {
+  try {
+    const profile = await loadProfile(req, req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: "Profile not found" });
+    }
+
+    await profileStore.delete(profile.id);
+    res.status(204).end();
+  } catch (err) {
+    console.error("Error deleting profile:", err);
+    res.status(500).json({ error: "Failed to delete profile" });
+  }
+});
+
+// ============================================================================
+// RECIPE TOOLS
+// ============================================================================
+
+/**
+ * Tools the chat model can call, with their parameter schemas
+ */
+app.get("/tools", (req, res) => {
+  res.json({
+    enabled: CHAT_TOOLS_ENABLED,
+    maxIterations: TOOL_MAX_ITERATIONS,
+    tools: toolRegistry.definitions(),
+  });
+});
+
+// Limits on ingredient input for the tool endpoints
+const MAX_TOOL_INPUT_LENGTH = 10000;
+const MAX_TOOL_INGREDIENTS = 100;
+
+/**
+ * Validate a conversion target ("metric", "us" or a unit name)
+ *
+ * @param {*} to - Requested target
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateUnitTarget(to) {
+  if (typeof to !== "string" || !to.trim()) {
+    return "to is required";
+  }
+  if (!UNIT_SYSTEMS.includes(to) && !normalizeUnit(to)) {
+    return `to must be ${UNIT_SYSTEMS.join(" or ")}, or a unit such as g, ml, cup or oz`;
+  }
+  return null;
+}
+
+/**
+ * Parse the `ingredients` field of a tool request
+ *
+ * Sends a 400 response itself when the field is invalid.
+ *
+ * @param {*} ingredients - Ingredient lines (array) or comma/newline separated string
+ * @param {Object} res - Express response
+ * @returns {Object[]|null} Parsed ingredients, or null if a response was sent
+ */
+function parseToolIngredients(ingredients, res) {
+  const valid =
+    (typeof ingredients === "string" && ingredients.trim()) ||
+    (Array.isArray(ingredients) &&
+      ingredients.length > 0 &&
+      ingredients.every((line) => typeof line === "string"));
+
+  if (!valid) {
+    res.status(400).json({
+      error: "ingredients must be a non-empty string or array of strings",
+    });
+    return null;
+  }
+
+  if ([].concat(ingredients).join("\n").length > MAX_TOOL_INPUT_LENGTH) {
+    res.status(400).json({
+      error: `ingredients must be at most ${MAX_TOOL_INPUT_LENGTH} characters`,
+    });
+    return null;
+  }
+
+  const parsed = parseIngredientList(ingredients);
+  if (parsed.length > MAX_TOOL_INGREDIENTS) {
+    res.status(400).json({
+      error: `at most ${MAX_TOOL_INGREDIENTS} ingredients per request`,
+    });
+    return null;
+  }
+
+  return parsed;
+}
+
+/**
+ * Convert ingredients, a single quantity or a temperature
+ *
+ * POST /tools/convert { "ingredients": "1 cup flour, 2 tbsp sugar", "to": "metric" }
+ * POST /tools/convert { "quantity": 2, "from": "cup", "ingredient": "flour", "to": "g" }
+ * POST /tools/convert { "value": 375, "from": "F", "to": "C" }
+ */
+app.post("/tools/convert", (req, res) => {
+  const { ingredients, quantity, value, from, to, ingredient } = req.body ?? {};
+
+  // Temperatures
+  const fromTemperature = normalizeTemperatureUnit(from);
+  const toTemperature = normalizeTemperatureUnit(to);
+  if (fromTemperature || toTemperature) {
+    if (!fromTemperature || !toTemperature || !Number.isFinite(value)) {
+      return res.status(400).json({
+        error:
+          "Temperature conversion needs a numeric value, from and to (F or C)",
+      });
+    }
+    return res.json({
+      value: value,
+      from: fromTemperature,
+      to: toTemperature,
+      result: convertTemperature(value, fromTemperature, toTemperature),
+    });
+  }
+
+  const targetError = validateUnitTarget(to);
+  if (targetError) {
+    return res.status(400).json({ error: targetError });
+  }
+
+  // A single quantity
+  if (quantity !== undefined) {
+    const unit = normalizeUnit(from);
+    if (!Number.isFinite(quantity) || quantity < 0 || !unit) {
+      return res.status(400).json({
+        error: "quantity must be a non-negative number and from a known unit",
+      });
+    }
+    if (ingredient !== undefined && typeof ingredient !== "string") {
+      return res.status(400).json({ error: "ingredient must be a string" });
+    }
+
+    const [result] = convertIngredients(
+      [{ quantity, unit, item: ingredient?.trim() ?? "", notes: null }],
+      to
+    );
+    return res.json({ to: to, result: result });
+  }
+
+  const parsed = parseToolIngredients(ingredients, res);
+  if (!parsed) return;
+
+  res.json({ to: to, ingredients: convertIngredients(parsed, to) });
+});
+
+/**
+ * Scale ingredients by a factor or from one serving count to another
+ *
+ * POST /tools/scale { "ingredients": ["1 cup flour", "2 eggs"], "factor": 2 }
+ * POST /tools/scale { "ingredients": "...", "servings": 4, "targetServings": 6, "to": "metric" }
+ */
+app.post("/tools/scale", (req, res) => {
+  const { ingredients, factor, servings, targetServings, to } = req.body ?? {};
+
+  const positive = (number) => Number.isFinite(number) && number > 0;
+  let scaleFactor = factor;
+  if (factor === undefined) {
+    if (!positive(servings) || !positive(targetServings)) {
+      return res.status(400).json({
+        error:
+          "Provide factor, or servings and targetServings (positive numbers)",
+      });
+    }
+    scaleFactor = targetServings / servings;
+  } else if (!positive(factor) || factor > 100) {
+    return res
+      .status(400)
+      .json({ error: "factor must be a positive number up to 100" });
+  }
+
+  if (to !== undefined) {
+    const targetError = validateUnitTarget(to);
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
+  }
+
+  const parsed = parseToolIngredients(ingredients, res);
+  if (!parsed) return;
+
+  res.json({
+    factor: Math.round(scaleFactor * 1000) / 1000,
+    ...(factor === undefined && { servings, targetServings }),
+    ...(to && { to }),
+    ingredients: scaleIngredients(parsed, scaleFactor, { to }),
+  });
+});
+
+// ============================================================================
+// KNOWLEDGE BASE ADMIN API
+// ============================================================================
+
+/**
+ * Require the ADMIN_API_KEY for knowledge base administration
+ *
+ * The key is accepted as `Authorization: Bearer <key>` or `X-Admin-Key: <key>`.
+ * Without ADMIN_API_KEY configured the admin API is disabled.
+ */
+function requireAdminKey(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({ error: "Admin API is disabled" });
+  }
+
+  const suppliedKey =
+    req.get("x-admin-key") ||
+    req.get("authorization")?.replace(/^Bearer\s+/i, "") ||
+    "";
+
+  // Constant-time comparison so the key can't be guessed byte by byte
+  const supplied = Buffer.from(suppliedKey);
+  const expected = Buffer.from(adminKey);
+  if (
+    supplied.length !== expected.length ||
+    !crypto.timingSafeEqual(supplied, expected)
+  ) {
+    return res.status(401).json({ error: "Invalid or missing admin key" });
+  }
+
+  next();
+}
+
+// Admin writes run one at a time so concurrent edits can't overwrite each other
+let adminWriteQueue = Promise.resolve();
+
+/**
+ * Queue a knowledge base write behind any write already in progress
+ *
+ * @param {Function} task - Async function performing the write
+ * @returns {Promise} Result of the task
+ */
+function runAdminWrite(task) {
+  const result = adminWriteQueue.then(task);
+  adminWriteQueue = result.catch(() => {}); // Keep the queue going after failures
+  return result;
+}
+
+/**
+ * Describe a document in the same shape the source files use
+ *
+ * @param {Object} doc - Cached document
+ * @returns {Object} { id, prompt, response, category }
+ */
+function describeDocument(doc) {
+  return {
+    id: doc.id,
+    prompt: doc.data.title,
+    response: doc.data.snippet,
+    category: doc.data.category,
+  };
+}
+
+/**
+ * Build a cached document from validated admin input
+ *
+ * The embedding is reused when the text is unchanged, so only new or edited
+ * documents are sent to the embedding model.
+ *
+ * @param {string} id - Document id
+ * @param {Object} value - Validated { prompt, response, category }
+ * @param {Object} [existing] - Cached document being replaced
+ * @returns {Object} Document, without an embedding if it needs one
+ */
+function buildDocument(id, value, existing) {
+  const unchanged =
+    existing &&
+    existing.data.title === value.prompt &&
+    existing.data.snippet === value.response;
+
+  return {
+    id: id,
+    data: {
+      title: value.prompt,
+      snippet: value.response,
+      category: value.category,
+    },
+    ...(unchanged && {
+      embedding: existing.embedding,
+      computedAt: existing.computedAt,
+    }),
+  };
+}
+
+/**
+ * Apply document changes to the knowledge base
+ *
+ * 1. Embed upserted documents that have no embedding yet
+ * 2. Update cachedDocuments in place (replace, append or remove)
+ * 3. Rebuild search indexes, re-check the food safety table and clear the
+ *    response cache (cached replies may quote changed documents)
+ * 4. Persist the touched categories' source files and the embeddings file
+ *
+ * The touched source files are checked and embedding happens before anything
+ * changes, so a conflict or a failed embedding call leaves the knowledge base
+ * untouched.
+ *
+ * @param {Object[]} upserts - Documents to add or replace (matched by id)
+ * @param {string[]} [deleteIds] - Ids of documents to remove
+ * @returns {Promise<number>} Number of documents embedded
+ * @throws {SourceConflictError} When a touched source file has items that
+ *   aren't being served, which rewriting it would lose
+ */
+async function commitDocumentChanges(upserts, deleteIds = []) {
+  const touchedCategories = new Set();
+  for (const doc of upserts) {
+    const existing = cachedDocuments.find((cached) => cached.id === doc.id);
+    if (existing) touchedCategories.add(existing.data.category); // Old category when moved
+    touchedCategories.add(doc.data.category);
+  }
+  for (const id of deleteIds) {
+    const existing = cachedDocuments.find((cached) => cached.id === id);
+    if (existing) touchedCategories.add(existing.data.category);
+  }
+
+  const sourceFiles = await readSourcesForRewrite(touchedCategories);
+
+  const toEmbed = upserts.filter((doc) => !doc.embedding);
+  if (toEmbed.length > 0) {
+    await embedDocumentsInBatches(toEmbed);
+  }
+
+  for (const doc of upserts) {
+    const index = cachedDocuments.findIndex((cached) => cached.id === doc.id);
+    if (index === -1) cachedDocuments.push(doc);
+    else cachedDocuments[index] = doc;
+  }
+
+  for (const id of deleteIds) {
+    const index = cachedDocuments.findIndex((cached) => cached.id === id);
+    if (index !== -1) cachedDocuments.splice(index, 1);
+  }
+
+  rebuildSearchIndexes();
+  checkFoodSafetyTable();
+  responseCache.clear("knowledge base changed");
+
+  // Rewrite each touched source file, keeping any extra fields on its items
+  for (const category of touchedCategories) {
+    const source = getSource(category);
+    const { items, invalidItems } = sourceFiles.get(category);
+    const existingItems = new Map(items.map((item) => [item.id, item]));
+
+    await writeSourceItems(
+      source,
+      cachedDocuments
+        .filter((doc) => doc.data.category === category)
+        .map((doc) => ({
+          ...existingItems.get(doc.id),
+          id: doc.id,
+          prompt: doc.data.title,
+          response: doc.data.snippet,
+        })),
+      invalidItems
+    );
+  }
+
+  await saveEmbeddingsToFile(cachedDocuments);
+  await refreshEmbeddingDrift();
+  return toEmbed.length;
+}
+
+/**
+ * Read the source files of categories about to be rewritten
+ *
+ * A file is only rewritten from cachedDocuments when every valid item in it
+ * is being served from that category; otherwise items edited or added by
+ * hand since loading would be lost. A missing file is recreated.
+ *
+ * @param {Set<string>} categories - Categories whose files will be rewritten
+ * @returns {Promise<Map>} Category → { items, invalidItems }
+ * @throws {SourceConflictError} When a file is unreadable or has unknown items
+ */
+async function readSourcesForRewrite(categories) {
+  const files = new Map();
+
+  for (const category of categories) {
+    const source = getSource(category);
+    let file;
+    try {
+      file = await readSourceFile(source);
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        throw new SourceConflictError(
+          `${source.file} can't be read (${err.message}); fix it and restart before editing this category`,
+          { file: source.file }
+        );
+      }
+      file = { items: [], invalidItems: [] };
+    }
+
+    const servedIds = new Set(
+      cachedDocuments
+        .filter((doc) => doc.data.category === category)
+        .map((doc) => doc.id)
+    );
+    const unknownIds = file.items
+      .map((item) => item.id)
+      .filter((id) => !servedIds.has(id));
+    if (unknownIds.length > 0) {
+      throw new SourceConflictError(
+        `${source.file} has items that aren't loaded (${unknownIds.join(", ")}); restart to load them before editing this category`,
+        { file: source.file, ids: unknownIds }
+      );
+    }
+
+    files.set(category, file);
+  }
+
+  return files;
+}
+
+/**
+ * Recompare the served embeddings with the source files (for /health)
+ */
+async function refreshEmbeddingDrift() {
+  const { documents } = await loadSourceDocuments(getDocumentSources());
+  embeddingDrift = {
+    ...getCacheDrift(documents, cachedDocuments),
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+// Documents ingested from Markdown, CSV or text files are edited in the file itself
+const READ_ONLY_DOCUMENT_ERROR =
+  "Document comes from an ingested file and can't be edited through the API";
+
+// Every admin route requires the admin key
+app.use("/admin", requireAdminKey);
+
+/**
+ * List knowledge base documents, optionally for a single category
+ *
+ * GET /admin/documents?category=substitutions
+ */
+app.get("/admin/documents", async (req, res) => {
+  const { category } = req.query;
+
+  if (category !== undefined && !getSource(category)) {
+    return res.status(400).json({ error: `Unknown category: ${category}` });
+  }
+
+  try {
+    const documents = (await initializeDocuments())
+      .filter((doc) => !category || doc.data.category === category)
+      .map(describeDocument);
+
+    res.json({ count: documents.length, documents: documents });
+  } catch (err) {
+    console.error(`[${req.id}] Error listing documents:`, err);
+    sendFailure(req, res, err, "Failed to list documents");
+  }
+});
+
+/**
+ * Export a category as JSON, in the format accepted by the import endpoint
+ *
+ * GET /admin/documents/export?category=substitutions
+ */
+app.get("/admin/documents/export", async (req, res) => {
+  const { category } = req.query;
+
+  if (!getSource(category)) {
+    return res.status(400).json({ error: "A valid category is required" });
+  }
+
+  try {
+    const documents = (await initializeDocuments())
+      .filter((doc) => doc.data.category === category)
+      .map(({ id, data }) => ({
+        id,
+        prompt: data.title,
+        response: data.snippet,
+      }));
+
+    res.set("Content-Disposition", `attachment; filename="${category}.json"`);
+    res.json({
+      category: category,
+      exportedAt: new Date().toISOString(),
+      count: documents.length,
+      documents: documents,
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Error exporting documents:`, err);
+    sendFailure(req, res, err, "Failed to export documents");
+  }
+});
+
+/**
+ * Bulk import documents into a category
+ *
+ * POST /admin/documents/import
+ * { "category": "substitutions", "documents": [{ "id"?, "prompt", "response" }], "mode": "merge" | "replace" }
+ *
+ * - merge (default): items with a known id are updated, others are added
+ * - replace: the category ends up containing exactly the imported items
+ */
+app.post("/admin/documents/import", async (req, res) => {
+  const { category, documents, mode = "merge" } = req.body ?? {};
+
+  if (!isEditableSource(getSource(category))) {
+    return res
+      .status(400)
+      .json({ error: "A category backed by a JSON source file is required" });
+  }
+  if (!Array.isArray(documents)) {
+    return res.status(400).json({ error: "documents must be an array" });
+  }
+  if (!["merge", "replace"].includes(mode)) {
+    return res.status(400).json({ error: "mode must be merge or replace" });
+  }
+
+  // Validate every item up front and report all problems at once
+  const errors = [];
+  const seenIds = new Set();
+  const items = documents.map((item, index) => {
+    const { value, error } = validateDocumentInput(item, {
+      requireCategory: false,
+    });
+    const id = item?.id;
+
+    if (error) {
+      errors.push({ index, error });
+    } else if (
+      id !== undefined &&
+      (typeof id !== "string" || !/^[a-zA-Z0-9_-]+$/.test(id))
+    ) {
+      errors.push({
+        index,
+        error: "id may only contain letters, digits, _ and -",
+      });
+    } else if (id !== undefined && seenIds.has(id)) {
+      errors.push({ index, error: `Duplicate id: ${id}` });
+    }
+
+    if (id !== undefined) seenIds.add(id);
+    return { id, value: { ...value, category } };
+  });
+
+  if (errors.length > 0) {
+    return res
+      .status(400)
+      .json({ error: "Invalid documents", details: errors });
+  }
+
+  try {
+    const result = await runAdminWrite(async () => {
+      await initializeDocuments();
+
+      const byId = new Map(cachedDocuments.map((doc) => [doc.id, doc]));
+      const usedIds = new Set(byId.keys());
+
+      // Ids of ingested (read-only) documents can't be taken over by an import
+      const readOnlyIds = items
+        .map(({ id }) => byId.get(id))
+        .filter((doc) => doc && !isEditableSource(getSource(doc.data.category)))
+        .map((doc) => doc.id);
+      if (readOnlyIds.length > 0) {
+        return { readOnlyIds };
+      }
+      const upserts = [];
+      let created = 0;
+      let updated = 0;
+      let unchanged = 0;
+
+      for (const { id, value } of items) {
+        const existing = id !== undefined ? byId.get(id) : undefined;
+        const docId = id ?? nextDocumentId(category, usedIds);
+        usedIds.add(docId);
+
+        const doc = buildDocument(docId, value, existing);
+        if (!existing) created++;
+        else if (doc.embedding && existing.data.category === category)
+          unchanged++;
+        else updated++;
+
+        upserts.push(doc);
+      }
+
+      // In replace mode, drop documents of the category missing from the import
+      const importedIds = new Set(upserts.map((doc) => doc.id));
+      const deleteIds =
+        mode === "replace"
+          ? cachedDocuments
+              .filter(
+                (doc) =>
+                  doc.data.category === category && !importedIds.has(doc.id)
+              )
+              .map((doc) => doc.id)
+          : [];
+
+      const embedded = await commitDocumentChanges(upserts, deleteIds);
+
+      return {
+        created,
+        updated,
+        unchanged,
+        deleted: deleteIds.length,
+        embedded,
+      };
+    });
+
+    if (result.readOnlyIds) {
+      return res.status(409).json({
+        error: READ_ONLY_DOCUMENT_ERROR,
+        ids: result.readOnlyIds,
+      });
+    }
+
+    res.json({ category: category, mode: mode, ...result });
+  } catch (err) {
+    console.error(`[${req.id}] Error importing documents:`, err);
+    sendFailure(req, res, err, "Failed to import documents");
+  }
+});
+
+/**
+ * Get a single knowledge base document
+ */
+app.get("/admin/documents/:id", async (req, res) => {
+  try {
+    const doc = (await initializeDocuments()).find(
+      (cached) => cached.id === req.params.id
+    );
+    if (!doc) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    res.json(describeDocument(doc));
+  } catch (err) {
+    console.error(`[${req.id}] Error reading document:`, err);
+    sendFailure(req, res, err, "Failed to read document");
+  }
+});
+
+/**
+ * Add a document to the knowledge base
+ *
+ * POST /admin/documents { "prompt": "...", "response": "...", "category": "substitutions" }
+ */
+app.post("/admin/documents", async (req, res) => {
+  const { value, error } = validateDocumentInput(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const doc = await runAdminWrite(async () => {
+      await initializeDocuments();
+
+      const id = nextDocumentId(
+        value.category,
+        new Set(cachedDocuments.map((cached) => cached.id))
+      );
+      const newDoc = buildDocument(id, value);
+      await commitDocumentChanges([newDoc]);
+      return newDoc;
+    });
+
+    res.status(201).json(describeDocument(doc));
+  } catch (err) {
+    console.error(`[${req.id}] Error adding document:`, err);
+    sendFailure(req, res, err, "Failed to add document");
+  }
+});
+
+/**
+ * Replace a document's prompt, response and category
+ *
+ * The document is only re-embedded when its text changes.
+ */
+app.put("/admin/documents/:id", async (req, res) => {
+  const { value, error } = validateDocumentInput(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const result = await runAdminWrite(async () => {
+      await initializeDocuments();
+
+      const existing = cachedDocuments.find(
+        (cached) => cached.id === req.params.id
+      );
+      if (!existing) return null;
+      if (!isEditableSource(getSource(existing.data.category))) {
+        return { readOnly: true };
+      }
+
+      const doc = buildDocument(existing.id, value, existing);
+      const embedded = await commitDocumentChanges([doc]);
+      return { doc, embedded };
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+    if (result.readOnly) {
+      return res.status(409).json({ error: READ_ONLY_DOCUMENT_ERROR });
+    }
+
+    res.json({
+      ...describeDocument(result.doc),
+      reembedded: result.embedded > 0,
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Error updating document:`, err);
+    sendFailure(req, res, err, "Failed to update document");
+  }
+});
+
+/**
+ * Remove a document from the knowledge base
+ */
+app.delete("/admin/documents/:id", async (req, res) => {
+  try {
+    const outcome = await runAdminWrite(async () => {
+      await initializeDocuments();
+
+      const existing = cachedDocuments.find(
+        (cached) => cached.id === req.params.id
+      );
+      if (!existing) return "missing";
+      if (!isEditableSource(getSource(existing.data.category))) {
+        return "readOnly";
+      }
+
+      await commitDocumentChanges([], [req.params.id]);
+      return "deleted";
+    });
+
+    if (outcome === "missing") {
+      return res.status(404).json({ error: "Document not found" });
+    }
+    if (outcome === "readOnly") {
+      return res.status(409).json({ error: READ_ONLY_DOCUMENT_ERROR });
+    }
+
+    res.status(204).end();
+  } catch (err) {
+    console.error(`[${req.id}] Error deleting document:`, err);
+    sendFailure(req, res, err, "Failed to delete document");
+  }
+});
+
+/**
+ * Enhanced health check endpoint - returns comprehensive server status and metrics
+ * Useful for monitoring, load balancers, and debugging
+ */
+app.get("/health", async (req, res) => {
+  try {
+    // Get system information
+    const memoryStats = getMemoryStats();
+    const uptime = getUptimeFormatted();
+
+    // Calculate basic stats
+    const categoryCount = cachedDocuments.reduce((acc, doc) => {
+      acc[doc.data.category] = (acc[doc.data.category] || 0) + 1;
+      return acc;
+    }, {});
+
+    // Check if embeddings files exist
+    const embeddingsFile = await getEmbeddingFileInfo(EMBEDDINGS_DIR);
+    const embeddingsFileSize = Math.round(
+      (embeddingsFile.size ?? 0) / 1024 / 1024
+    ); // Size in MB
+
+    // Determine overall health status ("degraded" while a provider
+    // circuit breaker isn't closed)
+    const isHealthy = cachedDocuments.length > 0 && provider.isConfigured();
+    const circuits = provider.circuitStatus();
+    const circuitTripped = Object.values(circuits).some(
+      (circuit) => circuit.state !== "closed"
+    );
+
+    res.json({
+      // Basic health info
+      status: !isHealthy
+        ? "unhealthy"
+        : circuitTripped
+          ? "degraded"
+          : "healthy",
+      timestamp: new Date().toISOString(),
+
+      // Server information
+      server: {
+        uptime: uptime,
+        startedAt: serverStartTime.toISOString(),
+        nodeVersion: process.version,
+        platform: process.platform,
+        environment: process.env.NODE_ENV || "development",
+      },
+
+      // Knowledge base status
+      knowledgeBase: {
+        documentsLoaded: cachedDocuments.length,
+        categoriesCount: Object.keys(categoryCount).length,
+        categories: Object.keys(categoryCount).sort(),
+        embeddingsReady: cachedDocuments.length > 0,
+        embeddingsComputedAt: embeddingsComputedAt?.toISOString() || null,
+        embeddingsFileExists: embeddingsFile.exists,
+        embeddingsFileFormat: embeddingsFile.exists
+          ? (embeddingsFile.header?.encoding ?? embeddingsFile.format)
+          : null, // float32, int8 or json (legacy)
+        embeddingsFileSize: `${embeddingsFileSize} MB`,
+        // Source edits made since startup are picked up on the next restart;
+        // drift is as of driftCheckedAt (document load or last admin write)
+        embeddingCache: {
+          model: provider.embeddingModel,
+          modelVersion: EMBEDDING_MODEL_VERSION,
+          staleDocuments: embeddingDrift?.stale ?? null,
+          missingDocuments: embeddingDrift?.missing ?? null,
+          orphanedEmbeddings: embeddingDrift?.orphaned ?? null,
+          driftCheckedAt: embeddingDrift?.checkedAt ?? null,
+          lastSync: lastEmbeddingSync,
+        },
+        // Invalid manifest entries, unreadable files and rejected items
+        sourceIssues: sourceIssues.map(describeSourceIssue),
+        // Food safety documents that disagree with the safety guard's table
+        foodSafetyTableIssues: foodSafetyTableIssues,
+      },
+
+      // API usage stats
+      usage: {
+        totalQueries: totalQueries,
+        lastQueryAt: lastQueryTime?.toISOString() || null,
+        queriesPerHour: recentQueries.count(), // Queries in the last 60 minutes
+      },
+
+      // Provider calls: circuit breakers per call group (see
+      // lib/providers/resilience.js)
+      upstream: {
+        circuits: circuits,
+        timeoutMs: PROVIDER_TIMEOUT_MS,
+        degradedMode: DEGRADED_MODE_ENABLED,
+      },
+
+      // System resources
+      system: {
+        memory: memoryStats,
+        pid: process.pid,
+      },
+
+      // Configuration status
+      config: {
+        cohereApiConfigured: !!process.env.COHERE_API_KEY,
+        llmProvider: provider.name,
+        providerConfigured: provider.isConfigured(),
+        embeddingModel: provider.embeddingModel,
+        chatModel: provider.chatModel,
+        corsEnabled: true,
+        rateLimitingActive: true,
+        apiKeysRequired: apiClients.size > 0,
+        rateLimitStore: rateLimiter.store.name,
+        chatToolsEnabled: CHAT_TOOLS_ENABLED,
+        foodSafetyGuard: SAFETY_GUARD_MODE,
+        profileStore: profileStore.name,
+        moderationDomainThreshold: domainThreshold,
+        responseCache: RESPONSE_CACHE_ENABLED,
+        vectorIndex: vectorIndex?.type ?? "exact",
+      },
+    });
+  } catch (err) {
+    console.error("Health check error:", err);
+    res.status(500).json({
+      status: "error",
+      error: err.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
 
 /**
  * Enhanced statistics endpoint - returns detailed knowledge base analytics
@@ -713,20 +4098,24 @@ app.get("/stats", async (req, res) => {
         magnitudes.reduce((sum, mag) => sum + mag, 0) / magnitudes.length;
     }
 
+    // Duplicates and other content issues (built once per knowledge base)
+    const qualityReport =
+      cachedDocuments.length > 0 ? getCorpusQuality().report : null;
+
     // Check embeddings file info
-    let embeddingsFileInfo = { exists: false };
-    try {
-      const stats = await fs.stat(EMBEDDINGS_FILE);
-      embeddingsFileInfo = {
-        exists: true,
-        size: stats.size,
-        sizeFormatted: `${Math.round(stats.size / 1024 / 1024)} MB`,
-        lastModified: stats.mtime.toISOString(),
-        created: stats.birthtime.toISOString(),
-      };
-    } catch (err) {
-      // File doesn't exist
-    }
+    const { header, ...fileStats } = await getEmbeddingFileInfo(EMBEDDINGS_DIR);
+    const embeddingsFileInfo = fileStats.exists
+      ? {
+          ...fileStats,
+          sizeFormatted: `${Math.round(fileStats.size / 1024 / 1024)} MB`,
+          ...(header && {
+            encoding: header.encoding,
+            count: header.count,
+            checksum: header.checksum,
+          }),
+          readMode: EMBEDDINGS_READ_MODE,
+        }
+      : fileStats;
 
     res.json({
       // Overview
@@ -742,6 +4131,37 @@ app.get("/stats", async (req, res) => {
       // Detailed category breakdown
       categories: categoryStats,
 
+      // API usage per client key
+      usage: await getClientUsage(),
+
+      // Prompts screened and blocked before reaching the chat model
+      moderation: {
+        screened: moderationStats.screened,
+        blocked: moderationStats.blocked,
+        blockRate:
+          moderationStats.screened > 0
+            ? Math.round(
+                (moderationStats.blocked / moderationStats.screened) * 1000
+              ) / 1000
+            : 0,
+        reasons: moderationStats.reasons,
+        maxPromptChars: MAX_PROMPT_CHARS,
+        domainThreshold, // null when the off-domain check is off
+        domainKeywordMargin: DOMAIN_KEYWORD_MARGIN,
+      },
+
+      // Replies served from the semantic response cache
+      responseCache: {
+        enabled: RESPONSE_CACHE_ENABLED,
+        ...responseCache.stats(),
+      },
+
+      // Duplicates, conflicts, short entries and outliers (details at /stats/quality)
+      quality: qualityReport && {
+        ...qualityReport.summary,
+        generatedAt: qualityReport.generatedAt,
+      },
+
       // Content analysis
       content: {
         averages: {
@@ -778,23 +4198,18 @@ app.get("/stats", async (req, res) => {
       // Vector embedding information
       embeddings: {
         dimension: embeddingDimension,
-        averageMagnitude: Math.round(avgEmbeddingMagnitude * 1000) / 1000, // Round to 3 decimal places
-        model: "embed-multilingual-v3.0",
+        averageMagnitude: Math.round(avgEmbeddingMagnitude * 1000) / 1000, // 1 - vectors are stored normalized
+        model: provider.embeddingModel,
         inputType: "search_document",
         fileInfo: embeddingsFileInfo,
+        index: vectorIndex ? vectorIndex.describe() : { type: "exact" }, // Nearest-neighbour search in use
       },
 
       // Performance metrics
       performance: {
         memoryUsage: memoryStats,
-        queriesPerHour:
-          totalQueries > 0
-            ? Math.round(
-                totalQueries /
-                  ((Date.now() - serverStartTime.getTime()) / (1000 * 60 * 60))
-              )
-            : 0,
-        averageDocumentsPerQuery: 8, // Top-K value
+        queriesPerHour: recentQueries.count(), // Queries in the last 60 minutes
+        averageDocumentsPerQuery: DEFAULT_TOP_K, // Default Top-K value
       },
 
       // System information
@@ -815,6 +4230,147 @@ app.get("/stats", async (req, res) => {
   }
 });
 
+/**
+ * Corpus quality report - near-duplicate clusters, conflicting answers,
+ * empty or short entries and category outliers
+ *
+ * GET /stats/quality?threshold=0.85 - a threshold other than the default
+ * builds a separate report (the default one backs /stats and retrieval).
+ * Thresholds have at most two decimals, so they can't be varied endlessly to
+ * force rebuilds.
+ */
+app.get("/stats/quality", async (req, res) => {
+  const threshold =
+    req.query.threshold === undefined ? undefined : Number(req.query.threshold);
+  // Hundredths, allowing for floating-point error (0.57 * 100 = 56.999...)
+  const hundredths = Math.round(threshold * 1e6) / 1e4;
+  if (
+    threshold !== undefined &&
+    threshold !== DUPLICATE_THRESHOLD &&
+    !(threshold > 0 && threshold <= 1 && Number.isInteger(hundredths))
+  ) {
+    return res.status(400).json({
+      error:
+        "threshold must be a number between 0 and 1 with at most two decimals",
+    });
+  }
+
+  try {
+    await initializeDocuments();
+
+    const report =
+      threshold === undefined || threshold === DUPLICATE_THRESHOLD
+        ? getCorpusQuality().report
+        : getCustomQualityReport(threshold);
+    res.json(report);
+  } catch (err) {
+    console.error(`[${req.id}] Quality report error:`, err);
+    sendFailure(req, res, err, "Failed to build the quality report");
+  }
+});
+
+/**
+ * Query analytics from the persisted query log - top questions, knowledge
+ * gaps (questions no document matched well), stage latencies, token usage
+ * and satisfaction per category
+ *
+ * GET /stats/queries?days=7&limit=20 - the last `days` days (default 30),
+ * `limit` rows per list (default 10)
+ */
+app.get("/stats/queries", async (req, res) => {
+  if (!queryLogStore) {
+    return res.status(503).json({ error: "Query logging is disabled" });
+  }
+
+  const days = req.query.days === undefined ? 30 : Number(req.query.days);
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+  if (!Number.isInteger(days) || days < 1 || days > 365) {
+    return res
+      .status(400)
+      .json({ error: "days must be an integer between 1 and 365" });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res
+      .status(400)
+      .json({ error: "limit must be an integer between 1 and 100" });
+  }
+
+  try {
+    const [entries, feedback] = await Promise.all([
+      queryLogStore.entries(),
+      queryLogStore.feedback(),
+    ]);
+
+    res.json({
+      store: queryLogStore.name,
+      prompts: QUERY_LOG_PROMPTS, // "redacted" text or only a "hash"
+      ...summarizeQueryLog(entries, feedback, {
+        since: new Date(Date.now() - days * 24 * 60 * 60 * 1000),
+        limit,
+        gapScore: KNOWLEDGE_GAP_SCORE,
+      }),
+    });
+  } catch (err) {
+    console.error("Query analytics error:", err);
+    res.status(500).json({ error: "Failed to read the query log" });
+  }
+});
+
+/**
+ * Prometheus metrics in the text exposition format
+ *
+ * GET /metrics - public like /health, unless METRICS_TOKEN is set, in which
+ * case scrapers send `Authorization: Bearer <token>`. Counters and
+ * histograms are per instance and start over on restart.
+ */
+app.get("/metrics", (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    // Constant-time comparison, as for the admin key
+    const supplied = Buffer.from(
+      req.get("authorization")?.replace(/^Bearer\s+/i, "") || ""
+    );
+    const expected = Buffer.from(token);
+    if (
+      supplied.length !== expected.length ||
+      !crypto.timingSafeEqual(supplied, expected)
+    ) {
+      return res
+        .status(401)
+        .json({ error: "Invalid or missing metrics token" });
+    }
+  }
+
+  // Point-in-time values are read at scrape time (documents once loaded)
+  metrics.documents.reset();
+  const categoryCount = cachedDocuments.reduce((acc, doc) => {
+    acc[doc.data.category] = (acc[doc.data.category] || 0) + 1;
+    return acc;
+  }, {});
+  for (const [category, count] of Object.entries(categoryCount)) {
+    metrics.documents.set({ category }, count);
+  }
+  metrics.responseCacheEntries.set({}, responseCache.stats().entries);
+  metrics.queriesLastHour.set({}, recentQueries.count());
+  for (const [circuit, status] of Object.entries(provider.circuitStatus())) {
+    metrics.circuitState.set(
+      { circuit },
+      ["closed", "half_open", "open"].indexOf(status.state)
+    );
+  }
+  metrics.uptime.set(
+    {},
+    Math.round((Date.now() - serverStartTime.getTime()) / 1000)
+  );
+  const memory = process.memoryUsage();
+  metrics.memory.set({ type: "rss" }, memory.rss);
+  metrics.memory.set({ type: "heap_used" }, memory.heapUsed);
+  metrics.memory.set({ type: "heap_total" }, memory.heapTotal);
+  metrics.memory.set({ type: "external" }, memory.external);
+
+  res.set("Content-Type", METRICS_CONTENT_TYPE).send(metrics.registry.render());
+});
+
 // ============================================================================
 // VERCEL SERVERLESS EXPORT
 // ============================================================================
@@ -832,8 +4388,27 @@ if (process.env.NODE_ENV !== "production") {
     console.log("📚 Loading comprehensive culinary knowledge base...");
     console.log("💡 Endpoints available:");
     console.log("   POST /prompt  - Main chat interface");
+    console.log("   POST /prompt/stream - Streaming chat (Server-Sent Events)");
+    console.log("   GET  /search  - Retrieval-only document search");
+    console.log("   POST /feedback - Rate a chat reply");
+    console.log("   POST /conversations - Start a multi-turn conversation");
+    console.log("   GET  /conversations - List stored conversations");
+    console.log("   POST /profiles - Create an allergen/diet profile");
+    console.log("   GET  /tools   - Tools the chat model can call");
+    console.log("   POST /tools/convert - Unit and temperature conversion");
+    console.log("   POST /tools/scale - Scale ingredient lists");
+    console.log(
+      "   *    /admin/documents - Knowledge base admin (ADMIN_API_KEY)"
+    );
     console.log("   GET  /health  - Enhanced server health check");
-    console.log("   GET  /stats   - Detailed knowledge base statistics");
+    console.log("   GET  /metrics - Prometheus metrics");
+    console.log(
+      "   GET  /stats   - Detailed knowledge base statistics and API usage"
+    );
+    console.log("   GET  /stats/quality - Duplicates, conflicts and outliers");
+    console.log(
+      "   GET  /stats/queries - Top questions, knowledge gaps and satisfaction"
+    );
     console.log(`🍳 CulinaryGPT Server listening on http://localhost:${PORT}`);
   });
 }
@@ -859,6 +4434,7 @@ RAG (Retrieval-Augmented Generation) Architecture:
    - Provide retrieved documents as context to AI model
    - Generate response grounded in retrieved knowledge
    - Return response with citations and metadata
+   - If the chat model is down, return the retrieved snippets instead
 
 Benefits:
 - Provides accurate, domain-specific responses
@@ -867,7 +4443,8 @@ Benefits:
 - Scales to large knowledge bases efficiently
 
 Performance Optimizations:
-- Batch embedding generation to respect API limits
+- Batch embedding generation to respect API limits, resumable after a failure
+- Timeouts, retries with backoff and circuit breakers around provider calls
 - Cache embeddings to disk to avoid re-computation
 - Use cosine similarity for fast vector search
 - Limit context to top-K documents for response quality
@@ -0,0 +1,96 @@
+/**
+ * Conversation storage - per-client ownership and history folding
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  MemoryConversationStore,
+  FileConversationStore,
+  createConversation,
+  describeTranscript,
+  isConversationOwner,
+  appendTurn,
+  buildChatHistory,
+  MAX_HISTORY_TURNS,
+} from "../lib/conversations.js";
+
+test("a conversation belongs only to the client that created it", () => {
+  const conversation = createConversation("Bread", "key:web");
+
+  assert.equal(isConversationOwner(conversation, "key:web"), true);
+  assert.equal(isConversationOwner(conversation, "key:batch"), false);
+  assert.equal(isConversationOwner(conversation, null), false);
+});
+
+test("ownerless conversations are not shared with key holders", () => {
+  const conversation = createConversation("Open");
+  delete conversation.ownerId; // Stored before conversations had owners
+
+  assert.equal(isConversationOwner(conversation, null), true);
+  assert.equal(isConversationOwner(conversation, "key:web"), false);
+});
+
+test("transcripts don't expose the owning client", () => {
+  const transcript = describeTranscript(createConversation("Soup", "key:web"));
+
+  assert.equal("ownerId" in transcript, false);
+  assert.equal(transcript.title, "Soup");
+});
+
+for (const [name, createStore] of [
+  ["memory", async () => new MemoryConversationStore()],
+  [
+    "file",
+    async () =>
+      new FileConversationStore(
+        await fs.mkdtemp(path.join(os.tmpdir(), "conversations-"))
+      ),
+  ],
+]) {
+  test(`${name} store lists only the client's conversations`, async (t) => {
+    const store = await createStore();
+    if (store.directory) {
+      t.after(() => fs.rm(store.directory, { recursive: true, force: true }));
+    }
+
+    const web = await store.save(createConversation("Web", "key:web"));
+    await store.save(createConversation("Batch", "key:batch"));
+    await store.save(createConversation("Open", null));
+
+    assert.deepEqual(
+      (await store.list("key:web")).map((conversation) => conversation.id),
+      [web.id]
+    );
+    assert.deepEqual(
+      (await store.list(null)).map((conversation) => conversation.title),
+      ["Open"]
+    );
+
+    // The owner survives a round trip through the store
+    assert.equal((await store.get(web.id)).ownerId, "key:web");
+  });
+}
+
+test("folds turns beyond the history window into the summary", () => {
+  const conversation = createConversation(null, "key:web");
+
+  for (let i = 1; i <= MAX_HISTORY_TURNS + 2; i++) {
+    appendTurn(conversation, {
+      prompt: `Question ${i}`,
+      response: `Answer ${i}`,
+    });
+  }
+
+  assert.equal(conversation.title, "Question 1");
+  assert.equal(conversation.turns.length, MAX_HISTORY_TURNS);
+  assert.equal(conversation.summarizedTurns, 2);
+  assert.deepEqual(conversation.summary.topics, ["Question 1", "Question 2"]);
+
+  const history = buildChatHistory(conversation);
+  assert.equal(history[0].role, "SYSTEM");
+  assert.equal(history.length, 1 + MAX_HISTORY_TURNS * 2);
+});
@@ -0,0 +1,134 @@
+/**
+ * Embedding cache - binary round trips, corruption and source diffs
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  writeEmbeddingCache,
+  readEmbeddingCache,
+  embeddingFiles,
+  diffEmbeddingCache,
+  getCacheDrift,
+} from "../lib/embeddingCache.js";
+
+const MODEL = "test-model";
+
+function document(id, snippet, embedding, category = "techniques") {
+  return {
+    id,
+    data: { title: id, snippet, category },
+    ...(embedding && { embedding }),
+  };
+}
+
+const documents = () => [
+  document("sear", "Pat the steak dry before searing.", [0.6, 0.8, 0]),
+  document("rest", "Rest meat before slicing.", [0, 0, 1]),
+  document("brine", "Brine chicken overnight.", [1, 0, 0], "food_safety"),
+];
+
+async function tempDirectory(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), "embeddings-"));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+for (const [encoding, readMode, tolerance] of [
+  ["float32", "buffer", 1e-7],
+  ["float32", "stream", 1e-7],
+  ["int8", "buffer", 1e-2],
+]) {
+  test(`round-trips ${encoding} vectors (${readMode} read)`, async (t) => {
+    const directory = await tempDirectory(t);
+    await writeEmbeddingCache(directory, documents(), MODEL, { encoding });
+
+    const cache = await readEmbeddingCache(directory, { readMode });
+    assert.equal(cache.format, encoding);
+    assert.equal(cache.header.model, MODEL);
+    assert.deepEqual(
+      cache.documents.map((doc) => [doc.id, doc.data.category]),
+      documents().map((doc) => [doc.id, doc.data.category])
+    );
+
+    cache.documents.forEach((doc, i) => {
+      assert.ok(doc.embedding instanceof Float32Array);
+      documents()[i].embedding.forEach((value, j) => {
+        assert.ok(Math.abs(doc.embedding[j] - value) < tolerance, doc.id);
+      });
+    });
+  });
+}
+
+test("ignores a vector file that doesn't match its checksum", async (t) => {
+  const directory = await tempDirectory(t);
+  await writeEmbeddingCache(directory, documents(), MODEL, {
+    encoding: "float32",
+  });
+
+  const { vectors } = embeddingFiles(directory);
+  const buffer = await fs.readFile(vectors);
+  buffer[0] ^= 0xff;
+  await fs.writeFile(vectors, buffer);
+
+  t.mock.method(console, "warn", () => {});
+  assert.equal(await readEmbeddingCache(directory), null);
+});
+
+test("re-embeds only edited and new documents", async (t) => {
+  const directory = await tempDirectory(t);
+  await writeEmbeddingCache(directory, documents(), MODEL);
+  const { documents: cached } = await readEmbeddingCache(directory);
+
+  const sources = [
+    document("sear", "Pat the steak dry before searing."),
+    document("rest", "Rest meat for 10 minutes before slicing."), // Edited
+    document("baste", "Baste with butter."), // New
+  ];
+
+  assert.deepEqual(getCacheDrift(sources, cached), {
+    stale: 1,
+    missing: 1,
+    orphaned: 1,
+  });
+
+  const diff = diffEmbeddingCache(sources, cached, MODEL);
+  assert.equal(diff.rebuildReason, null);
+  assert.deepEqual(
+    diff.toEmbed.map((doc) => doc.id),
+    ["rest", "baste"]
+  );
+  assert.equal(diff.changed, 1);
+  assert.deepEqual(diff.removedIds, ["brine"]);
+  assert.equal(diff.documents[0].embedding, cached[0].embedding);
+});
+
+test("keeps cached documents of categories that failed to load", async (t) => {
+  const directory = await tempDirectory(t);
+  await writeEmbeddingCache(directory, documents(), MODEL);
+  const { documents: cached } = await readEmbeddingCache(directory);
+
+  const diff = diffEmbeddingCache(documents().slice(0, 2), cached, MODEL, {
+    preserveCategories: ["food_safety"],
+  });
+
+  assert.equal(diff.preserved, 1);
+  assert.deepEqual(diff.removedIds, []);
+  assert.deepEqual(
+    diff.documents.map((doc) => doc.id),
+    ["sear", "rest", "brine"]
+  );
+});
+
+test("rebuilds everything when the model changes", async (t) => {
+  const directory = await tempDirectory(t);
+  await writeEmbeddingCache(directory, documents(), MODEL);
+  const { documents: cached } = await readEmbeddingCache(directory);
+
+  const diff = diffEmbeddingCache(documents(), cached, "other-model");
+  assert.match(diff.rebuildReason, /model changed from test-model/);
+  assert.equal(diff.toEmbed.length, 3);
+});
@@ -0,0 +1,52 @@
+/**
+ * Profiles - validation of profile input
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateProfileInput } from "../lib/profiles.js";
+
+test("normalizes allergens and diets", () => {
+  const { value } = validateProfileInput({
+    allergens: ["Milk", "peanuts"],
+    diets: ["Gluten-free"],
+  });
+
+  assert.deepEqual(value.allergens, ["dairy", "peanuts"]);
+  assert.deepEqual(value.diets, ["gluten_free"]);
+});
+
+test("accepts allergies as another name for allergens", () => {
+  const { value } = validateProfileInput({ allergies: ["peanuts"] });
+  assert.deepEqual(value.allergens, ["peanuts"]);
+
+  assert.match(
+    validateProfileInput({ allergens: ["eggs"], allergies: ["peanuts"] }).error,
+    /aliases/
+  );
+});
+
+test("rejects unknown fields instead of ignoring them", () => {
+  const { error } = validateProfileInput({ allergen: ["peanuts"] });
+  assert.match(error, /Unknown profile field: allergen/);
+
+  assert.match(
+    validateProfileInput(
+      { units: "metric", diet: "vegan", skill: "beginner" },
+      {
+        partial: true,
+      }
+    ).error,
+    /Unknown profile fields: diet, skill/
+  );
+});
+
+test("ignores read-only fields sent back from a fetched profile", () => {
+  const { value, error } = validateProfileInput(
+    { id: "p1", createdAt: "2025-01-01", updatedAt: "2025-01-02", units: "us" },
+    { partial: true }
+  );
+
+  assert.equal(error, undefined);
+  assert.deepEqual(value, { units: "us" });
+});
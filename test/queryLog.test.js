@@ -0,0 +1,86 @@
+/**
+ * Query log - file store rotation, lookups and client ids
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  FileQueryLogStore,
+  loggedClientId,
+  redactText,
+} from "../lib/queryLog.js";
+
+async function tempDirectory(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), "query-log-"));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+const entry = (id) => ({ id, prompt: `Question ${id}` });
+
+test("rotates the log file so it stays bounded", async (t) => {
+  const directory = await tempDirectory(t);
+  const store = new FileQueryLogStore(directory, 2);
+
+  for (const id of ["a", "b", "c", "d", "e"]) await store.append(entry(id));
+
+  // "a" and "b" were rotated out twice over; queries.1.jsonl holds c and d
+  assert.deepEqual(
+    (await store.entries()).map((logged) => logged.id),
+    ["c", "d", "e"]
+  );
+  assert.equal(await store.get("a"), null);
+  assert.equal((await store.get("d")).prompt, "Question d");
+
+  const files = (await fs.readdir(directory)).sort();
+  assert.deepEqual(files, ["queries.1.jsonl", "queries.jsonl"]);
+});
+
+test("reads both generations back after a restart", async (t) => {
+  const directory = await tempDirectory(t);
+  const first = new FileQueryLogStore(directory, 2);
+  for (const id of ["a", "b", "c"]) await first.append(entry(id));
+  await first.appendFeedback({ responseId: "c", rating: "up" });
+
+  const restarted = new FileQueryLogStore(directory, 2);
+  assert.deepEqual(
+    (await restarted.entries()).map((logged) => logged.id),
+    ["a", "b", "c"]
+  );
+  assert.equal((await restarted.get("b")).id, "b");
+  assert.deepEqual(await restarted.feedback(), [
+    { responseId: "c", rating: "up" },
+  ]);
+});
+
+test("concurrent appends are all kept", async (t) => {
+  const directory = await tempDirectory(t);
+  const store = new FileQueryLogStore(directory, 3);
+
+  await Promise.all(
+    Array.from({ length: 5 }, (_, i) => store.append(entry(`q${i}`)))
+  );
+
+  const restarted = new FileQueryLogStore(directory, 3);
+  assert.equal((await restarted.entries()).length, 5);
+});
+
+test("logs anonymous clients by a hash of their address", () => {
+  assert.equal(loggedClientId("key:web"), "key:web");
+
+  const anonymous = loggedClientId("ip:203.0.113.7");
+  assert.match(anonymous, /^ip:[0-9a-f]{16}$/);
+  assert.equal(anonymous, loggedClientId("ip:203.0.113.7"));
+  assert.notEqual(anonymous, loggedClientId("ip:203.0.113.8"));
+});
+
+test("redacts emails, URLs and long numbers", () => {
+  assert.equal(
+    redactText("Mail me at cook@example.com or see https://example.com/x"),
+    "Mail me at [email] or see [url]"
+  );
+  assert.equal(redactText("Call +1 555 010 9999"), "Call [number]");
+});
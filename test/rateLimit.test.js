@@ -0,0 +1,137 @@
+/**
+ * Rate limiter - sliding windows, rejected requests and API key parsing
+ */
+
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  RateLimiter,
+  MemoryRateLimitStore,
+  parseApiKeys,
+  findClient,
+} from "../lib/rateLimit.js";
+
+const MINUTE_MS = 60 * 1000;
+
+// Start of a minute window, so elapsed fractions are easy to reason about
+const WINDOW_START = Math.floor(Date.UTC(2025, 0, 1) / MINUTE_MS) * MINUTE_MS;
+
+const realNow = Date.now;
+let now;
+
+beforeEach(() => {
+  now = WINDOW_START;
+  Date.now = () => now;
+});
+
+afterEach(() => {
+  Date.now = realNow;
+});
+
+function client(limits = {}) {
+  return {
+    id: "key:test",
+    name: "test",
+    limits: { rpm: 3, rpd: 100, tokensPerDay: 1000, ...limits },
+  };
+}
+
+/**
+ * Memory store whose operations complete asynchronously, like a shared store
+ */
+class SlowStore extends MemoryRateLimitStore {
+  async getMany(keys) {
+    await new Promise((resolve) => setImmediate(resolve));
+    return super.getMany(keys);
+  }
+
+  async increment(key, amount, ttlMs) {
+    await new Promise((resolve) => setImmediate(resolve));
+    return super.increment(key, amount, ttlMs);
+  }
+}
+
+test("allows requests up to the per-minute limit, then rejects", async () => {
+  const limiter = new RateLimiter(new MemoryRateLimitStore());
+
+  for (const remaining of [2, 1, 0]) {
+    const result = await limiter.consume(client());
+    assert.equal(result.allowed, true);
+    assert.equal(result.remaining, remaining);
+  }
+
+  const rejected = await limiter.consume(client());
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.quota, "requests_per_minute");
+  assert.equal(rejected.limit, 3);
+  // The window must end, then its 3 hits fade to 2: a third of the next one
+  assert.equal(rejected.retryAfter, 80);
+});
+
+test("does not count rejected requests", async () => {
+  const limiter = new RateLimiter(new MemoryRateLimitStore());
+
+  for (let i = 0; i < 6; i++) await limiter.consume(client());
+
+  const usage = await limiter.getUsage(client());
+  assert.equal(usage.requestsLastMinute, 3);
+  assert.equal(usage.requestsLastDay, 3);
+  assert.equal(limiter.getClientStats(client()).rejectedRequests, 3);
+});
+
+test("weights the previous window by its remaining overlap", async () => {
+  const limiter = new RateLimiter(new MemoryRateLimitStore());
+  for (let i = 0; i < 3; i++) await limiter.consume(client());
+
+  // Halfway through the next window the 3 earlier hits count as 1.5
+  now = WINDOW_START + MINUTE_MS * 1.5;
+  assert.equal((await limiter.consume(client())).allowed, true); // 2.5
+  assert.equal((await limiter.consume(client())).allowed, false); // 3.5
+
+  // A window later they no longer count
+  now = WINDOW_START + MINUTE_MS * 2.5;
+  const usage = await limiter.getUsage(client());
+  assert.equal(usage.requestsLastMinute, 1); // 1 * 0.5 + 0, rounded
+  assert.equal((await limiter.consume(client())).allowed, true);
+});
+
+test("concurrent requests can't exceed the limit together", async () => {
+  const limiter = new RateLimiter(new SlowStore());
+
+  const results = await Promise.all(
+    Array.from({ length: 10 }, () => limiter.consume(client()))
+  );
+
+  assert.equal(results.filter((result) => result.allowed).length, 3);
+  assert.equal((await limiter.getUsage(client())).requestsLastMinute, 3);
+});
+
+test("checks the daily token budget only when asked to", async () => {
+  const limiter = new RateLimiter(new MemoryRateLimitStore());
+  await limiter.recordTokens(client(), 1000);
+
+  assert.equal((await limiter.consume(client())).allowed, true);
+
+  const rejected = await limiter.consume(client(), { checkTokens: true });
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.quota, "tokens_per_day");
+});
+
+test("parses key:name lists, splitting at the last colon", () => {
+  const clients = parseApiKeys("sk:with:colons:web, plain-key ,other:batch");
+
+  assert.equal(clients.size, 3);
+  assert.equal(findClient(clients, "sk:with:colons").name, "web");
+  assert.equal(findClient(clients, "plain-key").name, "client-2");
+  assert.equal(findClient(clients, "other").id, "key:batch");
+  assert.equal(findClient(clients, "sk"), null);
+});
+
+test("parses JSON key lists with per-key limits", () => {
+  const clients = parseApiKeys(
+    '[{"key":"a:b","name":"web","rpm":30},{"key":"c","name":"batch"}]'
+  );
+
+  assert.equal(findClient(clients, "a:b").limits.rpm, 30);
+  assert.equal(findClient(clients, "c").name, "batch");
+});
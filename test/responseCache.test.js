@@ -0,0 +1,106 @@
+/**
+ * Response cache - similarity threshold, TTL, LRU eviction and variants
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SemanticResponseCache, cacheVariant } from "../lib/responseCache.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 0, 1);
+
+// Unit vector at `similarity` to [1, 0]
+const embeddingAt = (similarity) => [
+  similarity,
+  Math.sqrt(1 - similarity * similarity),
+];
+
+const variant = cacheVariant({ clientId: "key:web", format: "text" });
+
+function entry(text) {
+  return {
+    body: { text },
+    cost: { chatCalls: 1, tokens: 100, generationMs: 500 },
+  };
+}
+
+function createCache(options) {
+  return new SemanticResponseCache({
+    threshold: 0.9,
+    ttlMs: HOUR_MS,
+    maxEntries: 10,
+    ...options,
+  });
+}
+
+test("hits only at or above the similarity threshold", () => {
+  const cache = createCache();
+  cache.store([1, 0], variant, entry("pancakes"), NOW);
+
+  const hit = cache.lookup(embeddingAt(0.95), variant, NOW);
+  assert.equal(hit.body.text, "pancakes");
+  assert.ok(Math.abs(hit.similarity - 0.95) < 1e-9);
+
+  assert.equal(cache.lookup(embeddingAt(0.85), variant, NOW), null);
+
+  const stats = cache.stats();
+  assert.equal(stats.hits, 1);
+  assert.equal(stats.misses, 1);
+  assert.deepEqual(stats.estimatedSavings, {
+    chatCalls: 1,
+    tokens: 100,
+    generationMs: 500,
+  });
+});
+
+test("expires entries after the TTL", () => {
+  const cache = createCache();
+  cache.store([1, 0], variant, entry("pancakes"), NOW);
+
+  assert.ok(cache.lookup([1, 0], variant, NOW + HOUR_MS));
+  assert.equal(cache.lookup([1, 0], variant, NOW + HOUR_MS + 1), null);
+  assert.equal(cache.stats().expirations, 1);
+  assert.equal(cache.stats().entries, 0);
+});
+
+test("evicts the least recently used entry", () => {
+  const cache = createCache({ maxEntries: 2 });
+  cache.store([1, 0], variant, entry("first"), NOW);
+  cache.store([0, 1], variant, entry("second"), NOW);
+
+  cache.lookup([1, 0], variant, NOW); // "first" is now the most recent
+  cache.store([-1, 0], variant, entry("third"), NOW);
+
+  assert.equal(cache.stats().evictions, 1);
+  assert.equal(cache.lookup([0, 1], variant, NOW), null);
+  assert.equal(cache.lookup([1, 0], variant, NOW).body.text, "first");
+  assert.equal(cache.lookup([-1, 0], variant, NOW).body.text, "third");
+});
+
+test("never serves a reply to another client or variant", () => {
+  const cache = createCache();
+  cache.store([1, 0], variant, entry("pancakes"), NOW);
+
+  for (const other of [
+    { clientId: "key:batch", format: "text" },
+    { clientId: "ip:10.0.0.1", format: "text" },
+    { clientId: "key:web", format: "recipe" },
+    { clientId: "key:web", format: "text", profile: { id: "p1" } },
+  ]) {
+    assert.equal(cache.lookup([1, 0], cacheVariant(other), NOW), null);
+  }
+  assert.ok(cache.lookup([1, 0], variant, NOW));
+});
+
+test("clearing drops every entry and records why", () => {
+  const cache = createCache();
+  cache.store([1, 0], variant, entry("pancakes"), NOW);
+
+  cache.clear("knowledge base changed");
+
+  assert.equal(cache.lookup([1, 0], variant, NOW), null);
+  const stats = cache.stats();
+  assert.equal(stats.entries, 0);
+  assert.equal(stats.invalidations, 1);
+  assert.equal(stats.lastInvalidation.reason, "knowledge base changed");
+});
@@ -0,0 +1,130 @@
+/**
+ * Safety guard - corrections of unsafe temperatures and durations in replies
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findSafetyIssues, guardReply } from "../lib/safetyGuard.js";
+
+const corrected = (text) => guardReply(text, [], { mode: "correct" });
+
+test("raises internal temperatures below the safe minimum", () => {
+  const { text, safety } = corrected("Cook chicken to 150°F before serving.");
+
+  assert.match(text, /^Cook chicken to 165°F before serving\./);
+  assert.equal(safety.issues[0].type, "temperature");
+  assert.equal(safety.issues[0].expected, "165°F");
+});
+
+test("checks each step of a compound sentence on its own", () => {
+  for (const reply of [
+    "Cook chicken to 145°F, then cool it quickly.",
+    "Cook chicken to 145°F and keep leftovers in the fridge for 10 days.",
+  ]) {
+    const [issue] = findSafetyIssues(reply);
+    assert.equal(issue?.type, "temperature", reply);
+    assert.equal(issue.claim, "145°F");
+    assert.equal(issue.expected, "165°F");
+  }
+
+  assert.deepEqual(
+    findSafetyIssues("Cook chicken to 165°F, then hold it at 140°F."),
+    []
+  );
+  assert.deepEqual(
+    findSafetyIssues(
+      "Preheat the oven to 150°F and cook the chicken until done."
+    ),
+    []
+  );
+});
+
+test("leaves oven temperatures alone", () => {
+  assert.deepEqual(
+    findSafetyIssues("Bake the chicken in the oven at 150°F for an hour."),
+    []
+  );
+});
+
+test("shortens storage times beyond the table", () => {
+  const { text, safety } = corrected(
+    "Cooked chicken keeps 7 days in the fridge."
+  );
+
+  assert.match(text, /^Cooked chicken keeps 4 days in the fridge\./);
+  assert.equal(safety.issues[0].type, "storage");
+  assert.equal(safety.issues[0].claim, "7 days");
+});
+
+test("replaces a claimed range with the table's range", () => {
+  const { text } = corrected("Cooked chicken keeps 5-7 days in the fridge.");
+  assert.match(text, /^Cooked chicken keeps 3-4 days in the fridge\./);
+});
+
+test("reads decimal durations in full", () => {
+  for (const [reply, expected] of [
+    [
+      "Raw chicken keeps 3.5 days in the fridge.",
+      "Raw chicken keeps 2 days in the fridge.",
+    ],
+    [
+      "Marinate chicken in the fridge for 2.5 days.",
+      "Marinate chicken in the fridge for 2 days.",
+    ],
+    [
+      "Leftovers can sit out at room temperature for 2.5 hours.",
+      "Leftovers can sit out at room temperature for 2 hours.",
+    ],
+  ]) {
+    const { text, safety } = corrected(reply);
+    assert.equal(text.split("\n")[0], expected);
+    assert.equal(safety.issues[0].claim, reply.match(/\d\.\d \w+/)[0]);
+  }
+});
+
+test("accepts decimal durations within the limit", () => {
+  for (const reply of [
+    "Raw chicken keeps 1.5 days in the fridge.",
+    "Cooked chicken keeps 3.5 days in the fridge.",
+    "Leftovers can sit out at room temperature for 1.5 hours.",
+  ]) {
+    assert.deepEqual(findSafetyIssues(reply), [], reply);
+  }
+});
+
+test("compares decimal ranges by their upper bound", () => {
+  assert.deepEqual(
+    findSafetyIssues("Cooked chicken keeps 2.5-3.5 days in the fridge."),
+    []
+  );
+
+  const [issue] = findSafetyIssues(
+    "Cooked chicken keeps 2.5 to 4.5 days in the fridge."
+  );
+  assert.equal(issue.claim, "2.5 to 4.5 days");
+  assert.equal(issue.replacement, "3-4 days");
+});
+
+test("flag mode reports without rewriting", () => {
+  const reply = "Cooked chicken keeps 7 days in the fridge.";
+  const { text, safety } = guardReply(reply, [], { mode: "flag" });
+
+  assert.ok(text.startsWith(reply));
+  assert.equal(safety.issues[0].action, "flagged");
+});
+
+test("moves citations with the corrected text", () => {
+  const reply = "Cooked chicken keeps 10 days in the fridge. Reheat it well.";
+  const start = reply.indexOf("Reheat");
+  const { text, citations } = guardReply(
+    reply,
+    [{ start, end: reply.length, text: "Reheat it well." }],
+    { mode: "correct" }
+  );
+
+  assert.equal(citations[0].start, start - 1); // "10 days" became "4 days"
+  assert.equal(
+    text.slice(citations[0].start, citations[0].end),
+    "Reheat it well."
+  );
+});
@@ -0,0 +1,213 @@
+/**
+ * Units - ingredient parsing, scaling, conversion and request detection
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseQuantity,
+  parseQuantityRange,
+  parseIngredient,
+  parseIngredientList,
+  extractIngredients,
+  scaleIngredients,
+  convertIngredients,
+  convertTemperature,
+  detectUnitRequest,
+} from "../lib/units.js";
+
+const texts = (results) => results.map((result) => result.text);
+
+test("parses quantities, fractions and ranges", () => {
+  assert.equal(parseQuantity("1 1/2"), 1.5);
+  assert.equal(parseQuantity("½"), 0.5);
+  assert.equal(parseQuantity("2-3"), 2);
+  assert.equal(parseQuantity("to taste"), null);
+
+  assert.deepEqual(parseQuantityRange("2-3"), { quantity: 2, quantityMax: 3 });
+  assert.deepEqual(parseQuantityRange("1 to 1 1/2"), {
+    quantity: 1,
+    quantityMax: 1.5,
+  });
+  assert.deepEqual(parseQuantityRange("2"), { quantity: 2 });
+});
+
+test("parses ingredient lines", () => {
+  assert.deepEqual(parseIngredient("1 1/2 cups all-purpose flour, sifted"), {
+    quantity: 1.5,
+    unit: "cup",
+    item: "all-purpose flour",
+    notes: "sifted",
+  });
+  assert.deepEqual(parseIngredient("2-3 tbsp olive oil"), {
+    quantity: 2,
+    quantityMax: 3,
+    unit: "tbsp",
+    item: "olive oil",
+    notes: null,
+  });
+  assert.equal(parseIngredient("400g spaghetti").unit, "g");
+});
+
+test("keeps 'chopped' notes with their ingredient", () => {
+  const ingredients = parseIngredientList("1 onion, chopped, 2 cups rice");
+  assert.deepEqual(
+    ingredients.map(({ item, notes }) => [item, notes]),
+    [
+      ["onion", "chopped"],
+      ["rice", null],
+    ]
+  );
+});
+
+test("finds amounts in running text, skipping durations", () => {
+  const ingredients = extractIngredients(
+    "Whisk 1 cup milk, 1 egg, and 2-3 tbsp melted butter for 2 minutes."
+  );
+  assert.deepEqual(
+    ingredients.map(({ quantity, quantityMax, unit, item }) => ({
+      quantity,
+      quantityMax,
+      unit,
+      item,
+    })),
+    [
+      { quantity: 1, quantityMax: undefined, unit: "cup", item: "milk" },
+      { quantity: 1, quantityMax: undefined, unit: null, item: "egg" },
+      { quantity: 2, quantityMax: 3, unit: "tbsp", item: "melted butter" },
+    ]
+  );
+});
+
+test("scales into readable units and kitchen fractions", () => {
+  const ingredients = parseIngredientList([
+    "1 cup all-purpose flour",
+    "2 tbsp sugar",
+    "2 tsp baking powder",
+    "1 egg",
+    "salt to taste",
+  ]);
+
+  assert.deepEqual(texts(scaleIngredients(ingredients, 1.5)), [
+    "1 1/2 cups all-purpose flour",
+    "3 tbsp sugar",
+    "1 tbsp baking powder",
+    "1 1/2 egg",
+    "salt to taste",
+  ]);
+});
+
+test("scales and converts both ends of a range", () => {
+  const [oil] = parseIngredientList(["2-3 tbsp olive oil"]);
+
+  const [doubled] = scaleIngredients([oil], 2);
+  assert.equal(doubled.quantity, 0.25);
+  assert.equal(doubled.quantityMax, 0.375);
+  assert.equal(doubled.text, "1/4-3/8 cup olive oil");
+
+  const [metric] = convertIngredients([oil], "metric");
+  assert.equal(metric.text, "30-44 ml olive oil");
+
+  const [garlic] = scaleIngredients(
+    parseIngredientList(["1-2 cloves garlic"]),
+    2
+  );
+  assert.equal(garlic.text, "2-4 cloves garlic");
+});
+
+test("converts between US and metric with densities", () => {
+  const [flour, milk] = convertIngredients(
+    parseIngredientList(["1 cup all-purpose flour", "1 cup milk"]),
+    "metric"
+  );
+
+  assert.equal(flour.text, "125 g all-purpose flour");
+  assert.equal(flour.approximate, true);
+  assert.equal(milk.text, "235 ml milk");
+
+  const [mystery] = convertIngredients(
+    parseIngredientList(["1 cup mystery powder"]),
+    "g"
+  );
+  assert.match(mystery.warning, /no density known/);
+});
+
+test("converts sticks of butter, but not other sticks", () => {
+  const [butter, cinnamon] = convertIngredients(
+    parseIngredientList(["2 sticks of butter, softened", "1 cinnamon stick"]),
+    "metric"
+  );
+  assert.equal(butter.text, "225 g butter, softened");
+  assert.equal(cinnamon.text, "1 cinnamon stick");
+
+  const [tablespoons] = convertIngredients(
+    parseIngredientList(["1 stick butter"]),
+    "tbsp"
+  );
+  assert.equal(tablespoons.quantity, 8);
+
+  const [kept] = convertIngredients(
+    parseIngredientList(["1 stick butter"]),
+    "us"
+  );
+  assert.equal(kept.text, "1 stick butter");
+});
+
+test("converts temperatures", () => {
+  assert.equal(convertTemperature(375, "F", "C"), 191);
+  assert.equal(convertTemperature(180, "C", "F"), 356);
+});
+
+test("detects explicit scaling requests", () => {
+  for (const [message, factor] of [
+    ["Can I double the recipe?", 2],
+    ["double the pancake recipe", 2],
+    ["Make a double batch of cookies", 2],
+    ["Can this recipe be doubled?", 2],
+    ["twice the ingredients, please", 2],
+    ["triple the amounts", 3],
+    ["halve the chocolate chip cookie recipe", 0.5],
+    ["cut the recipe in half", 0.5],
+    ["I only need half the amount", 0.5],
+    ["2x the recipe", 2],
+  ]) {
+    assert.equal(detectUnitRequest(message)?.factor, factor, message);
+  }
+
+  assert.deepEqual(detectUnitRequest("scale the lasagna for 8 people"), {
+    type: "scale",
+    factor: 2,
+    servings: 4,
+    targetServings: 8,
+  });
+});
+
+test("ignores doubling words that don't apply to a recipe", () => {
+  for (const message of [
+    "How do I use a double boiler?",
+    "How do I use a double boiler for this recipe?",
+    "Is a double oven worth it?",
+    "How long do twice-baked potatoes keep?",
+    "Can I use triple sec in this recipe?",
+    "Should I triple-wash lettuce?",
+    "Can I use half-and-half in this recipe?",
+    "double the heat in the recipe",
+    "Is it safe to reheat rice twice?",
+    "half a cup of sugar",
+    "In this recipe, should the dough be cut in half?",
+  ]) {
+    assert.equal(detectUnitRequest(message), null, message);
+  }
+});
+
+test("detects conversion requests", () => {
+  assert.deepEqual(detectUnitRequest("convert 2 cups flour to grams"), {
+    type: "convert",
+    to: "g",
+  });
+  assert.deepEqual(detectUnitRequest("what is 375F in Celsius?"), {
+    type: "convert",
+    to: "C",
+  });
+  assert.equal(detectUnitRequest("How do I sear a steak?"), null);
+});